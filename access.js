@@ -0,0 +1,359 @@
+// access.js
+// Server-side authorization for guild and channel routes
+//
+// Every route that takes a guild or channel ID runs with the BOT token, so the
+// bot would happily read or post anywhere it is installed. These middlewares
+// make sure the logged-in USER is allowed to act on that guild before the
+// route handler runs:
+//
+// - Guild IDs are checked against the user's own guild list (OAuth token)
+// - Channel IDs are resolved to their guild through the bot, then checked.
+//   Threads are checked as their parent channel, so access to a channel
+//   covers its threads and forum posts
+// - The user's guild list is cached per user to avoid hitting Discord on
+//   every request
+//
+// Each check asks for a capability:
+// - "manage": Manage Server in the guild (settings, audit log, policies)
+// - "view", "post", "schedule", "moderate": granted to managers, or to other
+//   members by the guild's access policy (see policies.js). Policies match
+//   roles, so the member's roles are fetched through the bot.
+//
+// Any new route that accepts a guildId or channelId must use one of these.
+
+import {
+  getUserGuilds,
+  getChannel,
+  getGuild,
+  getGuildRoles,
+  getGuildMember,
+  DiscordAPIError,
+  THREAD_TYPES,
+} from "./discord.js";
+import { createTTLCache } from "./cache.js";
+import { PERMISSIONS, computeBasePermissions } from "./permissions.js";
+import { getGuildPolicy, resolveGrants, ACCESS_CAPABILITIES } from "./policies.js";
+
+// User ID -> the user's guilds, trusted for 5 minutes before refetching
+const userGuildsCache = createTTLCache(5 * 60 * 1000);
+
+// Guild ID + user ID -> the member's role IDs, trusted for 1 minute
+const memberRolesCache = createTTLCache(60 * 1000);
+
+// Channel ID -> { guildId, accessChannelId }. Channels never move between
+// guilds and threads never change parent, so this is cached for good.
+const channelInfoCache = new Map();
+
+/**
+ * Check whether a guild from /users/@me/guilds grants Manage Server
+ */
+export function canManageGuild(guild) {
+  const permissions = BigInt(guild.permissions || "0");
+  return (
+    (permissions & PERMISSIONS.ADMINISTRATOR) !== 0n ||
+    (permissions & PERMISSIONS.MANAGE_GUILD) !== 0n
+  );
+}
+
+/**
+ * Fetch the user's guilds, cached per user. Pass { refresh: true } to
+ * skip the cache (the dashboard's "refresh servers" button).
+ */
+export async function getCachedUserGuilds(req, { refresh = false } = {}) {
+  const cacheKey = req.session.user?.id || req.sessionID;
+  const cached = refresh ? undefined : userGuildsCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const guilds = await getUserGuilds(req.session.accessToken);
+  return userGuildsCache.set(
+    cacheKey,
+    // Only keep what the permission checks need
+    guilds.map((guild) => ({
+      id: guild.id,
+      name: guild.name,
+      icon: guild.icon,
+      owner: guild.owner,
+      permissions: guild.permissions,
+    }))
+  );
+}
+
+// The channel's guild, and the channel access rules are checked against
+// (a thread's parent, otherwise the channel itself)
+async function resolveChannelInfo(botToken, channelId) {
+  if (channelInfoCache.has(channelId)) {
+    return channelInfoCache.get(channelId);
+  }
+
+  const channel = await getChannel(botToken, channelId);
+  const info = {
+    // DM channels have no guild and are never accessible
+    guildId: channel.guild_id || null,
+    accessChannelId: THREAD_TYPES.has(channel.type) ? channel.parent_id : channel.id,
+  };
+  channelInfoCache.set(channelId, info);
+  return info;
+}
+
+/**
+ * Resolve the guild a channel belongs to using the bot token
+ */
+export async function resolveChannelGuild(botToken, channelId) {
+  return (await resolveChannelInfo(botToken, channelId)).guildId;
+}
+
+/**
+ * Resolve the channel access rules are checked against for a channel: a
+ * thread's parent, otherwise the channel itself
+ */
+export async function resolveAccessChannel(botToken, channelId) {
+  return (await resolveChannelInfo(botToken, channelId)).accessChannelId;
+}
+
+/**
+ * Fetch a member's role IDs through the bot (cached briefly).
+ * Returns [] when they aren't a member.
+ */
+async function getMemberRoleIds(botToken, guildId, userId) {
+  const cacheKey = `${guildId}:${userId}`;
+  const cached = memberRolesCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const member = await getGuildMember(botToken, guildId, userId);
+    return memberRolesCache.set(cacheKey, member.roles || []);
+  } catch (error) {
+    if (error instanceof DiscordAPIError && error.status === 404) {
+      return memberRolesCache.set(cacheKey, []);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Work out what the user may do in a guild.
+ * Returns null without any access, otherwise { guild, manager, grants }
+ * where grants comes from resolveGrants in policies.js.
+ */
+export async function resolveGuildAccess(req, botToken, guildId, options) {
+  const guilds = await getCachedUserGuilds(req, options);
+  const guild = guilds.find((g) => g.id === guildId);
+  if (!guild) {
+    return null;
+  }
+  if (canManageGuild(guild)) {
+    return { guild, manager: true, grants: {} };
+  }
+
+  const userId = req.session.user?.id;
+  const policy = await getGuildPolicy(guildId);
+  if (!userId || policy.rules.length === 0) {
+    return null;
+  }
+
+  const roleIds = await getMemberRoleIds(botToken, guildId, userId);
+  const grants = resolveGrants(policy, userId, roleIds);
+  return Object.keys(grants).length > 0 ? { guild, manager: false, grants } : null;
+}
+
+/**
+ * Work out what a user may do in a guild without their session, through the
+ * bot: for work done on their behalf later, like scheduled messages. Same
+ * result as resolveGuildAccess, with guild: null. Manage Server comes from
+ * the member's roles, as in the OAuth guild list.
+ */
+export async function resolveMemberAccess(botToken, guildId, userId) {
+  if (!userId) {
+    return null;
+  }
+
+  let member;
+  try {
+    member = await getGuildMember(botToken, guildId, userId);
+  } catch (error) {
+    if (error instanceof DiscordAPIError && error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+  const [guild, roles] = await Promise.all([
+    getGuild(botToken, guildId),
+    getGuildRoles(botToken, guildId),
+  ]);
+  const permissions = computeBasePermissions(guild, roles, member, userId);
+  if (
+    (permissions & PERMISSIONS.ADMINISTRATOR) !== 0n ||
+    (permissions & PERMISSIONS.MANAGE_GUILD) !== 0n
+  ) {
+    return { guild: null, manager: true, grants: {} };
+  }
+
+  const grants = resolveGrants(await getGuildPolicy(guildId), userId, member.roles || []);
+  return Object.keys(grants).length > 0 ? { guild: null, manager: false, grants } : null;
+}
+
+/**
+ * Check resolved access for a capability, in one channel or (without
+ * channelId) in at least one channel of the guild
+ */
+export function accessAllows(access, capability, channelId = null) {
+  if (!access) return false;
+  if (access.manager) return true;
+  if (capability === "manage") return false;
+
+  const grant = access.grants[capability];
+  if (!grant) return false;
+  return grant === "all" || channelId === null || grant.has(channelId);
+}
+
+/**
+ * Every capability the access allows in a channel (for the dashboard)
+ */
+export function channelCapabilities(access, channelId) {
+  const capabilities = ACCESS_CAPABILITIES.filter((capability) =>
+    accessAllows(access, capability, channelId)
+  );
+  if (access?.manager) {
+    capabilities.push("manage");
+  }
+  return capabilities;
+}
+
+/**
+ * allowed_mentions for a message sent on the user's behalf. The bot may
+ * ping @everyone, @here and roles whatever the user's own permissions, so
+ * only managers keep Discord's default; members with access through a
+ * policy can ping users only. Returns undefined for the default.
+ */
+export function allowedMentionsFor(access) {
+  return access?.manager ? undefined : { parse: ["users"] };
+}
+
+function forbidden(res, error) {
+  return res.status(403).json({ success: false, error });
+}
+
+function deniedMessage(capability, where) {
+  return capability === "manage"
+    ? `You need Manage Server permission in ${where} to do that`
+    : `You don't have ${capability} access in ${where}`;
+}
+
+/**
+ * Middleware factory: require a capability in the guild named by
+ * req.params.guildId or req.body.guildId. Sets req.guild and req.access.
+ *
+ * Non-managers pass when they have the capability in any channel; routes
+ * that act on a channel must check it with accessAllows too.
+ */
+export function requireGuildAccess(botToken, capability = "manage") {
+  return (req, res, next) => {
+    const guildId = req.params.guildId || req.body?.guildId;
+    if (!guildId) {
+      return res
+        .status(400)
+        .json({ success: false, error: "guildId is required" });
+    }
+
+    resolveGuildAccess(req, botToken, String(guildId))
+      .then((access) => {
+        if (!accessAllows(access, capability)) {
+          console.log(
+            `[Access] Denied ${capability} in guild ${guildId} for session ${req.sessionID}`
+          );
+          return forbidden(res, deniedMessage(capability, "this server"));
+        }
+        req.guild = access.guild;
+        req.access = access;
+        next();
+      })
+      .catch((error) => {
+        console.error("Error checking guild access:", error);
+        res
+          .status(500)
+          .json({ success: false, error: "Failed to verify server access" });
+      });
+  };
+}
+
+/**
+ * Check a capability in one channel.
+ * Returns { guildId, accessChannelId, access, allowed }; guildId is null
+ * when the channel doesn't exist or the bot can't see it. accessChannelId
+ * is the channel rules apply to: a thread's parent, otherwise the channel.
+ */
+export async function checkChannelAccess(req, botToken, channelId, capability) {
+  const info = await resolveChannelInfo(botToken, channelId).catch((error) => {
+    // Unknown channel or one the bot can't see: nobody gets access
+    if (
+      error instanceof DiscordAPIError &&
+      (error.status === 403 || error.status === 404)
+    ) {
+      return null;
+    }
+    throw error;
+  });
+  if (!info?.guildId) {
+    return { guildId: null, access: null, allowed: false };
+  }
+
+  const access = await resolveGuildAccess(req, botToken, info.guildId);
+  return {
+    guildId: info.guildId,
+    accessChannelId: info.accessChannelId,
+    access,
+    allowed: accessAllows(access, capability, info.accessChannelId),
+  };
+}
+
+/**
+ * Middleware factory: require a capability in the channel named by
+ * req.params.channelId, req.body.channelId or req.query.channelId (for
+ * multipart requests, whose body isn't parsed until after this check).
+ * Sets req.guild, req.access, req.channelId, req.channelGuildId and
+ * req.accessChannelId.
+ */
+export function requireChannelAccess(botToken, capability = "manage") {
+  return (req, res, next) => {
+    const channelId = req.params.channelId || req.body?.channelId || req.query.channelId;
+    if (!channelId) {
+      return res
+        .status(400)
+        .json({ success: false, error: "channelId is required" });
+    }
+
+    checkChannelAccess(req, botToken, String(channelId), capability)
+      .then(({ guildId, accessChannelId, access, allowed }) => {
+        if (!guildId) {
+          return forbidden(
+            res,
+            "This channel does not exist or the bot cannot see it"
+          );
+        }
+        if (!allowed) {
+          console.log(
+            `[Access] Denied ${capability} in channel ${channelId} (guild ${guildId}) for session ${req.sessionID}`
+          );
+          return forbidden(res, deniedMessage(capability, "this channel"));
+        }
+        req.guild = access.guild;
+        req.access = access;
+        // The channel that was checked; handlers must act on this one
+        req.channelId = String(channelId);
+        req.channelGuildId = guildId;
+        // A thread's parent, otherwise the channel itself
+        req.accessChannelId = accessChannelId;
+        next();
+      })
+      .catch((error) => {
+        console.error("Error checking channel access:", error);
+        res
+          .status(500)
+          .json({ success: false, error: "Failed to verify channel access" });
+      });
+  };
+}
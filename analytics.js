@@ -0,0 +1,350 @@
+// analytics.js
+// Channel and server activity analytics ("pulse")
+//
+// Aggregates are computed from message history fetched with getMessages,
+// walking back 100 messages at a time. To show a trend, twice the period is
+// fetched: the current period is compared with the one before it.
+//
+// Results are cached in DATA_DIR/analytics-cache.json for 15 minutes, since
+// walking history is slow and spends rate limit. Only managers may skip the
+// cache (see the routes in server.js).
+//
+// A channel's walk stops after MAX_MESSAGES_PER_CHANNEL messages. Its counts
+// then cover only the newest messages, so the result is marked `truncated`
+// and has no trend, since the previous period is the part that's missing.
+//
+// A server's walk reads at most MAX_MESSAGES_PER_GUILD messages in all;
+// channels past that are marked `truncated` too. Requests for the same
+// aggregates while they're being computed wait for that computation.
+
+import { getMessages, getChannels } from "./discord.js";
+import { createJsonStore } from "./store.js";
+
+// Cached aggregates are reused for 15 minutes
+const CACHE_TTL = 15 * 60 * 1000;
+// Stop walking one channel's history after this many messages
+const MAX_MESSAGES_PER_CHANNEL = 5000;
+// Stop walking a server's channels after this many messages in all
+const MAX_MESSAGES_PER_GUILD = 20000;
+// Gaps longer than this aren't counted as "responses"
+const MAX_RESPONSE_GAP = 60 * 60 * 1000;
+// Allowed periods in days
+export const PULSE_PERIODS = [1, 7, 30];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const cacheStore = createJsonStore("analytics-cache", {});
+let cache = null;
+// Cache key -> computation in progress, so parallel requests compute once
+const computationsInProgress = new Map();
+
+/**
+ * Error for invalid analytics options (returned as 400)
+ */
+export class AnalyticsOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AnalyticsOptionsError";
+  }
+}
+
+/**
+ * Check and normalize { days, timezone } from a query string
+ */
+export function parsePulseOptions(query) {
+  const days = parseInt(query.days) || 7;
+  if (!PULSE_PERIODS.includes(days)) {
+    throw new AnalyticsOptionsError(`days must be one of ${PULSE_PERIODS.join(", ")}`);
+  }
+
+  const timezone = query.tz || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch {
+    throw new AnalyticsOptionsError(`Unknown timezone: ${timezone}`);
+  }
+
+  return { days, timezone, refresh: query.refresh === "true" };
+}
+
+/**
+ * Walk a channel's history back to `since` (newest first).
+ * Resolves to { messages, truncated }; truncated is true when the walk
+ * stopped at `limit` messages before reaching `since`.
+ */
+export async function fetchHistorySince(
+  botToken,
+  channelId,
+  since,
+  limit = MAX_MESSAGES_PER_CHANNEL
+) {
+  const messages = [];
+  let before = null;
+
+  while (messages.length < limit) {
+    const page = await getMessages(botToken, channelId, {
+      limit: 100,
+      before,
+    });
+    for (const msg of page) {
+      if (new Date(msg.timestamp).getTime() < since) {
+        return { messages, truncated: false };
+      }
+      if (messages.length === limit) {
+        return { messages, truncated: true };
+      }
+      messages.push(msg);
+    }
+    if (page.length < 100) return { messages, truncated: false };
+    before = page[page.length - 1].id;
+  }
+
+  return { messages, truncated: true };
+}
+
+// Formatters are expensive to create; keep one per timezone
+const formatters = new Map();
+
+/**
+ * Calendar parts of a date in a timezone
+ */
+function zonedParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        weekday: "short",
+        hourCycle: "h23",
+      })
+    );
+  }
+  const parts = {};
+  for (const part of formatters.get(timezone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Estimate response times: a message answering someone else within an hour
+ * counts as a response, timed from the message before it.
+ * `messages` must be sorted oldest first and from one channel.
+ */
+function responseGaps(messages) {
+  const gaps = [];
+  for (let i = 1; i < messages.length; i++) {
+    const previous = messages[i - 1];
+    const current = messages[i];
+    if (previous.author?.id === current.author?.id) continue;
+    const gap =
+      new Date(current.timestamp).getTime() - new Date(previous.timestamp).getTime();
+    if (gap >= 0 && gap <= MAX_RESPONSE_GAP) gaps.push(gap);
+  }
+  return gaps;
+}
+
+/**
+ * Aggregate messages into pulse metrics.
+ * channels: [{ id, name, messages, truncated }] where messages cover 2
+ * periods, unless truncated.
+ */
+export function computePulse(channels, { days, timezone, now = Date.now() }) {
+  const periodStart = now - days * DAY;
+  const previousStart = now - 2 * days * DAY;
+
+  const perDay = {};
+  const perHour = new Array(days * 24).fill(0);
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const authors = new Map();
+  const gaps = [];
+  const channelCounts = [];
+  let total = 0;
+  let previousTotal = 0;
+  let truncated = false;
+
+  // Every day of the period is listed, even without messages
+  for (let t = periodStart; t < now; t += DAY) {
+    perDay[zonedParts(new Date(t), timezone).day] = 0;
+  }
+  perDay[zonedParts(new Date(now), timezone).day] = 0;
+
+  for (const channel of channels) {
+    const current = [];
+    for (const msg of channel.messages) {
+      const time = new Date(msg.timestamp).getTime();
+      if (time >= periodStart && time <= now) {
+        current.push(msg);
+      } else if (time >= previousStart && time < periodStart) {
+        previousTotal++;
+      }
+    }
+
+    current.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    gaps.push(...responseGaps(current));
+    channelCounts.push({
+      id: channel.id,
+      name: channel.name,
+      count: current.length,
+      truncated: !!channel.truncated,
+    });
+    if (channel.truncated) truncated = true;
+
+    for (const msg of current) {
+      const date = new Date(msg.timestamp);
+      const parts = zonedParts(date, timezone);
+      total++;
+      perDay[parts.day] = (perDay[parts.day] || 0) + 1;
+      const hourIndex = Math.floor((date.getTime() - periodStart) / (60 * 60 * 1000));
+      if (hourIndex >= 0 && hourIndex < perHour.length) perHour[hourIndex]++;
+      heatmap[parts.weekday][parts.hour]++;
+
+      const authorId = msg.author?.id || "unknown";
+      const author = authors.get(authorId) || {
+        id: authorId,
+        username: msg.author?.username || "Unknown User",
+        bot: !!msg.author?.bot,
+        count: 0,
+      };
+      author.count++;
+      authors.set(authorId, author);
+    }
+  }
+
+  const topPosters = [...authors.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 10);
+
+  return {
+    period: { days, timezone, from: new Date(periodStart).toISOString(), to: new Date(now).toISOString() },
+    totalMessages: total,
+    // Some channel's history stopped at MAX_MESSAGES_PER_CHANNEL
+    truncated,
+    activeAuthors: authors.size,
+    topPosters,
+    messagesPerDay: Object.entries(perDay)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([day, count]) => ({ day, count })),
+    // Hourly counts from the start of the period, oldest first
+    messagesPerHour: perHour,
+    // heatmap[weekday 0=Sunday][hour 0-23] in the chosen timezone
+    heatmap,
+    responseTime: {
+      samples: gaps.length,
+      medianSeconds: gaps.length ? Math.round(median(gaps) / 1000) : null,
+      averageSeconds: gaps.length
+        ? Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length / 1000)
+        : null,
+    },
+    trend: {
+      previousMessages: previousTotal,
+      changePercent:
+        previousTotal && !truncated
+          ? Math.round(((total - previousTotal) / previousTotal) * 100)
+          : null,
+    },
+    channels: channelCounts.sort((a, b) => b.count - a.count),
+  };
+}
+
+async function loadCache() {
+  if (!cache) {
+    cache = await cacheStore.load();
+  }
+  return cache;
+}
+
+/**
+ * Return cached aggregates for `key`, or compute and cache them
+ */
+async function cached(key, refresh, compute) {
+  const entries = await loadCache();
+  const entry = entries[key];
+  if (!refresh && entry && Date.now() - entry.computedAt < CACHE_TTL) {
+    return { ...entry.result, computedAt: new Date(entry.computedAt).toISOString(), cached: true };
+  }
+
+  let computation = computationsInProgress.get(key);
+  if (!computation) {
+    computation = (async () => {
+      const result = await compute();
+      const computedAt = Date.now();
+      // Drop expired entries while we're writing anyway
+      for (const [k, e] of Object.entries(entries)) {
+        if (computedAt - e.computedAt >= CACHE_TTL) delete entries[k];
+      }
+      entries[key] = { computedAt, result };
+      await cacheStore.save(entries);
+      return { ...result, computedAt: new Date(computedAt).toISOString(), cached: false };
+    })().finally(() => computationsInProgress.delete(key));
+    computationsInProgress.set(key, computation);
+  }
+  return computation;
+}
+
+/**
+ * Pulse for one channel
+ */
+export async function getChannelPulse(botToken, channelId, options) {
+  const { days, timezone, refresh } = options;
+  return cached(`channel:${channelId}:${days}:${timezone}`, refresh, async () => {
+    const since = Date.now() - 2 * days * DAY;
+    const { messages, truncated } = await fetchHistorySince(botToken, channelId, since);
+    return computePulse([{ id: channelId, name: null, messages, truncated }], {
+      days,
+      timezone,
+    });
+  });
+}
+
+/**
+ * Pulse for every text channel in a server
+ */
+export async function getGuildPulse(botToken, guildId, options) {
+  const { days, timezone, refresh } = options;
+  return cached(`guild:${guildId}:${days}:${timezone}`, refresh, async () => {
+    const since = Date.now() - 2 * days * DAY;
+    const channels = await getChannels(botToken, guildId);
+
+    const histories = [];
+    let budget = MAX_MESSAGES_PER_GUILD;
+    // One channel at a time keeps us friendly with the rate limits
+    for (const channel of channels) {
+      if (budget === 0) {
+        histories.push({ id: channel.id, name: channel.name, messages: [], truncated: true });
+        continue;
+      }
+      try {
+        const { messages, truncated } = await fetchHistorySince(
+          botToken,
+          channel.id,
+          since,
+          Math.min(MAX_MESSAGES_PER_CHANNEL, budget)
+        );
+        budget -= messages.length;
+        histories.push({ id: channel.id, name: channel.name, messages, truncated });
+      } catch (error) {
+        // Channels the bot can't read are skipped
+        console.log(`[Analytics] Skipping #${channel.name}: ${error.message}`);
+      }
+    }
+    return computePulse(histories, { days, timezone });
+  });
+}
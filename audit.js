@@ -0,0 +1,247 @@
+// audit.js
+// Audit trail of every action taken through the bot
+//
+// In Discord every post comes from the bot, so nobody can tell which
+// dashboard user sent what. The audit log records, for every write request:
+// who (session user), where (guild/channel), what (action + a SHA-256 hash
+// of the payload), the result and when.
+//
+// auditWrites is mounted once for the whole app, so every POST/PUT/PATCH/
+// DELETE route is covered, including future ones. Routes can add detail
+// by setting res.locals.audit (e.g. { action: "message.send", details }).
+//
+// The guild and channel come from the access checks (access.js), never from
+// the request itself, so nobody can file entries under a server they can't
+// use. Denied requests that never got as far as a verified guild aren't
+// recorded.
+//
+// Entries are appended to DATA_DIR/audit-log.jsonl. Each guild can also
+// mirror its entries to a Discord log channel.
+
+import crypto from "crypto";
+import { sendMessage } from "./discord.js";
+import { createJsonStore, createJsonLinesLog } from "./store.js";
+
+const auditLog = createJsonLinesLog("audit-log");
+// Guild ID -> { logChannelId }
+const settingsStore = createJsonStore("audit-settings", {});
+
+// Routes that change nothing in Discord and are not worth auditing
+const SKIPPED_PATHS = new Set(["/login", "/callback", "/logout"]);
+
+let botToken = null;
+let settings = null;
+
+/**
+ * Give the audit log the bot token for mirroring to log channels
+ */
+export function configureAudit(token) {
+  botToken = token;
+}
+
+/**
+ * SHA-256 of a request payload. Uploaded files are hashed by content so two
+ * different files with the same name don't look identical.
+ */
+export function hashPayload(body, files = []) {
+  const hash = crypto.createHash("sha256");
+  hash.update(JSON.stringify(body ?? null));
+  for (const file of files) {
+    hash.update(file.originalname || file.name || "");
+    hash.update(file.buffer || file.data || "");
+  }
+  return hash.digest("hex");
+}
+
+async function loadSettings() {
+  if (!settings) {
+    settings = await settingsStore.load();
+  }
+  return settings;
+}
+
+/**
+ * Get a guild's audit settings
+ */
+export async function getAuditSettings(guildId) {
+  const all = await loadSettings();
+  return all[guildId] || { logChannelId: null };
+}
+
+/**
+ * Set (or clear with null) the Discord channel audit entries are mirrored to
+ */
+export async function setAuditLogChannel(guildId, logChannelId) {
+  const all = await loadSettings();
+  all[guildId] = { ...all[guildId], logChannelId: logChannelId || null };
+  await settingsStore.save(all);
+  return all[guildId];
+}
+
+/**
+ * Record one audit entry and mirror it to the guild's log channel
+ */
+export async function recordAudit(entry) {
+  const fullEntry = {
+    id: crypto.randomUUID(),
+    time: new Date().toISOString(),
+    user: null,
+    guildId: null,
+    channelId: null,
+    payloadHash: null,
+    details: null,
+    error: null,
+    ...entry,
+  };
+
+  await auditLog.append(fullEntry);
+  mirrorToLogChannel(fullEntry).catch((error) => {
+    console.error("[Audit] Failed to mirror entry to log channel:", error.message);
+  });
+  return fullEntry;
+}
+
+async function mirrorToLogChannel(entry) {
+  if (!entry.guildId || !botToken) return;
+  const { logChannelId } = await getAuditSettings(entry.guildId);
+  // Don't log posts to the log channel into itself forever
+  if (!logChannelId || entry.channelId === logChannelId) return;
+
+  let who = entry.user ? `${entry.user.username} (${entry.user.id})` : "unknown user";
+  if (entry.details?.persona) {
+    who += ` as "${entry.details.persona.name}"`;
+  }
+  const where = entry.channelId ? ` in <#${entry.channelId}>` : "";
+  const outcome = entry.result === "success" ? "✅" : `❌ ${entry.error || ""}`;
+  // Usernames and error messages are user-controlled: don't let them ping
+  await sendMessage(
+    botToken,
+    logChannelId,
+    `📝 **${entry.action}** by ${who}${where} ${outcome}\n` +
+      `\`payload ${entry.payloadHash?.slice(0, 16) || "-"}\``,
+    { allowedMentions: { parse: [] } }
+  );
+}
+
+/**
+ * Middleware factory: name the action a route performs in the audit log
+ */
+export function auditAs(action) {
+  return (req, res, next) => {
+    res.locals.audit = { ...res.locals.audit, action };
+    next();
+  };
+}
+
+/**
+ * Middleware: audit every write request once its response is sent
+ */
+export function auditWrites(req, res, next) {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method) || SKIPPED_PATHS.has(req.path)) {
+    return next();
+  }
+
+  // Remember the error message the route sends back
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.responseBody = body;
+    return json(body);
+  };
+
+  res.on("finish", () => {
+    if (!req.session?.user) return;
+
+    const audit = res.locals.audit || {};
+    const body = res.locals.responseBody;
+    const failed = res.statusCode >= 400;
+    // Set by requireGuildAccess / requireChannelAccess once access is checked
+    const guildId = audit.guildId || req.guild?.id || req.channelGuildId || null;
+    if (res.statusCode === 403 && !guildId) return;
+
+    recordAudit({
+      user: { id: req.session.user.id, username: req.session.user.username },
+      guildId,
+      channelId: audit.channelId || req.channelId || null,
+      action: audit.action || `${req.method} ${req.route?.path || req.path}`,
+      payloadHash: hashPayload(req.body, req.files || []),
+      result: failed ? "failure" : "success",
+      status: res.statusCode,
+      error: failed ? body?.error || null : null,
+      details: audit.details || null,
+    }).catch((error) => {
+      console.error("[Audit] Failed to record entry:", error);
+    });
+  });
+
+  next();
+}
+
+/**
+ * Read a guild's audit entries, newest first.
+ * filters: { action, userId, channelId, result, from, to, limit }
+ */
+export async function queryAudit(guildId, filters = {}) {
+  const from = filters.from ? new Date(filters.from).getTime() : null;
+  const to = filters.to ? new Date(filters.to).getTime() : null;
+
+  const entries = (await auditLog.readAll()).filter((entry) => {
+    if (entry.guildId !== guildId) return false;
+    if (filters.action && entry.action !== filters.action) return false;
+    if (filters.userId && entry.user?.id !== filters.userId) return false;
+    if (filters.channelId && entry.channelId !== filters.channelId) return false;
+    if (filters.result && entry.result !== filters.result) return false;
+    const time = new Date(entry.time).getTime();
+    if (from && time < from) return false;
+    if (to && time > to) return false;
+    return true;
+  });
+
+  entries.reverse();
+  return filters.limit ? entries.slice(0, filters.limit) : entries;
+}
+
+/**
+ * One CSV cell: quoted, with spreadsheet formulas neutralized
+ */
+export function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Format audit entries as CSV
+ */
+export function auditToCsv(entries) {
+  const header = [
+    "time",
+    "user_id",
+    "username",
+    "guild_id",
+    "channel_id",
+    "action",
+    "result",
+    "status",
+    "error",
+    "payload_hash",
+    "details",
+  ];
+  const rows = entries.map((entry) =>
+    [
+      entry.time,
+      entry.user?.id,
+      entry.user?.username,
+      entry.guildId,
+      entry.channelId,
+      entry.action,
+      entry.result,
+      entry.status,
+      entry.error,
+      entry.payloadHash,
+      entry.details ? JSON.stringify(entry.details) : "",
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  return [header.join(","), ...rows].join("\r\n");
+}
@@ -1,7 +1,126 @@
 // auth.js
 // OAuth2 authentication handlers for Discord
+//
+// TOKEN LIFETIME:
+// Discord access tokens expire (after about a week). The token response also
+// has a refresh_token, which we keep in the session with the expiry time.
+// refreshSessionToken swaps it for a new access token shortly before the old
+// one expires, so users stay logged in. On logout both tokens are revoked.
+//
+// The token endpoints live under the API base (DISCORD_API_BASE, see
+// rest.js). The authorize page is opened by the user's browser, so its
+// origin is set separately with DISCORD_OAUTH_BASE.
 
 import fetch from "node-fetch";
+import crypto from "crypto";
+import { DISCORD_API_BASE } from "./rest.js";
+
+export const DISCORD_OAUTH_BASE = (process.env.DISCORD_OAUTH_BASE || "https://discord.com").replace(
+  /\/+$/,
+  ""
+);
+const DISCORD_TOKEN_URL = `${DISCORD_API_BASE}/oauth2/token`;
+const DISCORD_REVOKE_URL = `${DISCORD_API_BASE}/oauth2/token/revoke`;
+// Refresh this long before the access token actually expires
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Session ID -> refresh in progress, so parallel requests refresh only once
+// (Discord rotates the refresh token on every use)
+const refreshesInProgress = new Map();
+
+/**
+ * Error when Discord refuses to issue a token
+ */
+export class OAuthTokenError extends Error {
+  constructor(status, body) {
+    super(`Discord token request failed (${status})`);
+    this.name = "OAuthTokenError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * POST to Discord's token endpoint with the client credentials
+ */
+async function requestToken(params, clientId, clientSecret) {
+  const response = await fetch(DISCORD_TOKEN_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      ...params,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new OAuthTokenError(response.status, await response.text());
+  }
+  return response.json();
+}
+
+/**
+ * Keep the tokens from a token response in the session
+ */
+function storeTokens(req, tokenData) {
+  req.session.accessToken = tokenData.access_token;
+  req.session.refreshToken = tokenData.refresh_token || null;
+  req.session.tokenExpiresAt = tokenData.expires_in
+    ? Date.now() + tokenData.expires_in * 1000
+    : null;
+}
+
+/**
+ * Refresh the session's access token if it expires soon.
+ * Sessions without an expiry or refresh token are left alone.
+ */
+export async function refreshSessionToken(req, clientId, clientSecret) {
+  const { refreshToken, tokenExpiresAt } = req.session;
+  if (!refreshToken || !tokenExpiresAt) return;
+  if (tokenExpiresAt - Date.now() > REFRESH_MARGIN) return;
+
+  let refresh = refreshesInProgress.get(req.sessionID);
+  if (!refresh) {
+    refresh = requestToken(
+      { grant_type: "refresh_token", refresh_token: refreshToken },
+      clientId,
+      clientSecret
+    ).finally(() => refreshesInProgress.delete(req.sessionID));
+    refreshesInProgress.set(req.sessionID, refresh);
+  }
+
+  const tokenData = await refresh;
+  storeTokens(req, tokenData);
+  console.log("[OAuth] Refreshed access token for user:", req.session.user?.username);
+}
+
+/**
+ * Revoke a token at Discord. Failures are logged, not thrown.
+ */
+async function revokeToken(token, tokenTypeHint, clientId, clientSecret) {
+  try {
+    const response = await fetch(DISCORD_REVOKE_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        token,
+        token_type_hint: tokenTypeHint,
+      }),
+    });
+    if (!response.ok) {
+      console.error(`[OAuth] Revoking ${tokenTypeHint} failed:`, await response.text());
+    }
+  } catch (error) {
+    console.error(`[OAuth] Revoking ${tokenTypeHint} failed:`, error.message);
+  }
+}
 
 /**
  ** Redirect user to Discord OAuth2 login page
@@ -13,7 +132,9 @@ export function handleLogin(req, res, clientId, redirectUri) {
     return res.redirect("/dashboard.html");
   }
 
-  const state = Math.random().toString(36).substring(2);
+  // Unguessable, so another site can't complete a login into its own
+  // Discord account in this browser
+  const state = crypto.randomBytes(16).toString("hex");
   req.session.oauthState = state;
   
   // Save session before redirecting
@@ -23,11 +144,8 @@ export function handleLogin(req, res, clientId, redirectUri) {
       return res.status(500).send("Failed to initialize login");
     }
 
-    console.log("[OAuth] State generated and saved:", state);
-    console.log("[OAuth] Session ID:", req.sessionID);
-
     const scopes = "identify guilds";
-    const authUrl = `https://discord.com/oauth2/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(
+    const authUrl = `${DISCORD_OAUTH_BASE}/oauth2/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(
       redirectUri
     )}&response_type=code&scope=${encodeURIComponent(scopes)}&state=${state}`;
 
@@ -48,11 +166,6 @@ export async function handleCallback(
 ) {
   const { code, state } = req.query;
 
-  console.log("[OAuth] State received from Discord:", state);
-  console.log("[OAuth] State stored in session:", req.session.oauthState);
-  console.log("[OAuth] Session ID:", req.sessionID);
-  console.log("[OAuth] Session exists:", !!req.session);
-
   // Verify state to prevent CSRF
   if (!state) {
     console.error("[OAuth] No state received from Discord");
@@ -63,7 +176,6 @@ export async function handleCallback(
 
   if (!req.session || !req.session.oauthState) {
     console.error("[OAuth] No state found in session");
-    console.error("[OAuth] Session data:", req.session);
     return res
       .status(400)
       .send("Login failed. Please try again. (session expired - try logging in again)");
@@ -71,8 +183,6 @@ export async function handleCallback(
 
   if (state !== req.session.oauthState) {
     console.error("[OAuth] State mismatch");
-    console.error("[OAuth] Expected:", req.session.oauthState);
-    console.error("[OAuth] Received:", state);
     return res
       .status(400)
       .send("Login failed. Please try again. (invalid state)");
@@ -87,38 +197,26 @@ export async function handleCallback(
 
   try {
     // Exchange code for access token
-    const tokenResponse = await fetch(
-      "https://discord.com/api/oauth2/token",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams({
-          client_id: clientId,
-          client_secret: clientSecret,
+    let tokenData;
+    try {
+      tokenData = await requestToken(
+        {
           grant_type: "authorization_code",
           code: code,
           redirect_uri: redirectUri,
-        }),
-      }
-    );
-
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      console.error("[OAuth] Token exchange failed:", errorText);
+        },
+        clientId,
+        clientSecret
+      );
+    } catch (error) {
+      console.error("[OAuth] Token exchange failed:", error.body || error.message);
       return res
         .status(400)
         .send("Login failed. Please try again. (token error)");
     }
 
-    const tokenData = await tokenResponse.json();
-
-    // Store access token in session for later API calls
-    req.session.accessToken = tokenData.access_token;
-
-    // Fetch user profile using the access token and store minimal info in session
-    const userResponse = await fetch("https://discord.com/api/v10/users/@me", {
+    // Fetch user profile using the access token
+    const userResponse = await fetch(`${DISCORD_API_BASE}/users/@me`, {
       headers: {
         Authorization: `Bearer ${tokenData.access_token}`,
       },
@@ -133,6 +231,17 @@ export async function handleCallback(
     }
 
     const userData = await userResponse.json();
+
+    // A new session ID for the logged-in session, so an ID someone planted
+    // before login (session fixation) doesn't become a logged-in session.
+    // This also clears the OAuth state.
+    await new Promise((resolve, reject) =>
+      req.session.regenerate((error) => (error ? reject(error) : resolve()))
+    );
+
+    // Store the tokens and their expiry in the session for later API calls,
+    // and minimal info about the user
+    storeTokens(req, tokenData);
     req.session.user = {
       id:userData.id,
       username:userData.username,
@@ -140,9 +249,6 @@ export async function handleCallback(
       discriminator:userData.discriminator,
     };
 
-    // Clear state after successful validation & login
-    req.session.oauthState = null;
-
     console.log("[OAuth] Authentication successful for user:", userData.username);
     res.redirect("/dashboard.html");
   } catch (error) {
@@ -152,9 +258,17 @@ export async function handleCallback(
 }
 
 /**
- * Logout user and clear session
+ * Logout user: revoke their Discord tokens and clear the session
  */
-export function handleLogout(req, res) {
+export async function handleLogout(req, res, clientId, clientSecret) {
+  const { accessToken, refreshToken } = req.session;
+  if (accessToken) {
+    await revokeToken(accessToken, "access_token", clientId, clientSecret);
+  }
+  if (refreshToken) {
+    await revokeToken(refreshToken, "refresh_token", clientId, clientSecret);
+  }
+
   req.session.destroy((err) => {
     if (err) {
       console.error("[OAuth] Error destroying session:", err);
@@ -0,0 +1,215 @@
+// broadcast.js
+// Send one message to many channels, across servers ("broadcast")
+//
+// Targets are sent through sendMessage a few at a time. rest.js still queues
+// requests per rate limit bucket; running a few at once just overlaps the
+// waiting on different channels.
+//
+// Every broadcast is kept in DATA_DIR/broadcasts.json with a result per
+// target, so targets that failed can be retried later without posting twice
+// to the ones that worked.
+
+import crypto from "crypto";
+import { sendMessage } from "./discord.js";
+import { createJsonStore } from "./store.js";
+import { recordAudit, hashPayload } from "./audit.js";
+
+// Channels one broadcast can go to
+export const MAX_BROADCAST_TARGETS = 50;
+// Targets sent at the same time
+const CONCURRENCY = 3;
+// Broadcasts kept on disk (oldest are dropped)
+const MAX_BROADCASTS = 200;
+// Discord's message content limit
+const MAX_MESSAGE_LENGTH = 2000;
+
+const store = createJsonStore("broadcasts", { broadcasts: [] });
+let broadcasts = null;
+// IDs of broadcasts being sent right now, so a retry can't overlap a run
+const running = new Set();
+
+/**
+ * Error for an invalid broadcast (returned as 400)
+ */
+export class BroadcastValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BroadcastValidationError";
+  }
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight.
+ * Results keep the order of items.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+async function loadBroadcasts() {
+  if (!broadcasts) {
+    broadcasts = (await store.load()).broadcasts;
+  }
+  return broadcasts;
+}
+
+async function persist() {
+  broadcasts.splice(0, broadcasts.length - MAX_BROADCASTS);
+  await store.save({ broadcasts });
+}
+
+/**
+ * Check a list of channel IDs: 1 to MAX_BROADCAST_TARGETS unique IDs
+ */
+export function validateBroadcastTargets(channelIds) {
+  if (!Array.isArray(channelIds) || channelIds.length === 0) {
+    throw new BroadcastValidationError("Pick at least one channel");
+  }
+  const unique = [...new Set(channelIds.map(String))];
+  if (unique.length > MAX_BROADCAST_TARGETS) {
+    throw new BroadcastValidationError(
+      `A broadcast can go to at most ${MAX_BROADCAST_TARGETS} channels`
+    );
+  }
+  if (!unique.every((id) => /^\d{1,20}$/.test(id))) {
+    throw new BroadcastValidationError("channelIds must be channel IDs");
+  }
+  return unique;
+}
+
+/**
+ * Save a new broadcast with every target pending.
+ * input: { targets: [{ guildId, channelId, allowedMentions }], message, embeds,
+ * createdBy }. allowedMentions is what the creator may ping in that server.
+ */
+export async function createBroadcast({ targets, message = "", embeds = [], createdBy }) {
+  if (typeof message !== "string") {
+    throw new BroadcastValidationError("message must be text");
+  }
+  if (!message && embeds.length === 0) {
+    throw new BroadcastValidationError("A message or an embed is required");
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new BroadcastValidationError(
+      `message must be at most ${MAX_MESSAGE_LENGTH} characters`
+    );
+  }
+
+  const all = await loadBroadcasts();
+  const broadcast = {
+    id: crypto.randomUUID(),
+    message,
+    embeds,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    targets: targets.map(({ guildId, channelId, allowedMentions }) => ({
+      guildId,
+      channelId,
+      allowedMentions,
+      status: "pending",
+      messageId: null,
+      error: null,
+      attempts: 0,
+    })),
+  };
+  all.push(broadcast);
+  await persist();
+  return broadcast;
+}
+
+/**
+ * Send a broadcast to its pending and failed targets
+ */
+export async function runBroadcast(botToken, broadcast) {
+  if (running.has(broadcast.id)) {
+    throw new BroadcastValidationError("This broadcast is already being sent");
+  }
+  running.add(broadcast.id);
+  try {
+    return await sendTargets(botToken, broadcast);
+  } finally {
+    running.delete(broadcast.id);
+  }
+}
+
+async function sendTargets(botToken, broadcast) {
+  const targets = broadcast.targets.filter((target) => target.status !== "sent");
+  const payloadHash = hashPayload({
+    message: broadcast.message,
+    embeds: broadcast.embeds,
+  });
+
+  await mapWithConcurrency(targets, CONCURRENCY, async (target) => {
+    target.attempts++;
+    try {
+      const result = await sendMessage(botToken, target.channelId, broadcast.message, {
+        embeds: broadcast.embeds,
+        allowedMentions: target.allowedMentions,
+      });
+      target.status = "sent";
+      target.messageId = result.id;
+      target.error = null;
+    } catch (error) {
+      target.status = "failed";
+      target.error = error.message;
+      console.error(
+        `[Broadcast] ${broadcast.id} failed for channel ${target.channelId}:`,
+        error.message
+      );
+    }
+
+    // One entry per target so each server's audit log shows the post
+    recordAudit({
+      user: broadcast.createdBy,
+      guildId: target.guildId,
+      channelId: target.channelId,
+      action: "broadcast.target",
+      payloadHash,
+      result: target.status === "sent" ? "success" : "failure",
+      error: target.error,
+      details: { broadcastId: broadcast.id, messageId: target.messageId },
+    }).catch((error) => {
+      console.error("[Broadcast] Failed to record audit entry:", error.message);
+    });
+  });
+
+  broadcast.lastRunAt = new Date().toISOString();
+  await persist();
+  return broadcast;
+}
+
+/**
+ * Find a broadcast created by a user
+ */
+export async function getBroadcast(broadcastId, userId) {
+  const all = await loadBroadcasts();
+  return (
+    all.find(
+      (broadcast) => broadcast.id === broadcastId && broadcast.createdBy?.id === userId
+    ) || null
+  );
+}
+
+/**
+ * A user's broadcasts, newest first
+ */
+export async function listBroadcasts(userId, limit = 20) {
+  const all = await loadBroadcasts();
+  return all
+    .filter((broadcast) => broadcast.createdBy?.id === userId)
+    .reverse()
+    .slice(0, limit);
+}
@@ -0,0 +1,34 @@
+// cache.js
+// Small in-memory cache with a time-to-live per entry
+
+/**
+ * Create a cache whose entries expire `ttl` milliseconds after being set
+ */
+export function createTTLCache(ttl) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (Date.now() >= entry.expiresAt) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      return value;
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+}
@@ -0,0 +1,128 @@
+// channels.js
+// A guild's channels in the order Discord shows them
+//
+// Discord returns a guild's channels unsorted, and threads separately. The
+// dashboard wants them the way the Discord client lists them:
+// - channels without a category first, then each category in position order
+// - inside a category, text-like channels before voice and stage channels,
+//   each by position (ties broken by ID)
+// - active threads right after the channel they belong to
+//
+// Every entry gets a `kind` the dashboard can switch on: "text",
+// "announcement", "voice", "forum" or "thread".
+
+import {
+  getGuildChannels,
+  getActiveThreads,
+  CHANNEL_TYPES,
+  MESSAGE_CHANNEL_TYPES,
+  THREAD_TYPES,
+  FORUM_TYPES,
+} from "./discord.js";
+
+const VOICE_TYPES = new Set([CHANNEL_TYPES.GUILD_VOICE, CHANNEL_TYPES.GUILD_STAGE_VOICE]);
+
+/**
+ * What the dashboard should treat a channel as
+ */
+export function channelKind(type) {
+  if (THREAD_TYPES.has(type)) return "thread";
+  if (FORUM_TYPES.has(type)) return "forum";
+  if (VOICE_TYPES.has(type)) return "voice";
+  if (type === CHANNEL_TYPES.GUILD_ANNOUNCEMENT) return "announcement";
+  return "text";
+}
+
+// Snowflake IDs are too big for Number; longer means newer
+function compareSnowflakes(a, b) {
+  return a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+// Discord client order inside one category
+function compareChannels(a, b) {
+  const aVoice = VOICE_TYPES.has(a.type) ? 1 : 0;
+  const bVoice = VOICE_TYPES.has(b.type) ? 1 : 0;
+  return aVoice - bVoice || a.position - b.position || compareSnowflakes(a.id, b.id);
+}
+
+function toEntry(channel, category) {
+  const entry = {
+    id: channel.id,
+    name: channel.name,
+    type: channel.type,
+    kind: channelKind(channel.type),
+    position: channel.position ?? 0,
+    parentId: channel.parent_id || null,
+    categoryId: category?.id || null,
+    categoryName: category?.name || null,
+  };
+  if (FORUM_TYPES.has(channel.type)) {
+    entry.availableTags = (channel.available_tags || []).map((tag) => ({
+      id: tag.id,
+      name: tag.name,
+      emoji: tag.emoji_name || null,
+      moderated: !!tag.moderated,
+    }));
+  }
+  if (THREAD_TYPES.has(channel.type)) {
+    entry.archived = !!channel.thread_metadata?.archived;
+    entry.locked = !!channel.thread_metadata?.locked;
+  }
+  return entry;
+}
+
+/**
+ * A guild's message, forum and thread channels in Discord client order.
+ * Threads follow their parent and carry its category.
+ */
+export async function listGuildChannels(botToken, guildId) {
+  const [channels, threads] = await Promise.all([
+    getGuildChannels(botToken, guildId),
+    // Listing threads needs Read Message History; carry on without them
+    getActiveThreads(botToken, guildId).catch((error) => {
+      console.error(`[Channels] Failed to fetch active threads in ${guildId}:`, error.message);
+      return [];
+    }),
+  ]);
+
+  const categories = channels
+    .filter((channel) => channel.type === CHANNEL_TYPES.GUILD_CATEGORY)
+    .sort((a, b) => a.position - b.position || compareSnowflakes(a.id, b.id));
+  const listed = channels.filter(
+    (channel) => MESSAGE_CHANNEL_TYPES.has(channel.type) || FORUM_TYPES.has(channel.type)
+  );
+
+  const threadsByParent = new Map();
+  for (const thread of threads) {
+    if (!threadsByParent.has(thread.parent_id)) {
+      threadsByParent.set(thread.parent_id, []);
+    }
+    threadsByParent.get(thread.parent_id).push(thread);
+  }
+
+  const result = [];
+  for (const category of [null, ...categories]) {
+    const inCategory = listed
+      .filter((channel) => (channel.parent_id || null) === (category?.id || null))
+      .sort(compareChannels);
+    for (const channel of inCategory) {
+      result.push(toEntry(channel, category));
+      // Newest threads first, like the client's thread list
+      const channelThreads = (threadsByParent.get(channel.id) || []).sort((a, b) =>
+        compareSnowflakes(b.id, a.id)
+      );
+      for (const thread of channelThreads) {
+        result.push(toEntry(thread, category));
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Entries for threads fetched separately (e.g. archived ones), in the same
+ * shape as listGuildChannels but without category
+ */
+export function toThreadEntries(threads) {
+  return threads.map((thread) => toEntry(thread, null));
+}
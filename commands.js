@@ -0,0 +1,411 @@
+// commands.js
+// Slash commands defined in the dashboard and answered by ChatPulse
+//
+// A command is:
+//
+//   { id, discordId, guildId, name, description, options, response, ... }
+//
+// - guildId:  the server it is registered in, or null for a global command
+//             (every server the bot is in; Discord can take a while to show
+//             changes to those)
+// - options:  [{ type, name, description, required }], where type is one
+//             of COMMAND_OPTION_TYPES
+// - response: { content, embed, ephemeral }. content and the embed's title
+//             and description are templates (see templates.js): built-in
+//             placeholders like {user} or {channel}, and {option_name} for
+//             what the user typed in an option. ephemeral replies are only
+//             shown to the user who ran the command.
+//
+// Commands are registered through the REST API when they are saved, and
+// answered by the interactions endpoint (see interactions.js). They are
+// stored in DATA_DIR/commands.json.
+
+import crypto from "crypto";
+import {
+  createApplicationCommand,
+  editApplicationCommand,
+  deleteApplicationCommand,
+  getApplicationCommands,
+  getGuild,
+  DiscordAPIError,
+} from "./discord.js";
+import { createJsonStore } from "./store.js";
+import { validateEmbeds } from "./embeds.js";
+import {
+  BUILT_IN_PLACEHOLDERS,
+  extractFields,
+  renderTemplate,
+  TemplateError,
+} from "./templates.js";
+import { createTTLCache } from "./cache.js";
+
+// Option type name -> Discord application command option type
+export const COMMAND_OPTION_TYPES = {
+  string: 3,
+  integer: 4,
+  boolean: 5,
+  user: 6,
+  channel: 7,
+  role: 8,
+  number: 10,
+};
+
+// Discord's limits for chat input commands
+const MAX_COMMANDS = 100;
+const MAX_OPTIONS = 25;
+const MAX_DESCRIPTION_LENGTH = 100;
+const MAX_CONTENT_LENGTH = 2000;
+// Lowercase letters, digits, - and _ (Discord also allows other scripts)
+const NAME_PATTERN = /^[-_\p{Ll}\p{Lo}\p{N}]{1,32}$/u;
+// Discord's CHAT_INPUT command type and interaction callback flags
+const CHAT_INPUT = 1;
+const EPHEMERAL = 1 << 6;
+
+const store = createJsonStore("commands", { commands: [] });
+let commands = null;
+// Server names for {server}, so answering stays within Discord's 3 seconds
+const guildNames = createTTLCache(10 * 60 * 1000);
+
+/**
+ * Error for an invalid command (returned as 400)
+ */
+export class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CommandError";
+  }
+}
+
+async function loadCommands() {
+  if (!commands) {
+    commands = (await store.load()).commands;
+  }
+  return commands;
+}
+
+async function persist() {
+  await store.save({ commands });
+}
+
+function validateName(name, what) {
+  if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+    throw new CommandError(
+      `${what} must be 1-32 lowercase letters, digits, - or _ (got "${name ?? ""}")`
+    );
+  }
+  return name;
+}
+
+function validateDescription(description, what) {
+  const text = typeof description === "string" ? description.trim() : "";
+  if (!text || text.length > MAX_DESCRIPTION_LENGTH) {
+    throw new CommandError(
+      `${what} needs a description of at most ${MAX_DESCRIPTION_LENGTH} characters`
+    );
+  }
+  return text;
+}
+
+function validateOptions(options = []) {
+  if (!Array.isArray(options) || options.length > MAX_OPTIONS) {
+    throw new CommandError(`A command can have at most ${MAX_OPTIONS} options`);
+  }
+
+  const names = new Set();
+  let seenOptional = false;
+  return options.map((option, i) => {
+    const what = `Option ${i + 1}`;
+    if (!Object.hasOwn(COMMAND_OPTION_TYPES, option?.type)) {
+      throw new CommandError(
+        `${what} type must be one of ${Object.keys(COMMAND_OPTION_TYPES).join(", ")}`
+      );
+    }
+    const name = validateName(option.name, `${what} name`);
+    if (names.has(name)) {
+      throw new CommandError(`Two options are called "${name}"`);
+    }
+    // {user}, {channel}... would fill in the built-in instead of the option
+    if (BUILT_IN_PLACEHOLDERS.includes(name)) {
+      throw new CommandError(`"${name}" is a built-in placeholder; pick another option name`);
+    }
+    names.add(name);
+
+    const required = option.required === true;
+    // Discord wants required options first
+    if (required && seenOptional) {
+      throw new CommandError("Required options must come before optional ones");
+    }
+    seenOptional ||= !required;
+
+    return {
+      type: option.type,
+      name,
+      description: validateDescription(option.description, what),
+      required,
+    };
+  });
+}
+
+function validateResponse(response, optionNames) {
+  const content = typeof response?.content === "string" ? response.content : "";
+  if (content.length > MAX_CONTENT_LENGTH) {
+    throw new CommandError(`The response must be at most ${MAX_CONTENT_LENGTH} characters`);
+  }
+
+  let embed = null;
+  if (response?.embed) {
+    const { title, description, color } = response.embed;
+    embed = {};
+    if (title) embed.title = String(title);
+    if (description) embed.description = String(description);
+    if (Number.isInteger(color)) embed.color = color;
+    const errors = validateEmbeds([embed]);
+    if (errors.length > 0) {
+      throw new CommandError(errors[0]);
+    }
+    if (!embed.title && !embed.description) embed = null;
+  }
+
+  if (!content.trim() && !embed) {
+    throw new CommandError("A command needs a response: text, an embed or both");
+  }
+
+  const placeholders = [content, embed?.title || "", embed?.description || ""].flatMap(
+    extractFields
+  );
+  const unknown = placeholders.find((name) => !optionNames.includes(name));
+  if (unknown) {
+    throw new CommandError(`The response uses {${unknown}}, which is not an option`);
+  }
+
+  return { content, embed, ephemeral: response.ephemeral === true };
+}
+
+/**
+ * Check and normalize a command from the dashboard.
+ * input: { name, description, options, response }
+ */
+export function validateCommand(input) {
+  const name = validateName(input?.name, "The command name");
+  const description = validateDescription(input.description, "The command");
+  const options = validateOptions(input.options);
+  const response = validateResponse(
+    input.response,
+    options.map((option) => option.name)
+  );
+  return { name, description, options, response };
+}
+
+// The command as Discord's API wants it
+function toDiscordCommand({ name, description, options }) {
+  return {
+    name,
+    description,
+    type: CHAT_INPUT,
+    options: options.map((option) => ({
+      type: COMMAND_OPTION_TYPES[option.type],
+      name: option.name,
+      description: option.description,
+      required: option.required,
+    })),
+  };
+}
+
+/**
+ * ChatPulse's commands in a guild (or global ones for guildId null), by name
+ */
+export async function listCommands(guildId) {
+  const all = await loadCommands();
+  return all
+    .filter((command) => command.guildId === guildId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find one command in a guild (or a global one for guildId null)
+ */
+export async function getCommand(guildId, commandId) {
+  const all = await loadCommands();
+  return (
+    all.find((command) => command.id === commandId && command.guildId === guildId) || null
+  );
+}
+
+/**
+ * Names of the commands registered in Discord for the application there
+ * that ChatPulse doesn't manage (added by another tool, or deleted here
+ * while Discord was unreachable)
+ */
+export async function listUnmanagedCommands(botToken, applicationId, guildId) {
+  const [registered, managed] = await Promise.all([
+    getApplicationCommands(botToken, applicationId, guildId),
+    listCommands(guildId),
+  ]);
+  const managedIds = new Set(managed.map((command) => command.discordId));
+  return registered
+    .filter((command) => !managedIds.has(command.id))
+    .map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * Register a new command with Discord and save it.
+ * input: validated by validateCommand, plus createdBy
+ */
+export async function createCommand(botToken, applicationId, guildId, input) {
+  const command = validateCommand(input);
+  const all = await loadCommands();
+  const existing = all.filter((c) => c.guildId === guildId);
+  if (existing.length >= MAX_COMMANDS) {
+    throw new CommandError(`At most ${MAX_COMMANDS} commands can be registered in one place`);
+  }
+  // Discord would silently replace the other command with the same name
+  if (existing.some((c) => c.name === command.name)) {
+    throw new CommandError(`There is already a /${command.name} command`);
+  }
+
+  const registered = await createApplicationCommand(
+    botToken,
+    applicationId,
+    guildId,
+    toDiscordCommand(command)
+  );
+  const now = new Date().toISOString();
+  const saved = {
+    id: crypto.randomUUID(),
+    discordId: registered.id,
+    guildId,
+    ...command,
+    createdBy: input.createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+  all.push(saved);
+  await persist();
+  return saved;
+}
+
+/**
+ * Change a command in Discord and here
+ */
+export async function updateCommand(botToken, applicationId, command, input) {
+  const changes = validateCommand(input);
+  const all = await loadCommands();
+  const clash = all.some(
+    (c) => c.guildId === command.guildId && c.name === changes.name && c.id !== command.id
+  );
+  if (clash) {
+    throw new CommandError(`There is already a /${changes.name} command`);
+  }
+
+  await editApplicationCommand(
+    botToken,
+    applicationId,
+    command.guildId,
+    command.discordId,
+    toDiscordCommand(changes)
+  );
+  Object.assign(command, changes, { updatedAt: new Date().toISOString() });
+  await persist();
+  return command;
+}
+
+/**
+ * Remove a command from Discord and here
+ */
+export async function deleteCommand(botToken, applicationId, command) {
+  try {
+    await deleteApplicationCommand(botToken, applicationId, command.guildId, command.discordId);
+  } catch (error) {
+    // Already gone in Discord; still forget it here
+    if (!(error instanceof DiscordAPIError) || error.status !== 404) throw error;
+  }
+  const all = await loadCommands();
+  const index = all.indexOf(command);
+  if (index !== -1) all.splice(index, 1);
+  await persist();
+}
+
+// Users, channels and roles are filled in as mentions
+const MENTION_FORMATS = {
+  [COMMAND_OPTION_TYPES.user]: (id) => `<@${id}>`,
+  [COMMAND_OPTION_TYPES.channel]: (id) => `<#${id}>`,
+  [COMMAND_OPTION_TYPES.role]: (id) => `<@&${id}>`,
+};
+
+// What the user typed in each option, as text for the template
+function optionValues(options = []) {
+  const values = {};
+  for (const option of options) {
+    const format = MENTION_FORMATS[option.type] || String;
+    values[option.name] = format(option.value);
+  }
+  return values;
+}
+
+async function guildName(botToken, guildId) {
+  if (!guildId) return null;
+  const cached = guildNames.get(guildId);
+  if (cached !== undefined) return cached;
+  try {
+    return guildNames.set(guildId, (await getGuild(botToken, guildId)).name);
+  } catch (error) {
+    console.error(`[Commands] Failed to fetch guild ${guildId}:`, error.message);
+    return null;
+  }
+}
+
+function reply(content, { embeds = [], ephemeral = false } = {}) {
+  return {
+    // CHANNEL_MESSAGE_WITH_SOURCE
+    type: 4,
+    data: {
+      content,
+      embeds,
+      flags: ephemeral ? EPHEMERAL : 0,
+      // Placeholders can put mentions in the reply; don't ping anyone
+      allowed_mentions: { parse: [] },
+    },
+  };
+}
+
+/**
+ * The interaction response for a slash command interaction
+ */
+export async function answerCommand(botToken, interaction) {
+  const all = await loadCommands();
+  const command = all.find((c) => c.discordId === interaction.data?.id);
+  if (!command) {
+    return reply("This command is no longer set up in ChatPulse.", { ephemeral: true });
+  }
+
+  const context = {
+    channelId: interaction.channel_id || interaction.channel?.id,
+    userId: interaction.member?.user?.id || interaction.user?.id,
+    guildName: await guildName(botToken, interaction.guild_id),
+    timezone: "UTC",
+  };
+  // Cut to Discord's `limit` rather than refuse what the user typed
+  const render = (text, limit) =>
+    renderTemplate(text, {
+      values: optionValues(interaction.data.options),
+      context,
+      // Options the user left out are filled in as nothing
+      optional: command.options.map((option) => option.name),
+      maxLength: Infinity,
+    }).slice(0, limit);
+
+  try {
+    const { content, embed, ephemeral } = command.response;
+    const embeds = [];
+    if (embed) {
+      const rendered = { ...embed };
+      if (embed.title) rendered.title = render(embed.title, 256);
+      if (embed.description) rendered.description = render(embed.description, 4096);
+      embeds.push(rendered);
+    }
+    return reply(content ? render(content, MAX_CONTENT_LENGTH) : "", { embeds, ephemeral });
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    return reply(`Couldn't answer: ${error.message}`, { ephemeral: true });
+  }
+}
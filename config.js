@@ -0,0 +1,182 @@
+// config.js
+// Server settings from the environment (.env), checked once at startup
+//
+// Every problem is collected and reported together, so a misconfigured
+// deployment fails right away with the full list instead of at the first
+// request. With NODE_ENV=production, settings that are only acceptable for
+// local development are problems too:
+// - SESSION_SECRET must be set and at least 32 characters
+// - REDIRECT_URI must be set and use https
+// - the Discord API and OAuth bases must use https
+//
+// Secure cookies follow REDIRECT_URI: when users reach ChatPulse over https,
+// the session cookie is only sent over https. ChatPulse itself speaks plain
+// HTTP, so TLS has to end at a reverse proxy, and TRUST_PROXY has to be set
+// for Express to believe the proxy's X-Forwarded-Proto. Without it the
+// session cookie would never be set, so that's a problem in any environment.
+//
+// DATA_DIR, DISCORD_API_BASE and DISCORD_OAUTH_BASE are read by store.js,
+// rest.js and auth.js when they're loaded; they're only checked here.
+
+import crypto from "crypto";
+import net from "net";
+import { DISCORD_API_BASE } from "./rest.js";
+import { DISCORD_OAUTH_BASE } from "./auth.js";
+import { parsePublicKey } from "./interactions.js";
+
+const DEFAULT_PORT = 3000;
+const MIN_SESSION_SECRET_LENGTH = 32;
+// Names Express accepts in a TRUST_PROXY list besides addresses and subnets
+const PROXY_NAMES = new Set(["loopback", "linklocal", "uniquelocal"]);
+
+/**
+ * Error for settings the server can't start with. `problems` lists them all.
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n- ${problems.join("\n- ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+function parseUrl(value) {
+  try {
+    const url = new URL(value);
+    return ["http:", "https:"].includes(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * TRUST_PROXY -> Express "trust proxy" setting: "true"/"false", a number of
+ * proxy hops, or a comma-separated list of addresses, subnets and the names
+ * loopback, linklocal and uniquelocal. Returns undefined if it's none of these.
+ */
+function parseTrustProxy(value) {
+  const text = (value || "").trim();
+  if (text === "" || text === "false") return false;
+  if (text === "true") return true;
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const entries = text.split(",").map((entry) => entry.trim());
+  const valid = entries.every((entry) => {
+    if (PROXY_NAMES.has(entry)) return true;
+    const [address, prefix] = entry.split("/");
+    const version = net.isIP(address);
+    if (!version) return false;
+    if (prefix === undefined) return true;
+    return /^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128);
+  });
+  return valid ? entries.join(", ") : undefined;
+}
+
+/**
+ * Read and check the settings. Throws a ConfigError listing every problem.
+ * Returns the settings, with `warnings` for things worth logging at startup.
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const warnings = [];
+  const production = env.NODE_ENV === "production";
+
+  for (const name of ["DISCORD_CLIENT_ID", "DISCORD_CLIENT_SECRET", "DISCORD_BOT_TOKEN"]) {
+    if (!env[name]) problems.push(`${name} is required`);
+  }
+  if (env.DISCORD_CLIENT_ID && !/^\d{17,20}$/.test(env.DISCORD_CLIENT_ID)) {
+    problems.push("DISCORD_CLIENT_ID must be the application's numeric ID");
+  }
+  if (env.DISCORD_BOT_TOKEN && /\s/.test(env.DISCORD_BOT_TOKEN)) {
+    problems.push('DISCORD_BOT_TOKEN must be the bare token, without "Bot " or spaces');
+  }
+
+  let port = DEFAULT_PORT;
+  if (env.PORT) {
+    port = /^\d+$/.test(env.PORT) ? Number(env.PORT) : NaN;
+    if (!(port >= 1 && port <= 65535)) {
+      problems.push("PORT must be a port number between 1 and 65535");
+    }
+  }
+
+  const trustProxy = parseTrustProxy(env.TRUST_PROXY);
+  if (trustProxy === undefined) {
+    problems.push(
+      "TRUST_PROXY must be true, false, a number of proxies or a list of proxy addresses"
+    );
+  } else if (trustProxy === true && production) {
+    warnings.push(
+      "TRUST_PROXY=true trusts X-Forwarded-* from any client; prefer the number of proxies or their addresses"
+    );
+  }
+
+  let sessionSecret = env.SESSION_SECRET || "";
+  if (production && sessionSecret.length < MIN_SESSION_SECRET_LENGTH) {
+    problems.push(
+      `SESSION_SECRET must be set to a random string of at least ${MIN_SESSION_SECRET_LENGTH} characters in production`
+    );
+  } else if (!sessionSecret) {
+    // Sessions survive restarts in DATA_DIR, but their cookies are signed
+    // with this secret, so everyone is logged out when it changes
+    sessionSecret = crypto.randomBytes(32).toString("hex");
+    warnings.push(
+      "SESSION_SECRET is not set; using a random one, so restarting logs everyone out"
+    );
+  }
+
+  const redirectUri = env.REDIRECT_URI || `http://localhost:${port}/callback`;
+  const redirectUrl = parseUrl(redirectUri);
+  if (!redirectUrl) {
+    problems.push("REDIRECT_URI must be an http(s) URL");
+  } else if (production && (!env.REDIRECT_URI || redirectUrl.protocol !== "https:")) {
+    problems.push("REDIRECT_URI must be set to an https URL in production");
+  }
+  const secureCookies = redirectUrl?.protocol === "https:";
+  if (secureCookies && !trustProxy) {
+    problems.push(
+      "REDIRECT_URI uses https, so ChatPulse must run behind a TLS proxy: set TRUST_PROXY to it"
+    );
+  }
+
+  for (const [name, value] of [
+    ["DISCORD_API_BASE", DISCORD_API_BASE],
+    ["DISCORD_OAUTH_BASE", DISCORD_OAUTH_BASE],
+  ]) {
+    const url = parseUrl(value);
+    if (!url) {
+      problems.push(`${name} must be an http(s) URL`);
+    } else if (production && url.protocol !== "https:") {
+      problems.push(`${name} must use https in production`);
+    }
+  }
+
+  let interactionsPublicKey = null;
+  if (env.DISCORD_PUBLIC_KEY) {
+    try {
+      interactionsPublicKey = parsePublicKey(env.DISCORD_PUBLIC_KEY);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return {
+    production,
+    port,
+    trustProxy,
+    clientId: env.DISCORD_CLIENT_ID,
+    clientSecret: env.DISCORD_CLIENT_SECRET,
+    botToken: env.DISCORD_BOT_TOKEN,
+    sessionSecret,
+    redirectUri,
+    secureCookies,
+    interactionsPublicKey,
+    // Attachments are served from the API's origin when it isn't Discord's
+    // (e.g. the demo), so the dashboard has to be allowed to load them
+    apiOrigin: new URL(DISCORD_API_BASE).origin,
+    warnings,
+  };
+}
@@ -0,0 +1,1588 @@
+// demo/fake-discord.js
+// A local stand-in for Discord, so ChatPulse runs without credentials or
+// network access (npm run demo)
+//
+// It implements what ChatPulse uses, with Discord's response shapes and
+// error bodies ({ message, code }):
+// - OAuth2: an authorize page to pick a demo user, the token endpoint
+//   (authorization_code and refresh_token grants) and token revocation
+// - REST v10 under /api/v10: users, guilds, roles, members (including
+//   timeouts, kicks, bans and role changes), channels, threads, messages,
+//   pins, reactions, forum posts, webhooks and application commands
+// - Permissions: every bot request is checked against the fixture roles and
+//   channel overwrites, so Discord's 50001 Missing Access and 50013 Missing
+//   Permissions errors come up where they would for real (see fixtures.js).
+//   Moderating members also needs the bot's highest role above theirs.
+// - Rate limits: sending messages is limited per channel, with Discord's
+//   X-RateLimit-* headers, and answers 429 with retry_after when exceeded
+// - Gateway: a WebSocket at the server's root that says HELLO, answers
+//   IDENTIFY with READY and heartbeats with ACKs, and dispatches message
+//   and reaction events for changes made through REST. Sessions can be
+//   resumed on a new connection, replaying the events missed meanwhile.
+// - Server errors and Gateway trouble on demand (failRequests,
+//   closeGatewayConnections, invalidateGatewaySessions, ackHeartbeats and
+//   sendGatewayFrame), for the tests
+//
+// Permissions are computed here rather than with permissions.js, so a bug
+// there can't hide behind the same bug in the fake.
+//
+// Everything is kept in memory and starts over from fixtures.js.
+
+import express from "express";
+import multer from "multer";
+import crypto from "crypto";
+import http from "http";
+import { WebSocketServer } from "ws";
+import { createFixtures, makeSnowflake } from "./fixtures.js";
+
+const PERMISSIONS = {
+  KICK_MEMBERS: 1n << 1n,
+  BAN_MEMBERS: 1n << 2n,
+  ADMINISTRATOR: 1n << 3n,
+  ADD_REACTIONS: 1n << 6n,
+  VIEW_CHANNEL: 1n << 10n,
+  SEND_MESSAGES: 1n << 11n,
+  MANAGE_MESSAGES: 1n << 13n,
+  READ_MESSAGE_HISTORY: 1n << 16n,
+  MANAGE_ROLES: 1n << 28n,
+  MANAGE_WEBHOOKS: 1n << 29n,
+  MANAGE_THREADS: 1n << 34n,
+  SEND_MESSAGES_IN_THREADS: 1n << 38n,
+  MODERATE_MEMBERS: 1n << 40n,
+};
+const ALL_PERMISSIONS = (1n << 64n) - 1n;
+
+const THREAD_TYPES = new Set([10, 11, 12]);
+const FORUM_TYPES = new Set([15, 16]);
+// Categories and forums have no messages of their own
+const NON_MESSAGE_TYPES = new Set([4, 15, 16]);
+
+// Gateway intents the fake honors
+const INTENTS = {
+  GUILD_MESSAGES: 1 << 9,
+  GUILD_MESSAGE_REACTIONS: 1 << 10,
+  MESSAGE_CONTENT: 1 << 15,
+};
+const HEARTBEAT_INTERVAL = 41250;
+// Events queued for a disconnected session before it can't be resumed
+const MAX_MISSED_EVENTS = 1000;
+
+const ACCESS_TOKEN_LIFETIME = 7 * 24 * 60 * 60;
+const AUTH_CODE_LIFETIME = 10 * 60 * 1000;
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+const MAX_PINS = 50;
+const MAX_REACTIONS = 20;
+const MAX_COMMANDS = 100;
+const MAX_MEMBERS_PER_REQUEST = 1000;
+const MAX_TIMEOUT = 28 * 24 * 60 * 60 * 1000;
+const MAX_BAN_DELETE_SECONDS = 7 * 24 * 60 * 60;
+
+// Name -> [HTTP status, Discord error code, message]
+const ERRORS = {
+  unauthorized: [401, 0, "401: Unauthorized"],
+  notFound: [404, 0, "404: Not Found"],
+  badRequest: [400, 0, "400: Bad Request"],
+  unknownChannel: [404, 10003, "Unknown Channel"],
+  unknownGuild: [404, 10004, "Unknown Guild"],
+  unknownMember: [404, 10007, "Unknown Member"],
+  unknownMessage: [404, 10008, "Unknown Message"],
+  unknownRole: [404, 10011, "Unknown Role"],
+  unknownUser: [404, 10013, "Unknown User"],
+  unknownEmoji: [400, 10014, "Unknown Emoji"],
+  unknownWebhook: [404, 10015, "Unknown Webhook"],
+  unknownBan: [404, 10026, "Unknown Ban"],
+  unknownCommand: [404, 10063, "Unknown application command"],
+  maxPins: [400, 30003, "Maximum number of pins reached (50)"],
+  maxReactions: [400, 30010, "Maximum number of reactions reached (20)"],
+  maxCommands: [400, 30032, "Maximum number of application commands reached (100)"],
+  alreadyCrossposted: [400, 40033, "This message has already been crossposted."],
+  missingAccess: [403, 50001, "Missing Access"],
+  cannotEditOthers: [403, 50005, "Cannot edit a message authored by another user"],
+  emptyMessage: [400, 50006, "Cannot send an empty message"],
+  nonTextChannel: [400, 50008, "Cannot send messages in a non-text channel"],
+  missingPermissions: [403, 50013, "Missing Permissions"],
+  wrongChannelType: [400, 50024, "Cannot execute action on this channel type"],
+  invalidWebhookToken: [401, 50027, "Invalid Webhook Token"],
+  tooOldToBulkDelete: [400, 50034, "You can only bulk delete messages that are under 14 days old."],
+  invalidFormBody: [400, 50035, "Invalid Form Body"],
+};
+
+function fail(res, name, errors) {
+  const [status, code, message] = ERRORS[name];
+  res.status(status).json(errors ? { message, code, errors } : { message, code });
+}
+
+function has(permissions, flag) {
+  return (permissions & PERMISSIONS.ADMINISTRATOR) !== 0n || (permissions & flag) === flag;
+}
+
+function compareSnowflakes(a, b) {
+  const diff = BigInt(a) - BigInt(b);
+  return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+}
+
+// ?limit= clamped to 1-1000, like Discord's member and ban lists
+function pageLimit(value, fallback) {
+  return Math.min(Math.max(parseInt(value) || fallback, 1), MAX_MEMBERS_PER_REQUEST);
+}
+
+function snowflakeTime(id) {
+  return Number((BigInt(id) >> 22n) + 1420070400000n);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+}
+
+/**
+ * Create a fake Discord server. Call listen() to start it.
+ * options.fixtures:   initial state (default: a fresh createFixtures())
+ * options.sendLimit:  messages per channel per sendWindow before 429s
+ * options.sendWindow: rate limit window in milliseconds
+ * options.tokenLifetime: access token lifetime in seconds
+ * options.heartbeatInterval: Gateway heartbeat interval in milliseconds
+ */
+export function createFakeDiscord(options = {}) {
+  const {
+    fixtures = createFixtures(),
+    sendLimit = 5,
+    sendWindow = 5000,
+    tokenLifetime = ACCESS_TOKEN_LIFETIME,
+    heartbeatInterval = HEARTBEAT_INTERVAL,
+  } = options;
+  const state = fixtures;
+  const usersById = new Map(state.users.map((user) => [user.id, user]));
+  const bot = usersById.get(state.botUserId);
+
+  // code -> { userId, redirectUri, scope, expiresAt }
+  const authCodes = new Map();
+  // access token -> { userId, scope, expiresAt }
+  const accessTokens = new Map();
+  // refresh token -> { userId, scope }
+  const refreshTokens = new Map();
+  // webhook ID -> webhook (with its token)
+  const webhooks = new Map();
+  // "guildId" or "global" -> registered application commands
+  const commands = new Map();
+  // attachment ID -> { data, contentType }
+  const attachments = new Map();
+  // channel ID -> { remaining, resetAt } for message sends
+  const sendBuckets = new Map();
+  let increment = 0;
+  const nextId = () => makeSnowflake(Date.now(), increment++);
+
+  // --- Lookups and permissions ---
+
+  const findGuild = (id) => state.guilds.find((guild) => guild.id === id) || null;
+  const findChannel = (id) => state.channels.find((channel) => channel.id === id) || null;
+  const findMember = (guild, userId) =>
+    guild?.members.find((member) => member.userId === userId) || null;
+  const messagesIn = (channelId) => (state.messages[channelId] ||= []);
+  const findMessage = (channelId, messageId) =>
+    messagesIn(channelId).find((message) => message.id === messageId) || null;
+
+  function guildPermissions(guild, userId) {
+    const member = findMember(guild, userId);
+    if (!member) return 0n;
+    if (guild.owner_id === userId) return ALL_PERMISSIONS;
+    const roles = new Map(guild.roles.map((role) => [role.id, BigInt(role.permissions)]));
+    let permissions = roles.get(guild.id) || 0n;
+    for (const roleId of member.roles) permissions |= roles.get(roleId) || 0n;
+    return permissions & PERMISSIONS.ADMINISTRATOR ? ALL_PERMISSIONS : permissions;
+  }
+
+  function channelPermissions(channel, userId) {
+    const target = THREAD_TYPES.has(channel.type) ? findChannel(channel.parent_id) : channel;
+    const guild = findGuild(target.guild_id);
+    let permissions = guildPermissions(guild, userId);
+    if (permissions === 0n || permissions === ALL_PERMISSIONS) return permissions;
+
+    const member = findMember(guild, userId);
+    const overwrites = target.permission_overwrites || [];
+    const apply = (allow, deny) => {
+      permissions = (permissions & ~deny) | allow;
+    };
+    const everyone = overwrites.find((o) => o.id === guild.id);
+    if (everyone) apply(BigInt(everyone.allow), BigInt(everyone.deny));
+    let allow = 0n;
+    let deny = 0n;
+    for (const o of overwrites) {
+      if (o.type === 0 && member.roles.includes(o.id)) {
+        allow |= BigInt(o.allow);
+        deny |= BigInt(o.deny);
+      }
+    }
+    apply(allow, deny);
+    const own = overwrites.find((o) => o.type === 1 && o.id === userId);
+    if (own) apply(BigInt(own.allow), BigInt(own.deny));
+    return permissions;
+  }
+
+  // Position of a member's highest role (@everyone is 0)
+  function highestPosition(guild, member) {
+    const positions = new Map(guild.roles.map((role) => [role.id, role.position]));
+    return Math.max(0, ...member.roles.map((id) => positions.get(id) ?? 0));
+  }
+
+  // Whether userId's highest role is above the member's. Nobody outranks the
+  // owner, and the owner outranks everyone else.
+  function outranks(guild, userId, member) {
+    if (member.userId === guild.owner_id) return false;
+    if (userId === guild.owner_id) return true;
+    return highestPosition(guild, findMember(guild, userId)) > highestPosition(guild, member);
+  }
+
+  function memberObject(member) {
+    return {
+      user: usersById.get(member.userId),
+      nick: member.nick,
+      roles: member.roles,
+      avatar: null,
+      joined_at: new Date(snowflakeTime(member.userId)).toISOString(),
+      communication_disabled_until: member.timedOutUntil || null,
+      deaf: false,
+      mute: false,
+      flags: 0,
+    };
+  }
+
+  // A message as the API returns it: replies carry the message they answer
+  function present(message) {
+    const result = { ...message };
+    if (message.message_reference) {
+      const { channel_id: channelId, message_id: messageId } = message.message_reference;
+      const original = findMessage(channelId, messageId);
+      result.referenced_message = original ? { ...original } : null;
+    }
+    return result;
+  }
+
+  // --- Gateway ---
+
+  // Open Gateway sockets, and sessions by ID. A session outlives its socket
+  // so it can be resumed: events are queued in `missed` while it has none.
+  const sockets = new Set();
+  const sessions = new Map();
+  let heartbeatAcks = true;
+
+  function sendPayload(ws, op, d) {
+    ws.send(JSON.stringify({ op, d, s: null, t: null }));
+  }
+
+  function dispatchTo(session, type, data) {
+    session.seq += 1;
+    const payload = JSON.stringify({ op: 0, d: data, s: session.seq, t: type });
+    if (session.ws) {
+      session.ws.send(payload);
+    } else if (session.missed.push(payload) > MAX_MISSED_EVENTS) {
+      // Too far behind to resume, as Discord would decide
+      sessions.delete(session.id);
+    }
+  }
+
+  /**
+   * Send a DISPATCH event to every Gateway session with the intent
+   */
+  function dispatch(type, data, intent = INTENTS.GUILD_MESSAGES) {
+    for (const session of sessions.values()) {
+      if (!(session.intents & intent)) continue;
+      let payload = data;
+      // Without the Message Content intent, content is blank (as for bots
+      // that aren't mentioned)
+      if (!(session.intents & INTENTS.MESSAGE_CONTENT) && "content" in data) {
+        payload = { ...data, content: "", embeds: [], attachments: [] };
+      }
+      dispatchTo(session, type, payload);
+    }
+  }
+
+  function guildMessageEvent(message, channel) {
+    const member = findMember(findGuild(guildOf(channel)), message.author.id);
+    return {
+      ...present(message),
+      guild_id: guildOf(channel),
+      ...(member && !message.webhook_id ? { member: { ...memberObject(member), user: undefined } } : {}),
+    };
+  }
+
+  function guildOf(channel) {
+    return channel.guild_id;
+  }
+
+  function handleGatewayConnection(ws, gatewayUrl) {
+    // The session this socket identified or resumed
+    let session = null;
+    sockets.add(ws);
+    sendPayload(ws, 10, { heartbeat_interval: heartbeatInterval });
+
+    ws.on("message", (raw) => {
+      let payload;
+      try {
+        payload = JSON.parse(raw.toString());
+      } catch {
+        return ws.close(4002, "Error while decoding payload.");
+      }
+      switch (payload.op) {
+        case 1:
+          if (heartbeatAcks) sendPayload(ws, 11, null);
+          break;
+        case 2:
+          if (payload.d?.token !== state.botToken) {
+            return ws.close(4004, "Authentication failed.");
+          }
+          session = {
+            id: crypto.randomBytes(16).toString("hex"),
+            ws,
+            seq: 0,
+            intents: Number(payload.d.intents) || 0,
+            missed: [],
+          };
+          sessions.set(session.id, session);
+          dispatchTo(session, "READY", {
+            v: 10,
+            user: bot,
+            guilds: botGuilds().map((guild) => ({ id: guild.id, unavailable: true })),
+            session_id: session.id,
+            resume_gateway_url: gatewayUrl,
+            application: { id: state.application.id, flags: 0 },
+          });
+          break;
+        case 6: {
+          const resumed = sessions.get(payload.d?.session_id);
+          if (!resumed || payload.d.token !== state.botToken) {
+            sendPayload(ws, 9, false);
+            break;
+          }
+          resumed.ws?.close(4000);
+          resumed.ws = ws;
+          session = resumed;
+          // Replay what the client hasn't seen, then say it's caught up
+          for (const missed of resumed.missed.splice(0)) {
+            if (JSON.parse(missed).s > payload.d.seq) ws.send(missed);
+          }
+          dispatchTo(resumed, "RESUMED", {});
+          break;
+        }
+      }
+    });
+    ws.on("close", () => {
+      sockets.delete(ws);
+      if (session?.ws === ws) session.ws = null;
+    });
+  }
+
+  // --- Middleware ---
+
+  function authenticate(req, res, next) {
+    const header = req.get("Authorization") || "";
+    if (header === `Bot ${state.botToken}`) {
+      req.caller = bot;
+      req.isBot = true;
+      return next();
+    }
+    if (header.startsWith("Bearer ")) {
+      const token = accessTokens.get(header.slice(7));
+      if (token && token.expiresAt > Date.now()) {
+        req.caller = usersById.get(token.userId);
+        req.isBot = false;
+        return next();
+      }
+    }
+    fail(res, "unauthorized");
+  }
+
+  function botOnly(req, res, next) {
+    if (!req.isBot) return fail(res, "unauthorized");
+    next();
+  }
+
+  // Resolve :channelId; the caller must see it and have every permission
+  function channelRoute(...required) {
+    return (req, res, next) => {
+      const channel = findChannel(req.params.channelId);
+      if (!channel) return fail(res, "unknownChannel");
+      const permissions = channelPermissions(channel, req.caller.id);
+      if (!has(permissions, PERMISSIONS.VIEW_CHANNEL)) return fail(res, "missingAccess");
+      if (required.some((flag) => !has(permissions, flag))) {
+        return fail(res, "missingPermissions");
+      }
+      req.channel = channel;
+      req.permissions = permissions;
+      next();
+    };
+  }
+
+  // Resolve :guildId; the caller must be a member
+  function guildRoute(req, res, next) {
+    const guild = findGuild(req.params.guildId);
+    if (!guild) return fail(res, "unknownGuild");
+    if (!findMember(guild, req.caller.id)) return fail(res, "missingAccess");
+    req.guild = guild;
+    next();
+  }
+
+  // Resolve :userId as a member of :guildId the caller may moderate: they
+  // need the permission and a higher role, and can't moderate themselves
+  function moderateRoute(flag) {
+    return (req, res, next) => {
+      const member = findMember(req.guild, req.params.userId);
+      if (!member) return fail(res, "unknownMember");
+      if (
+        !has(guildPermissions(req.guild, req.caller.id), flag) ||
+        member.userId === req.caller.id ||
+        !outranks(req.guild, req.caller.id, member)
+      ) {
+        return fail(res, "missingPermissions");
+      }
+      req.member = member;
+      next();
+    };
+  }
+
+  // The X-Audit-Log-Reason header, which clients send URL-encoded
+  function auditReason(req) {
+    const header = req.get("X-Audit-Log-Reason");
+    if (!header) return null;
+    try {
+      return decodeURIComponent(header);
+    } catch {
+      return header;
+    }
+  }
+
+  // Resolve :channelId/messages/:messageId
+  function messageRoute(req, res, next) {
+    const message = findMessage(req.channel.id, req.params.messageId);
+    if (!message) return fail(res, "unknownMessage");
+    req.message = message;
+    next();
+  }
+
+  // Per-channel send limit with Discord's headers
+  function sendRateLimit(channelIdOf) {
+    return (req, res, next) => {
+      const key = channelIdOf(req);
+      const now = Date.now();
+      let bucket = sendBuckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { remaining: sendLimit, resetAt: now + sendWindow };
+        sendBuckets.set(key, bucket);
+      }
+      const resetAfter = (bucket.resetAt - now) / 1000;
+      res.set({
+        "X-RateLimit-Limit": String(sendLimit),
+        "X-RateLimit-Bucket": "fake-message-send",
+        "X-RateLimit-Reset": (bucket.resetAt / 1000).toFixed(3),
+        "X-RateLimit-Reset-After": resetAfter.toFixed(3),
+      });
+      if (bucket.remaining === 0) {
+        res.set({
+          "X-RateLimit-Remaining": "0",
+          "X-RateLimit-Scope": "user",
+          "Retry-After": String(Math.ceil(resetAfter)),
+        });
+        return res.status(429).json({
+          message: "You are being rate limited.",
+          retry_after: Number(resetAfter.toFixed(3)),
+          global: false,
+        });
+      }
+      bucket.remaining -= 1;
+      res.set("X-RateLimit-Remaining", String(bucket.remaining));
+      next();
+    };
+  }
+
+  // JSON bodies, or multipart with payload_json and files[n] like Discord
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } });
+  function messageBody(req, res, next) {
+    if (!req.is("multipart/form-data")) return next();
+    upload.any()(req, res, (error) => {
+      if (error) return fail(res, "invalidFormBody");
+      try {
+        req.body = JSON.parse(req.body.payload_json || "{}");
+      } catch {
+        return fail(res, "invalidFormBody");
+      }
+      next();
+    });
+  }
+
+  // --- Messages ---
+
+  function storeAttachments(req, channelId) {
+    return (req.files || []).map((file) => {
+      const id = nextId();
+      attachments.set(id, { data: file.buffer, contentType: file.mimetype });
+      const url = `${req.protocol}://${req.get("host")}/attachments/${channelId}/${id}/${encodeURIComponent(file.originalname)}`;
+      return {
+        id,
+        filename: file.originalname,
+        size: file.size,
+        url,
+        proxy_url: url,
+        content_type: file.mimetype,
+      };
+    });
+  }
+
+  // Check content and embeds; returns an error name or null
+  function checkMessageBody(body, fileCount) {
+    const content = body.content ?? "";
+    const embeds = body.embeds ?? [];
+    if (typeof content !== "string" || content.length > 2000) return "invalidFormBody";
+    if (!Array.isArray(embeds) || embeds.length > 10) return "invalidFormBody";
+    if (!content.trim() && embeds.length === 0 && fileCount === 0) return "emptyMessage";
+    return null;
+  }
+
+  // Which mentions in a message ping, given its allowed_mentions (all of
+  // them without one, like Discord)
+  function allowedMentions(body) {
+    const allowed = body.allowed_mentions;
+    if (!allowed) return { everyone: true, user: () => true, role: () => true };
+    const parse = allowed.parse || [];
+    return {
+      everyone: parse.includes("everyone"),
+      user: (id) => parse.includes("users") || (allowed.users || []).includes(id),
+      role: (id) => parse.includes("roles") || (allowed.roles || []).includes(id),
+    };
+  }
+
+  function createMessage(channel, author, body, files, extra = {}) {
+    const content = body.content || "";
+    const guild = findGuild(channel.guild_id);
+    const pings = allowedMentions(body);
+    const mentioned = [...new Set([...content.matchAll(/<@!?(\d{17,20})>/g)].map((m) => m[1]))];
+    const message = {
+      id: extra.id || nextId(),
+      channel_id: channel.id,
+      author,
+      content,
+      timestamp: new Date().toISOString(),
+      edited_timestamp: null,
+      tts: false,
+      mention_everyone: pings.everyone && /@(everyone|here)/.test(content),
+      mentions: mentioned
+        .filter(pings.user)
+        .map((id) => usersById.get(id))
+        .filter(Boolean)
+        .map((user) => {
+          const member = findMember(guild, user.id);
+          return member ? { ...user, member: { ...memberObject(member), user: undefined } } : user;
+        }),
+      mention_roles: [...content.matchAll(/<@&(\d{17,20})>/g)]
+        .map((m) => m[1])
+        .filter(pings.role),
+      attachments: files,
+      embeds: (body.embeds || []).map((embed) => ({ type: "rich", ...embed })),
+      reactions: [],
+      pinned: false,
+      type: 0,
+      flags: 0,
+      ...extra,
+    };
+    messagesIn(channel.id).push(message);
+    if (THREAD_TYPES.has(channel.type)) channel.message_count = (channel.message_count || 0) + 1;
+    dispatch("MESSAGE_CREATE", guildMessageEvent(message, channel));
+    return message;
+  }
+
+  function sendFlag(channel) {
+    return THREAD_TYPES.has(channel.type)
+      ? PERMISSIONS.SEND_MESSAGES_IN_THREADS
+      : PERMISSIONS.SEND_MESSAGES;
+  }
+
+  // --- Routes ---
+
+  const app = express();
+  const api = express.Router();
+
+  // { method, path (RegExp), status, count } from failRequests()
+  const injectedFailures = [];
+  api.use((req, res, next) => {
+    const index = injectedFailures.findIndex(
+      (failure) => failure.method === req.method && failure.path.test(req.path)
+    );
+    if (index === -1) return next();
+    const failure = injectedFailures[index];
+    if (--failure.count === 0) injectedFailures.splice(index, 1);
+    res.status(failure.status).json({ message: `${failure.status}: Server Error`, code: 0 });
+  });
+
+  api.use(express.json({ limit: "1mb" }));
+
+  // OAuth2 token exchange, refresh and revocation
+  api.post("/oauth2/token", express.urlencoded({ extended: false }), (req, res) => {
+    const { client_id: clientId, client_secret: clientSecret, grant_type: grantType } = req.body;
+    if (clientId !== state.application.id || clientSecret !== state.clientSecret) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    let grant;
+    if (grantType === "authorization_code") {
+      grant = authCodes.get(req.body.code);
+      // Codes work once
+      authCodes.delete(req.body.code);
+      if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+        return res
+          .status(400)
+          .json({ error: "invalid_grant", error_description: 'Invalid "code" in request.' });
+      }
+    } else if (grantType === "refresh_token") {
+      grant = refreshTokens.get(req.body.refresh_token);
+      // Refresh tokens rotate on every use
+      refreshTokens.delete(req.body.refresh_token);
+      if (!grant) {
+        return res.status(400).json({ error: "invalid_grant" });
+      }
+    } else {
+      return res.status(400).json({ error: "unsupported_grant_type" });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString("base64url");
+    const refreshToken = crypto.randomBytes(24).toString("base64url");
+    accessTokens.set(accessToken, {
+      userId: grant.userId,
+      scope: grant.scope,
+      expiresAt: Date.now() + tokenLifetime * 1000,
+    });
+    refreshTokens.set(refreshToken, { userId: grant.userId, scope: grant.scope });
+    res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: tokenLifetime,
+      refresh_token: refreshToken,
+      scope: grant.scope,
+    });
+  });
+
+  api.post("/oauth2/token/revoke", express.urlencoded({ extended: false }), (req, res) => {
+    if (req.body.client_id !== state.application.id || req.body.client_secret !== state.clientSecret) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+    accessTokens.delete(req.body.token);
+    refreshTokens.delete(req.body.token);
+    res.json({});
+  });
+
+  api.use(authenticate);
+
+  // Users
+  api.get("/users/@me", (req, res) => res.json(req.caller));
+
+  const guildsOf = (userId) =>
+    state.guilds
+      .filter((guild) => findMember(guild, userId))
+      .sort((a, b) => compareSnowflakes(a.id, b.id));
+  const botGuilds = () => guildsOf(bot.id);
+
+  api.get("/users/@me/guilds", (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 200);
+    const after = req.query.after || "0";
+    res.json(
+      guildsOf(req.caller.id)
+        .filter((guild) => compareSnowflakes(guild.id, after) > 0)
+        .slice(0, limit)
+        .map((guild) => ({
+          id: guild.id,
+          name: guild.name,
+          icon: guild.icon,
+          owner: guild.owner_id === req.caller.id,
+          permissions: String(guildPermissions(guild, req.caller.id)),
+          features: [],
+        }))
+    );
+  });
+
+  api.get("/users/:userId", botOnly, (req, res) => {
+    const user = usersById.get(req.params.userId);
+    if (!user) return fail(res, "unknownUser");
+    res.json(user);
+  });
+
+  // Guilds
+  api.get("/guilds/:guildId", botOnly, guildRoute, (req, res) => {
+    const { members, bans, ...guild } = req.guild;
+    res.json({ ...guild, emojis: [], features: [], approximate_member_count: members.length });
+  });
+
+  api.get("/guilds/:guildId/roles", botOnly, guildRoute, (req, res) => {
+    res.json(req.guild.roles);
+  });
+
+  api.get("/guilds/:guildId/channels", botOnly, guildRoute, (req, res) => {
+    res.json(
+      state.channels.filter(
+        (channel) => channel.guild_id === req.guild.id && !THREAD_TYPES.has(channel.type)
+      )
+    );
+  });
+
+  api.get("/guilds/:guildId/threads/active", botOnly, guildRoute, (req, res) => {
+    const threads = state.channels.filter(
+      (channel) =>
+        channel.guild_id === req.guild.id &&
+        THREAD_TYPES.has(channel.type) &&
+        !channel.thread_metadata.archived
+    );
+    res.json({ threads, members: [] });
+  });
+
+  // Listing and searching members needs the Server Members intent, which
+  // the demo app has
+  api.get("/guilds/:guildId/members", botOnly, guildRoute, (req, res) => {
+    const limit = pageLimit(req.query.limit, 1);
+    const after = req.query.after || "0";
+    res.json(
+      [...req.guild.members]
+        .sort((a, b) => compareSnowflakes(a.userId, b.userId))
+        .filter((member) => compareSnowflakes(member.userId, after) > 0)
+        .slice(0, limit)
+        .map(memberObject)
+    );
+  });
+
+  api.get("/guilds/:guildId/members/search", botOnly, guildRoute, (req, res) => {
+    const query = String(req.query.query || "").toLowerCase();
+    if (!query) return fail(res, "invalidFormBody");
+    const limit = pageLimit(req.query.limit, 1);
+    const matches = (name) => !!name && name.toLowerCase().startsWith(query);
+    res.json(
+      req.guild.members
+        .filter((member) => {
+          const user = usersById.get(member.userId);
+          return matches(user.username) || matches(user.global_name) || matches(member.nick);
+        })
+        .slice(0, limit)
+        .map(memberObject)
+    );
+  });
+
+  api.get("/guilds/:guildId/members/:userId", botOnly, guildRoute, (req, res) => {
+    const member = findMember(req.guild, req.params.userId);
+    if (!member) return fail(res, "unknownMember");
+    res.json(memberObject(member));
+  });
+
+  // Only timeouts: ChatPulse doesn't change nicknames or roles this way
+  api.patch(
+    "/guilds/:guildId/members/:userId",
+    botOnly,
+    guildRoute,
+    moderateRoute(PERMISSIONS.MODERATE_MEMBERS),
+    (req, res) => {
+      const until = req.body.communication_disabled_until;
+      if (until === undefined) return fail(res, "badRequest");
+      if (until !== null) {
+        const time = Date.parse(until);
+        if (Number.isNaN(time) || time - Date.now() > MAX_TIMEOUT) {
+          return fail(res, "invalidFormBody");
+        }
+        if (has(guildPermissions(req.guild, req.member.userId), PERMISSIONS.ADMINISTRATOR)) {
+          return fail(res, "missingPermissions");
+        }
+      }
+      req.member.timedOutUntil = until && new Date(until).toISOString();
+      res.json(memberObject(req.member));
+    }
+  );
+
+  api.delete(
+    "/guilds/:guildId/members/:userId",
+    botOnly,
+    guildRoute,
+    moderateRoute(PERMISSIONS.KICK_MEMBERS),
+    (req, res) => {
+      req.guild.members.splice(req.guild.members.indexOf(req.member), 1);
+      res.status(204).end();
+    }
+  );
+
+  // Roles below the caller's highest role, except @everyone and managed ones
+  function memberRoleRoute(req, res, next) {
+    const role = req.guild.roles.find((r) => r.id === req.params.roleId);
+    if (!role || role.id === req.guild.id) return fail(res, "unknownRole");
+    const member = findMember(req.guild, req.params.userId);
+    if (!member) return fail(res, "unknownMember");
+    const caller = findMember(req.guild, req.caller.id);
+    if (
+      !has(guildPermissions(req.guild, req.caller.id), PERMISSIONS.MANAGE_ROLES) ||
+      role.managed ||
+      (req.caller.id !== req.guild.owner_id &&
+        role.position >= highestPosition(req.guild, caller))
+    ) {
+      return fail(res, "missingPermissions");
+    }
+    req.member = member;
+    req.role = role;
+    next();
+  }
+
+  api.put(
+    "/guilds/:guildId/members/:userId/roles/:roleId",
+    botOnly,
+    guildRoute,
+    memberRoleRoute,
+    (req, res) => {
+      if (!req.member.roles.includes(req.role.id)) req.member.roles.push(req.role.id);
+      res.status(204).end();
+    }
+  );
+
+  api.delete(
+    "/guilds/:guildId/members/:userId/roles/:roleId",
+    botOnly,
+    guildRoute,
+    memberRoleRoute,
+    (req, res) => {
+      req.member.roles = req.member.roles.filter((id) => id !== req.role.id);
+      res.status(204).end();
+    }
+  );
+
+  // Bans
+  function banObject(ban) {
+    return { user: usersById.get(ban.userId), reason: ban.reason };
+  }
+
+  function canBan(req, res, next) {
+    if (!has(guildPermissions(req.guild, req.caller.id), PERMISSIONS.BAN_MEMBERS)) {
+      return fail(res, "missingPermissions");
+    }
+    next();
+  }
+
+  api.get("/guilds/:guildId/bans", botOnly, guildRoute, canBan, (req, res) => {
+    const limit = pageLimit(req.query.limit, MAX_MEMBERS_PER_REQUEST);
+    const after = req.query.after || "0";
+    res.json(
+      [...req.guild.bans]
+        .sort((a, b) => compareSnowflakes(a.userId, b.userId))
+        .filter((ban) => compareSnowflakes(ban.userId, after) > 0)
+        .slice(0, limit)
+        .map(banObject)
+    );
+  });
+
+  api.put("/guilds/:guildId/bans/:userId", botOnly, guildRoute, canBan, (req, res) => {
+    const userId = req.params.userId;
+    if (!usersById.has(userId)) return fail(res, "unknownUser");
+    const seconds = req.body?.delete_message_seconds ?? 0;
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_BAN_DELETE_SECONDS) {
+      return fail(res, "invalidFormBody");
+    }
+    const member = findMember(req.guild, userId);
+    if (member && (userId === req.caller.id || !outranks(req.guild, req.caller.id, member))) {
+      return fail(res, "missingPermissions");
+    }
+
+    if (member) req.guild.members.splice(req.guild.members.indexOf(member), 1);
+    if (seconds > 0) {
+      const since = Date.now() - seconds * 1000;
+      for (const channel of state.channels) {
+        if (channel.guild_id !== req.guild.id) continue;
+        const list = messagesIn(channel.id);
+        for (const message of list.filter(
+          (m) => m.author.id === userId && snowflakeTime(m.id) >= since
+        )) {
+          list.splice(list.indexOf(message), 1);
+          dispatch("MESSAGE_DELETE", {
+            id: message.id,
+            channel_id: channel.id,
+            guild_id: req.guild.id,
+          });
+        }
+      }
+    }
+    const existing = req.guild.bans.find((ban) => ban.userId === userId);
+    if (existing) existing.reason = auditReason(req);
+    else req.guild.bans.push({ userId, reason: auditReason(req) });
+    res.status(204).end();
+  });
+
+  api.delete("/guilds/:guildId/bans/:userId", botOnly, guildRoute, canBan, (req, res) => {
+    const ban = req.guild.bans.find((b) => b.userId === req.params.userId);
+    if (!ban) return fail(res, "unknownBan");
+    req.guild.bans.splice(req.guild.bans.indexOf(ban), 1);
+    res.status(204).end();
+  });
+
+  // Channels
+  api.get("/channels/:channelId", botOnly, channelRoute(), (req, res) => {
+    res.json(req.channel);
+  });
+
+  api.get(
+    "/channels/:channelId/threads/archived/public",
+    botOnly,
+    channelRoute(PERMISSIONS.READ_MESSAGE_HISTORY),
+    (req, res) => {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+      const before = req.query.before ? new Date(req.query.before).getTime() : Infinity;
+      const archived = state.channels
+        .filter(
+          (channel) =>
+            channel.parent_id === req.channel.id &&
+            THREAD_TYPES.has(channel.type) &&
+            channel.thread_metadata.archived &&
+            new Date(channel.thread_metadata.archive_timestamp).getTime() < before
+        )
+        .sort(
+          (a, b) =>
+            new Date(b.thread_metadata.archive_timestamp) -
+            new Date(a.thread_metadata.archive_timestamp)
+        );
+      res.json({
+        threads: archived.slice(0, limit),
+        members: [],
+        has_more: archived.length > limit,
+      });
+    }
+  );
+
+  // A forum post: a thread and its first message, which shares its ID
+  api.post(
+    "/channels/:channelId/threads",
+    botOnly,
+    channelRoute(PERMISSIONS.SEND_MESSAGES),
+    sendRateLimit((req) => req.params.channelId),
+    messageBody,
+    (req, res) => {
+      const forum = req.channel;
+      if (!FORUM_TYPES.has(forum.type)) return fail(res, "wrongChannelType");
+      const { name, message = {}, applied_tags: tagIds = [] } = req.body;
+      if (typeof name !== "string" || !name.trim() || name.length > 100) {
+        return fail(res, "invalidFormBody", { name: { _errors: [{ code: "BASE_TYPE_BAD_LENGTH" }] } });
+      }
+      const tags = forum.available_tags || [];
+      if (!Array.isArray(tagIds) || tagIds.length > 5) return fail(res, "invalidFormBody");
+      for (const tagId of tagIds) {
+        const tag = tags.find((t) => t.id === tagId);
+        if (!tag) return fail(res, "invalidFormBody");
+        if (tag.moderated && !has(req.permissions, PERMISSIONS.MANAGE_THREADS)) {
+          return fail(res, "missingPermissions");
+        }
+      }
+      const error = checkMessageBody(message, (req.files || []).length);
+      if (error) return fail(res, error);
+
+      const thread = {
+        id: nextId(),
+        guild_id: forum.guild_id,
+        type: 11,
+        name: name.trim(),
+        parent_id: forum.id,
+        owner_id: req.caller.id,
+        position: 0,
+        permission_overwrites: [],
+        applied_tags: tagIds,
+        message_count: 0,
+        thread_metadata: {
+          archived: false,
+          archive_timestamp: new Date().toISOString(),
+          auto_archive_duration: 4320,
+          locked: false,
+        },
+      };
+      state.channels.push(thread);
+      dispatch("THREAD_CREATE", thread, 1);
+      const starter = createMessage(thread, req.caller, message, storeAttachments(req, thread.id), {
+        id: thread.id,
+      });
+      res.status(201).json({ ...thread, message: present(starter) });
+    }
+  );
+
+  // Messages
+  api.get(
+    "/channels/:channelId/messages",
+    botOnly,
+    channelRoute(PERMISSIONS.READ_MESSAGE_HISTORY),
+    (req, res) => {
+      if (NON_MESSAGE_TYPES.has(req.channel.type)) return fail(res, "wrongChannelType");
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+      const all = messagesIn(req.channel.id);
+      const { before, after, around } = req.query;
+      let page;
+      if (before) {
+        page = all.filter((m) => compareSnowflakes(m.id, before) < 0).slice(-limit);
+      } else if (after) {
+        page = all.filter((m) => compareSnowflakes(m.id, after) > 0).slice(0, limit);
+      } else if (around) {
+        const older = all
+          .filter((m) => compareSnowflakes(m.id, around) < 0)
+          .slice(-Math.floor(limit / 2));
+        const newer = all
+          .filter((m) => compareSnowflakes(m.id, around) >= 0)
+          .slice(0, limit - older.length);
+        page = [...older, ...newer];
+      } else {
+        page = all.slice(-limit);
+      }
+      // Newest first, like Discord
+      res.json(page.reverse().map(present));
+    }
+  );
+
+  api.post(
+    "/channels/:channelId/messages",
+    botOnly,
+    channelRoute(),
+    sendRateLimit((req) => req.params.channelId),
+    messageBody,
+    (req, res) => {
+      const channel = req.channel;
+      if (NON_MESSAGE_TYPES.has(channel.type)) return fail(res, "nonTextChannel");
+      if (!has(req.permissions, sendFlag(channel))) return fail(res, "missingPermissions");
+      if (channel.thread_metadata?.locked) return fail(res, "missingPermissions");
+      const error = checkMessageBody(req.body, (req.files || []).length);
+      if (error) return fail(res, error);
+
+      const message = createMessage(channel, req.caller, req.body, storeAttachments(req, channel.id));
+      res.json(present(message));
+    }
+  );
+
+  api.post(
+    "/channels/:channelId/messages/bulk-delete",
+    botOnly,
+    channelRoute(PERMISSIONS.MANAGE_MESSAGES),
+    (req, res) => {
+      const ids = req.body?.messages;
+      if (!Array.isArray(ids) || ids.length < 2 || ids.length > 100) {
+        return fail(res, "invalidFormBody");
+      }
+      if (ids.some((id) => Date.now() - snowflakeTime(id) > BULK_DELETE_MAX_AGE)) {
+        return fail(res, "tooOldToBulkDelete");
+      }
+      const doomed = new Set(ids);
+      state.messages[req.channel.id] = messagesIn(req.channel.id).filter((m) => !doomed.has(m.id));
+      dispatch("MESSAGE_DELETE_BULK", {
+        ids,
+        channel_id: req.channel.id,
+        guild_id: req.channel.guild_id,
+      });
+      res.status(204).end();
+    }
+  );
+
+  api.get(
+    "/channels/:channelId/messages/:messageId",
+    botOnly,
+    channelRoute(PERMISSIONS.READ_MESSAGE_HISTORY),
+    messageRoute,
+    (req, res) => res.json(present(req.message))
+  );
+
+  api.patch(
+    "/channels/:channelId/messages/:messageId",
+    botOnly,
+    channelRoute(),
+    messageRoute,
+    messageBody,
+    (req, res) => {
+      const message = req.message;
+      if (message.author.id !== req.caller.id) return fail(res, "cannotEditOthers");
+      const changes = {
+        content: req.body.content ?? message.content,
+        embeds: req.body.embeds ?? message.embeds,
+      };
+      const error = checkMessageBody(changes, message.attachments.length);
+      if (error) return fail(res, error);
+
+      Object.assign(message, changes, { edited_timestamp: new Date().toISOString() });
+      dispatch("MESSAGE_UPDATE", guildMessageEvent(message, req.channel));
+      res.json(present(message));
+    }
+  );
+
+  api.delete(
+    "/channels/:channelId/messages/:messageId",
+    botOnly,
+    channelRoute(),
+    messageRoute,
+    (req, res) => {
+      const own = req.message.author.id === req.caller.id;
+      if (!own && !has(req.permissions, PERMISSIONS.MANAGE_MESSAGES)) {
+        return fail(res, "missingPermissions");
+      }
+      const list = messagesIn(req.channel.id);
+      list.splice(list.indexOf(req.message), 1);
+      dispatch("MESSAGE_DELETE", {
+        id: req.message.id,
+        channel_id: req.channel.id,
+        guild_id: req.channel.guild_id,
+      });
+      res.status(204).end();
+    }
+  );
+
+  api.post(
+    "/channels/:channelId/messages/:messageId/crosspost",
+    botOnly,
+    channelRoute(),
+    messageRoute,
+    (req, res) => {
+      if (req.channel.type !== 5) return fail(res, "wrongChannelType");
+      const message = req.message;
+      const own = message.author.id === req.caller.id;
+      const needed = own ? PERMISSIONS.SEND_MESSAGES : PERMISSIONS.MANAGE_MESSAGES;
+      if (!has(req.permissions, needed)) return fail(res, "missingPermissions");
+      if (message.flags & 1) return fail(res, "alreadyCrossposted");
+
+      message.flags |= 1;
+      dispatch("MESSAGE_UPDATE", guildMessageEvent(message, req.channel));
+      res.json(present(message));
+    }
+  );
+
+  // Pins
+  api.get(
+    "/channels/:channelId/pins",
+    botOnly,
+    channelRoute(PERMISSIONS.READ_MESSAGE_HISTORY),
+    (req, res) => {
+      res.json(
+        messagesIn(req.channel.id)
+          .filter((m) => m.pinned)
+          .reverse()
+          .map(present)
+      );
+    }
+  );
+
+  function setPinned(pinned) {
+    return (req, res) => {
+      const message = findMessage(req.channel.id, req.params.messageId);
+      if (!message) return fail(res, "unknownMessage");
+      if (pinned && !message.pinned) {
+        const count = messagesIn(req.channel.id).filter((m) => m.pinned).length;
+        if (count >= MAX_PINS) return fail(res, "maxPins");
+      }
+      message.pinned = pinned;
+      dispatch("MESSAGE_UPDATE", {
+        id: message.id,
+        channel_id: req.channel.id,
+        guild_id: req.channel.guild_id,
+        pinned,
+      });
+      res.status(204).end();
+    };
+  }
+
+  api.put(
+    "/channels/:channelId/pins/:messageId",
+    botOnly,
+    channelRoute(PERMISSIONS.MANAGE_MESSAGES),
+    setPinned(true)
+  );
+  api.delete(
+    "/channels/:channelId/pins/:messageId",
+    botOnly,
+    channelRoute(PERMISSIONS.MANAGE_MESSAGES),
+    setPinned(false)
+  );
+
+  // Reactions (the bot's own only)
+  function reactionEmoji(req, res) {
+    const { emoji } = req.params;
+    // No custom emoji in the fixtures, so every name:id is unknown
+    if (emoji.includes(":")) {
+      fail(res, "unknownEmoji");
+      return null;
+    }
+    return emoji;
+  }
+
+  api.put(
+    "/channels/:channelId/messages/:messageId/reactions/:emoji/@me",
+    botOnly,
+    channelRoute(PERMISSIONS.READ_MESSAGE_HISTORY),
+    messageRoute,
+    (req, res) => {
+      const emoji = reactionEmoji(req, res);
+      if (!emoji) return;
+      const message = req.message;
+      let reaction = message.reactions.find((r) => !r.emoji.id && r.emoji.name === emoji);
+      if (reaction?.me) return res.status(204).end();
+      if (!reaction) {
+        // Only adding a new emoji needs Add Reactions
+        if (!has(req.permissions, PERMISSIONS.ADD_REACTIONS)) {
+          return fail(res, "missingPermissions");
+        }
+        if (message.reactions.length >= MAX_REACTIONS) return fail(res, "maxReactions");
+        reaction = { emoji: { id: null, name: emoji }, count: 0, me: false };
+        message.reactions.push(reaction);
+      }
+      reaction.count += 1;
+      reaction.me = true;
+      dispatch(
+        "MESSAGE_REACTION_ADD",
+        {
+          user_id: req.caller.id,
+          channel_id: req.channel.id,
+          message_id: message.id,
+          guild_id: req.channel.guild_id,
+          emoji: reaction.emoji,
+        },
+        INTENTS.GUILD_MESSAGE_REACTIONS
+      );
+      res.status(204).end();
+    }
+  );
+
+  api.delete(
+    "/channels/:channelId/messages/:messageId/reactions/:emoji/@me",
+    botOnly,
+    channelRoute(PERMISSIONS.READ_MESSAGE_HISTORY),
+    messageRoute,
+    (req, res) => {
+      const emoji = reactionEmoji(req, res);
+      if (!emoji) return;
+      const message = req.message;
+      const reaction = message.reactions.find((r) => !r.emoji.id && r.emoji.name === emoji);
+      if (reaction?.me) {
+        reaction.me = false;
+        reaction.count -= 1;
+        if (reaction.count === 0) message.reactions.splice(message.reactions.indexOf(reaction), 1);
+        dispatch(
+          "MESSAGE_REACTION_REMOVE",
+          {
+            user_id: req.caller.id,
+            channel_id: req.channel.id,
+            message_id: message.id,
+            guild_id: req.channel.guild_id,
+            emoji: reaction.emoji,
+          },
+          INTENTS.GUILD_MESSAGE_REACTIONS
+        );
+      }
+      res.status(204).end();
+    }
+  );
+
+  // Webhooks
+  api.post(
+    "/channels/:channelId/webhooks",
+    botOnly,
+    channelRoute(PERMISSIONS.MANAGE_WEBHOOKS),
+    (req, res) => {
+      if (THREAD_TYPES.has(req.channel.type) || NON_MESSAGE_TYPES.has(req.channel.type)) {
+        return fail(res, "wrongChannelType");
+      }
+      const name = req.body?.name;
+      if (typeof name !== "string" || !name || name.length > 80 || /clyde|discord/i.test(name)) {
+        return fail(res, "invalidFormBody");
+      }
+      const webhook = {
+        id: nextId(),
+        type: 1,
+        guild_id: req.channel.guild_id,
+        channel_id: req.channel.id,
+        name,
+        avatar: null,
+        application_id: state.application.id,
+        user: req.caller,
+        token: crypto.randomBytes(34).toString("base64url"),
+      };
+      webhooks.set(webhook.id, webhook);
+      res.json(webhook);
+    }
+  );
+
+  // --- Application and commands ---
+
+  api.get("/oauth2/applications/@me", botOnly, (req, res) => res.json(state.application));
+
+  function commandsRoute(req, res, next) {
+    if (req.params.applicationId !== state.application.id) return fail(res, "missingAccess");
+    if (req.params.guildId) {
+      const guild = findGuild(req.params.guildId);
+      if (!guild) return fail(res, "unknownGuild");
+      if (!findMember(guild, bot.id)) return fail(res, "missingAccess");
+    }
+    req.commands = commands.get(req.params.guildId || "global") || [];
+    commands.set(req.params.guildId || "global", req.commands);
+    next();
+  }
+
+  function checkCommand(body) {
+    const name = body?.name;
+    const description = body?.description;
+    return (
+      typeof name === "string" &&
+      /^[-_\p{Ll}\p{Lo}\p{N}]{1,32}$/u.test(name) &&
+      typeof description === "string" &&
+      description.length >= 1 &&
+      description.length <= 100 &&
+      (body.options === undefined || (Array.isArray(body.options) && body.options.length <= 25))
+    );
+  }
+
+  const commandPaths = [
+    "/applications/:applicationId/commands",
+    "/applications/:applicationId/guilds/:guildId/commands",
+  ];
+
+  api.get(commandPaths, botOnly, commandsRoute, (req, res) => res.json(req.commands));
+
+  api.post(commandPaths, botOnly, commandsRoute, (req, res) => {
+    if (!checkCommand(req.body)) return fail(res, "invalidFormBody");
+    const existing = req.commands.find((c) => c.name === req.body.name);
+    if (!existing && req.commands.length >= MAX_COMMANDS) return fail(res, "maxCommands");
+
+    const command = {
+      type: 1,
+      options: [],
+      default_member_permissions: null,
+      ...req.body,
+      id: existing?.id || nextId(),
+      application_id: state.application.id,
+      version: nextId(),
+    };
+    if (req.params.guildId) command.guild_id = req.params.guildId;
+    // A command with the same name is replaced, like Discord does
+    if (existing) {
+      req.commands[req.commands.indexOf(existing)] = command;
+    } else {
+      req.commands.push(command);
+    }
+    res.status(existing ? 200 : 201).json(command);
+  });
+
+  api.patch(
+    commandPaths.map((path) => `${path}/:commandId`),
+    botOnly,
+    commandsRoute,
+    (req, res) => {
+      const command = req.commands.find((c) => c.id === req.params.commandId);
+      if (!command) return fail(res, "unknownCommand");
+      const changed = { ...command, ...req.body };
+      if (!checkCommand(changed)) return fail(res, "invalidFormBody");
+      Object.assign(command, req.body, { version: nextId() });
+      res.json(command);
+    }
+  );
+
+  api.delete(
+    commandPaths.map((path) => `${path}/:commandId`),
+    botOnly,
+    commandsRoute,
+    (req, res) => {
+      const index = req.commands.findIndex((c) => c.id === req.params.commandId);
+      if (index === -1) return fail(res, "unknownCommand");
+      req.commands.splice(index, 1);
+      res.status(204).end();
+    }
+  );
+
+  api.get("/gateway/bot", botOnly, (req, res) => {
+    res.json({
+      url: `ws://${req.get("host")}`,
+      shards: 1,
+      session_start_limit: {
+        total: 1000,
+        remaining: 1000,
+        reset_after: 24 * 60 * 60 * 1000,
+        max_concurrency: 1,
+      },
+    });
+  });
+
+  // Webhook execution has no Authorization: the token is the credential,
+  // so it's mounted ahead of the authenticated routes
+  const executeWebhook = express.Router();
+  executeWebhook.post(
+    "/webhooks/:webhookId/:webhookToken",
+    express.json({ limit: "1mb" }),
+    (req, res, next) => {
+      const webhook = webhooks.get(req.params.webhookId);
+      if (!webhook) return fail(res, "unknownWebhook");
+      if (webhook.token !== req.params.webhookToken) return fail(res, "invalidWebhookToken");
+      req.webhook = webhook;
+      next();
+    },
+    sendRateLimit((req) => req.webhook.channel_id),
+    messageBody,
+    (req, res) => {
+      const { webhook } = req;
+      let channel = findChannel(webhook.channel_id);
+      if (req.query.thread_id) {
+        channel = findChannel(req.query.thread_id);
+        if (!channel || channel.parent_id !== webhook.channel_id) {
+          return fail(res, "unknownChannel");
+        }
+      }
+      const username = req.body.username ?? webhook.name;
+      if (typeof username !== "string" || username.length > 80 || /clyde|discord/i.test(username)) {
+        return fail(res, "invalidFormBody");
+      }
+      const error = checkMessageBody(req.body, (req.files || []).length);
+      if (error) return fail(res, error);
+
+      const author = {
+        id: webhook.id,
+        username,
+        avatar: null,
+        discriminator: "0000",
+        bot: true,
+      };
+      const message = createMessage(channel, author, req.body, storeAttachments(req, channel.id), {
+        webhook_id: webhook.id,
+      });
+      if (req.query.wait !== "true") return res.status(204).end();
+      res.json(present(message));
+    }
+  );
+  app.use(["/api/v10", "/api"], executeWebhook, api);
+
+  api.use((req, res) => fail(res, "notFound"));
+
+  // Uploaded attachments
+  app.get("/attachments/:channelId/:attachmentId/:filename", (req, res) => {
+    const attachment = attachments.get(req.params.attachmentId);
+    if (!attachment) return res.status(404).end();
+    res.type(attachment.contentType || "application/octet-stream").send(attachment.data);
+  });
+
+  // The authorize page: pick which demo user to log in as
+  app.get("/oauth2/authorize", (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } =
+      req.query;
+    const scope = String(req.query.scope || "");
+    if (clientId !== state.application.id || responseType !== "code" || !/^https?:\/\//.test(redirectUri || "")) {
+      return res
+        .status(400)
+        .send("<p>Invalid OAuth2 request: unknown client_id, response_type or redirect_uri.</p>");
+    }
+
+    const hidden = ["client_id", "redirect_uri", "scope", "state"]
+      .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || "")}">`)
+      .join("");
+    const buttons = state.users
+      .filter((user) => !user.bot)
+      .map(
+        (user) =>
+          `<button name="user_id" value="${user.id}">Log in as ${escapeHtml(user.global_name)} (@${escapeHtml(user.username)})</button>`
+      )
+      .join("<br>");
+    res.send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Fake Discord - Authorize</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 3rem auto;">
+<h1>${escapeHtml(state.application.name)}</h1>
+<p>This is the fake Discord of the ChatPulse demo. The app asks for: <b>${escapeHtml(scope)}</b></p>
+<form method="post" action="/oauth2/authorize">${hidden}${buttons}
+<p><button name="cancel" value="1">Cancel</button></p></form>
+</body></html>`);
+  });
+
+  app.post("/oauth2/authorize", express.urlencoded({ extended: false }), (req, res) => {
+    const { redirect_uri: redirectUri, scope = "", state: oauthState = "" } = req.body;
+    if (req.body.client_id !== state.application.id || !/^https?:\/\//.test(redirectUri || "")) {
+      return res.status(400).send("<p>Invalid OAuth2 request.</p>");
+    }
+    const target = new URL(redirectUri);
+    if (oauthState) target.searchParams.set("state", oauthState);
+    if (req.body.cancel || !usersById.has(req.body.user_id)) {
+      target.searchParams.set("error", "access_denied");
+      return res.redirect(target.href);
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    authCodes.set(code, {
+      userId: req.body.user_id,
+      redirectUri,
+      scope,
+      expiresAt: Date.now() + AUTH_CODE_LIFETIME,
+    });
+    target.searchParams.set("code", code);
+    res.redirect(target.href);
+  });
+
+  // Discord's error shape for malformed bodies
+  app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    fail(res, error.type === "entity.parse.failed" ? "badRequest" : "invalidFormBody");
+  });
+
+  // --- Server ---
+
+  const server = http.createServer(app);
+  const wss = new WebSocketServer({ server, path: "/" });
+  let baseUrl = null;
+  wss.on("connection", (ws, req) => handleGatewayConnection(ws, `ws://${req.headers.host}`));
+
+  return {
+    app,
+    state,
+    dispatch,
+
+    /**
+     * Answer the next `count` API requests with `method` and a path (after
+     * /api/v10) matching `path` with a server error, before doing anything
+     */
+    failRequests(method, path, { count = 1, status = 500 } = {}) {
+      injectedFailures.push({ method, path, count, status });
+    },
+
+    /**
+     * Start listening. Resolves to { url } (e.g. http://127.0.0.1:4999);
+     * the API is at url + "/api/v10" and the authorize page at url.
+     */
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          baseUrl = `http://${host}:${server.address().port}`;
+          resolve({ url: baseUrl });
+        });
+      });
+    },
+
+    /**
+     * Close every Gateway connection with `code`. Sessions stay resumable.
+     */
+    closeGatewayConnections(code = 4000) {
+      for (const ws of sockets) ws.close(code);
+    },
+
+    /**
+     * Tell every connected session it's invalid (not resumable) and forget
+     * them all, so the client has to identify again
+     */
+    invalidateGatewaySessions() {
+      for (const session of sessions.values()) {
+        if (session.ws) sendPayload(session.ws, 9, false);
+      }
+      sessions.clear();
+    },
+
+    /**
+     * Stop (false) or go back to (true) acknowledging heartbeats
+     */
+    ackHeartbeats(enabled) {
+      heartbeatAcks = enabled;
+    },
+
+    /**
+     * Send a raw text frame on every Gateway connection
+     */
+    sendGatewayFrame(raw) {
+      for (const ws of sockets) ws.send(raw);
+    },
+
+    close() {
+      for (const ws of sockets) ws.terminate();
+      wss.close();
+      const closed = new Promise((resolve) => server.close(() => resolve()));
+      // Idle keep-alive connections would hold close() up for seconds
+      server.closeAllConnections();
+      return closed;
+    },
+  };
+}
@@ -0,0 +1,434 @@
+// demo/fixtures.js
+// The application, users, servers, channels and messages the fake Discord
+// API (fake-discord.js) starts with
+//
+// - "Demo Community": owned by Alice, who can manage it. Bob is a moderator
+//   (no Manage Server, so he needs an access rule), Carol a plain member.
+//   #rules denies the bot Send Messages and #staff hides itself from the
+//   bot, to show Discord's permission errors. The bot's role sits between
+//   Moderators and Regulars, so it can moderate Carol and give or take
+//   Regulars but can't touch Bob. Dave is banned.
+// - "Game Night": owned by Bob; Alice is only a member
+// - "Alice's Sandbox": the bot isn't installed, so it's never listed
+//
+// Guild, channel and user IDs are fixed so access rules saved in the demo
+// keep working across restarts. Message IDs are made from their timestamps
+// like real snowflakes, so the history always ends "just now".
+
+// Discord epoch (2015-01-01) used by snowflake IDs
+const DISCORD_EPOCH = 1420070400000n;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Permission bits used by the fixtures (see permissions.js)
+const VIEW_CHANNEL = 1n << 10n;
+const SEND_MESSAGES = 1n << 11n;
+const KICK_MEMBERS = 1n << 1n;
+const BAN_MEMBERS = 1n << 2n;
+const MANAGE_MESSAGES = 1n << 13n;
+const EMBED_LINKS = 1n << 14n;
+const ATTACH_FILES = 1n << 15n;
+const READ_MESSAGE_HISTORY = 1n << 16n;
+const ADD_REACTIONS = 1n << 6n;
+const MANAGE_ROLES = 1n << 28n;
+const MANAGE_WEBHOOKS = 1n << 29n;
+const CREATE_PUBLIC_THREADS = 1n << 35n;
+const SEND_MESSAGES_IN_THREADS = 1n << 38n;
+const MODERATE_MEMBERS = 1n << 40n;
+
+const MEMBER_PERMISSIONS =
+  VIEW_CHANNEL |
+  SEND_MESSAGES |
+  EMBED_LINKS |
+  ATTACH_FILES |
+  READ_MESSAGE_HISTORY |
+  ADD_REACTIONS |
+  CREATE_PUBLIC_THREADS |
+  SEND_MESSAGES_IN_THREADS;
+
+// The credentials demo/start.js hands to ChatPulse
+export const DEMO_CLIENT_ID = "1300000000000000001";
+export const DEMO_CLIENT_SECRET = "demo-client-secret";
+export const DEMO_BOT_TOKEN = "demo-bot-token";
+
+// Exported for the end-to-end tests (test/)
+export const IDS = {
+  bot: DEMO_CLIENT_ID,
+  alice: "1300000000000000101",
+  bob: "1300000000000000102",
+  carol: "1300000000000000103",
+  dave: "1300000000000000104",
+
+  community: "1300000000000001001",
+  gameNight: "1300000000000001002",
+  sandbox: "1300000000000001003",
+
+  moderatorsRole: "1300000000000002001",
+  botRole: "1300000000000002002",
+  playersRole: "1300000000000002003",
+  regularsRole: "1300000000000002004",
+
+  welcome: "1300000000000003001",
+  infoCategory: "1300000000000003002",
+  announcements: "1300000000000003003",
+  rules: "1300000000000003004",
+  staff: "1300000000000003005",
+  chatCategory: "1300000000000003006",
+  general: "1300000000000003007",
+  offTopic: "1300000000000003008",
+  help: "1300000000000003009",
+  lounge: "1300000000000003010",
+  weekendThread: "1300000000000003011",
+  oldIdeasThread: "1300000000000003012",
+  helpPost: "1300000000000003013",
+  lobby: "1300000000000003101",
+  sandboxGeneral: "1300000000000003201",
+
+  questionTag: "1300000000000004001",
+  bugTag: "1300000000000004002",
+  solvedTag: "1300000000000004003",
+};
+
+function user(id, username, globalName, extra = {}) {
+  return {
+    id,
+    username,
+    global_name: globalName,
+    discriminator: "0",
+    avatar: null,
+    ...extra,
+  };
+}
+
+function role(id, name, permissions, extra = {}) {
+  return {
+    id,
+    name,
+    permissions: String(permissions),
+    color: 0,
+    position: 0,
+    hoist: false,
+    managed: false,
+    mentionable: false,
+    ...extra,
+  };
+}
+
+function channel(id, guildId, type, name, extra = {}) {
+  return {
+    id,
+    guild_id: guildId,
+    type,
+    name,
+    position: 0,
+    parent_id: null,
+    permission_overwrites: [],
+    ...extra,
+  };
+}
+
+function thread(id, guildId, parentId, name, { archived = false, archivedAt, ...extra } = {}) {
+  return channel(id, guildId, 11, name, {
+    parent_id: parentId,
+    owner_id: IDS.alice,
+    thread_metadata: {
+      archived,
+      archive_timestamp: archivedAt || new Date().toISOString(),
+      auto_archive_duration: 4320,
+      locked: false,
+    },
+    message_count: 0,
+    ...extra,
+  });
+}
+
+/**
+ * Snowflake for a time: milliseconds since the Discord epoch, then a counter
+ * to keep IDs made in the same millisecond apart
+ */
+export function makeSnowflake(time, increment = 0) {
+  return String(((BigInt(time) - DISCORD_EPOCH) << 22n) | BigInt(increment & 0xfff));
+}
+
+/**
+ * Fresh demo state. Every field is plain data the fake API changes in place.
+ */
+export function createFixtures(now = Date.now()) {
+  const users = [
+    user(IDS.bot, "chatpulse", "ChatPulse Demo", { bot: true }),
+    user(IDS.alice, "alice", "Alice"),
+    user(IDS.bob, "bob", "Bob"),
+    user(IDS.carol, "carol", "Carol"),
+    // Banned from Demo Community and in no other server; mentions fall back
+    // to the user profile
+    user(IDS.dave, "dave", "Dave"),
+  ];
+  const byName = Object.fromEntries(users.map((u) => [u.username, u]));
+
+  const guilds = [
+    {
+      id: IDS.community,
+      name: "Demo Community",
+      icon: null,
+      owner_id: IDS.alice,
+      roles: [
+        role(IDS.community, "@everyone", MEMBER_PERMISSIONS),
+        role(IDS.moderatorsRole, "Moderators", MANAGE_MESSAGES | KICK_MEMBERS | MODERATE_MEMBERS, {
+          color: 0x3498db,
+          position: 3,
+          hoist: true,
+          mentionable: true,
+        }),
+        role(
+          IDS.botRole,
+          "ChatPulse Demo",
+          MANAGE_MESSAGES |
+            MANAGE_WEBHOOKS |
+            KICK_MEMBERS |
+            BAN_MEMBERS |
+            MANAGE_ROLES |
+            MODERATE_MEMBERS,
+          { color: 0x6366f1, position: 2, managed: true }
+        ),
+        role(IDS.regularsRole, "Regulars", 0n, { color: 0x2ecc71, position: 1 }),
+      ],
+      members: [
+        { userId: IDS.alice, nick: null, roles: [] },
+        { userId: IDS.bob, nick: "Bob the Mod", roles: [IDS.moderatorsRole] },
+        { userId: IDS.carol, nick: null, roles: [IDS.regularsRole] },
+        { userId: IDS.bot, nick: null, roles: [IDS.botRole] },
+      ],
+      bans: [{ userId: IDS.dave, reason: "alice via ChatPulse: Spamming invite links" }],
+    },
+    {
+      id: IDS.gameNight,
+      name: "Game Night",
+      icon: null,
+      owner_id: IDS.bob,
+      roles: [
+        role(IDS.gameNight, "@everyone", MEMBER_PERMISSIONS),
+        role(IDS.playersRole, "Players", 0n, { color: 0x2ecc71, position: 1 }),
+      ],
+      members: [
+        { userId: IDS.bob, nick: null, roles: [] },
+        { userId: IDS.alice, nick: null, roles: [IDS.playersRole] },
+        { userId: IDS.bot, nick: null, roles: [] },
+      ],
+      bans: [],
+    },
+    {
+      id: IDS.sandbox,
+      name: "Alice's Sandbox",
+      icon: null,
+      owner_id: IDS.alice,
+      roles: [role(IDS.sandbox, "@everyone", MEMBER_PERMISSIONS)],
+      members: [{ userId: IDS.alice, nick: null, roles: [] }],
+      bans: [],
+    },
+  ];
+
+  const community = IDS.community;
+  const channels = [
+    channel(IDS.welcome, community, 0, "welcome", { topic: "Say hi!" }),
+    channel(IDS.infoCategory, community, 4, "Information", { position: 0 }),
+    channel(IDS.announcements, community, 5, "announcements", {
+      parent_id: IDS.infoCategory,
+      position: 0,
+    }),
+    channel(IDS.rules, community, 0, "rules", {
+      parent_id: IDS.infoCategory,
+      position: 1,
+      // Members (and the bot) can read but not post
+      permission_overwrites: [
+        { id: community, type: 0, allow: "0", deny: String(SEND_MESSAGES) },
+      ],
+    }),
+    channel(IDS.staff, community, 0, "staff", {
+      parent_id: IDS.infoCategory,
+      position: 2,
+      // Only moderators; the bot can't see it
+      permission_overwrites: [
+        { id: community, type: 0, allow: "0", deny: String(VIEW_CHANNEL) },
+        { id: IDS.moderatorsRole, type: 0, allow: String(VIEW_CHANNEL), deny: "0" },
+      ],
+    }),
+    channel(IDS.chatCategory, community, 4, "Chat", { position: 1 }),
+    channel(IDS.general, community, 0, "general", {
+      parent_id: IDS.chatCategory,
+      position: 0,
+      topic: "Anything goes",
+    }),
+    channel(IDS.offTopic, community, 0, "off-topic", {
+      parent_id: IDS.chatCategory,
+      position: 1,
+    }),
+    channel(IDS.help, community, 15, "help", {
+      parent_id: IDS.chatCategory,
+      position: 2,
+      available_tags: [
+        { id: IDS.questionTag, name: "Question", emoji_name: "❓", moderated: false },
+        { id: IDS.bugTag, name: "Bug", emoji_name: "🐛", moderated: false },
+        { id: IDS.solvedTag, name: "Solved", emoji_name: "✅", moderated: true },
+      ],
+    }),
+    channel(IDS.lounge, community, 2, "Lounge", { parent_id: IDS.chatCategory, position: 3 }),
+    thread(IDS.weekendThread, community, IDS.general, "Weekend plans"),
+    thread(IDS.oldIdeasThread, community, IDS.general, "Old ideas", {
+      archived: true,
+      archivedAt: new Date(now - 20 * DAY).toISOString(),
+    }),
+    thread(IDS.helpPost, community, IDS.help, "How do I schedule a message?", {
+      owner_id: IDS.carol,
+      applied_tags: [IDS.questionTag],
+    }),
+    channel(IDS.lobby, IDS.gameNight, 0, "lobby"),
+    channel(IDS.sandboxGeneral, IDS.sandbox, 0, "general"),
+  ];
+
+  let increment = 0;
+  const messages = {};
+  const post = (channelId, author, minutesAgo, content, extra = {}) => {
+    const time = now - minutesAgo * MINUTE;
+    const message = {
+      id: makeSnowflake(time, increment++),
+      channel_id: channelId,
+      author: byName[author],
+      content,
+      timestamp: new Date(time).toISOString(),
+      edited_timestamp: null,
+      tts: false,
+      mention_everyone: false,
+      mentions: [],
+      mention_roles: [],
+      attachments: [],
+      embeds: [],
+      reactions: [],
+      pinned: false,
+      type: 0,
+      flags: 0,
+      ...extra,
+    };
+    (messages[channelId] ||= []).push(message);
+    return message;
+  };
+  const reaction = (name, count) => ({ emoji: { id: null, name }, count, me: false });
+
+  post(IDS.welcome, "alice", 4 * DAY / MINUTE, "Welcome to **Demo Community**! 👋");
+  post(IDS.welcome, "carol", 3 * DAY / MINUTE, "Hi all, happy to be here", {
+    reactions: [reaction("👋", 2)],
+  });
+
+  post(
+    IDS.announcements,
+    "alice",
+    2 * DAY / MINUTE,
+    "# Game night\nThis Friday <t:" +
+      Math.floor((now + 3 * DAY) / 1000) +
+      ":F> in <#" +
+      IDS.lounge +
+      ">. Bring friends!"
+  );
+  post(IDS.rules, "alice", 5 * DAY / MINUTE, "1. Be kind\n2. No spam\n3. Have fun", {
+    pinned: true,
+  });
+
+  post(
+    IDS.general,
+    "carol",
+    26 * 60,
+    `Hey everyone! Has anyone seen <@${IDS.alice}>'s announcement in <#${IDS.announcements}>?`,
+    { reactions: [reaction("👀", 2)] }
+  );
+  const plans = post(
+    IDS.general,
+    "bob",
+    25 * 60,
+    "**Reminder:** game night is <t:" +
+      Math.floor((now + 3 * DAY) / 1000) +
+      ":R> 🎲 ||bring snacks||",
+    { reactions: [reaction("🎲", 3), reaction("🍕", 1)], pinned: true }
+  );
+  post(IDS.general, "carol", 24 * 60, "Count me in!", {
+    message_reference: { type: 0, message_id: plans.id, channel_id: IDS.general },
+  });
+  post(
+    IDS.general,
+    "alice",
+    6 * 60,
+    "Here's how the bot posts from a script:\n```js\nawait fetch(\"/send-message\", { method: \"POST\" });\n```\n" +
+      `Questions go to <#${IDS.help}>, ping <@&${IDS.moderatorsRole}> if it's urgent`
+  );
+  // A reply to a message that was deleted since
+  post(
+    IDS.general,
+    "dave",
+    5 * 60,
+    "> has anyone seen my keys?\nnever mind, found them ~~in the fridge~~",
+    {
+      message_reference: {
+        type: 0,
+        message_id: makeSnowflake(now - 27 * HOUR),
+        channel_id: IDS.general,
+      },
+    }
+  );
+  post(IDS.general, "chatpulse", 60, "", {
+    embeds: [
+      {
+        type: "rich",
+        title: "Server rules updated",
+        description: `Please read them again in <#${IDS.rules}>.\n- **Be kind**\n- _No spam_`,
+        color: 0x6366f1,
+        fields: [{ name: "Effective", value: "Immediately", inline: true }],
+        footer: { text: "ChatPulse" },
+      },
+    ],
+  });
+
+  // Plenty of history for scrolling, jumping to a date and the Pulse panel
+  const chatters = ["alice", "bob", "carol"];
+  for (let i = 0; i < 180; i++) {
+    const minutesAgo = Math.round(((180 - i) / 180) * 7 * 24 * 60);
+    post(IDS.offTopic, chatters[(i * 7) % 3], minutesAgo, `Off-topic message #${i + 1}`);
+  }
+
+  post(IDS.weekendThread, "bob", 3 * 60, "Hiking on Saturday?");
+  post(IDS.weekendThread, "alice", 2 * 60, "Sure, weather looks good ☀️");
+  post(IDS.oldIdeasThread, "carol", 21 * 24 * 60, "What about a book club?");
+  // A forum post's first message has the thread's ID
+  messages[IDS.helpPost] = [
+    {
+      ...post(IDS.helpPost, "carol", 12 * 60, "I want a reminder every Monday at 9. How?"),
+      id: IDS.helpPost,
+    },
+  ];
+  post(IDS.lobby, "bob", 30, "Who's up for a round?");
+
+  for (const t of channels.filter((c) => c.type === 11)) {
+    t.message_count = (messages[t.id] || []).length;
+  }
+
+  return {
+    application: {
+      id: DEMO_CLIENT_ID,
+      name: "ChatPulse Demo",
+      description: "ChatPulse running against the fake Discord API",
+      icon: null,
+      bot_public: true,
+      // Server Members and Message Content intents, as switched on in the
+      // Developer Portal for a bot in fewer than 100 servers
+      flags: (1 << 15) | (1 << 19),
+      owner: byName.alice,
+      team: null,
+    },
+    clientSecret: DEMO_CLIENT_SECRET,
+    botToken: DEMO_BOT_TOKEN,
+    botUserId: IDS.bot,
+    users,
+    guilds,
+    channels,
+    messages,
+  };
+}
@@ -0,0 +1,30 @@
+// demo/start.js
+// Run ChatPulse against the fake Discord in fake-discord.js (npm run demo)
+//
+// No Discord application, bot or network access needed: log in as one of the
+// demo users on the fake authorize page. The fake listens on
+// FAKE_DISCORD_PORT (default 4999) and ChatPulse on its usual port; data goes
+// to ./data-demo unless DATA_DIR is set, so the demo never touches ./data.
+//
+// The environment has to be set before server.js and its modules are loaded,
+// since they read it at import time, hence the dynamic import.
+
+import { createFakeDiscord } from "./fake-discord.js";
+import { DEMO_CLIENT_ID, DEMO_CLIENT_SECRET, DEMO_BOT_TOKEN } from "./fixtures.js";
+
+const port = Number(process.env.FAKE_DISCORD_PORT) || 4999;
+
+const fake = createFakeDiscord();
+const { url } = await fake.listen(port);
+console.log(`[Demo] Fake Discord is running at ${url}`);
+
+Object.assign(process.env, {
+  DISCORD_API_BASE: `${url}/api/v10`,
+  DISCORD_OAUTH_BASE: url,
+  DISCORD_CLIENT_ID: DEMO_CLIENT_ID,
+  DISCORD_CLIENT_SECRET: DEMO_CLIENT_SECRET,
+  DISCORD_BOT_TOKEN: DEMO_BOT_TOKEN,
+  DATA_DIR: process.env.DATA_DIR || "./data-demo",
+});
+
+await import("../server.js");
@@ -1,119 +1,625 @@
 // discord.js
 // Discord REST API v10 wrapper functions
-// All functions use the Discord REST API directly (no discord.js library)
+// All functions use the Discord REST API directly (no discord.js library).
+// Requests go through rest.js, which handles rate limits and retries and
+// throws DiscordAPIError (with .status and .code) on failure.
 
-import fetch from "node-fetch";
+import { discordRequest } from "./rest.js";
 
-const DISCORD_API_BASE = "https://discord.com/api/v10";
+export { DiscordAPIError } from "./rest.js";
+
+// https://discord.com/developers/docs/resources/channel#channel-object-channel-types
+export const CHANNEL_TYPES = {
+  GUILD_TEXT: 0,
+  GUILD_VOICE: 2,
+  GUILD_CATEGORY: 4,
+  GUILD_ANNOUNCEMENT: 5,
+  ANNOUNCEMENT_THREAD: 10,
+  PUBLIC_THREAD: 11,
+  PRIVATE_THREAD: 12,
+  GUILD_STAGE_VOICE: 13,
+  GUILD_FORUM: 15,
+  GUILD_MEDIA: 16,
+};
+
+// Channels with a message history (voice and stage channels have a text chat)
+export const MESSAGE_CHANNEL_TYPES = new Set([
+  CHANNEL_TYPES.GUILD_TEXT,
+  CHANNEL_TYPES.GUILD_VOICE,
+  CHANNEL_TYPES.GUILD_ANNOUNCEMENT,
+  CHANNEL_TYPES.GUILD_STAGE_VOICE,
+]);
+
+export const THREAD_TYPES = new Set([
+  CHANNEL_TYPES.ANNOUNCEMENT_THREAD,
+  CHANNEL_TYPES.PUBLIC_THREAD,
+  CHANNEL_TYPES.PRIVATE_THREAD,
+]);
+
+// Channels where every message is a post (a thread with a title)
+export const FORUM_TYPES = new Set([CHANNEL_TYPES.GUILD_FORUM, CHANNEL_TYPES.GUILD_MEDIA]);
+
+/**
+ * Check that a value is a Discord ID (a snowflake) string
+ */
+export function isSnowflake(value) {
+  return typeof value === "string" && /^\d{1,20}$/.test(value);
+}
 
 /**
  * Fetch current user info using OAuth2 access token
  */
 export async function getUserInfo(accessToken) {
-  const response = await fetch(`${DISCORD_API_BASE}/users/@me`, {
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-    },
+  return await discordRequest("GET", "/users/@me", {
+    authorization: `Bearer ${accessToken}`,
   });
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch user info: ${response.statusText}`);
-  }
-  return await response.json();
 }
 
 /**
  * Fetch user's guilds (servers) using OAuth2 access token
  */
 export async function getUserGuilds(accessToken) {
-  const response = await fetch(`${DISCORD_API_BASE}/users/@me/guilds`,{
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-    },
+  return await discordRequest("GET", "/users/@me/guilds", {
+    authorization: `Bearer ${accessToken}`,
   });
+}
+
+/**
+ * Fetch all guilds where the bot is present using bot token.
+ * Discord returns at most 200 guilds per page, so follow the `after` cursor.
+ */
+export async function getBotGuilds(botToken) {
+  const guilds = [];
+  let after = "0";
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch user guilds: ${response.statusText}`);
+  while (true) {
+    const page = await discordRequest(
+      "GET",
+      `/users/@me/guilds?limit=200&after=${after}`,
+      {
+        authorization: `Bot ${botToken}`,
+      }
+    );
+    guilds.push(...page);
+    if (page.length < 200) break;
+    after = page[page.length - 1].id;
   }
 
-  return await response.json();
+  return guilds;
 }
 
 /**
- * Fetch guilds where the bot is present using bot token
+ * Fetch every channel of a guild (including categories) using bot token.
+ * Threads aren't included; see getActiveThreads.
  */
-export async function getBotGuilds(botToken) {
-  const response = await fetch(`${DISCORD_API_BASE}/users/@me/guilds`, {
-    headers: {
-      Authorization: `Bot ${botToken}`,
-    },
+export async function getGuildChannels(botToken, guildId) {
+  return await discordRequest("GET", `/guilds/${guildId}/channels`, {
+    authorization: `Bot ${botToken}`,
   });
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch bot guilds: ${response.statusText}`);
-  }
+/**
+ * Fetch the channels of a guild that have a message history (text,
+ * announcement, voice and stage chats) using bot token
+ */
+export async function getChannels(botToken, guildId) {
+  const allChannels = await getGuildChannels(botToken, guildId);
+  return allChannels.filter((channel) => MESSAGE_CHANNEL_TYPES.has(channel.type));
+}
 
-  return await response.json();
+/**
+ * Fetch a guild's active threads using bot token
+ */
+export async function getActiveThreads(botToken, guildId) {
+  const { threads } = await discordRequest("GET", `/guilds/${guildId}/threads/active`, {
+    authorization: `Bot ${botToken}`,
+  });
+  return threads;
 }
+
 /**
- * Fetch text channels from a guild using bot token
+ * Fetch a channel's archived public threads, newest first, using bot token.
+ * options.before: ISO timestamp cursor; options.limit: 1-100 (default 50)
+ * Returns { threads, hasMore }.
  */
-export async function getChannels(botToken, guildId) {
-  const response = await fetch(`${DISCORD_API_BASE}/guilds/${guildId}/channels`, {
-    headers: {
-      Authorization: `Bot ${botToken}`,
-    },
+export async function getArchivedThreads(botToken, channelId, options = {}) {
+  const params = new URLSearchParams({
+    limit: String(Math.min(Math.max(parseInt(options.limit) || 50, 1), 100)),
   });
+  if (options.before) params.set("before", options.before);
+
+  const result = await discordRequest(
+    "GET",
+    `/channels/${channelId}/threads/archived/public?${params}`,
+    {
+      authorization: `Bot ${botToken}`,
+    }
+  );
+  return { threads: result.threads, hasMore: result.has_more };
+}
+
+// Discord returns at most 100 messages per request
+export const MAX_MESSAGES_PER_REQUEST = 100;
+
+/**
+ * Fetch messages from a channel using bot token.
+ * options.limit:  1-100 (default 10)
+ * options.before / options.after / options.around: message ID cursor
+ * (Discord accepts only one cursor per request)
+ */
+export async function getMessages(botToken, channelId, options = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(options.limit) || 10, 1),
+    MAX_MESSAGES_PER_REQUEST
+  );
+  const params = new URLSearchParams({ limit: String(limit) });
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch channels: ${response.statusText}`);
+  const cursors = ["before", "after", "around"].filter((key) => options[key]);
+  if (cursors.length > 1) {
+    throw new Error("Only one of before, after or around can be used");
+  }
+  if (cursors.length === 1) {
+    params.set(cursors[0], options[cursors[0]]);
   }
 
-  const allChannels = await response.json();
-  // Filter to only text channels (type 0)
-  return allChannels.filter((channel) => channel.type === 0);
+  return await discordRequest(
+    "GET",
+    `/channels/${channelId}/messages?${params}`,
+    {
+      authorization: `Bot ${botToken}`,
+    }
+  );
 }
 
 /**
- * Fetch messages from a channel using bot token
+ * Send a message to a channel using bot token.
+ * options.embeds: array of embed objects (validate with embeds.js first)
+ * options.files:  array of { name, data (Buffer), contentType } to attach
+ * options.allowedMentions: Discord allowed_mentions object, e.g. { parse: [] }
+ *                 to post mentions without pinging anyone
  */
-export async function getMessages(botToken, channelId, limit = 10) {
-  const response = await fetch(
-    `${DISCORD_API_BASE}/channels/${channelId}/messages?limit=${limit}`,
+export async function sendMessage(botToken, channelId, content, options = {}) {
+  const body = {};
+  if (content) body.content = content;
+  if (options.embeds && options.embeds.length > 0) body.embeds = options.embeds;
+  if (options.allowedMentions) body.allowed_mentions = options.allowedMentions;
+
+  return await discordRequest("POST", `/channels/${channelId}/messages`, {
+    authorization: `Bot ${botToken}`,
+    body,
+    files: options.files,
+  });
+}
+
+/**
+ * Publish a message in an announcement channel to the channels following
+ * it, using bot token
+ */
+export async function crosspostMessage(botToken, channelId, messageId) {
+  return await discordRequest(
+    "POST",
+    `/channels/${channelId}/messages/${messageId}/crosspost`,
     {
-      headers: {
-        Authorization: `Bot ${botToken}`,
-      },
+      authorization: `Bot ${botToken}`,
     }
   );
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch messages: ${response.statusText}`);
+/**
+ * Create a post (a thread and its first message) in a forum or media
+ * channel using bot token.
+ * post: { title, content, embeds, tagIds, files, allowedMentions }
+ */
+export async function createForumPost(botToken, channelId, post) {
+  const message = {};
+  if (post.content) message.content = post.content;
+  if (post.embeds && post.embeds.length > 0) message.embeds = post.embeds;
+  if (post.allowedMentions) message.allowed_mentions = post.allowedMentions;
+  if (post.files && post.files.length > 0) {
+    message.attachments = post.files.map((file, i) => ({ id: i, filename: file.name }));
   }
 
-  return await response.json();
+  const body = { name: post.title, message };
+  if (post.tagIds && post.tagIds.length > 0) body.applied_tags = post.tagIds;
+
+  return await discordRequest("POST", `/channels/${channelId}/threads`, {
+    authorization: `Bot ${botToken}`,
+    body,
+    files: post.files,
+  });
 }
 
 /**
- * Send a message to a channel using bot token
+ * Fetch a single channel using bot token
  */
-export async function sendMessage(botToken, channelId, content) {
-  const response = await fetch (`${DISCORD_API_BASE}/channels/${channelId}/messages`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bot ${botToken}`,
-    },
-    body: JSON.stringify({
-      content: content,
-    }),
+export async function getChannel(botToken, channelId) {
+  return await discordRequest("GET", `/channels/${channelId}`, {
+    authorization: `Bot ${botToken}`,
   });
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Failed to send message: ${response.status} ${errorText}`);
-  }
+/**
+ * Fetch the bot's own user using bot token
+ */
+export async function getBotUser(botToken) {
+  return await discordRequest("GET", "/users/@me", {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Fetch a guild using bot token
+ */
+export async function getGuild(botToken, guildId) {
+  return await discordRequest("GET", `/guilds/${guildId}`, {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Fetch a guild's roles using bot token
+ */
+export async function getGuildRoles(botToken, guildId) {
+  return await discordRequest("GET", `/guilds/${guildId}/roles`, {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Fetch one member of a guild using bot token
+ */
+export async function getGuildMember(botToken, guildId, userId) {
+  return await discordRequest("GET", `/guilds/${guildId}/members/${userId}`, {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Fetch any Discord user by ID using bot token
+ */
+export async function getUser(botToken, userId) {
+  return await discordRequest("GET", `/users/${userId}`, {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+// Discord returns at most 1000 members per request
+export const MAX_MEMBERS_PER_REQUEST = 1000;
+
+/**
+ * Fetch a page of a guild's members, ordered by user ID, using bot token.
+ * Needs the bot's Server Members privileged intent.
+ * options.after: user ID cursor; options.limit: 1-1000 (default 100)
+ */
+export async function listGuildMembers(botToken, guildId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_MEMBERS_PER_REQUEST);
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (options.after) params.set("after", options.after);
+
+  return await discordRequest("GET", `/guilds/${guildId}/members?${params}`, {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Find guild members whose username or nickname starts with `query`,
+ * using bot token (limit 1-1000, default 100)
+ */
+export async function searchGuildMembers(botToken, guildId, query, limit = 100) {
+  const params = new URLSearchParams({
+    query,
+    limit: String(Math.min(Math.max(parseInt(limit) || 100, 1), MAX_MEMBERS_PER_REQUEST)),
+  });
+  return await discordRequest("GET", `/guilds/${guildId}/members/search?${params}`, {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Time a member out until `until` (ISO timestamp), or lift their timeout
+ * with null, using bot token (needs Moderate Members)
+ */
+export async function timeoutGuildMember(botToken, guildId, userId, until, reason) {
+  return await discordRequest("PATCH", `/guilds/${guildId}/members/${userId}`, {
+    authorization: `Bot ${botToken}`,
+    body: { communication_disabled_until: until },
+    reason,
+  });
+}
+
+/**
+ * Kick a member using bot token (needs Kick Members)
+ */
+export async function kickGuildMember(botToken, guildId, userId, reason) {
+  return await discordRequest("DELETE", `/guilds/${guildId}/members/${userId}`, {
+    authorization: `Bot ${botToken}`,
+    reason,
+  });
+}
+
+/**
+ * Fetch a page of a guild's bans, ordered by user ID, using bot token
+ * (needs Ban Members). options.after: user ID cursor; options.limit: 1-1000
+ */
+export async function getGuildBans(botToken, guildId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_MEMBERS_PER_REQUEST);
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (options.after) params.set("after", options.after);
+
+  return await discordRequest("GET", `/guilds/${guildId}/bans?${params}`, {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Ban a user, member or not, using bot token (needs Ban Members).
+ * deleteMessageSeconds: also delete their messages from this far back (0-604800)
+ */
+export async function banGuildUser(botToken, guildId, userId, deleteMessageSeconds, reason) {
+  return await discordRequest("PUT", `/guilds/${guildId}/bans/${userId}`, {
+    authorization: `Bot ${botToken}`,
+    body: { delete_message_seconds: deleteMessageSeconds },
+    reason,
+  });
+}
+
+/**
+ * Lift a ban using bot token (needs Ban Members)
+ */
+export async function unbanGuildUser(botToken, guildId, userId, reason) {
+  return await discordRequest("DELETE", `/guilds/${guildId}/bans/${userId}`, {
+    authorization: `Bot ${botToken}`,
+    reason,
+  });
+}
+
+/**
+ * Give a member a role using bot token (needs Manage Roles)
+ */
+export async function addGuildMemberRole(botToken, guildId, userId, roleId, reason) {
+  return await discordRequest("PUT", `/guilds/${guildId}/members/${userId}/roles/${roleId}`, {
+    authorization: `Bot ${botToken}`,
+    reason,
+  });
+}
+
+/**
+ * Take a role from a member using bot token (needs Manage Roles)
+ */
+export async function removeGuildMemberRole(botToken, guildId, userId, roleId, reason) {
+  return await discordRequest(
+    "DELETE",
+    `/guilds/${guildId}/members/${userId}/roles/${roleId}`,
+    {
+      authorization: `Bot ${botToken}`,
+      reason,
+    }
+  );
+}
+
+/**
+ * Fetch a single message using bot token
+ */
+export async function getMessage(botToken, channelId, messageId) {
+  return await discordRequest(
+    "GET",
+    `/channels/${channelId}/messages/${messageId}`,
+    {
+      authorization: `Bot ${botToken}`,
+    }
+  );
+}
+
+/**
+ * Edit one of the bot's messages using bot token.
+ * options.embeds replaces the message's embeds when given.
+ */
+export async function editMessage(botToken, channelId, messageId, content, options = {}) {
+  const body = { content: content || "" };
+  if (options.embeds) body.embeds = options.embeds;
+
+  return await discordRequest(
+    "PATCH",
+    `/channels/${channelId}/messages/${messageId}`,
+    {
+      authorization: `Bot ${botToken}`,
+      body,
+    }
+  );
+}
+
+/**
+ * Delete a message using bot token
+ */
+export async function deleteMessage(botToken, channelId, messageId) {
+  return await discordRequest(
+    "DELETE",
+    `/channels/${channelId}/messages/${messageId}`,
+    {
+      authorization: `Bot ${botToken}`,
+    }
+  );
+}
+
+/**
+ * Delete 2-100 messages at once using bot token.
+ * Discord refuses messages older than 14 days.
+ */
+export async function bulkDeleteMessages(botToken, channelId, messageIds) {
+  return await discordRequest(
+    "POST",
+    `/channels/${channelId}/messages/bulk-delete`,
+    {
+      authorization: `Bot ${botToken}`,
+      body: { messages: messageIds },
+    }
+  );
+}
+
+/**
+ * Fetch a channel's pinned messages using bot token
+ */
+export async function getPinnedMessages(botToken, channelId) {
+  return await discordRequest("GET", `/channels/${channelId}/pins`, {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Pin a message using bot token
+ */
+export async function pinMessage(botToken, channelId, messageId) {
+  return await discordRequest("PUT", `/channels/${channelId}/pins/${messageId}`, {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Unpin a message using bot token
+ */
+export async function unpinMessage(botToken, channelId, messageId) {
+  return await discordRequest(
+    "DELETE",
+    `/channels/${channelId}/pins/${messageId}`,
+    {
+      authorization: `Bot ${botToken}`,
+    }
+  );
+}
+
+// Reaction emoji in a path: "👍" or "name:id" for custom emoji
+function reactionPath(channelId, messageId, emoji) {
+  return `/channels/${channelId}/messages/${messageId}/reactions/${encodeURIComponent(emoji)}/@me`;
+}
+
+/**
+ * React to a message as the bot using bot token.
+ * emoji: a Unicode emoji, or "name:id" for a custom one
+ */
+export async function addReaction(botToken, channelId, messageId, emoji) {
+  return await discordRequest("PUT", reactionPath(channelId, messageId, emoji), {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Remove the bot's own reaction from a message using bot token
+ */
+export async function removeOwnReaction(botToken, channelId, messageId, emoji) {
+  return await discordRequest("DELETE", reactionPath(channelId, messageId, emoji), {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+/**
+ * Create a webhook in a channel using bot token (needs Manage Webhooks).
+ * The response includes the webhook's token.
+ */
+export async function createWebhook(botToken, channelId, name) {
+  return await discordRequest("POST", `/channels/${channelId}/webhooks`, {
+    authorization: `Bot ${botToken}`,
+    body: { name },
+  });
+}
+
+/**
+ * Post a message through a webhook and return it. The webhook token is the
+ * credential, so no Authorization header is sent.
+ * message: { content, embeds, username, avatarUrl, threadId, files, allowedMentions }
+ */
+export async function executeWebhook(webhookId, webhookToken, message) {
+  const body = {};
+  if (message.content) body.content = message.content;
+  if (message.embeds && message.embeds.length > 0) body.embeds = message.embeds;
+  if (message.username) body.username = message.username;
+  if (message.avatarUrl) body.avatar_url = message.avatarUrl;
+  if (message.allowedMentions) body.allowed_mentions = message.allowedMentions;
+
+  // wait=true makes Discord return the created message
+  const params = new URLSearchParams({ wait: "true" });
+  if (message.threadId) params.set("thread_id", message.threadId);
+
+  return await discordRequest("POST", `/webhooks/${webhookId}/${webhookToken}?${params}`, {
+    body,
+    files: message.files,
+  });
+}
+
+/**
+ * Fetch the bot's application (including its owner or team) using bot token
+ */
+export async function getApplication(botToken) {
+  return await discordRequest("GET", "/oauth2/applications/@me", {
+    authorization: `Bot ${botToken}`,
+  });
+}
+
+// Application commands live globally or in one guild
+function commandsPath(applicationId, guildId) {
+  return guildId
+    ? `/applications/${applicationId}/guilds/${guildId}/commands`
+    : `/applications/${applicationId}/commands`;
+}
 
-  return await response.json();
+/**
+ * List an application's commands, globally (guildId null) or in one guild,
+ * using bot token
+ */
+export async function getApplicationCommands(botToken, applicationId, guildId) {
+  return await discordRequest("GET", commandsPath(applicationId, guildId), {
+    authorization: `Bot ${botToken}`,
+  });
 }
 
+/**
+ * Register an application command using bot token. A command with the same
+ * name in the same place is replaced.
+ */
+export async function createApplicationCommand(botToken, applicationId, guildId, command) {
+  return await discordRequest("POST", commandsPath(applicationId, guildId), {
+    authorization: `Bot ${botToken}`,
+    body: command,
+  });
+}
+
+/**
+ * Change a registered application command using bot token
+ */
+export async function editApplicationCommand(
+  botToken,
+  applicationId,
+  guildId,
+  commandId,
+  command
+) {
+  return await discordRequest(
+    "PATCH",
+    `${commandsPath(applicationId, guildId)}/${commandId}`,
+    {
+      authorization: `Bot ${botToken}`,
+      body: command,
+    }
+  );
+}
+
+/**
+ * Remove a registered application command using bot token
+ */
+export async function deleteApplicationCommand(botToken, applicationId, guildId, commandId) {
+  return await discordRequest(
+    "DELETE",
+    `${commandsPath(applicationId, guildId)}/${commandId}`,
+    {
+      authorization: `Bot ${botToken}`,
+    }
+  );
+}
+
+/**
+ * Fetch the Gateway URL for the bot using bot token
+ */
+export async function getGatewayBot(botToken) {
+  return await discordRequest("GET", "/gateway/bot", {
+    authorization: `Bot ${botToken}`,
+  });
+}
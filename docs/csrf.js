@@ -0,0 +1,64 @@
+// csrf.js
+// Adds the session's CSRF token to the dashboard's write requests
+//
+// The server refuses POST, PUT, PATCH and DELETE requests without an
+// X-CSRF-Token header matching the session (see security.js). Rather than
+// passing the token to every fetch call, fetch itself is wrapped: write
+// requests to this origin get the header. A request refused because the
+// token is stale (e.g. after logging in again in another tab) is retried
+// once with a fresh token.
+
+(() => {
+  const CSRF_ERROR = "Invalid or missing CSRF token";
+  const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+  const originalFetch = window.fetch.bind(window);
+  let tokenRequest = null;
+
+  function loadToken(refresh = false) {
+    if (!tokenRequest || refresh) {
+      tokenRequest = originalFetch("/csrf-token")
+        .then(async (response) => {
+          const data = response.ok ? await response.json() : null;
+          if (!data?.csrfToken) throw new Error("Failed to load CSRF token");
+          return data.csrfToken;
+        })
+        .catch((error) => {
+          tokenRequest = null;
+          throw error;
+        });
+    }
+    return tokenRequest;
+  }
+
+  async function isCsrfError(response) {
+    if (response.status !== 403) return false;
+    try {
+      const data = await response.clone().json();
+      return data.error === CSRF_ERROR;
+    } catch {
+      return false;
+    }
+  }
+
+  window.fetch = async (input, init = {}) => {
+    const method = (init.method || (input instanceof Request ? input.method : "GET")).toUpperCase();
+    const url = new URL(input instanceof Request ? input.url : input, window.location.href);
+    if (SAFE_METHODS.has(method) || url.origin !== window.location.origin) {
+      return originalFetch(input, init);
+    }
+
+    const send = async (refresh) => {
+      const headers = new Headers(init.headers);
+      try {
+        headers.set("X-CSRF-Token", await loadToken(refresh));
+      } catch (error) {
+        // Logged out: send it anyway and let the server answer
+        console.error(error);
+      }
+      return originalFetch(input, { ...init, headers });
+    };
+
+    const response = await send(false);
+    return (await isCsrfError(response)) ? send(true) : response;
+  };
+})();
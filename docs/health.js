@@ -0,0 +1,172 @@
+// health.js
+// ChatPulse Bot Health page (missing permissions, channels the bot can't
+// use, privileged intents and a re-invite link)
+
+const healthTitle = document.getElementById("healthTitle");
+const featuresList = document.getElementById("featuresList");
+const channelsList = document.getElementById("channelsList");
+const intentsList = document.getElementById("intentsList");
+const inviteLink = document.getElementById("inviteLink");
+const recheckBtn = document.getElementById("recheckBtn");
+const statusText = document.getElementById("statusText");
+
+const guildId = new URLSearchParams(window.location.search).get("guild");
+
+const CHANNEL_KIND_ICONS = {
+  text: "#",
+  announcement: "📢",
+  voice: "🔊",
+  forum: "💬",
+};
+
+window.addEventListener("DOMContentLoaded", () => {
+  if (!guildId) {
+    featuresList.innerHTML = '<p class="empty-state">No server selected</p>';
+    channelsList.innerHTML = "";
+    intentsList.innerHTML = "";
+    return;
+  }
+  recheckBtn.addEventListener("click", loadHealth);
+  loadHealth();
+});
+
+async function loadHealth() {
+  recheckBtn.disabled = true;
+  try {
+    setStatus("sending", "Checking the bot...");
+    const response = await fetch(`/guilds/${guildId}/health`);
+    if (response.status === 401) {
+      window.location.href = "/";
+      return;
+    }
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to check the bot");
+    }
+
+    healthTitle.textContent = `Bot Health · ${data.guild.name}`;
+    renderFeatures(data.features);
+    renderChannels(data.channels);
+    renderIntents(data.intents);
+    inviteLink.href = data.inviteUrl;
+    inviteLink.classList.remove("hidden");
+    setStatus("idle", "");
+  } catch (error) {
+    console.error("Error checking bot health:", error);
+    setStatus("error", error.message);
+  } finally {
+    recheckBtn.disabled = false;
+  }
+}
+
+// One row: a label, an "ok" or `problem` badge and what's wrong
+function createHealthItem(label, ok, detail, problem = "missing") {
+  const item = document.createElement("div");
+  item.className = `job-item ${ok ? "job-completed" : "job-failed"}`;
+
+  const header = document.createElement("div");
+  header.className = "job-header";
+  const name = document.createElement("span");
+  name.textContent = label;
+  const status = document.createElement("span");
+  status.className = "job-status";
+  status.textContent = ok ? "ok" : problem;
+  header.append(name, status);
+  item.appendChild(header);
+
+  if (detail) {
+    const message = document.createElement("div");
+    message.className = "job-message";
+    message.textContent = detail;
+    item.appendChild(message);
+  }
+  return item;
+}
+
+function renderFeatures(features) {
+  featuresList.innerHTML = "";
+  features.forEach((feature) => {
+    featuresList.appendChild(
+      createHealthItem(
+        feature.name,
+        feature.ok,
+        feature.ok ? "" : `Missing ${feature.missing.join(", ")}`
+      )
+    );
+  });
+}
+
+function renderChannels(channels) {
+  channelsList.innerHTML = "";
+  if (channels.length === 0) {
+    channelsList.innerHTML =
+      '<p class="empty-state">The bot can read, send, embed and attach in every channel</p>';
+    return;
+  }
+  channels.forEach((channel) => {
+    const cannot = [
+      !channel.canRead && "read",
+      !channel.canSend && "send",
+      channel.canSend && !channel.canEmbed && "embed",
+      channel.canSend && !channel.canAttach && "attach",
+    ].filter(Boolean);
+    const label = `${CHANNEL_KIND_ICONS[channel.kind] || "#"} ${channel.name}${
+      channel.categoryName ? ` (${channel.categoryName})` : ""
+    }`;
+    const detail = `${
+      cannot.length > 0 ? `Can't ${cannot.join(", ")}. ` : ""
+    }Missing ${channel.missing.join(", ")}`;
+    channelsList.appendChild(createHealthItem(label, false, detail));
+  });
+}
+
+function renderIntents(intents) {
+  intentsList.innerHTML = "";
+  const unknown = "Couldn't be checked: the bot's application couldn't be fetched";
+
+  intentsList.appendChild(
+    createHealthItem(
+      "Message Content",
+      intents.messageContent === true && intents.gateway.receivesMessageContent !== false,
+      intents.messageContent === null
+        ? unknown
+        : !intents.messageContent
+          ? "Off: live messages and watchlists get messages without their text"
+          : intents.gateway.receivesMessageContent === false
+            ? "On in the Developer Portal, but Discord refused it when the live connection started. Restart ChatPulse to use it"
+            : "",
+      "off"
+    )
+  );
+  intentsList.appendChild(
+    createHealthItem(
+      "Server Members",
+      intents.serverMembers === true,
+      intents.serverMembers === null
+        ? unknown
+        : intents.serverMembers
+          ? ""
+          : "Off: the Members panel can't list or search members",
+      "off"
+    )
+  );
+  intentsList.appendChild(
+    createHealthItem(
+      "Live connection (Gateway)",
+      intents.gateway.connected,
+      intents.gateway.connected
+        ? ""
+        : "Not connected: new messages won't appear live. Check the server logs",
+      "offline"
+    )
+  );
+}
+
+function setStatus(state, text, element = statusText) {
+  element.textContent = text;
+  element.classList.remove("status-sending", "status-success", "status-error");
+
+  if (state === "sending") element.classList.add("status-sending");
+  if (state === "success") element.classList.add("status-success");
+  if (state === "error") element.classList.add("status-error");
+}
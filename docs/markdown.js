@@ -0,0 +1,361 @@
+// markdown.js
+// Discord's markdown dialect rendered as DOM nodes (used by script.js)
+//
+// Nothing here builds HTML strings: text only ever goes into text nodes, links
+// only get http(s) URLs and images only Discord CDN URLs made from numeric
+// IDs. Whatever a message contains, it can't inject markup or scripts.
+//
+// Supported, like the Discord client:
+// - **bold**, *italic* or _italic_, __underline__, ~~strikethrough~~,
+//   ||spoilers|| (click to reveal), `inline code` and ```code blocks```
+// - # headers, -# subtext, - lists, > and >>> block quotes
+// - <@user>, <@&role>, <#channel>, @everyone and @here mentions
+// - <:custom:123> emoji, <t:1700000000:R> timestamps
+// - links, <links> and [masked links](https://...)
+// - \ to escape a formatting character
+
+// Formatting nested deeper than this is shown as plain text
+const MARKDOWN_MAX_DEPTH = 8;
+
+const CODE_BLOCK_PATTERN = /```(?:([\w+#.-]{1,20})\n)?([\s\S]*?)```/g;
+
+// <t:unix:style> timestamp styles
+const TIMESTAMP_FORMATS = {
+  t: { timeStyle: "short" },
+  T: { timeStyle: "medium" },
+  d: { dateStyle: "short" },
+  D: { dateStyle: "long" },
+  f: { dateStyle: "long", timeStyle: "short" },
+  F: { dateStyle: "full", timeStyle: "short" },
+};
+
+function markdownElement(tag, className, children) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (typeof children === "string") {
+    element.textContent = children;
+  } else if (children) {
+    element.appendChild(children);
+  }
+  return element;
+}
+
+function relativeTime(date) {
+  const seconds = (date.getTime() - Date.now()) / 1000;
+  const units = [
+    ["year", 365 * 24 * 3600],
+    ["month", 30 * 24 * 3600],
+    ["day", 24 * 3600],
+    ["hour", 3600],
+    ["minute", 60],
+  ];
+  const format = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+  for (const [unit, size] of units) {
+    if (Math.abs(seconds) >= size) {
+      return format.format(Math.round(seconds / size), unit);
+    }
+  }
+  return format.format(Math.round(seconds), "second");
+}
+
+function renderTimestamp(unix, style = "f") {
+  const date = new Date(Number(unix) * 1000);
+  if (Number.isNaN(date.getTime())) return null;
+  const time = markdownElement("time", "md-timestamp");
+  time.dateTime = date.toISOString();
+  time.title = date.toLocaleString(undefined, TIMESTAMP_FORMATS.F);
+  time.textContent =
+    style === "R"
+      ? relativeTime(date)
+      : date.toLocaleString(undefined, TIMESTAMP_FORMATS[style] || TIMESTAMP_FORMATS.f);
+  return time;
+}
+
+function renderLink(url, children) {
+  const link = markdownElement("a", "md-link", children);
+  link.href = url;
+  link.target = "_blank";
+  link.rel = "noopener noreferrer";
+  if (typeof children !== "string") link.title = url;
+  return link;
+}
+
+// A user, role or channel mention. ctx.resolveMention(type, id) returns
+// { name, color } once the name is known; until then the span is marked
+// pending with the ID in data attributes, for the caller to fill in.
+function renderMention(type, id, ctx) {
+  const span = markdownElement("span", `md-mention md-mention-${type}`);
+  span.dataset.mentionType = type;
+  span.dataset.id = id;
+  fillMention(span, ctx.resolveMention?.(type, id));
+  return span;
+}
+
+const MENTION_PREFIXES = { user: "@", role: "@", channel: "#" };
+
+/**
+ * Show a mention's name. resolved: { name, color }, null for an ID that
+ * doesn't exist, or undefined while it is still unknown.
+ */
+function fillMention(span, resolved) {
+  const { mentionType: type, id } = span.dataset;
+  const prefix = MENTION_PREFIXES[type];
+  span.classList.toggle("md-mention-pending", resolved === undefined);
+  if (resolved === undefined) {
+    span.textContent = `${prefix}${id}`;
+  } else if (resolved === null) {
+    span.textContent =
+      type === "user" ? "@unknown-user" : type === "role" ? "@deleted-role" : "#unknown";
+  } else {
+    span.textContent = `${prefix}${resolved.name}`;
+    // Role colors are integers; 0 means no color
+    if (resolved.color) {
+      span.style.color = `#${resolved.color.toString(16).padStart(6, "0")}`;
+    }
+  }
+}
+
+// Inline rules, tried in order at each character they can start with.
+// Each returns a node, or null to treat the match as plain text.
+const INLINE_RULES = [
+  {
+    start: "\\",
+    pattern: /\\([^\sA-Za-z0-9])/y,
+    render: (m) => document.createTextNode(m[1]),
+  },
+  {
+    start: "`",
+    pattern: /(`+)([\s\S]*?[^`])\1(?!`)/y,
+    render: (m) => markdownElement("code", "md-code", m[2]),
+  },
+  {
+    start: "<",
+    pattern: /<(a?):(\w{2,32}):(\d{17,20})>/y,
+    render: (m) => {
+      const image = markdownElement("img", "md-emoji");
+      image.src = `https://cdn.discordapp.com/emojis/${m[3]}.${m[1] ? "gif" : "png"}?size=48`;
+      image.alt = `:${m[2]}:`;
+      image.title = `:${m[2]}:`;
+      return image;
+    },
+  },
+  {
+    start: "<",
+    pattern: /<t:(-?\d{1,13})(?::([tTdDfFR]))?>/y,
+    render: (m) => renderTimestamp(m[1], m[2]),
+  },
+  {
+    start: "<",
+    pattern: /<@!?(\d{17,20})>/y,
+    render: (m, ctx) => renderMention("user", m[1], ctx),
+  },
+  {
+    start: "<",
+    pattern: /<@&(\d{17,20})>/y,
+    render: (m, ctx) => renderMention("role", m[1], ctx),
+  },
+  {
+    start: "<",
+    pattern: /<#(\d{17,20})>/y,
+    render: (m, ctx) => renderMention("channel", m[1], ctx),
+  },
+  {
+    start: "<",
+    pattern: /<(https?:\/\/[^\s>]+)>/y,
+    render: (m) => renderLink(m[1], m[1]),
+  },
+  {
+    start: "@",
+    pattern: /@(everyone|here)/y,
+    render: (m) => markdownElement("span", "md-mention", m[0]),
+  },
+  {
+    start: "[",
+    pattern: /\[([^[\]\n]+)\]\(\s*<?(https?:\/\/[^\s()<>]+)>?\s*\)/y,
+    render: (m, ctx, depth) => renderLink(m[2], parseInline(m[1], ctx, depth + 1)),
+  },
+  {
+    start: "h",
+    // Trailing punctuation belongs to the sentence, not the URL
+    pattern: /https?:\/\/[^\s<]+[^\s<.,:;"')\]!?]/y,
+    render: (m) => renderLink(m[0], m[0]),
+  },
+  {
+    start: "*",
+    pattern: /\*\*\*([\s\S]+?)\*\*\*(?!\*)/y,
+    render: (m, ctx, depth) =>
+      markdownElement("strong", null, markdownElement("em", null, parseInline(m[1], ctx, depth + 1))),
+  },
+  {
+    start: "*",
+    pattern: /\*\*([\s\S]+?)\*\*(?!\*)/y,
+    render: (m, ctx, depth) => markdownElement("strong", null, parseInline(m[1], ctx, depth + 1)),
+  },
+  {
+    start: "*",
+    pattern: /\*(?=\S)((?:\*\*|\s+(?:[^*\s]|\*\*)|[^\s*])+?)\*(?!\*)/y,
+    render: (m, ctx, depth) => markdownElement("em", null, parseInline(m[1], ctx, depth + 1)),
+  },
+  {
+    start: "_",
+    pattern: /__([\s\S]+?)__(?!_)/y,
+    render: (m, ctx, depth) => markdownElement("u", null, parseInline(m[1], ctx, depth + 1)),
+  },
+  {
+    start: "_",
+    // snake_case_words stay as they are
+    pattern: /_((?:__|\\[\s\S]|[^\\_])+?)_(?!\w)/y,
+    wordStart: true,
+    render: (m, ctx, depth) => markdownElement("em", null, parseInline(m[1], ctx, depth + 1)),
+  },
+  {
+    start: "~",
+    pattern: /~~([\s\S]+?)~~/y,
+    render: (m, ctx, depth) => markdownElement("s", null, parseInline(m[1], ctx, depth + 1)),
+  },
+  {
+    start: "|",
+    pattern: /\|\|([\s\S]+?)\|\|/y,
+    render: (m, ctx, depth) => {
+      const spoiler = markdownElement("span", "md-spoiler", parseInline(m[1], ctx, depth + 1));
+      spoiler.title = "Click to reveal";
+      spoiler.addEventListener("click", () => spoiler.classList.add("md-spoiler-revealed"), {
+        once: true,
+      });
+      return spoiler;
+    },
+  },
+];
+
+const INLINE_STARTS = new Set(INLINE_RULES.map((rule) => rule.start));
+
+// Formatted inline text; newlines become <br>
+function parseInline(text, ctx, depth = 0) {
+  const fragment = document.createDocumentFragment();
+  let plain = "";
+  const flush = () => {
+    plain.split("\n").forEach((line, i) => {
+      if (i > 0) fragment.appendChild(document.createElement("br"));
+      if (line) fragment.appendChild(document.createTextNode(line));
+    });
+    plain = "";
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    let node = null;
+    let length = 0;
+    if (depth < MARKDOWN_MAX_DEPTH && INLINE_STARTS.has(text[i])) {
+      for (const rule of INLINE_RULES) {
+        if (rule.start !== text[i]) continue;
+        if (rule.wordStart && i > 0 && /\w/.test(text[i - 1])) continue;
+        rule.pattern.lastIndex = i;
+        const match = rule.pattern.exec(text);
+        if (!match) continue;
+        node = rule.render(match, ctx, depth);
+        if (node) {
+          length = match[0].length;
+          break;
+        }
+      }
+    }
+    if (node) {
+      flush();
+      fragment.appendChild(node);
+      i += length;
+    } else {
+      plain += text[i];
+      i += 1;
+    }
+  }
+  flush();
+  return fragment;
+}
+
+// Lines outside code blocks: headers, subtext, lists, quotes and paragraphs
+function appendBlocks(parent, text, ctx, inQuote = false) {
+  const lines = text.split("\n");
+  let paragraph = [];
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      parent.appendChild(markdownElement("div", "md-line", parseInline(paragraph.join("\n"), ctx)));
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if (!inQuote && line.startsWith(">>> ")) {
+      // Everything to the end is quoted
+      flushParagraph();
+      const quote = markdownElement("blockquote", "md-quote");
+      appendBlocks(quote, [line.slice(4), ...lines.slice(i + 1)].join("\n"), ctx, true);
+      parent.appendChild(quote);
+      return;
+    }
+    if (!inQuote && line.startsWith("> ")) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && lines[i].startsWith("> ")) {
+        quoted.push(lines[i].slice(2));
+        i += 1;
+      }
+      i -= 1;
+      const quote = markdownElement("blockquote", "md-quote");
+      appendBlocks(quote, quoted.join("\n"), ctx, true);
+      parent.appendChild(quote);
+    } else if ((match = /^(#{1,3}) (.*\S.*)$/.exec(line))) {
+      flushParagraph();
+      parent.appendChild(
+        markdownElement("div", `md-header md-h${match[1].length}`, parseInline(match[2], ctx))
+      );
+    } else if ((match = /^-# (.*\S.*)$/.exec(line))) {
+      flushParagraph();
+      parent.appendChild(markdownElement("div", "md-subtext", parseInline(match[1], ctx)));
+    } else if ((match = /^( *)(?:[-*]|(\d{1,9})\.) (.*\S.*)$/.exec(line))) {
+      flushParagraph();
+      const item = markdownElement("div", "md-list-item", parseInline(match[3], ctx));
+      item.dataset.marker = match[2] ? `${match[2]}.` : "•";
+      // Two spaces of indent per nesting level
+      item.style.marginLeft = `${Math.min(Math.floor(match[1].length / 2), 3) * 1.25}rem`;
+      parent.appendChild(item);
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+}
+
+function renderCodeBlock(code, language) {
+  const pre = markdownElement("pre", "md-code-block");
+  const codeElement = markdownElement("code", null, code);
+  if (language) codeElement.dataset.language = language;
+  pre.appendChild(codeElement);
+  return pre;
+}
+
+/**
+ * Render message (or embed) text as a DocumentFragment.
+ * options.resolveMention(type, id): see renderMention
+ */
+function renderMarkdown(text, options = {}) {
+  const fragment = document.createDocumentFragment();
+  const ctx = { resolveMention: options.resolveMention };
+  let last = 0;
+  const appendText = (segment) => {
+    if (segment) appendBlocks(fragment, segment, ctx);
+  };
+
+  for (const match of text.matchAll(CODE_BLOCK_PATTERN)) {
+    // A newline right around a code block is part of the block
+    appendText(text.slice(last, match.index).replace(/\n$/, ""));
+    const code = match[2].replace(/^\n/, "").replace(/\n$/, "");
+    fragment.appendChild(renderCodeBlock(code, match[1]));
+    last = match.index + match[0].length;
+    if (text[last] === "\n") last += 1;
+  }
+  appendText(text.slice(last));
+  return fragment;
+}
@@ -14,51 +14,385 @@ const sendBtn = document.getElementById("sendBtn");
 const statusText = document.getElementById("statusText");
 const refreshBtn = document.getElementById("refreshBtn");
 const serverHelp = document.getElementById("serverHelp");
+const dropZone = document.getElementById("dropZone");
+const fileInput = document.getElementById("fileInput");
+const attachmentList = document.getElementById("attachmentList");
+const embedComposer = document.getElementById("embedComposer");
+const embedForm = document.getElementById("embedForm");
+const embedTitleInput = document.getElementById("embedTitleInput");
+const embedDescriptionInput = document.getElementById("embedDescriptionInput");
+const embedColorInput = document.getElementById("embedColorInput");
+const embedFieldsEditor = document.getElementById("embedFieldsEditor");
+const addEmbedFieldBtn = document.getElementById("addEmbedFieldBtn");
+const embedFooterInput = document.getElementById("embedFooterInput");
+const embedImageInput = document.getElementById("embedImageInput");
+const embedThumbnailInput = document.getElementById("embedThumbnailInput");
+const clearEmbedBtn = document.getElementById("clearEmbedBtn");
+const embedPreview = document.getElementById("embedPreview");
+const embedErrors = document.getElementById("embedErrors");
+const jumpDateInput = document.getElementById("jumpDateInput");
+const jumpDateBtn = document.getElementById("jumpDateBtn");
+const pinnedBtn = document.getElementById("pinnedBtn");
+const bulkDeleteBtn = document.getElementById("bulkDeleteBtn");
+const pinnedContainer = document.getElementById("pinnedContainer");
+const liveIndicator = document.getElementById("liveIndicator");
+const refreshServersBtn = document.getElementById("refreshServersBtn");
+const accessSettingsLink = document.getElementById("accessSettingsLink");
+const botHealthLink = document.getElementById("botHealthLink");
+const botChannelWarning = document.getElementById("botChannelWarning");
+const broadcastToggle = document.getElementById("broadcastToggle");
+const templateSelect = document.getElementById("templateSelect");
+const templateFields = document.getElementById("templateFields");
+const templatePreview = document.getElementById("templatePreview");
+const templatePreviewBtn = document.getElementById("templatePreviewBtn");
+const templateInsertBtn = document.getElementById("templateInsertBtn");
+const templateSaveBtn = document.getElementById("templateSaveBtn");
+const templateUpdateBtn = document.getElementById("templateUpdateBtn");
+const templateDeleteBtn = document.getElementById("templateDeleteBtn");
+const templateStatusText = document.getElementById("templateStatusText");
+const broadcastPanel = document.getElementById("broadcastPanel");
+const broadcastTargets = document.getElementById("broadcastTargets");
+const broadcastPreview = document.getElementById("broadcastPreview");
+const broadcastResults = document.getElementById("broadcastResults");
+const broadcastRetryBtn = document.getElementById("broadcastRetryBtn");
+const scheduleMessageInput = document.getElementById("scheduleMessageInput");
+const scheduleTypeSelect = document.getElementById("scheduleTypeSelect");
+const scheduleRunAtGroup = document.getElementById("scheduleRunAtGroup");
+const scheduleRunAtInput = document.getElementById("scheduleRunAtInput");
+const scheduleCronGroup = document.getElementById("scheduleCronGroup");
+const scheduleCronInput = document.getElementById("scheduleCronInput");
+const scheduleTimezoneGroup = document.getElementById("scheduleTimezoneGroup");
+const scheduleTimezoneInput = document.getElementById("scheduleTimezoneInput");
+const scheduleBtn = document.getElementById("scheduleBtn");
+const scheduleStatusText = document.getElementById("scheduleStatusText");
+const scheduledList = document.getElementById("scheduledList");
+const pulseScopeSelect = document.getElementById("pulseScopeSelect");
+const pulsePeriodSelect = document.getElementById("pulsePeriodSelect");
+const pulseBtn = document.getElementById("pulseBtn");
+const pulseRefreshBtn = document.getElementById("pulseRefreshBtn");
+const pulseStatusText = document.getElementById("pulseStatusText");
+const pulseResults = document.getElementById("pulseResults");
+const auditActionSelect = document.getElementById("auditActionSelect");
+const auditResultSelect = document.getElementById("auditResultSelect");
+const auditBtn = document.getElementById("auditBtn");
+const auditCsvLink = document.getElementById("auditCsvLink");
+const auditJsonLink = document.getElementById("auditJsonLink");
+const auditLogChannelSelect = document.getElementById("auditLogChannelSelect");
+const auditStatusText = document.getElementById("auditStatusText");
+const auditList = document.getElementById("auditList");
+const exportFormatSelect = document.getElementById("exportFormatSelect");
+const exportFromInput = document.getElementById("exportFromInput");
+const exportToInput = document.getElementById("exportToInput");
+const exportAuthorsInput = document.getElementById("exportAuthorsInput");
+const exportBtn = document.getElementById("exportBtn");
+const exportStatusText = document.getElementById("exportStatusText");
+const exportList = document.getElementById("exportList");
+const alertsBadge = document.getElementById("alertsBadge");
+const alertsUnreadToggle = document.getElementById("alertsUnreadToggle");
+const alertsRefreshBtn = document.getElementById("alertsRefreshBtn");
+const alertsReadAllBtn = document.getElementById("alertsReadAllBtn");
+const alertsStatusText = document.getElementById("alertsStatusText");
+const alertsList = document.getElementById("alertsList");
+const archivedThreadsBtn = document.getElementById("archivedThreadsBtn");
+const forumFields = document.getElementById("forumFields");
+const forumTitleInput = document.getElementById("forumTitleInput");
+const forumTags = document.getElementById("forumTags");
+const publishToggleLabel = document.getElementById("publishToggleLabel");
+const publishToggle = document.getElementById("publishToggle");
+const personaField = document.getElementById("personaField");
+const personaSelect = document.getElementById("personaSelect");
+const memberSearchInput = document.getElementById("memberSearchInput");
+const memberSearchBtn = document.getElementById("memberSearchBtn");
+const bansBtn = document.getElementById("bansBtn");
+const membersStatusText = document.getElementById("membersStatusText");
+const memberPanel = document.getElementById("memberPanel");
+const membersList = document.getElementById("membersList");
+const membersMoreBtn = document.getElementById("membersMoreBtn");
 
+let currentGuildId = null;
 let currentChannelId = null;
+// Channel ID -> name for the selected server
+let channelNames = {};
+// Channel ID -> { kind, parentId, availableTags, ... } from /channels
+let channelInfo = {};
+// Cursor for the next page of archived threads, per parent channel
+let archivedThreadsCursor = {};
+// What the user may do ("view", "post", "schedule", "moderate", "manage"):
+// guild ID -> capabilities anywhere in it, channel ID -> capabilities there
+let guildCapabilities = {};
+let channelCapabilities = {};
+
+// Messages loaded per page while scrolling
+const MESSAGES_PAGE_SIZE = 50;
+// Discord epoch (2015-01-01) used by snowflake IDs
+const DISCORD_EPOCH = 1420070400000n;
+// Pagination state for the messages list
+let oldestMessageId = null;
+let newestMessageId = null;
+let hasOlderMessages = false;
+let hasNewerMessages = false;
+let loadingMessagesPage = false;
+// What the bot may do in the selected channel: { id, canManageMessages }
+let botInfo = null;
+// Message IDs ticked for bulk delete
+const selectedMessageIds = new Set();
+// Message ID -> message object, to merge partial live updates
+const messagesById = new Map();
+// Live event stream for the selected channel
+let liveEvents = null;
+// Mentions in the selected server's messages: "type:id" -> { name, color },
+// or null for IDs that don't exist (see resolvePendingMentions)
+let mentionNames = new Map();
+let mentionLookupTimer = null;
+// Server limits for one /mentions request (see mentions.js)
+const MAX_MENTION_USERS = 25;
+const MAX_MENTION_IDS = 100;
+
+// Attachment limits (also checked server-side in uploads.js)
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+const MAX_TOTAL_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+// Files waiting to be sent with the next message
+let pendingFiles = [];
+
+// Servers from /guilds, for picking broadcast channels
+let guildList = [];
+// Broadcast mode: channel ID -> { guildName, channelName } picked as targets
+let broadcastMode = false;
+const broadcastChannels = new Map();
+// The last broadcast sent, so failed targets can be retried
+let lastBroadcast = null;
+
+// Timer polling export progress while an export runs
+let exportPollTimer = null;
+
+// Template ID -> template ({ id, name, content, fields }) for the server
+let templatesById = new Map();
+
+// Discord embed limits (also checked server-side in embeds.js)
+const EMBED_LIMITS = {
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footerText: 2048,
+  total: 6000,
+};
 
 // Check authentication on page load
 window.addEventListener("DOMContentLoaded", async () => {
   await loadUserInfo();
   await loadGuilds();
   setupEventListeners();
+  loadExports();
 });
 
 // Setup event listeners
 function setupEventListeners() {
-  logoutBtn.addEventListener("click", () => {
-    window.location.href = "/logout";
+  logoutBtn.addEventListener("click", async () => {
+    try {
+      await fetch("/logout", { method: "POST" });
+    } catch (error) {
+      console.error("Error logging out:", error);
+    }
+    window.location.href = "/";
   });
 
   serverSelect.addEventListener("change", async (e) => {
     const guildId = e.target.value;
+    currentGuildId = guildId || null;
+    currentChannelId = null;
+    mentionNames = new Map();
+    disconnectLiveEvents();
+    setScheduleFormEnabled(false);
+    pulseResults.innerHTML = "";
+    updatePulseControls();
+    updateExportControls();
+    updateArchivedThreadsButton();
+    updateAuditControls();
+    accessSettingsLink.classList.toggle("hidden", !canInGuild("manage"));
+    accessSettingsLink.href = `/settings.html?guild=${guildId}`;
+    botHealthLink.classList.toggle("hidden", !canInGuild("manage"));
+    botHealthLink.href = `/health.html?guild=${guildId}`;
+    updateBotChannelWarning();
+    loadTemplates();
+    loadPersonas();
     if (guildId) {
       await loadChannels(guildId);
+      if (canInGuild("schedule")) {
+        await loadScheduledJobs();
+      } else {
+        scheduledList.innerHTML =
+          '<p class="empty-state">You can\'t schedule messages in this server</p>';
+      }
+      if (canInGuild("manage")) {
+        await loadAuditSettings();
+        await loadAuditLog();
+      } else {
+        auditList.innerHTML =
+          '<p class="empty-state">Only server managers can view the audit log</p>';
+      }
     } else {
       channelSelect.innerHTML = '<option value="">Select a server first...</option>';
       channelSelect.disabled = true;
       clearMessages();
+      scheduledList.innerHTML =
+        '<p class="empty-state">Select a server to view scheduled messages</p>';
+      auditList.innerHTML =
+        '<p class="empty-state">Select a server to view its audit log</p>';
     }
+    // After loadChannels, so alerts can show channel names
+    await loadAlerts();
+    await loadMembers();
   });
 
   channelSelect.addEventListener("change", async (e) => {
     const channelId = e.target.value;
     if (channelId) {
       currentChannelId = channelId;
-      messageInput.disabled = false;
-      sendBtn.disabled = false;
-      refreshBtn.disabled = false;
-      await loadMessages(channelId);
+      // Forum channels hold posts (threads), not messages
+      const isForum = currentChannelKind() === "forum";
+      updateComposerEnabled();
+      updateBotChannelWarning();
+      refreshBtn.disabled = isForum;
+      jumpDateInput.disabled = isForum;
+      jumpDateBtn.disabled = isForum;
+      pinnedBtn.disabled = isForum;
+      hidePinnedMessages();
+      setScheduleFormEnabled(canInChannel("schedule") && !isForum);
+      updatePulseControls();
+      updateExportControls();
+      updateArchivedThreadsButton();
+      if (isForum) {
+        disconnectLiveEvents();
+        renderForumTags();
+        clearMessages();
+        messagesContainer.innerHTML =
+          '<p class="empty-state">This is a forum channel. Write a new post below, or pick one of its posts from the channel list to read it.</p>';
+      } else {
+        await loadMessages(channelId);
+        connectLiveEvents(channelId);
+      }
     } else {
       currentChannelId = null;
-      messageInput.disabled = true;
-      sendBtn.disabled = true;
+      updateComposerEnabled();
+      updateBotChannelWarning();
       refreshBtn.disabled = true;
+      jumpDateInput.disabled = true;
+      jumpDateBtn.disabled = true;
+      pinnedBtn.disabled = true;
+      hidePinnedMessages();
+      disconnectLiveEvents();
+      updatePulseControls();
+      updateExportControls();
+      updateArchivedThreadsButton();
+      setScheduleFormEnabled(false);
       clearMessages();
     }
   });
 
-  sendBtn.addEventListener("click", sendMessage);
+  // Infinite scroll: older messages at the top, newer at the bottom
+  messagesContainer.addEventListener("scroll", () => {
+    if (!currentChannelId || loadingMessagesPage) return;
+    if (messagesContainer.scrollTop < 80 && hasOlderMessages) {
+      loadOlderMessages();
+    } else if (
+      hasNewerMessages &&
+      messagesContainer.scrollHeight -
+        messagesContainer.scrollTop -
+        messagesContainer.clientHeight <
+        80
+    ) {
+      loadNewerMessages();
+    }
+  });
+
+  jumpDateBtn.addEventListener("click", jumpToDate);
+  pinnedBtn.addEventListener("click", () => {
+    if (pinnedContainer.classList.contains("hidden")) {
+      loadPinnedMessages();
+    } else {
+      hidePinnedMessages();
+    }
+  });
+  bulkDeleteBtn.addEventListener("click", bulkDeleteSelected);
+  archivedThreadsBtn.addEventListener("click", loadArchivedThreads);
+
+  // Attachments: drag and drop or browse
+  fileInput.addEventListener("change", () => {
+    addPendingFiles(fileInput.files);
+    fileInput.value = "";
+  });
+  dropZone.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    if (currentChannelId) dropZone.classList.add("drop-zone-active");
+  });
+  dropZone.addEventListener("dragleave", () => {
+    dropZone.classList.remove("drop-zone-active");
+  });
+  dropZone.addEventListener("drop", (e) => {
+    e.preventDefault();
+    dropZone.classList.remove("drop-zone-active");
+    if (!currentChannelId) {
+      setStatus("error", "Please select a channel first");
+      return;
+    }
+    addPendingFiles(e.dataTransfer.files);
+  });
+
+  // Embed composer: live preview on every change
+  embedForm.addEventListener("input", updateEmbedPreview);
+  embedComposer.addEventListener("toggle", updateEmbedPreview);
+  addEmbedFieldBtn.addEventListener("click", () => {
+    addEmbedFieldRow();
+    updateEmbedPreview();
+  });
+  clearEmbedBtn.addEventListener("click", clearEmbedComposer);
+
+  pulseScopeSelect.addEventListener("change", updatePulseControls);
+  pulseBtn.addEventListener("click", () => loadPulse(false));
+  pulseRefreshBtn.addEventListener("click", () => loadPulse(true));
+
+  exportBtn.addEventListener("click", startExport);
+
+  alertsUnreadToggle.addEventListener("change", loadAlerts);
+  alertsRefreshBtn.addEventListener("click", loadAlerts);
+  alertsReadAllBtn.addEventListener("click", markAllAlertsRead);
+
+  memberSearchBtn.addEventListener("click", () => loadMembers());
+  memberSearchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") loadMembers();
+  });
+  bansBtn.addEventListener("click", () => (showingBans ? loadMembers() : loadBans()));
+  membersMoreBtn.addEventListener("click", () =>
+    showingBans ? loadBans(true) : loadMembers(true)
+  );
+
+  auditBtn.addEventListener("click", loadAuditLog);
+  auditActionSelect.addEventListener("change", updateAuditControls);
+  auditResultSelect.addEventListener("change", updateAuditControls);
+  auditLogChannelSelect.addEventListener("change", saveAuditLogChannel);
+
+  scheduleTypeSelect.addEventListener("change", updateScheduleFields);
+  scheduleBtn.addEventListener("click", createScheduledJob);
+
+  refreshServersBtn.addEventListener("click", async () => {
+    refreshServersBtn.disabled = true;
+    await loadGuilds(true);
+    refreshServersBtn.disabled = false;
+  });
+
+  sendBtn.addEventListener("click", sendOrPreview);
+  broadcastToggle.addEventListener("change", toggleBroadcastMode);
+  broadcastRetryBtn.addEventListener("click", retryBroadcast);
+
+  templateSelect.addEventListener("change", showTemplateFields);
+  templatePreviewBtn.addEventListener("click", previewTemplate);
+  templateInsertBtn.addEventListener("click", insertTemplate);
+  templateSaveBtn.addEventListener("click", saveMessageAsTemplate);
+  templateUpdateBtn.addEventListener("click", updateTemplateFromMessage);
+  templateDeleteBtn.addEventListener("click", deleteSelectedTemplate);
   refreshBtn.addEventListener("click", () => {
     if (currentChannelId) {
       loadMessages(currentChannelId);
@@ -69,7 +403,7 @@ function setupEventListeners() {
   messageInput.addEventListener("keydown", (e) => {
     if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
       e.preventDefault();
-      sendMessage();
+      sendOrPreview();
     }
   });
 }
@@ -101,10 +435,11 @@ async function loadUserInfo() {
 }
 
 // Load guilds (servers)
-async function loadGuilds() {
+// refresh = true skips the server-side cache (Refresh Servers button)
+async function loadGuilds(refresh = false) {
   try {
     setStatus("sending", "Loading servers...");
-    const response = await fetch("/guilds");
+    const response = await fetch(refresh ? "/guilds?refresh=true" : "/guilds");
     if (!response.ok) {
       if (response.status === 401) {
         window.location.href = "/";
@@ -115,13 +450,21 @@ async function loadGuilds() {
 
     const data = await response.json();
     if (data.success && data.guilds) {
+      const selectedGuildId = serverSelect.value;
       serverSelect.innerHTML = '<option value="">Choose a server...</option>';
+      guildList = data.guilds;
+      guildCapabilities = {};
       data.guilds.forEach((guild) => {
+        guildCapabilities[guild.id] = guild.capabilities || [];
         const option = document.createElement("option");
         option.value = guild.id;
         option.textContent = guild.name;
         serverSelect.appendChild(option);
       });
+      // Keep the current server selected if it is still available
+      if (data.guilds.some((guild) => guild.id === selectedGuildId)) {
+        serverSelect.value = selectedGuildId;
+      }
 
       if (data.guilds && data.guilds.length === 0) {
         // Show debug message if available
@@ -134,7 +477,7 @@ async function loadGuilds() {
         serverHelp.style.color  = "#f97373";
       } else {
         serverHelp.textContent =
-          "Only servers where you have Manage Server permission and the bot is installed are shown.";
+          "Only servers where the bot is installed and you have Manage Server permission or ChatPulse access are shown.";
         serverHelp.style.color = "#6b7280";
       }
     }
@@ -160,11 +503,23 @@ async function loadChannels(guildId) {
     const data = await response.json();
     if (data.success && data.channels) {
       channelSelect.innerHTML = '<option value="">Choose a channel...</option>';
+      channelNames = {};
+      channelInfo = {};
+      channelCapabilities = {};
+      archivedThreadsCursor = {};
+      // Channels arrive in Discord's order; one group per category
+      let group = null;
       data.channels.forEach((channel) => {
-        const option = document.createElement("option");
-        option.value = channel.id;
-        option.textContent = `# ${channel.name}`;
-        channelSelect.appendChild(option);
+        addChannelInfo(channel);
+        if (channel.categoryName && channel.categoryId !== group?.dataset.categoryId) {
+          group = document.createElement("optgroup");
+          group.label = channel.categoryName;
+          group.dataset.categoryId = channel.categoryId;
+          channelSelect.appendChild(group);
+        }
+        (channel.categoryName ? group : channelSelect).appendChild(
+          createChannelOption(channel)
+        );
       });
 
       if (data.channels.length === 0) {
@@ -181,52 +536,405 @@ async function loadChannels(guildId) {
   }
 }
 
-// Load messages from a channel
-async function loadMessages(channelId) {
+function addChannelInfo(channel) {
+  channelNames[channel.id] = channel.name;
+  channelInfo[channel.id] = channel;
+  channelCapabilities[channel.id] = channel.capabilities || [];
+}
+
+const CHANNEL_KIND_ICONS = {
+  text: "#",
+  announcement: "📢",
+  voice: "🔊",
+  forum: "💬",
+};
+
+function createChannelOption(channel) {
+  const option = document.createElement("option");
+  option.value = channel.id;
+  option.textContent =
+    channel.kind === "thread"
+      ? `└ 🧵 ${channel.name}${channel.archived ? " (archived)" : ""}`
+      : `${CHANNEL_KIND_ICONS[channel.kind] || "#"} ${channel.name}`;
+  // Channels where the bot can't read, send, embed or attach
+  if (channel.bot?.missing.length > 0) {
+    option.textContent += " ⚠";
+    option.title = `The bot is missing ${channel.bot.missing.join(", ")}`;
+  }
+  return option;
+}
+
+// Say what the bot can't do in the selected channel (from /channels)
+function updateBotChannelWarning() {
+  const bot = channelInfo[currentChannelId]?.bot;
+  if (!bot || bot.missing.length === 0) {
+    botChannelWarning.classList.add("hidden");
+    return;
+  }
+  const cannot = [
+    !bot.canRead && "read messages",
+    !bot.canSend && "send messages",
+    bot.canSend && !bot.canEmbed && "send embeds",
+    bot.canSend && !bot.canAttach && "send files",
+  ].filter(Boolean);
+  botChannelWarning.textContent = `⚠ The bot can't ${
+    cannot.length > 0 ? cannot.join(", ") : "do everything"
+  } here: it's missing ${bot.missing.join(", ")}.${
+    canInGuild("manage") ? ' See "🩺 Bot Health".' : ""
+  }`;
+  botChannelWarning.classList.remove("hidden");
+}
+
+// "text", "announcement", "voice", "forum" or "thread"
+function currentChannelKind() {
+  return channelInfo[currentChannelId]?.kind || null;
+}
+
+// Archived threads aren't in the channel list until asked for
+function updateArchivedThreadsButton() {
+  const kind = currentChannelKind();
+  const hasThreads = ["text", "announcement", "forum"].includes(kind);
+  archivedThreadsBtn.classList.toggle("hidden", !hasThreads);
+  archivedThreadsBtn.disabled = archivedThreadsCursor[currentChannelId] === null;
+}
+
+// Add a page of the selected channel's archived threads below it in the list
+async function loadArchivedThreads() {
+  const parentId = currentChannelId;
+  const params = new URLSearchParams();
+  if (archivedThreadsCursor[parentId]) {
+    params.set("before", archivedThreadsCursor[parentId]);
+  }
+
+  archivedThreadsBtn.disabled = true;
+  setStatus("sending", "Loading archived threads...");
+  try {
+    const response = await fetch(`/channels/${parentId}/threads/archived?${params}`);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to load archived threads");
+    }
+
+    // After the parent and any threads already listed under it
+    let anchor = channelSelect.querySelector(`option[value="${parentId}"]`);
+    while (
+      anchor.nextElementSibling &&
+      channelInfo[anchor.nextElementSibling.value]?.parentId === parentId
+    ) {
+      anchor = anchor.nextElementSibling;
+    }
+    const added = data.threads.filter((thread) => !channelInfo[thread.id]);
+    added.forEach((thread) => {
+      // Threads follow their parent channel's access
+      addChannelInfo({ ...thread, capabilities: channelCapabilities[parentId] });
+      const option = createChannelOption(thread);
+      anchor.after(option);
+      anchor = option;
+    });
+
+    archivedThreadsCursor[parentId] = data.before;
+    setStatus(
+      "success",
+      added.length > 0
+        ? `Added ${added.length} archived thread${added.length === 1 ? "" : "s"}`
+        : "No more archived threads"
+    );
+  } catch (error) {
+    console.error("Error loading archived threads:", error);
+    setStatus("error", error.message);
+  } finally {
+    updateArchivedThreadsButton();
+  }
+}
+
+// Render a forum channel's tags as checkboxes for a new post
+function renderForumTags() {
+  const tags = channelInfo[currentChannelId]?.availableTags || [];
+  forumTags.innerHTML = "";
+  if (tags.length === 0) {
+    forumTags.innerHTML = '<p class="help-text">This forum has no tags</p>';
+    return;
+  }
+  tags.forEach((tag) => {
+    const label = document.createElement("label");
+    label.className = "forum-tag";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = tag.id;
+    label.appendChild(checkbox);
+    label.appendChild(
+      document.createTextNode(` ${tag.emoji ? `${tag.emoji} ` : ""}${tag.name}`)
+    );
+    forumTags.appendChild(label);
+  });
+}
+
+function selectedForumTagIds() {
+  return [...forumTags.querySelectorAll("input:checked")].map((input) => input.value);
+}
+
+// Fetch one page of messages, oldest first.
+// cursor is { before }, { after } or {} for the latest messages.
+async function fetchMessagesPage(channelId, cursor = {}) {
+  const params = new URLSearchParams({ limit: MESSAGES_PAGE_SIZE, ...cursor });
+  const response = await fetch(`/messages/${channelId}?${params}`);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || "Failed to fetch messages");
+  }
+  botInfo = data.bot;
+  // Discord's order depends on the cursor, so sort by snowflake ID
+  return data.messages.sort((a, b) => compareSnowflakes(a.id, b.id));
+}
+
+function compareSnowflakes(a, b) {
+  const diff = BigInt(a) - BigInt(b);
+  return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+}
+
+// Convert a date to the smallest snowflake ID at that moment
+function dateToSnowflake(date) {
+  return ((BigInt(date.getTime()) - DISCORD_EPOCH) << 22n).toString();
+}
+
+// Load messages from a channel.
+// cursor {} loads the latest page, { after } loads from a point in time.
+async function loadMessages(channelId, cursor = {}) {
   try {
     messagesContainer.innerHTML = '<p class="empty-state">Loading messages...</p>';
     setStatus("sending", "Loading messages...");
+    loadingMessagesPage = true;
+    selectedMessageIds.clear();
+    messagesById.clear();
+    updateBulkDeleteButton();
 
-    const response = await fetch(`/messages/${channelId}?limit=10`);
-    if (!response.ok) {
-      throw new Error("Failed to fetch messages");
-    }
+    const messages = await fetchMessagesPage(channelId, cursor);
+    if (channelId !== currentChannelId) return;
 
-    const data = await response.json();
-    if (data.success && data.messages) {
-      if (data.messages.length === 0) {
-        messagesContainer.innerHTML =
-          '<p class="empty-state">No messages found in this channel</p>';
-      } else {
-        messagesContainer.innerHTML = "";
-        data.messages.forEach((msg) => {
-          const messageEl = createMessageElement(msg);
-          messagesContainer.appendChild(messageEl);
-        });
-        // Scroll to bottom
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
-      }
+    const fullPage = messages.length === MESSAGES_PAGE_SIZE;
+    hasOlderMessages = cursor.after ? true : fullPage;
+    hasNewerMessages = cursor.after ? fullPage : false;
+
+    if (messages.length === 0) {
+      oldestMessageId = cursor.after || null;
+      newestMessageId = cursor.after || null;
+      messagesContainer.innerHTML = cursor.after
+        ? '<p class="empty-state">No messages after this date</p>'
+        : '<p class="empty-state">No messages found in this channel</p>';
+    } else {
+      oldestMessageId = messages[0].id;
+      newestMessageId = messages[messages.length - 1].id;
+      messagesContainer.innerHTML = "";
+      messages.forEach((msg) => {
+        const messageEl = createMessageElement(msg);
+        messagesContainer.appendChild(messageEl);
+      });
+      // Latest messages: start at the bottom. Jump to date: start at the top.
+      messagesContainer.scrollTop = cursor.after ? 0 : messagesContainer.scrollHeight;
     }
     setStatus("idle", "");
   } catch (error) {
     console.error("Error loading messages:", error);
     messagesContainer.innerHTML =
-      '<p class="empty-state" style="color: #f97373;">Failed to load messages</p>';
+      '<p class="empty-state empty-state-error">Failed to load messages</p>';
     setStatus("error", "Failed to load messages");
+  } finally {
+    loadingMessagesPage = false;
+  }
+}
+
+// Prepend the page before the oldest loaded message, keeping the view steady
+async function loadOlderMessages() {
+  const channelId = currentChannelId;
+  loadingMessagesPage = true;
+  try {
+    const messages = await fetchMessagesPage(
+      channelId,
+      oldestMessageId ? { before: oldestMessageId } : {}
+    );
+    if (channelId !== currentChannelId) return;
+
+    hasOlderMessages = messages.length === MESSAGES_PAGE_SIZE;
+    if (messages.length === 0) return;
+    if (!messagesContainer.querySelector(".message-item")) {
+      messagesContainer.innerHTML = "";
+    }
+
+    const previousHeight = messagesContainer.scrollHeight;
+    const fragment = document.createDocumentFragment();
+    messages.forEach((msg) => fragment.appendChild(createMessageElement(msg)));
+    messagesContainer.prepend(fragment);
+    // Keep the message that was on screen in the same place
+    messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+
+    oldestMessageId = messages[0].id;
+    if (!newestMessageId) newestMessageId = messages[messages.length - 1].id;
+  } catch (error) {
+    console.error("Error loading older messages:", error);
+    setStatus("error", "Failed to load older messages");
+  } finally {
+    loadingMessagesPage = false;
+  }
+}
+
+// Append the page after the newest loaded message (after a date jump)
+async function loadNewerMessages() {
+  const channelId = currentChannelId;
+  loadingMessagesPage = true;
+  try {
+    const messages = await fetchMessagesPage(channelId, { after: newestMessageId });
+    if (channelId !== currentChannelId) return;
+
+    hasNewerMessages = messages.length === MESSAGES_PAGE_SIZE;
+    if (messages.length === 0) return;
+    if (!messagesContainer.querySelector(".message-item")) {
+      messagesContainer.innerHTML = "";
+    }
+
+    messages.forEach((msg) => {
+      messagesContainer.appendChild(createMessageElement(msg));
+    });
+    newestMessageId = messages[messages.length - 1].id;
+  } catch (error) {
+    console.error("Error loading newer messages:", error);
+    setStatus("error", "Failed to load newer messages");
+  } finally {
+    loadingMessagesPage = false;
+  }
+}
+
+// Show messages starting from the picked date
+async function jumpToDate() {
+  if (!currentChannelId || !jumpDateInput.value) {
+    setStatus("error", "Please pick a date to jump to");
+    return;
+  }
+
+  // A date input value is midnight UTC; use local midnight instead
+  const date = new Date(`${jumpDateInput.value}T00:00:00`);
+  if (date.getTime() < Number(DISCORD_EPOCH)) {
+    setStatus("error", "Discord messages start in 2015");
+    return;
+  }
+  await loadMessages(currentChannelId, { after: dateToSnowflake(date) });
+}
+
+// Subscribe to live message events for a channel
+function connectLiveEvents(channelId) {
+  disconnectLiveEvents();
+  liveEvents = new EventSource(`/events/${channelId}`);
+
+  liveEvents.addEventListener("status", (e) => {
+    const { connected } = JSON.parse(e.data);
+    liveIndicator.classList.toggle("hidden", !connected);
+  });
+  liveEvents.addEventListener("message_create", (e) => {
+    applyLiveCreate(JSON.parse(e.data));
+  });
+  liveEvents.addEventListener("message_update", (e) => {
+    applyLiveUpdate(JSON.parse(e.data));
+  });
+  liveEvents.addEventListener("message_delete", (e) => {
+    removeMessageElements(JSON.parse(e.data).id);
+  });
+  liveEvents.addEventListener("message_delete_bulk", (e) => {
+    JSON.parse(e.data).ids.forEach(removeMessageElements);
+  });
+  liveEvents.addEventListener("error", () => {
+    // EventSource reconnects by itself; just show we're not live right now
+    liveIndicator.classList.add("hidden");
+  });
+}
+
+function disconnectLiveEvents() {
+  if (liveEvents) {
+    liveEvents.close();
+    liveEvents = null;
+  }
+  liveIndicator.classList.add("hidden");
+}
+
+function findMessageElements(messageId) {
+  return document.querySelectorAll(`.message-item[data-message-id="${messageId}"]`);
+}
+
+// New message: append it if the latest page is showing
+function applyLiveCreate(msg) {
+  if (msg.channel_id !== currentChannelId || hasNewerMessages) return;
+  if (findMessageElements(msg.id).length > 0) return;
+
+  const nearBottom =
+    messagesContainer.scrollHeight -
+      messagesContainer.scrollTop -
+      messagesContainer.clientHeight <
+    80;
+  if (!messagesContainer.querySelector(".message-item")) {
+    messagesContainer.innerHTML = "";
   }
+  messagesContainer.appendChild(createMessageElement(msg));
+  newestMessageId = msg.id;
+  if (!oldestMessageId) oldestMessageId = msg.id;
+  if (nearBottom) {
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+}
+
+// Edited message: updates can be partial, so merge with what we have
+function applyLiveUpdate(update) {
+  const existing = messagesById.get(update.id);
+  if (!existing) return;
+  const merged = { ...existing, ...update };
+  findMessageElements(update.id).forEach((el) => {
+    el.replaceWith(createMessageElement(merged));
+  });
+}
+
+function removeMessageElements(messageId) {
+  findMessageElements(messageId).forEach((el) => el.remove());
+  messagesById.delete(messageId);
+  selectedMessageIds.delete(messageId);
+  updateBulkDeleteButton();
 }
 
 // Create message element
 function createMessageElement(msg) {
   const messageDiv = document.createElement("div");
-  messageDiv.className = "message-item";
+  messageDiv.className = msg.pinned ? "message-item message-pinned" : "message-item";
+  messageDiv.dataset.messageId = msg.id;
+  messagesById.set(msg.id, msg);
 
   const header = document.createElement("div");
   header.className = "message-header";
 
-  const author = document.createElement("span");
-  author.className = "message-author";
+  // Tick boxes for bulk delete when the bot can manage messages
+  // and the user has moderate access
+  if (botInfo?.canManageMessages && canInChannel("moderate")) {
+    const select = document.createElement("input");
+    select.type = "checkbox";
+    select.className = "message-select";
+    select.title = "Select for bulk delete";
+    select.checked = selectedMessageIds.has(msg.id);
+    select.addEventListener("change", () => {
+      if (select.checked) {
+        selectedMessageIds.add(msg.id);
+      } else {
+        selectedMessageIds.delete(msg.id);
+      }
+      updateBulkDeleteButton();
+    });
+    header.appendChild(select);
+  }
+
+  // Authors open in the members panel for moderators; webhook messages
+  // have no member behind them
+  const canOpenAuthor = msg.author && !msg.webhook_id && canInGuild("moderate");
+  const author = document.createElement(canOpenAuthor ? "button" : "span");
+  author.className = canOpenAuthor ? "message-author member-link" : "message-author";
   author.textContent = msg.author?.username || "Unknown User";
+  if (canOpenAuthor) {
+    author.title = "Moderate this member";
+    author.addEventListener("click", () => openMember(msg.author.id, true));
+  }
 
   const timestamp =  document.createElement("span");
   timestamp.className = "message-timestamp";
@@ -236,82 +944,2671 @@ function createMessageElement(msg) {
   header.appendChild(author);
   header.appendChild(timestamp);
 
+  const embeds = msg.embeds || [];
+  const stickers = msg.sticker_items || [];
+  const hasExtras =
+    embeds.length > 0 || stickers.length > 0 || (msg.attachments || []).length > 0;
+  rememberMentionedUsers(msg);
   const content = document.createElement("div");
   content.className = "message-content";
-  content.textContent = msg.content || "(No content)";
+  if (msg.content) {
+    content.appendChild(renderMessageMarkdown(msg.content));
+  } else if (!hasExtras) {
+    content.textContent = "(No content)";
+  }
 
+  // Replies (message_reference type 0); forwards are type 1
+  if (msg.message_reference && (msg.message_reference.type ?? 0) === 0) {
+    messageDiv.appendChild(createReplyElement(msg));
+  }
   messageDiv.appendChild(header);
   messageDiv.appendChild(content);
+  if (stickers.length > 0) {
+    messageDiv.appendChild(createStickersElement(stickers));
+  }
+  if (msg.attachments && msg.attachments.length > 0) {
+    messageDiv.appendChild(createAttachmentsElement(msg.attachments));
+  }
+  embeds.forEach((embed) => {
+    messageDiv.appendChild(createEmbedElement(embed));
+  });
+  if (msg.reactions && msg.reactions.length > 0) {
+    messageDiv.appendChild(createReactionsElement(msg, messageDiv));
+  }
+
+  const actions = createMessageActions(msg, messageDiv);
+  if (actions) {
+    messageDiv.appendChild(actions);
+  }
 
   return messageDiv;
 }
 
-// Clear messages
-function clearMessages() {
-  messagesContainer.innerHTML =
-    '<p class="empty-state">Select a channel to view messages</p>';
+// Render message text, showing the mention names already known
+function renderMessageMarkdown(text) {
+  const fragment = renderMarkdown(text, { resolveMention: knownMention });
+  if (fragment.querySelector(".md-mention-pending")) {
+    scheduleMentionLookup();
+  }
+  return fragment;
 }
 
-// Send message
-async function sendMessage() {
-  if (!currentChannelId) {
-    setStatus("error", "Please select a channel first");
-    return;
+// { name, color } for a mention, null if it doesn't exist, undefined if unknown
+function knownMention(type, id) {
+  if (type === "channel" && channelNames[id]) {
+    return { name: channelNames[id] };
   }
+  return mentionNames.get(`${type}:${id}`);
+}
 
-  const message = messageInput.value.trim();
-  if (!message) {
-    setStatus("error", "Please enter a message");
-    return;
+// Messages list the users they mention, so those need no lookup
+function rememberMentionedUsers(msg) {
+  const users = [...(msg.mentions || [])];
+  if (msg.referenced_message?.author) users.push(msg.referenced_message.author);
+  for (const user of users) {
+    mentionNames.set(`user:${user.id}`, {
+      name: user.member?.nick || user.global_name || user.username,
+      username: user.username,
+    });
   }
+}
 
-  setStatus("sending", "Sending message...");
-  sendBtn.disabled = true;
+// Look up the pending mentions shortly after a batch of messages is shown
+function scheduleMentionLookup() {
+  clearTimeout(mentionLookupTimer);
+  mentionLookupTimer = setTimeout(resolvePendingMentions, 100);
+}
 
-  try {
-    const response = await fetch("/send-message", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        channelId: currentChannelId,
-        message: message,
-      }),
+async function resolvePendingMentions() {
+  const guildId = currentGuildId;
+  const pending = [...document.querySelectorAll(".md-mention-pending")];
+  const fillKnown = () => {
+    pending.forEach((span) => {
+      const resolved = knownMention(span.dataset.mentionType, span.dataset.id);
+      if (resolved !== undefined) fillMention(span, resolved);
     });
+  };
+  fillKnown();
+  if (!guildId) return;
 
-    const data = await response.json();
+  const wanted = { user: new Set(), role: new Set(), channel: new Set() };
+  pending.forEach((span) => {
+    const { mentionType, id } = span.dataset;
+    if (knownMention(mentionType, id) === undefined) wanted[mentionType].add(id);
+  });
+  const users = [...wanted.user].slice(0, MAX_MENTION_USERS);
+  const roles = [...wanted.role].slice(0, MAX_MENTION_IDS - users.length);
+  const channels = [...wanted.channel].slice(0, MAX_MENTION_IDS - users.length - roles.length);
+  if (users.length + roles.length + channels.length === 0) return;
 
+  try {
+    const params = new URLSearchParams({
+      users: users.join(","),
+      roles: roles.join(","),
+      channels: channels.join(","),
+    });
+    const response = await fetch(`/guilds/${guildId}/mentions?${params}`);
+    const data = await response.json();
     if (!response.ok || !data.success) {
-      throw new Error(data.error || "Failed to send message");
+      throw new Error(data.error || "Failed to resolve mentions");
     }
+    if (guildId !== currentGuildId) return;
 
-    setStatus("success", "Message sent successfully!");
-    messageInput.value = "";
-    
-    // Reload messages after a short delay
-    setTimeout(() => {
-      loadMessages(currentChannelId);
-    }, 500);
+    Object.entries(data.users).forEach(([id, user]) => mentionNames.set(`user:${id}`, user));
+    Object.entries(data.roles).forEach(([id, role]) => mentionNames.set(`role:${id}`, role));
+    Object.entries(data.channels).forEach(([id, name]) =>
+      mentionNames.set(`channel:${id}`, name === null ? null : { name })
+    );
+    fillKnown();
+    // More than one request's worth: ask for the rest
+    const asked = users.length + roles.length + channels.length;
+    if (asked < wanted.user.size + wanted.role.size + wanted.channel.size) {
+      scheduleMentionLookup();
+    }
   } catch (error) {
-    console.error("Error sending message:", error);
-    setStatus("error", error.message || "Failed to send message");
-  } finally {
-    sendBtn.disabled = false;
+    // Leave them as IDs
+    console.error("Error resolving mentions:", error);
   }
 }
 
-// Set status text
-function setStatus(state, text) {
-  statusText.textContent = text;
-  statusText.classList.remove("status-sending", "status-success", "status-error");
+// "Replying to @name: text" above a reply, or a note if the original is gone
+function createReplyElement(msg) {
+  const reply = document.createElement("div");
+  reply.className = "message-reply";
+  const original = msg.referenced_message;
+  if (!original) {
+    reply.textContent = "↪ Original message was deleted";
+    return reply;
+  }
 
-  if (state === "sending") statusText.classList.add("status-sending");
-  if (state === "success") statusText.classList.add("status-success");
-  if (state === "error") statusText.classList.add("status-error");
-  if (state === "idle") {
-    // Keep current classes but clear text
+  const author = document.createElement("span");
+  author.className = "message-reply-author";
+  author.textContent = `↪ @${original.author?.global_name || original.author?.username || "Unknown User"}`;
+  const text = document.createElement("span");
+  text.className = "message-reply-content";
+  // One line of plain text is enough to recognize it
+  const firstLine = (original.content || "").split("\n")[0];
+  text.textContent =
+    firstLine.length > 100
+      ? `${firstLine.slice(0, 100)}…`
+      : firstLine || "Click to see attachment";
+  reply.append(author, text);
+
+  // Jump to the original if it is loaded
+  reply.addEventListener("click", () => {
+    const target = messagesContainer.querySelector(`[data-message-id="${original.id}"]`);
+    if (target) {
+      target.scrollIntoView({ behavior: "smooth", block: "center" });
+      target.classList.add("message-highlight");
+      setTimeout(() => target.classList.remove("message-highlight"), 1500);
+    }
+  });
+  return reply;
+}
+
+// Sticker format types: 1 PNG, 2 APNG, 3 Lottie, 4 GIF
+function createStickersElement(stickers) {
+  const container = document.createElement("div");
+  container.className = "message-stickers";
+  stickers.forEach((sticker) => {
+    if (sticker.format_type === 3) {
+      // Lottie stickers need a player; show their name instead
+      const name = document.createElement("span");
+      name.className = "message-sticker-name";
+      name.textContent = `[Sticker: ${sticker.name}]`;
+      container.appendChild(name);
+      return;
+    }
+    const image = document.createElement("img");
+    image.className = "message-sticker";
+    image.src = `https://media.discordapp.net/stickers/${encodeURIComponent(sticker.id)}.${
+      sticker.format_type === 4 ? "gif" : "png"
+    }?size=160`;
+    image.alt = sticker.name;
+    image.title = sticker.name;
+    container.appendChild(image);
+  });
+  return container;
+}
+
+// A reaction's emoji as the API wants it in a path: "👍" or "name:id"
+function reactionEmojiKey(emoji) {
+  return emoji.id ? `${emoji.name}:${emoji.id}` : emoji.name;
+}
+
+// Reaction counts; with post access, clicking one adds or removes the
+// bot's own reaction
+function createReactionsElement(msg, messageDiv) {
+  const container = document.createElement("div");
+  container.className = "message-reactions";
+  const canReact = canInChannel("post");
+
+  msg.reactions.forEach((reaction) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = reaction.me ? "reaction-btn reaction-own" : "reaction-btn";
+    button.disabled = !canReact;
+    const { emoji } = reaction;
+    if (emoji.id) {
+      const image = document.createElement("img");
+      image.className = "md-emoji";
+      image.src = `https://cdn.discordapp.com/emojis/${encodeURIComponent(emoji.id)}.${
+        emoji.animated ? "gif" : "png"
+      }?size=48`;
+      image.alt = `:${emoji.name}:`;
+      button.appendChild(image);
+    } else {
+      button.appendChild(document.createTextNode(emoji.name));
+    }
+    const count = document.createElement("span");
+    count.className = "reaction-count";
+    count.textContent = reaction.count;
+    button.appendChild(count);
+    button.title = reaction.me
+      ? `:${emoji.name}: (click to remove the bot's reaction)`
+      : `:${emoji.name}:`;
+    button.addEventListener("click", () =>
+      toggleReaction(msg, messageDiv, reactionEmojiKey(emoji), !reaction.me)
+    );
+    container.appendChild(button);
+  });
+  return container;
+}
+
+async function toggleReaction(msg, messageDiv, emoji, add) {
+  try {
+    const data = await messageRequest(
+      `/messages/${msg.channel_id}/${msg.id}/reactions/${encodeURIComponent(emoji)}`,
+      add ? "PUT" : "DELETE"
+    );
+    messageDiv.replaceWith(createMessageElement(data.message));
+    setStatus("success", add ? "Reaction added" : "Reaction removed");
+  } catch (error) {
+    console.error("Error changing reaction:", error);
+    setStatus("error", error.message);
   }
 }
 
+// Ask for an emoji to react with: "👍", "name:id" or <:name:id> for custom
+function promptReaction(msg, messageDiv) {
+  const input = prompt("React with which emoji? (e.g. 👍, or name:id for a custom emoji)");
+  const value = input?.trim();
+  if (!value) return;
+  const custom = /^(?:<a?:)?(\w{2,32}):(\d{17,20})>?$/.exec(value);
+  toggleReaction(msg, messageDiv, custom ? `${custom[1]}:${custom[2]}` : value, true);
+}
+
+// Hover actions: edit the bot's own messages and react (post access), delete
+// the bot's own messages, delete anything and pin/unpin when the bot has
+// Manage Messages (moderate access)
+function createMessageActions(msg, messageDiv) {
+  if (!botInfo) return null;
+  const isOwn = msg.author?.id === botInfo.id;
+  const canManage = botInfo.canManageMessages;
+  const canReact = canInChannel("post");
+  const canEdit = isOwn && canReact;
+  const canModerate = canInChannel("moderate");
+  const canDelete = canModerate && (isOwn || canManage);
+  // Announcement messages not yet published (crossposted, flag 1 << 0)
+  const canPublish =
+    currentChannelKind() === "announcement" &&
+    !(msg.flags & 1) &&
+    (isOwn ? canInChannel("post") : canModerate && canManage);
+  if (!canEdit && !canReact && !canDelete && !canPublish) return null;
+
+  const actions = document.createElement("div");
+  actions.className = "message-actions";
+
+  if (canEdit) {
+    actions.appendChild(
+      createSmallButton("Edit", () => startEditingMessage(msg, messageDiv))
+    );
+  }
+  if (canReact) {
+    actions.appendChild(
+      createSmallButton("React", () => promptReaction(msg, messageDiv))
+    );
+  }
+  if (canPublish) {
+    actions.appendChild(
+      createSmallButton("Publish", () => publishMessage(msg, messageDiv))
+    );
+  }
+  if (canModerate && canManage) {
+    actions.appendChild(
+      createSmallButton(msg.pinned ? "Unpin" : "Pin", () =>
+        togglePinMessage(msg, messageDiv)
+      )
+    );
+  }
+  if (canDelete) {
+    const deleteBtn = createSmallButton("Delete", () =>
+      deleteMessageItem(msg, messageDiv)
+    );
+    deleteBtn.classList.add("danger-btn");
+    actions.appendChild(deleteBtn);
+  }
+
+  return actions;
+}
+
+function canInGuild(capability) {
+  return (guildCapabilities[currentGuildId] || []).includes(capability);
+}
+
+function canInChannel(capability) {
+  return (channelCapabilities[currentChannelId] || []).includes(capability);
+}
+
+// Send a message management request and return the parsed response
+async function messageRequest(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || "Request failed");
+  }
+  return data;
+}
+
+// Replace the content with an inline editor
+function startEditingMessage(msg, messageDiv) {
+  const content = messageDiv.querySelector(".message-content");
+  const editor = document.createElement("textarea");
+  editor.className = "message-edit-input";
+  editor.value = msg.content || "";
+
+  const actions = document.createElement("div");
+  actions.className = "job-actions";
+  const save = createSmallButton("Save", async () => {
+    try {
+      setStatus("sending", "Saving message...");
+      const data = await messageRequest(
+        `/messages/${msg.channel_id}/${msg.id}`,
+        "PATCH",
+        { message: editor.value.trim() }
+      );
+      messageDiv.replaceWith(createMessageElement(data.message));
+      setStatus("success", "Message edited");
+    } catch (error) {
+      console.error("Error editing message:", error);
+      setStatus("error", error.message);
+    }
+  });
+  const cancel = createSmallButton("Cancel", () => {
+    messageDiv.replaceWith(createMessageElement(msg));
+  });
+  actions.append(save, cancel);
 
+  content.replaceWith(editor);
+  editor.after(actions);
+  editor.focus();
+}
+
+async function deleteMessageItem(msg, messageDiv) {
+  if (!confirm("Delete this message from Discord?")) return;
+  try {
+    await messageRequest(`/messages/${msg.channel_id}/${msg.id}`, "DELETE");
+    messageDiv.remove();
+    selectedMessageIds.delete(msg.id);
+    updateBulkDeleteButton();
+    setStatus("success", "Message deleted");
+  } catch (error) {
+    console.error("Error deleting message:", error);
+    setStatus("error", error.message);
+  }
+}
+
+async function togglePinMessage(msg, messageDiv) {
+  try {
+    await messageRequest(
+      `/messages/${msg.channel_id}/${msg.id}/pin`,
+      msg.pinned ? "DELETE" : "PUT"
+    );
+    const updated = { ...msg, pinned: !msg.pinned };
+    messageDiv.replaceWith(createMessageElement(updated));
+    setStatus("success", updated.pinned ? "Message pinned" : "Message unpinned");
+    if (!pinnedContainer.classList.contains("hidden")) {
+      loadPinnedMessages();
+    }
+  } catch (error) {
+    console.error("Error pinning message:", error);
+    setStatus("error", error.message);
+  }
+}
+
+// Send an announcement channel message to the channels following it
+async function publishMessage(msg, messageDiv) {
+  try {
+    await messageRequest(`/messages/${msg.channel_id}/${msg.id}/crosspost`, "POST");
+    const updated = { ...msg, flags: (msg.flags || 0) | 1 };
+    messageDiv.replaceWith(createMessageElement(updated));
+    setStatus("success", "Message published");
+  } catch (error) {
+    console.error("Error publishing message:", error);
+    setStatus("error", error.message);
+  }
+}
+
+function updateBulkDeleteButton() {
+  bulkDeleteBtn.classList.toggle("hidden", selectedMessageIds.size < 2);
+  bulkDeleteBtn.textContent = `Delete selected (${selectedMessageIds.size})`;
+}
+
+async function bulkDeleteSelected() {
+  const ids = [...selectedMessageIds];
+  if (!confirm(`Delete ${ids.length} messages from Discord?`)) return;
+  try {
+    setStatus("sending", "Deleting messages...");
+    await messageRequest(`/messages/${currentChannelId}/bulk-delete`, "POST", {
+      messageIds: ids,
+    });
+    ids.forEach((id) => {
+      messagesContainer.querySelector(`[data-message-id="${id}"]`)?.remove();
+    });
+    selectedMessageIds.clear();
+    updateBulkDeleteButton();
+    setStatus("success", `Deleted ${ids.length} messages`);
+  } catch (error) {
+    console.error("Error bulk deleting messages:", error);
+    setStatus("error", error.message);
+  }
+}
+
+// Show the channel's pinned messages above the message list
+async function loadPinnedMessages() {
+  if (!currentChannelId) return;
+  pinnedContainer.classList.remove("hidden");
+  pinnedContainer.innerHTML = '<p class="empty-state">Loading pinned messages...</p>';
+
+  try {
+    const response = await fetch(`/messages/${currentChannelId}/pins`);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to fetch pinned messages");
+    }
+
+    botInfo = data.bot;
+    pinnedContainer.innerHTML = "";
+    if (data.messages.length === 0) {
+      pinnedContainer.innerHTML =
+        '<p class="empty-state">No pinned messages in this channel</p>';
+      return;
+    }
+    data.messages.forEach((msg) => {
+      pinnedContainer.appendChild(createMessageElement(msg));
+    });
+  } catch (error) {
+    console.error("Error loading pinned messages:", error);
+    pinnedContainer.innerHTML =
+      '<p class="empty-state empty-state-error">Failed to load pinned messages</p>';
+  }
+}
+
+function hidePinnedMessages() {
+  pinnedContainer.classList.add("hidden");
+  pinnedContainer.innerHTML = "";
+}
+
+// Clear messages
+function clearMessages() {
+  messagesContainer.innerHTML =
+    '<p class="empty-state">Select a channel to view messages</p>';
+}
+
+// Send message
+async function sendMessage() {
+  if (!currentChannelId) {
+    setStatus("error", "Please select a channel first");
+    return;
+  }
+
+  const message = messageInput.value.trim();
+  const embed = embedComposer.open ? buildComposerEmbed() : null;
+  if (!message && !embed && pendingFiles.length === 0) {
+    setStatus("error", "Please enter a message, add an embed or attach a file");
+    return;
+  }
+  if (embed) {
+    const errors = validateComposerEmbed(embed);
+    if (errors.length > 0) {
+      setStatus("error", errors[0]);
+      return;
+    }
+  }
+
+  const isForum = currentChannelKind() === "forum";
+  const title = forumTitleInput.value.trim();
+  if (isForum && !title) {
+    setStatus("error", "A forum post needs a title");
+    return;
+  }
+
+  setStatus("sending", isForum ? "Creating post..." : "Sending message...");
+  sendBtn.disabled = true;
+
+  try {
+    const payload = isForum
+      ? {
+          title,
+          message: message,
+          embeds: embed ? [embed] : [],
+          tagIds: selectedForumTagIds(),
+        }
+      : {
+          channelId: currentChannelId,
+          message: message,
+          embeds: embed ? [embed] : [],
+          publish: publishToggle.checked,
+          personaId: personaSelect.value,
+        };
+    // The channel also goes in the query: the server checks access before
+    // it reads a multipart body
+    const response = await fetch(
+      isForum
+        ? `/forums/${currentChannelId}/posts`
+        : `/send-message?channelId=${encodeURIComponent(currentChannelId)}`,
+      pendingFiles.length > 0
+        ? { method: "POST", body: buildMessageFormData(payload) }
+        : {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify(payload),
+          }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to send message");
+    }
+
+    if (data.publishError) {
+      setStatus("error", `Message sent, but publishing failed: ${data.publishError}`);
+    } else if (isForum) {
+      setStatus("success", "Post created!");
+    } else {
+      setStatus(
+        "success",
+        data.published ? "Message sent and published!" : "Message sent successfully!"
+      );
+    }
+    messageInput.value = "";
+    if (embed) clearEmbedComposer();
+    pendingFiles = [];
+    renderPendingFiles();
+
+    if (isForum) {
+      forumTitleInput.value = "";
+      forumTags.querySelectorAll("input").forEach((input) => (input.checked = false));
+      // The new post shows up as a thread under the forum
+      await loadChannels(currentGuildId);
+      channelSelect.value = currentChannelId;
+      updateArchivedThreadsButton();
+      return;
+    }
+    
+    // The live stream shows the new message; otherwise reload after a short delay
+    if (!liveEvents || liveEvents.readyState !== EventSource.OPEN) {
+      setTimeout(() => {
+        loadMessages(currentChannelId);
+      }, 500);
+    }
+  } catch (error) {
+    console.error("Error sending message:", error);
+    setStatus("error", error.message || "Failed to send message");
+  } finally {
+    sendBtn.disabled = false;
+  }
+}
+
+// Inline thumbnails for images, download links for everything else
+function createAttachmentsElement(attachments) {
+  const container = document.createElement("div");
+  container.className = "message-attachments";
+
+  attachments.forEach((attachment) => {
+    if (!isHttpUrl(attachment.url)) return;
+
+    const link = document.createElement("a");
+    link.href = attachment.url;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+
+    if (attachment.content_type?.startsWith("image/")) {
+      const image = document.createElement("img");
+      image.className = "attachment-thumbnail";
+      image.src = attachment.proxy_url || attachment.url;
+      image.alt = attachment.filename;
+      image.loading = "lazy";
+      link.appendChild(image);
+    } else {
+      link.className = "attachment-file";
+      link.download = attachment.filename;
+      link.textContent = `📎 ${attachment.filename} (${formatFileSize(attachment.size)})`;
+    }
+    container.appendChild(link);
+  });
+
+  return container;
+}
+
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+// Add files to the next message, enforcing the upload limits
+function addPendingFiles(fileList) {
+  for (const file of fileList) {
+    if (pendingFiles.length >= MAX_ATTACHMENTS) {
+      setStatus("error", `You can attach at most ${MAX_ATTACHMENTS} files`);
+      break;
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      setStatus("error", `${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`);
+      continue;
+    }
+    const total = pendingFiles.reduce((sum, f) => sum + f.size, 0) + file.size;
+    if (total > MAX_TOTAL_ATTACHMENT_SIZE) {
+      setStatus(
+        "error",
+        `Attachments can be at most ${formatFileSize(MAX_TOTAL_ATTACHMENT_SIZE)} in total`
+      );
+      continue;
+    }
+    pendingFiles.push(file);
+  }
+  renderPendingFiles();
+}
+
+function renderPendingFiles() {
+  attachmentList.innerHTML = "";
+  pendingFiles.forEach((file, i) => {
+    const item = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = `📎 ${file.name} (${formatFileSize(file.size)})`;
+    const remove = createSmallButton("Remove", () => {
+      pendingFiles.splice(i, 1);
+      renderPendingFiles();
+    });
+    remove.classList.add("danger-btn");
+    item.append(name, remove);
+    attachmentList.appendChild(item);
+  });
+}
+
+// Multipart body for messages with files (embeds and tag IDs travel as JSON text)
+function buildMessageFormData(payload) {
+  const formData = new FormData();
+  for (const [key, value] of Object.entries(payload)) {
+    formData.append(key, typeof value === "object" ? JSON.stringify(value) : String(value));
+  }
+  pendingFiles.forEach((file) => formData.append("files", file, file.name));
+  return formData;
+}
+
+// Create embed element (used for received messages and the composer preview)
+function createEmbedElement(embed) {
+  const embedDiv = document.createElement("div");
+  embedDiv.className = "embed";
+  if (typeof embed.color === "number") {
+    embedDiv.style.borderLeftColor = `#${embed.color.toString(16).padStart(6, "0")}`;
+  }
+
+  const body = document.createElement("div");
+
+  if (embed.author?.name) {
+    const author = document.createElement("div");
+    author.className = "embed-author";
+    author.textContent = embed.author.name;
+    body.appendChild(author);
+  }
+
+  if (embed.title) {
+    const title = document.createElement("div");
+    title.className = "embed-title";
+    if (embed.url && isHttpUrl(embed.url)) {
+      const link = document.createElement("a");
+      link.href = embed.url;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = embed.title;
+      title.appendChild(link);
+    } else {
+      title.textContent = embed.title;
+    }
+    body.appendChild(title);
+  }
+
+  if (embed.description) {
+    const description = document.createElement("div");
+    description.className = "embed-description";
+    description.appendChild(renderMessageMarkdown(embed.description));
+    body.appendChild(description);
+  }
+
+  if (embed.fields && embed.fields.length > 0) {
+    const fields = document.createElement("div");
+    fields.className = "embed-fields";
+    embed.fields.forEach((field) => {
+      const fieldDiv = document.createElement("div");
+      fieldDiv.className = field.inline ? "embed-field embed-field-inline" : "embed-field";
+      const name = document.createElement("div");
+      name.className = "embed-field-name";
+      name.textContent = field.name;
+      const value = document.createElement("div");
+      value.className = "embed-field-value";
+      value.appendChild(renderMessageMarkdown(field.value));
+      fieldDiv.appendChild(name);
+      fieldDiv.appendChild(value);
+      fields.appendChild(fieldDiv);
+    });
+    body.appendChild(fields);
+  }
+
+  const imageUrl = embed.image?.proxy_url || embed.image?.url;
+  if (imageUrl && isHttpUrl(imageUrl)) {
+    const image = document.createElement("img");
+    image.className = "embed-image";
+    image.src = imageUrl;
+    image.alt = "";
+    body.appendChild(image);
+  }
+
+  if (embed.footer?.text || embed.timestamp) {
+    const footer = document.createElement("div");
+    footer.className = "embed-footer";
+    footer.textContent = [
+      embed.footer?.text,
+      embed.timestamp ? new Date(embed.timestamp).toLocaleString() : null,
+    ]
+      .filter(Boolean)
+      .join(" • ");
+    body.appendChild(footer);
+  }
+
+  embedDiv.appendChild(body);
+
+  const thumbnailUrl = embed.thumbnail?.proxy_url || embed.thumbnail?.url;
+  if (thumbnailUrl && isHttpUrl(thumbnailUrl)) {
+    const thumbnail = document.createElement("img");
+    thumbnail.className = "embed-thumbnail";
+    thumbnail.src = thumbnailUrl;
+    thumbnail.alt = "";
+    embedDiv.appendChild(thumbnail);
+  }
+
+  return embedDiv;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Add a name/value/inline row to the embed fields editor
+function addEmbedFieldRow() {
+  const row = document.createElement("div");
+  row.className = "embed-field-row";
+
+  const name = document.createElement("input");
+  name.type = "text";
+  name.placeholder = "Name";
+  name.className = "embed-field-name-input";
+
+  const value = document.createElement("input");
+  value.type = "text";
+  value.placeholder = "Value";
+  value.className = "embed-field-value-input";
+
+  const inlineLabel = document.createElement("label");
+  const inline = document.createElement("input");
+  inline.type = "checkbox";
+  inline.className = "embed-field-inline-input";
+  inlineLabel.appendChild(inline);
+  inlineLabel.append(" Inline");
+
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "small-btn danger-btn";
+  remove.textContent = "✕";
+  remove.addEventListener("click", () => {
+    row.remove();
+    updateEmbedPreview();
+  });
+
+  row.append(name, value, inlineLabel, remove);
+  embedFieldsEditor.appendChild(row);
+}
+
+// Build the embed object from the composer form (null when empty)
+function buildComposerEmbed() {
+  const embed = {};
+  const title = embedTitleInput.value.trim();
+  const description = embedDescriptionInput.value.trim();
+  const footer = embedFooterInput.value.trim();
+  const image = embedImageInput.value.trim();
+  const thumbnail = embedThumbnailInput.value.trim();
+
+  if (title) embed.title = title;
+  if (description) embed.description = description;
+  if (footer) embed.footer = { text: footer };
+  if (image) embed.image = { url: image };
+  if (thumbnail) embed.thumbnail = { url: thumbnail };
+
+  const fields = [...embedFieldsEditor.querySelectorAll(".embed-field-row")]
+    .map((row) => ({
+      name: row.querySelector(".embed-field-name-input").value.trim(),
+      value: row.querySelector(".embed-field-value-input").value.trim(),
+      inline: row.querySelector(".embed-field-inline-input").checked,
+    }))
+    .filter((field) => field.name || field.value);
+  if (fields.length > 0) embed.fields = fields;
+
+  if (Object.keys(embed).length === 0) return null;
+  embed.color = parseInt(embedColorInput.value.slice(1), 16);
+  return embed;
+}
+
+// Check the composer embed against Discord's limits
+function validateComposerEmbed(embed) {
+  const errors = [];
+  const check = (label, value, max) => {
+    if (value && value.length > max) {
+      errors.push(`${label} is too long (${value.length}/${max})`);
+    }
+    return value ? value.length : 0;
+  };
+
+  let total = 0;
+  total += check("Title", embed.title, EMBED_LIMITS.title);
+  total += check("Description", embed.description, EMBED_LIMITS.description);
+  total += check("Footer", embed.footer?.text, EMBED_LIMITS.footerText);
+
+  const fields = embed.fields || [];
+  if (fields.length > EMBED_LIMITS.fields) {
+    errors.push(`Too many fields (${fields.length}/${EMBED_LIMITS.fields})`);
+  }
+  fields.forEach((field, i) => {
+    if (!field.name || !field.value) {
+      errors.push(`Field ${i + 1} needs both a name and a value`);
+    }
+    total += check(`Field ${i + 1} name`, field.name, EMBED_LIMITS.fieldName);
+    total += check(`Field ${i + 1} value`, field.value, EMBED_LIMITS.fieldValue);
+  });
+
+  if (embed.image && !isHttpUrl(embed.image.url)) {
+    errors.push("Image URL must start with http:// or https://");
+  }
+  if (embed.thumbnail && !isHttpUrl(embed.thumbnail.url)) {
+    errors.push("Thumbnail URL must start with http:// or https://");
+  }
+  if (total > EMBED_LIMITS.total) {
+    errors.push(`Embed text is too long in total (${total}/${EMBED_LIMITS.total})`);
+  }
+
+  return errors;
+}
+
+// Re-render the composer preview and limit errors
+function updateEmbedPreview() {
+  const embed = buildComposerEmbed();
+  embedPreview.innerHTML = "";
+  embedErrors.textContent = "";
+
+  if (!embed) {
+    embedPreview.innerHTML =
+      '<p class="help-text">Fill in the form to preview your embed</p>';
+    return;
+  }
+
+  embedPreview.appendChild(createEmbedElement(embed));
+  embedErrors.textContent = validateComposerEmbed(embed).join(" · ");
+}
+
+function clearEmbedComposer() {
+  embedForm.querySelectorAll('input[type="text"], textarea').forEach((input) => {
+    input.value = "";
+  });
+  embedColorInput.value = "#6366f1";
+  embedFieldsEditor.innerHTML = "";
+  updateEmbedPreview();
+}
+
+// Set status text (defaults to the Send Message status line)
+function setStatus(state, text, element = statusText) {
+  element.textContent = text;
+  element.classList.remove("status-sending", "status-success", "status-error");
+
+  if (state === "sending") element.classList.add("status-sending");
+  if (state === "success") element.classList.add("status-success");
+  if (state === "error") element.classList.add("status-error");
+  if (state === "idle") {
+    // Keep current classes but clear text
+  }
+}
+
+// Enable or disable the schedule form (needs a selected channel)
+function setScheduleFormEnabled(enabled) {
+  [
+    scheduleMessageInput,
+    scheduleTypeSelect,
+    scheduleRunAtInput,
+    scheduleCronInput,
+    scheduleTimezoneInput,
+    scheduleBtn,
+  ].forEach((el) => {
+    el.disabled = !enabled;
+  });
+  if (enabled && !scheduleTimezoneInput.value) {
+    scheduleTimezoneInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+}
+
+// Show the date picker for one-off jobs, cron + timezone for recurring ones
+function updateScheduleFields() {
+  const recurring = scheduleTypeSelect.value === "cron";
+  scheduleRunAtGroup.classList.toggle("hidden", recurring);
+  scheduleCronGroup.classList.toggle("hidden", !recurring);
+  scheduleTimezoneGroup.classList.toggle("hidden", !recurring);
+}
+
+// Load scheduled jobs for the selected server
+async function loadScheduledJobs() {
+  if (!currentGuildId) return;
+
+  try {
+    const response = await fetch(`/guilds/${currentGuildId}/scheduled`);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to fetch scheduled messages");
+    }
+
+    scheduledList.innerHTML = "";
+    if (data.jobs.length === 0) {
+      scheduledList.innerHTML =
+        '<p class="empty-state">No scheduled messages in this server</p>';
+      return;
+    }
+    data.jobs.forEach((job) => {
+      scheduledList.appendChild(createJobElement(job));
+    });
+  } catch (error) {
+    console.error("Error loading scheduled jobs:", error);
+    scheduledList.innerHTML =
+      '<p class="empty-state empty-state-error">Failed to load scheduled messages</p>';
+  }
+}
+
+// Create scheduled job element
+function createJobElement(job) {
+  const jobDiv = document.createElement("div");
+  jobDiv.className = `job-item job-${job.status}`;
+
+  const header = document.createElement("div");
+  header.className = "job-header";
+
+  const target = document.createElement("span");
+  const channelName = channelNames[job.channelId] || job.channelId;
+  const schedule =
+    job.type === "cron"
+      ? `${job.cron} (${job.timezone})`
+      : `once at ${new Date(job.runAt).toLocaleString()}`;
+  target.textContent = `# ${channelName} · ${schedule}`;
+
+  const status = document.createElement("span");
+  status.className = "job-status";
+  status.textContent = job.status;
+
+  header.appendChild(target);
+  header.appendChild(status);
+
+  const message = document.createElement("div");
+  message.className = "job-message";
+  message.textContent = job.message;
+
+  const details = document.createElement("div");
+  details.className = "job-header";
+  details.textContent = job.nextRunAt
+    ? `Next run: ${new Date(job.nextRunAt).toLocaleString()}`
+    : "No upcoming runs";
+  if (job.createdBy?.username) {
+    details.textContent += ` · Created by ${job.createdBy.username}`;
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "job-actions";
+  if (job.status === "active") {
+    actions.appendChild(createSmallButton("Pause", () => jobAction(job, "pause")));
+  }
+  if (job.status === "paused") {
+    actions.appendChild(createSmallButton("Resume", () => jobAction(job, "resume")));
+  }
+  const deleteBtn = createSmallButton("Delete", () => {
+    if (confirm("Delete this scheduled message and its history?")) {
+      jobAction(job, "delete");
+    }
+  });
+  deleteBtn.classList.add("danger-btn");
+  actions.appendChild(deleteBtn);
+
+  jobDiv.appendChild(header);
+  jobDiv.appendChild(message);
+  jobDiv.appendChild(details);
+  jobDiv.appendChild(actions);
+
+  if (job.history && job.history.length > 0) {
+    jobDiv.appendChild(createJobHistoryElement(job.history));
+  }
+
+  return jobDiv;
+}
+
+function createSmallButton(label, onClick) {
+  const button = document.createElement("button");
+  button.className = "small-btn";
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+// Collapsible run history, newest first
+function createJobHistoryElement(history) {
+  const historyEl = document.createElement("details");
+  historyEl.className = "job-history";
+
+  const failures = history.filter((entry) => !entry.success).length;
+  const summary = document.createElement("summary");
+  summary.textContent = `Run history (${history.length} runs, ${failures} failed)`;
+  historyEl.appendChild(summary);
+
+  const list = document.createElement("ul");
+  history.forEach((entry) => {
+    const item = document.createElement("li");
+    const ranAt = new Date(entry.ranAt).toLocaleString();
+    if (entry.success) {
+      item.textContent = `${ranAt} — sent`;
+    } else {
+      item.textContent = `${ranAt} — failed: ${entry.error}`;
+      item.className = "history-failed";
+    }
+    list.appendChild(item);
+  });
+  historyEl.appendChild(list);
+
+  return historyEl;
+}
+
+// Create a scheduled job for the selected channel
+async function createScheduledJob() {
+  if (!currentGuildId || !currentChannelId) {
+    setStatus("error", "Please select a channel first", scheduleStatusText);
+    return;
+  }
+
+  const message = scheduleMessageInput.value.trim();
+  if (!message) {
+    setStatus("error", "Please enter a message", scheduleStatusText);
+    return;
+  }
+
+  const type = scheduleTypeSelect.value;
+  const body = { channelId: currentChannelId, message, type };
+  if (type === "once") {
+    if (!scheduleRunAtInput.value) {
+      setStatus("error", "Please pick a date and time", scheduleStatusText);
+      return;
+    }
+    // datetime-local is in the browser's timezone; send an exact instant
+    body.runAt = new Date(scheduleRunAtInput.value).toISOString();
+  } else {
+    body.cron = scheduleCronInput.value.trim();
+    body.timezone = scheduleTimezoneInput.value.trim();
+  }
+
+  setStatus("sending", "Scheduling message...", scheduleStatusText);
+  scheduleBtn.disabled = true;
+
+  try {
+    const response = await fetch(`/guilds/${currentGuildId}/scheduled`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to schedule message");
+    }
+
+    setStatus("success", "Message scheduled!", scheduleStatusText);
+    scheduleMessageInput.value = "";
+    await loadScheduledJobs();
+  } catch (error) {
+    console.error("Error scheduling message:", error);
+    setStatus("error", error.message || "Failed to schedule message", scheduleStatusText);
+  } finally {
+    scheduleBtn.disabled = false;
+  }
+}
+
+// Pause, resume or delete a scheduled job
+async function jobAction(job, action) {
+  const url =
+    action === "delete"
+      ? `/guilds/${job.guildId}/scheduled/${job.id}`
+      : `/guilds/${job.guildId}/scheduled/${job.id}/${action}`;
+
+  try {
+    const response = await fetch(url, {
+      method: action === "delete" ? "DELETE" : "POST",
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `Failed to ${action} scheduled message`);
+    }
+    setStatus("idle", "", scheduleStatusText);
+    await loadScheduledJobs();
+  } catch (error) {
+    console.error(`Error trying to ${action} scheduled job:`, error);
+    setStatus("error", error.message, scheduleStatusText);
+  }
+}
+
+// Pulse needs a server, and a channel when the scope is "channel"
+function updatePulseControls() {
+  // Forum channels have no messages of their own, only posts
+  const channelReady = !!currentChannelId && currentChannelKind() !== "forum";
+  const ready =
+    !!currentGuildId && (pulseScopeSelect.value === "guild" || channelReady);
+  pulseScopeSelect.disabled = !currentGuildId;
+  pulsePeriodSelect.disabled = !currentGuildId;
+  pulseBtn.disabled = !ready;
+  // Skipping the cache is for managers only
+  pulseRefreshBtn.classList.toggle("hidden", !canInGuild("manage"));
+  pulseRefreshBtn.disabled = !ready || !canInGuild("manage");
+}
+
+// Load analytics for the selected channel or server
+async function loadPulse(refresh) {
+  const scope = pulseScopeSelect.value;
+  const params = new URLSearchParams({
+    days: pulsePeriodSelect.value,
+    tz: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  });
+  if (refresh) params.set("refresh", "true");
+  const url =
+    scope === "guild"
+      ? `/analytics/guilds/${currentGuildId}?${params}`
+      : `/analytics/channels/${currentChannelId}?${params}`;
+
+  setStatus(
+    "sending",
+    "Crunching message history... (this can take a while for busy servers)",
+    pulseStatusText
+  );
+  pulseBtn.disabled = true;
+  pulseRefreshBtn.disabled = true;
+
+  try {
+    const response = await fetch(url);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to load analytics");
+    }
+    renderPulse(data.pulse, scope);
+    setStatus(
+      "idle",
+      `Computed ${new Date(data.pulse.computedAt).toLocaleString()}${
+        data.pulse.cached ? " (cached)" : ""
+      }`,
+      pulseStatusText
+    );
+  } catch (error) {
+    console.error("Error loading analytics:", error);
+    setStatus("error", error.message, pulseStatusText);
+  } finally {
+    updatePulseControls();
+  }
+}
+
+function renderPulse(pulse, scope) {
+  pulseResults.innerHTML = "";
+
+  const stats = document.createElement("div");
+  stats.className = "pulse-stats";
+  const change = pulse.trend.changePercent;
+  stats.append(
+    createPulseStat(pulse.totalMessages, "Messages"),
+    createPulseStat(pulse.activeAuthors, "Active authors"),
+    createPulseStat(
+      change === null ? "—" : `${change > 0 ? "+" : ""}${change}%`,
+      pulse.truncated
+        ? "vs previous period (not fully read)"
+        : `vs previous period (${pulse.trend.previousMessages})`,
+      change > 0 ? "trend-up" : change < 0 ? "trend-down" : ""
+    ),
+    createPulseStat(
+      formatDuration(pulse.responseTime.medianSeconds),
+      `Median response (${pulse.responseTime.samples} replies)`
+    )
+  );
+  pulseResults.appendChild(stats);
+
+  // History stopped at the per-channel message limit, so counts are partial
+  if (pulse.truncated) {
+    const warning = document.createElement("p");
+    warning.className = "help-text pulse-warning";
+    warning.textContent =
+      scope === "guild"
+        ? "Some channels have more messages than Pulse reads for this period. Their counts only cover the newest messages (marked \"partial\" below), and there's no trend."
+        : "This channel has more messages than Pulse reads for this period. Counts only cover the newest messages, and there's no trend.";
+    pulseResults.appendChild(warning);
+  }
+
+  pulseResults.appendChild(createPulseTitle("Messages per day"));
+  pulseResults.appendChild(
+    createBarChart(
+      pulse.messagesPerDay.map((d) => ({ value: d.count, label: d.day })),
+      pulse.messagesPerDay[0]?.day,
+      pulse.messagesPerDay[pulse.messagesPerDay.length - 1]?.day
+    )
+  );
+
+  pulseResults.appendChild(createPulseTitle("Messages per hour"));
+  const hourStart = new Date(pulse.period.from);
+  pulseResults.appendChild(
+    createBarChart(
+      pulse.messagesPerHour.map((count, i) => ({
+        value: count,
+        label: new Date(hourStart.getTime() + i * 3600000).toLocaleString(),
+      })),
+      hourStart.toLocaleString(),
+      new Date(pulse.period.to).toLocaleString()
+    )
+  );
+
+  pulseResults.appendChild(createPulseTitle("Busiest hours"));
+  pulseResults.appendChild(createHeatmap(pulse.heatmap));
+
+  pulseResults.appendChild(createPulseTitle("Top posters"));
+  pulseResults.appendChild(
+    createPulseList(
+      pulse.topPosters.map((a) => [`${a.username}${a.bot ? " (bot)" : ""}`, a.count])
+    )
+  );
+
+  if (scope === "guild") {
+    pulseResults.appendChild(createPulseTitle("Channels"));
+    pulseResults.appendChild(
+      createPulseList(
+        pulse.channels.map((c) => [`# ${c.name}${c.truncated ? " (partial)" : ""}`, c.count])
+      )
+    );
+  }
+}
+
+function createPulseStat(value, label, className = "") {
+  const stat = document.createElement("div");
+  stat.className = "pulse-stat";
+  const valueEl = document.createElement("div");
+  valueEl.className = `pulse-stat-value ${className}`;
+  valueEl.textContent = value;
+  const labelEl = document.createElement("div");
+  labelEl.className = "pulse-stat-label";
+  labelEl.textContent = label;
+  stat.append(valueEl, labelEl);
+  return stat;
+}
+
+function createPulseTitle(text) {
+  const title = document.createElement("h3");
+  title.className = "pulse-section-title";
+  title.textContent = text;
+  return title;
+}
+
+// Simple bar chart; bars get a tooltip with their label and value
+function createBarChart(points, startLabel, endLabel) {
+  const wrapper = document.createElement("div");
+  const chart = document.createElement("div");
+  chart.className = "bar-chart";
+  const max = Math.max(1, ...points.map((p) => p.value));
+  points.forEach((point) => {
+    const bar = document.createElement("div");
+    bar.className = "bar";
+    bar.style.height = `${(point.value / max) * 100}%`;
+    bar.title = `${point.label}: ${point.value}`;
+    chart.appendChild(bar);
+  });
+
+  const labels = document.createElement("div");
+  labels.className = "bar-labels";
+  const start = document.createElement("span");
+  start.textContent = startLabel || "";
+  const end = document.createElement("span");
+  end.textContent = endLabel || "";
+  labels.append(start, end);
+
+  wrapper.append(chart, labels);
+  return wrapper;
+}
+
+// Weekday x hour grid, darker = busier
+function createHeatmap(heatmap) {
+  const grid = document.createElement("div");
+  grid.className = "heatmap";
+  const days = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  const max = Math.max(1, ...heatmap.flat());
+
+  grid.appendChild(document.createElement("span"));
+  for (let hour = 0; hour < 24; hour++) {
+    const label = document.createElement("span");
+    label.textContent = hour % 6 === 0 ? hour : "";
+    grid.appendChild(label);
+  }
+
+  heatmap.forEach((hours, day) => {
+    const label = document.createElement("span");
+    label.textContent = days[day];
+    grid.appendChild(label);
+    hours.forEach((count, hour) => {
+      const cell = document.createElement("div");
+      cell.className = "heatmap-cell";
+      if (count > 0) {
+        cell.style.background = `rgba(139, 92, 246, ${0.15 + (count / max) * 0.85})`;
+      }
+      cell.title = `${days[day]} ${hour}:00 — ${count} messages`;
+      grid.appendChild(cell);
+    });
+  });
+
+  return grid;
+}
+
+function createPulseList(rows) {
+  const list = document.createElement("ul");
+  list.className = "pulse-list";
+  if (rows.length === 0) {
+    list.innerHTML = '<li class="help-text">No messages in this period</li>';
+  }
+  rows.forEach(([name, count]) => {
+    const item = document.createElement("li");
+    const nameEl = document.createElement("span");
+    nameEl.textContent = name;
+    const countEl = document.createElement("span");
+    countEl.textContent = count;
+    item.append(nameEl, countEl);
+    list.appendChild(item);
+  });
+  return list;
+}
+
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return "—";
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  return `${(seconds / 3600).toFixed(1)}h`;
+}
+
+// Audit Log
+
+// Query string for the chosen audit filters
+function auditQuery(extra = {}) {
+  const params = new URLSearchParams(extra);
+  if (auditActionSelect.value) params.set("action", auditActionSelect.value);
+  if (auditResultSelect.value) params.set("result", auditResultSelect.value);
+  return params.toString();
+}
+
+function updateAuditControls() {
+  const enabled = !!currentGuildId && canInGuild("manage");
+  auditActionSelect.disabled = !enabled;
+  auditResultSelect.disabled = !enabled;
+  auditBtn.disabled = !enabled;
+  auditCsvLink.classList.toggle("hidden", !enabled);
+  auditJsonLink.classList.toggle("hidden", !enabled);
+  if (enabled) {
+    const base = `/guilds/${currentGuildId}/audit/export`;
+    auditCsvLink.href = `${base}?${auditQuery({ format: "csv" })}`;
+    auditJsonLink.href = `${base}?${auditQuery({ format: "json" })}`;
+  }
+}
+
+async function loadAuditLog() {
+  if (!currentGuildId) return;
+  try {
+    setStatus("sending", "Loading audit log...", auditStatusText);
+    const response = await fetch(`/guilds/${currentGuildId}/audit?${auditQuery()}`);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to fetch audit log");
+    }
+
+    auditList.innerHTML = "";
+    if (data.entries.length === 0) {
+      auditList.innerHTML = '<p class="empty-state">No matching audit entries</p>';
+    }
+    data.entries.forEach((entry) => {
+      auditList.appendChild(createAuditEntryElement(entry));
+    });
+    setStatus("idle", "", auditStatusText);
+  } catch (error) {
+    console.error("Error loading audit log:", error);
+    setStatus("error", error.message, auditStatusText);
+  }
+}
+
+function createAuditEntryElement(entry) {
+  const entryDiv = document.createElement("div");
+  entryDiv.className = `job-item ${entry.result === "success" ? "job-completed" : "job-failed"}`;
+
+  const header = document.createElement("div");
+  header.className = "job-header";
+  const action = document.createElement("span");
+  const where = entry.channelId
+    ? ` in # ${channelNames[entry.channelId] || entry.channelId}`
+    : "";
+  action.textContent = `${entry.action}${where}`;
+  const result = document.createElement("span");
+  result.className = "job-status";
+  result.textContent = entry.result;
+  header.append(action, result);
+
+  const details = document.createElement("div");
+  details.className = "job-header";
+  details.textContent = `${new Date(entry.time).toLocaleString()} · ${
+    entry.user?.username || "unknown user"
+  }`;
+  if (entry.details?.persona) {
+    details.textContent += ` as ${entry.details.persona.name}`;
+  }
+  if (entry.error) {
+    details.textContent += ` · ${entry.error}`;
+  }
+
+  const hash = document.createElement("div");
+  hash.className = "job-message";
+  hash.textContent = `payload ${entry.payloadHash || "—"}`;
+
+  entryDiv.append(header, details, hash);
+  return entryDiv;
+}
+
+// Fill the log channel picker and select the saved channel
+async function loadAuditSettings() {
+  auditLogChannelSelect.innerHTML = '<option value="">Don\'t mirror</option>';
+  auditLogChannelSelect.disabled = true;
+  if (!currentGuildId) return;
+  try {
+    const response = await fetch(`/guilds/${currentGuildId}/audit/settings`);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to fetch audit settings");
+    }
+
+    Object.entries(channelNames).forEach(([id, name]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = `# ${name}`;
+      auditLogChannelSelect.appendChild(option);
+    });
+    auditLogChannelSelect.value = data.settings.logChannelId || "";
+    auditLogChannelSelect.disabled = false;
+  } catch (error) {
+    console.error("Error loading audit settings:", error);
+    setStatus("error", error.message, auditStatusText);
+  }
+}
+
+async function saveAuditLogChannel() {
+  try {
+    auditLogChannelSelect.disabled = true;
+    const response = await fetch(`/guilds/${currentGuildId}/audit/settings`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ logChannelId: auditLogChannelSelect.value || null }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to save audit settings");
+    }
+    setStatus(
+      "success",
+      data.settings.logChannelId ? "Audit entries will be mirrored" : "Mirroring turned off",
+      auditStatusText
+    );
+  } catch (error) {
+    console.error("Error saving audit settings:", error);
+    setStatus("error", error.message, auditStatusText);
+  } finally {
+    auditLogChannelSelect.disabled = false;
+  }
+}
+
+// Broadcast
+
+// The composer is usable with a channel you may post in, or in broadcast mode
+function updateComposerEnabled() {
+  const canPost = broadcastMode || (!!currentChannelId && canInChannel("post"));
+  messageInput.disabled = !canPost;
+  sendBtn.disabled = !canPost;
+  fileInput.disabled = broadcastMode || !canPost;
+  dropZone.classList.toggle("hidden", broadcastMode);
+
+  const kind = broadcastMode ? null : currentChannelKind();
+  forumFields.classList.toggle("hidden", kind !== "forum");
+  // Personas post through webhooks, which can't start forum posts here
+  personaField.classList.toggle(
+    "hidden",
+    broadcastMode || kind === "forum" || personaSelect.options.length < 2
+  );
+  personaSelect.disabled = !canPost;
+  forumTitleInput.disabled = !canPost;
+  publishToggleLabel.classList.toggle("hidden", kind !== "announcement");
+  publishToggle.disabled = !canPost;
+  if (kind !== "announcement") {
+    publishToggle.checked = false;
+  }
+
+  if (broadcastMode) {
+    sendBtn.textContent = "Preview Broadcast";
+  } else {
+    sendBtn.textContent = kind === "forum" ? "Create Post" : "Send Message";
+  }
+}
+
+function sendOrPreview() {
+  if (broadcastMode) {
+    previewBroadcast();
+  } else {
+    sendMessage();
+  }
+}
+
+function toggleBroadcastMode() {
+  broadcastMode = broadcastToggle.checked;
+  broadcastPanel.classList.toggle("hidden", !broadcastMode);
+  broadcastPreview.classList.add("hidden");
+  if (broadcastMode) {
+    pendingFiles = [];
+    renderPendingFiles();
+    renderBroadcastTargets();
+  }
+  updateComposerEnabled();
+}
+
+// One collapsible list per server; channels load when it is opened
+function renderBroadcastTargets() {
+  broadcastTargets.innerHTML = "";
+  const postable = guildList.filter((guild) =>
+    (guild.capabilities || []).includes("post")
+  );
+  if (postable.length === 0) {
+    broadcastTargets.innerHTML =
+      '<p class="empty-state">You can\'t post in any server</p>';
+    return;
+  }
+
+  postable.forEach((guild) => {
+    const group = document.createElement("details");
+    group.className = "broadcast-guild";
+    const summary = document.createElement("summary");
+    summary.textContent = guild.name;
+    group.appendChild(summary);
+
+    const list = document.createElement("div");
+    list.className = "broadcast-channel-list";
+    list.innerHTML = '<p class="help-text">Loading channels...</p>';
+    group.appendChild(list);
+
+    group.addEventListener("toggle", () => {
+      if (group.open && !group.dataset.loaded) {
+        group.dataset.loaded = "true";
+        loadBroadcastChannels(guild, list);
+      }
+    });
+    broadcastTargets.appendChild(group);
+  });
+}
+
+async function loadBroadcastChannels(guild, list) {
+  try {
+    const response = await fetch(`/channels/${guild.id}`);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to fetch channels");
+    }
+
+    list.innerHTML = "";
+    // Forums take posts, not messages; threads come and go
+    const channels = data.channels.filter(
+      (channel) =>
+        (channel.capabilities || []).includes("post") &&
+        channel.kind !== "forum" &&
+        channel.kind !== "thread"
+    );
+    if (channels.length === 0) {
+      list.innerHTML = '<p class="help-text">No channels you can post in</p>';
+    }
+    channels.forEach((channel) => {
+      const label = document.createElement("label");
+      label.className = "broadcast-channel";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = broadcastChannels.has(channel.id);
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) {
+          broadcastChannels.set(channel.id, {
+            guildName: guild.name,
+            channelName: channel.name,
+          });
+        } else {
+          broadcastChannels.delete(channel.id);
+        }
+        broadcastPreview.classList.add("hidden");
+      });
+      label.append(checkbox, ` ${CHANNEL_KIND_ICONS[channel.kind] || "#"} ${channel.name}`);
+      list.appendChild(label);
+    });
+  } catch (error) {
+    console.error("Error loading broadcast channels:", error);
+    list.innerHTML = "";
+    const note = document.createElement("p");
+    note.className = "help-text";
+    note.textContent = error.message;
+    list.appendChild(note);
+  }
+}
+
+// Show exactly what will be sent where, with a button to confirm
+function previewBroadcast() {
+  const message = messageInput.value.trim();
+  const embed = embedComposer.open ? buildComposerEmbed() : null;
+  if (!message && !embed) {
+    setStatus("error", "Please enter a message or add an embed");
+    return;
+  }
+  if (embed) {
+    const errors = validateComposerEmbed(embed);
+    if (errors.length > 0) {
+      setStatus("error", errors[0]);
+      return;
+    }
+  }
+  if (broadcastChannels.size === 0) {
+    setStatus("error", "Pick at least one channel to broadcast to");
+    return;
+  }
+
+  broadcastPreview.innerHTML = "";
+  const title = document.createElement("p");
+  title.className = "help-text";
+  title.textContent = `Preview · ${broadcastChannels.size} channel(s)`;
+  broadcastPreview.appendChild(title);
+
+  if (message) {
+    const content = document.createElement("div");
+    content.className = "message-content";
+    content.textContent = message;
+    broadcastPreview.appendChild(content);
+  }
+  if (embed) {
+    broadcastPreview.appendChild(createEmbedElement(embed));
+  }
+
+  const targets = document.createElement("ul");
+  targets.className = "broadcast-results";
+  broadcastChannels.forEach(({ guildName, channelName }) => {
+    const item = document.createElement("li");
+    item.textContent = `${guildName} · # ${channelName}`;
+    targets.appendChild(item);
+  });
+  broadcastPreview.appendChild(targets);
+
+  const confirmBtn = document.createElement("button");
+  confirmBtn.className = "primary-btn";
+  confirmBtn.textContent = `Send to ${broadcastChannels.size} channel(s)`;
+  confirmBtn.addEventListener("click", () =>
+    sendBroadcast(message, embed ? [embed] : [], confirmBtn)
+  );
+  broadcastPreview.appendChild(confirmBtn);
+  broadcastPreview.classList.remove("hidden");
+  setStatus("idle", "");
+}
+
+async function sendBroadcast(message, embeds, confirmBtn) {
+  confirmBtn.disabled = true;
+  sendBtn.disabled = true;
+  setStatus("sending", `Broadcasting to ${broadcastChannels.size} channel(s)...`);
+  try {
+    const response = await fetch("/broadcasts", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        channelIds: [...broadcastChannels.keys()],
+        message,
+        embeds,
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to send broadcast");
+    }
+
+    broadcastPreview.classList.add("hidden");
+    messageInput.value = "";
+    if (embeds.length > 0) clearEmbedComposer();
+    showBroadcastResults(data.broadcast);
+  } catch (error) {
+    console.error("Error sending broadcast:", error);
+    setStatus("error", error.message);
+    confirmBtn.disabled = false;
+  } finally {
+    sendBtn.disabled = false;
+  }
+}
+
+async function retryBroadcast() {
+  if (!lastBroadcast) return;
+  broadcastRetryBtn.disabled = true;
+  setStatus("sending", "Retrying failed channels...");
+  try {
+    const response = await fetch(`/broadcasts/${lastBroadcast.id}/retry`, {
+      method: "POST",
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to retry broadcast");
+    }
+    showBroadcastResults(data.broadcast);
+  } catch (error) {
+    console.error("Error retrying broadcast:", error);
+    setStatus("error", error.message);
+  } finally {
+    broadcastRetryBtn.disabled = false;
+  }
+}
+
+// Per-channel result list, with a retry button when something failed
+function showBroadcastResults(broadcast) {
+  lastBroadcast = broadcast;
+  broadcastResults.innerHTML = "";
+  broadcast.targets.forEach((target) => {
+    const known = broadcastChannels.get(target.channelId);
+    const item = document.createElement("li");
+    const where = known
+      ? `${known.guildName} · # ${known.channelName}`
+      : target.channelId;
+    if (target.status === "sent") {
+      item.textContent = `✅ ${where}`;
+    } else {
+      item.textContent = `❌ ${where} — ${target.error}`;
+      item.className = "history-failed";
+    }
+    broadcastResults.appendChild(item);
+  });
+
+  const failed = broadcast.targets.filter((target) => target.status !== "sent").length;
+  broadcastRetryBtn.classList.toggle("hidden", failed === 0);
+  if (failed === 0) {
+    setStatus("success", `Sent to ${broadcast.targets.length} channel(s)!`);
+  } else {
+    setStatus(
+      "error",
+      `${failed} of ${broadcast.targets.length} channel(s) failed`
+    );
+  }
+}
+
+// Message Templates
+
+function selectedTemplate() {
+  return templatesById.get(templateSelect.value) || null;
+}
+
+function updateTemplateButtons() {
+  const canUse = !!currentGuildId && canInGuild("post");
+  const selected = !!selectedTemplate();
+  templateSelect.disabled = !canUse;
+  templatePreviewBtn.disabled = !selected;
+  templateInsertBtn.disabled = !selected;
+  templateSaveBtn.disabled = !canUse;
+  templateUpdateBtn.disabled = !selected;
+  templateDeleteBtn.disabled = !selected;
+}
+
+// Load the server's templates into the picker
+async function loadTemplates(selectId = null) {
+  templatesById = new Map();
+  templateSelect.innerHTML = '<option value="">Choose a template...</option>';
+  templateFields.innerHTML = "";
+  templatePreview.classList.add("hidden");
+  updateTemplateButtons();
+  if (!currentGuildId || !canInGuild("post")) return;
+
+  try {
+    const response = await fetch(`/guilds/${currentGuildId}/templates`);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to fetch templates");
+    }
+    data.templates.forEach((template) => {
+      templatesById.set(template.id, template);
+      const option = document.createElement("option");
+      option.value = template.id;
+      option.textContent = template.name;
+      templateSelect.appendChild(option);
+    });
+    if (selectId && templatesById.has(selectId)) {
+      templateSelect.value = selectId;
+      showTemplateFields();
+    }
+    updateTemplateButtons();
+  } catch (error) {
+    console.error("Error loading templates:", error);
+    setStatus("error", error.message, templateStatusText);
+  }
+}
+
+// Fill the composer's "Send as" picker with the server's personas
+async function loadPersonas() {
+  personaSelect.innerHTML = '<option value="">The bot</option>';
+  if (currentGuildId && canInGuild("post")) {
+    try {
+      const response = await fetch(`/guilds/${currentGuildId}/personas`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || "Failed to fetch personas");
+      }
+      data.personas.forEach((persona) => {
+        const option = document.createElement("option");
+        option.value = persona.id;
+        option.textContent = persona.name;
+        personaSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error("Error loading personas:", error);
+    }
+  }
+  updateComposerEnabled();
+}
+
+// One input per custom field of the selected template
+function showTemplateFields() {
+  templateFields.innerHTML = "";
+  templatePreview.classList.add("hidden");
+  updateTemplateButtons();
+  const template = selectedTemplate();
+  if (!template) return;
+
+  template.fields.forEach((field) => {
+    const group = document.createElement("div");
+    group.className = "field-group";
+    const label = document.createElement("label");
+    label.textContent = field.replace(/[_-]/g, " ");
+    const input = document.createElement("input");
+    input.type = "text";
+    input.dataset.field = field;
+    input.placeholder = `{${field}}`;
+    group.append(label, input);
+    templateFields.appendChild(group);
+  });
+}
+
+// Ask the server to fill in the selected template
+async function renderSelectedTemplate() {
+  const template = selectedTemplate();
+  const values = {};
+  templateFields.querySelectorAll("input[data-field]").forEach((input) => {
+    values[input.dataset.field] = input.value;
+  });
+
+  const response = await fetch(
+    `/guilds/${currentGuildId}/templates/${template.id}/render`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        channelId: currentChannelId,
+        values,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      }),
+    }
+  );
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || "Failed to render template");
+  }
+  return data.content;
+}
+
+async function previewTemplate() {
+  try {
+    const content = await renderSelectedTemplate();
+    templatePreview.textContent = content;
+    templatePreview.classList.remove("hidden");
+    setStatus("idle", "", templateStatusText);
+  } catch (error) {
+    setStatus("error", error.message, templateStatusText);
+  }
+}
+
+async function insertTemplate() {
+  try {
+    const content = await renderSelectedTemplate();
+    messageInput.value = content;
+    templatePreview.classList.add("hidden");
+    setStatus("success", "Template inserted, review it and send", templateStatusText);
+  } catch (error) {
+    setStatus("error", error.message, templateStatusText);
+  }
+}
+
+// Send a template create/update/delete request
+async function templateRequest(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || "Template request failed");
+  }
+  return data;
+}
+
+async function saveMessageAsTemplate() {
+  const content = messageInput.value;
+  if (!content.trim()) {
+    setStatus("error", "Type the template into the message box first", templateStatusText);
+    return;
+  }
+  const name = prompt("Template name");
+  if (!name) return;
+
+  try {
+    const data = await templateRequest(`/guilds/${currentGuildId}/templates`, "POST", {
+      name,
+      content,
+    });
+    setStatus("success", `Saved template "${data.template.name}"`, templateStatusText);
+    await loadTemplates(data.template.id);
+  } catch (error) {
+    setStatus("error", error.message, templateStatusText);
+  }
+}
+
+async function updateTemplateFromMessage() {
+  const template = selectedTemplate();
+  const content = messageInput.value;
+  if (!content.trim()) {
+    setStatus("error", "Type the new content into the message box first", templateStatusText);
+    return;
+  }
+  if (!confirm(`Replace the content of "${template.name}" with the message box?`)) return;
+
+  try {
+    await templateRequest(
+      `/guilds/${currentGuildId}/templates/${template.id}`,
+      "PUT",
+      { name: template.name, content }
+    );
+    setStatus("success", `Updated template "${template.name}"`, templateStatusText);
+    await loadTemplates(template.id);
+  } catch (error) {
+    setStatus("error", error.message, templateStatusText);
+  }
+}
+
+async function deleteSelectedTemplate() {
+  const template = selectedTemplate();
+  if (!confirm(`Delete the template "${template.name}"?`)) return;
+
+  try {
+    await templateRequest(`/guilds/${currentGuildId}/templates/${template.id}`, "DELETE");
+    setStatus("success", `Deleted template "${template.name}"`, templateStatusText);
+    await loadTemplates();
+  } catch (error) {
+    setStatus("error", error.message, templateStatusText);
+  }
+}
+
+// Watchlist Alerts
+
+// IDs of the alerts currently listed
+let listedAlertIds = [];
+
+async function loadAlerts() {
+  const enabled = !!currentGuildId && canInGuild("moderate");
+  alertsUnreadToggle.disabled = !enabled;
+  alertsRefreshBtn.disabled = !enabled;
+  alertsReadAllBtn.disabled = true;
+  alertsBadge.classList.add("hidden");
+  listedAlertIds = [];
+  if (!currentGuildId) {
+    alertsList.innerHTML = '<p class="empty-state">Select a server to view its alerts</p>';
+    return;
+  }
+  if (!enabled) {
+    alertsList.innerHTML =
+      '<p class="empty-state">You need Moderate access to see alerts in this server</p>';
+    return;
+  }
+
+  try {
+    setStatus("sending", "Loading alerts...", alertsStatusText);
+    const query = alertsUnreadToggle.checked ? "?unread=true" : "";
+    const response = await fetch(`/guilds/${currentGuildId}/alerts${query}`);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to fetch alerts");
+    }
+
+    alertsBadge.textContent = data.unreadCount;
+    alertsBadge.classList.toggle("hidden", data.unreadCount === 0);
+    alertsList.innerHTML = "";
+    if (data.alerts.length === 0) {
+      alertsList.innerHTML = '<p class="empty-state">No alerts</p>';
+    }
+    data.alerts.forEach((alert) => {
+      alertsList.appendChild(createAlertElement(alert));
+    });
+    listedAlertIds = data.alerts.filter((alert) => !alert.read).map((alert) => alert.id);
+    alertsReadAllBtn.disabled = listedAlertIds.length === 0;
+    setStatus("idle", "", alertsStatusText);
+  } catch (error) {
+    console.error("Error loading alerts:", error);
+    setStatus("error", error.message, alertsStatusText);
+  }
+}
+
+function createAlertElement(alert) {
+  const alertDiv = document.createElement("div");
+  alertDiv.className = `job-item ${alert.read ? "" : "job-failed"}`;
+
+  const header = document.createElement("div");
+  header.className = "job-header";
+  const rule = document.createElement("span");
+  rule.textContent = `${alert.ruleName} in # ${
+    channelNames[alert.channelId] || alert.channelId
+  }`;
+  const status = document.createElement("span");
+  status.className = "job-status";
+  status.textContent = alert.read ? "read" : "new";
+  header.append(rule, status);
+
+  const details = document.createElement("div");
+  details.className = "job-header";
+  details.textContent = `${new Date(alert.createdAt).toLocaleString()} · ${
+    alert.author?.username || "unknown author"
+  } · matched "${alert.match}"`;
+
+  const excerpt = document.createElement("div");
+  excerpt.className = "job-message";
+  excerpt.textContent = alert.excerpt;
+
+  const actions = document.createElement("div");
+  actions.className = "job-actions";
+  const link = document.createElement("a");
+  link.className = "small-btn";
+  link.href = `https://discord.com/channels/${currentGuildId}/${alert.channelId}/${alert.messageId}`;
+  link.target = "_blank";
+  link.rel = "noopener";
+  link.textContent = "Open in Discord";
+  actions.appendChild(link);
+  if (!alert.read) {
+    const readBtn = document.createElement("button");
+    readBtn.className = "small-btn";
+    readBtn.textContent = "Mark read";
+    readBtn.addEventListener("click", () => markAlertsRead([alert.id]));
+    actions.appendChild(readBtn);
+  }
+
+  alertDiv.append(header, details, excerpt, actions);
+  return alertDiv;
+}
+
+async function markAlertsRead(alertIds) {
+  try {
+    const response = await fetch(`/guilds/${currentGuildId}/alerts/read`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ alertIds }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to mark alerts read");
+    }
+    await loadAlerts();
+  } catch (error) {
+    setStatus("error", error.message, alertsStatusText);
+  }
+}
+
+function markAllAlertsRead() {
+  markAlertsRead(listedAlertIds);
+}
+
+// Channel History Exports
+
+function updateExportControls() {
+  const enabled =
+    !!currentChannelId && canInChannel("view") && currentChannelKind() !== "forum";
+  exportFormatSelect.disabled = !enabled;
+  exportFromInput.disabled = !enabled;
+  exportToInput.disabled = !enabled;
+  exportAuthorsInput.disabled = !enabled;
+  exportBtn.disabled = !enabled;
+}
+
+async function startExport() {
+  const authorIds = exportAuthorsInput.value
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  // Whole days in the browser's timezone
+  const from = exportFromInput.value
+    ? new Date(`${exportFromInput.value}T00:00`).toISOString()
+    : null;
+  const to = exportToInput.value
+    ? new Date(new Date(`${exportToInput.value}T00:00`).getTime() + 86400000).toISOString()
+    : null;
+
+  try {
+    exportBtn.disabled = true;
+    setStatus("sending", "Starting export...", exportStatusText);
+    const response = await fetch("/exports", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        channelId: currentChannelId,
+        format: exportFormatSelect.value,
+        from,
+        to,
+        authorIds,
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to start export");
+    }
+    setStatus("success", "Export started", exportStatusText);
+    await loadExports();
+  } catch (error) {
+    setStatus("error", error.message, exportStatusText);
+  } finally {
+    updateExportControls();
+  }
+}
+
+// List the user's exports, and keep polling while any is in progress
+async function loadExports() {
+  clearTimeout(exportPollTimer);
+  try {
+    const response = await fetch("/exports");
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to fetch exports");
+    }
+
+    exportList.innerHTML = "";
+    if (data.exports.length === 0) {
+      exportList.innerHTML = '<p class="empty-state">No exports yet</p>';
+    }
+    data.exports.forEach((job) => {
+      exportList.appendChild(createExportElement(job));
+    });
+
+    if (data.exports.some((job) => job.status === "queued" || job.status === "running")) {
+      exportPollTimer = setTimeout(loadExports, 2000);
+    }
+  } catch (error) {
+    console.error("Error loading exports:", error);
+    setStatus("error", error.message, exportStatusText);
+  }
+}
+
+function createExportElement(job) {
+  const jobDiv = document.createElement("div");
+  const statusClass = {
+    completed: "job-completed",
+    failed: "job-failed",
+    cancelled: "job-paused",
+  }[job.status];
+  jobDiv.className = `job-item ${statusClass || ""}`;
+
+  const header = document.createElement("div");
+  header.className = "job-header";
+  const title = document.createElement("span");
+  title.textContent = `# ${job.channelName || job.channelId} · ${job.format.toUpperCase()}`;
+  const status = document.createElement("span");
+  status.className = "job-status";
+  status.textContent = job.status;
+  header.append(title, status);
+
+  const details = document.createElement("div");
+  details.className = "job-header";
+  const range =
+    job.from || job.to
+      ? `${job.from ? new Date(job.from).toLocaleDateString() : "start"} – ${
+          job.to ? new Date(job.to).toLocaleDateString() : "now"
+        }`
+      : "Full history";
+  const authors = job.authorIds.length > 0 ? ` · ${job.authorIds.length} author(s)` : "";
+  details.textContent = `${range}${authors} · ${job.progress.exported} of ${job.progress.scanned} messages scanned`;
+  if (job.truncated) details.textContent += " · truncated";
+  if (job.error) details.textContent += ` · ${job.error}`;
+
+  jobDiv.append(header, details);
+
+  if (job.status === "running" || job.status === "queued") {
+    const progress = document.createElement("progress");
+    progress.className = "export-progress";
+    progress.max = 100;
+    // Without a start date there's no way to know how far back history goes
+    if (job.progress.percent !== null) progress.value = job.progress.percent;
+    jobDiv.appendChild(progress);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "job-actions";
+  if (job.status === "completed") {
+    const download = document.createElement("a");
+    download.className = "small-btn";
+    download.href = `/exports/${job.id}/download`;
+    download.textContent = `⬇ Download (${formatFileSize(job.size)})`;
+    actions.appendChild(download);
+  }
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "small-btn danger-btn";
+  removeBtn.textContent =
+    job.status === "running" || job.status === "queued" ? "Cancel" : "Delete";
+  removeBtn.addEventListener("click", () => deleteExport(job));
+  actions.appendChild(removeBtn);
+  jobDiv.appendChild(actions);
+
+  return jobDiv;
+}
+
+async function deleteExport(job) {
+  try {
+    const response = await fetch(`/exports/${job.id}`, { method: "DELETE" });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to delete export");
+    }
+    await loadExports();
+  } catch (error) {
+    setStatus("error", error.message, exportStatusText);
+  }
+}
+
+// Member Moderation
+
+// Timeout lengths offered, in minutes (Discord allows up to 28 days)
+const TIMEOUT_OPTIONS = [
+  [1, "1 minute"],
+  [5, "5 minutes"],
+  [10, "10 minutes"],
+  [60, "1 hour"],
+  [24 * 60, "1 day"],
+  [7 * 24 * 60, "1 week"],
+  [28 * 24 * 60, "28 days"],
+];
+// How much of a banned user's message history to delete, in seconds
+const BAN_DELETE_OPTIONS = [
+  [0, "Don't delete messages"],
+  [60 * 60, "Last hour"],
+  [24 * 60 * 60, "Last 24 hours"],
+  [3 * 24 * 60 * 60, "Last 3 days"],
+  [7 * 24 * 60 * 60, "Last 7 days"],
+];
+
+// Cursor for the next page of members or bans, null on the last page
+let membersCursor = null;
+let showingBans = false;
+// The server's roles from the last members response: [{ id, name, color, assignable }]
+let memberRoles = [];
+// ID of the member shown in the panel
+let openMemberId = null;
+
+async function memberRequest(url, method = "GET", body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || "Member request failed");
+  }
+  return data;
+}
+
+function updateMemberControls() {
+  const enabled = !!currentGuildId && canInGuild("moderate");
+  memberSearchInput.disabled = !enabled;
+  memberSearchBtn.disabled = !enabled;
+  bansBtn.disabled = !enabled;
+  bansBtn.textContent = showingBans ? "Show Members" : "Show Bans";
+  membersMoreBtn.classList.toggle("hidden", !enabled || !membersCursor);
+  return enabled;
+}
+
+function closeMemberPanel() {
+  openMemberId = null;
+  memberPanel.innerHTML = "";
+  memberPanel.classList.add("hidden");
+}
+
+// Load members (the search results, if there's a query); append adds the
+// next page to the list
+async function loadMembers(append = false) {
+  showingBans = false;
+  if (!append) {
+    membersCursor = null;
+    if (!currentGuildId) closeMemberPanel();
+  }
+  if (!updateMemberControls()) {
+    closeMemberPanel();
+    membersList.innerHTML = currentGuildId
+      ? '<p class="empty-state">You need Moderate access to see members in this server</p>'
+      : '<p class="empty-state">Select a server to view its members</p>';
+    return;
+  }
+
+  try {
+    setStatus("sending", "Loading members...", membersStatusText);
+    const params = new URLSearchParams();
+    const query = memberSearchInput.value.trim();
+    if (query) params.set("query", query);
+    if (append && membersCursor) params.set("after", membersCursor);
+    const data = await memberRequest(`/guilds/${currentGuildId}/members?${params}`);
+
+    memberRoles = data.roles;
+    membersCursor = data.after;
+    if (!append) membersList.innerHTML = "";
+    if (!append && data.members.length === 0) {
+      membersList.innerHTML = `<p class="empty-state">${
+        query ? "No members match that name" : "No members"
+      }</p>`;
+    }
+    data.members.forEach((member) => {
+      membersList.appendChild(createMemberElement(member));
+    });
+    updateMemberControls();
+    setStatus("idle", "", membersStatusText);
+  } catch (error) {
+    console.error("Error loading members:", error);
+    setStatus("error", error.message, membersStatusText);
+  }
+}
+
+function memberDisplayName(member) {
+  return member.nick || member.globalName || member.username;
+}
+
+function createMemberElement(member) {
+  const memberDiv = document.createElement("div");
+  memberDiv.className = `job-item ${member.timedOutUntil ? "job-paused" : ""}`;
+  memberDiv.dataset.userId = member.id;
+
+  const header = document.createElement("div");
+  header.className = "job-header";
+  const name = document.createElement("span");
+  name.textContent = `${memberDisplayName(member)} (@${member.username})`;
+  const status = document.createElement("span");
+  status.className = "job-status";
+  status.textContent = member.owner
+    ? "owner"
+    : member.bot
+      ? "bot"
+      : member.timedOutUntil
+        ? "timed out"
+        : "";
+  header.append(name, status);
+  memberDiv.appendChild(header);
+
+  const roleNames = member.roleIds
+    .map((id) => memberRoles.find((role) => role.id === id)?.name)
+    .filter(Boolean);
+  if (roleNames.length > 0) {
+    const roles = document.createElement("div");
+    roles.className = "job-header";
+    roles.textContent = roleNames.join(", ");
+    memberDiv.appendChild(roles);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "job-actions";
+  actions.appendChild(createSmallButton("Moderate", () => openMember(member.id)));
+  memberDiv.appendChild(actions);
+  return memberDiv;
+}
+
+// Show a member in the panel; scroll brings the panel into view (when
+// opened from a message)
+async function openMember(userId, scroll = false) {
+  try {
+    setStatus("sending", "Loading member...", membersStatusText);
+    const data = await memberRequest(`/guilds/${currentGuildId}/members/${userId}`);
+    memberRoles = data.roles;
+    renderMemberPanel(data.member);
+    setStatus("idle", "", membersStatusText);
+  } catch (error) {
+    console.error("Error loading member:", error);
+    setStatus("error", error.message, membersStatusText);
+  }
+  if (scroll) {
+    membersStatusText.closest(".card").scrollIntoView({ behavior: "smooth" });
+  }
+}
+
+function createOptionsSelect(options) {
+  const select = document.createElement("select");
+  select.className = "select-input";
+  options.forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+function renderMemberPanel(member) {
+  openMemberId = member.id;
+  memberPanel.innerHTML = "";
+  memberPanel.classList.remove("hidden");
+  const can = (action) => member.actions.includes(action);
+
+  const header = document.createElement("div");
+  header.className = "job-header";
+  const name = document.createElement("strong");
+  name.textContent = `${memberDisplayName(member)} (@${member.username})`;
+  header.append(name, createSmallButton("Close", closeMemberPanel));
+
+  const details = document.createElement("div");
+  details.className = "job-header";
+  details.textContent = [
+    `ID ${member.id}`,
+    member.joinedAt && `joined ${new Date(member.joinedAt).toLocaleDateString()}`,
+    member.timedOutUntil &&
+      `timed out until ${new Date(member.timedOutUntil).toLocaleString()}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  memberPanel.append(header, details);
+
+  if (member.actions.length === 0) {
+    const note = document.createElement("p");
+    note.className = "help-text member-note";
+    note.textContent = member.owner
+      ? "The server owner can't be moderated."
+      : "You or the bot lack the permissions or role position to moderate this member.";
+    memberPanel.appendChild(note);
+    return;
+  }
+
+  const reasonGroup = document.createElement("div");
+  reasonGroup.className = "field-group";
+  const reasonLabel = document.createElement("label");
+  reasonLabel.textContent = "Reason (shown in Discord's audit log)";
+  const reasonInput = document.createElement("input");
+  reasonInput.type = "text";
+  reasonInput.maxLength = 400;
+  reasonInput.placeholder = "Optional";
+  reasonGroup.append(reasonLabel, reasonInput);
+  memberPanel.appendChild(reasonGroup);
+  const reason = () => reasonInput.value.trim() || undefined;
+
+  const actions = document.createElement("div");
+  actions.className = "pulse-controls";
+  if (can("timeout")) {
+    const durationSelect = createOptionsSelect(TIMEOUT_OPTIONS);
+    actions.append(
+      durationSelect,
+      createSmallButton("Time Out", () =>
+        moderateMember(member, "timeout", "POST", {
+          minutes: Number(durationSelect.value),
+          reason: reason(),
+        })
+      )
+    );
+    if (member.timedOutUntil) {
+      actions.appendChild(
+        createSmallButton("Lift Timeout", () =>
+          moderateMember(member, "timeout", "POST", { minutes: 0, reason: reason() })
+        )
+      );
+    }
+  }
+  if (can("kick")) {
+    const kickBtn = createSmallButton("Kick", () => {
+      if (!confirm(`Kick ${member.username} from the server?`)) return;
+      moderateMember(member, "kick", "POST", { reason: reason() });
+    });
+    kickBtn.classList.add("danger-btn");
+    actions.appendChild(kickBtn);
+  }
+  if (can("ban")) {
+    const deleteSelect = createOptionsSelect(BAN_DELETE_OPTIONS);
+    const banBtn = createSmallButton("Ban", () => {
+      if (!confirm(`Ban ${member.username} from the server?`)) return;
+      moderateMember(member, "ban", "PUT", {
+        deleteMessageSeconds: Number(deleteSelect.value),
+        reason: reason(),
+      });
+    });
+    banBtn.classList.add("danger-btn");
+    actions.append(deleteSelect, banBtn);
+  }
+  memberPanel.appendChild(actions);
+
+  if (can("roles")) {
+    const roles = document.createElement("div");
+    roles.className = "member-roles";
+    memberRoles.forEach((role) => {
+      const label = document.createElement("label");
+      label.className = "rule-capability";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = member.roleIds.includes(role.id);
+      checkbox.disabled = !role.assignable;
+      if (!role.assignable) {
+        label.title = "Managed, or not below both your highest role and the bot's";
+      }
+      checkbox.addEventListener("change", () =>
+        moderateMember(member, "role", checkbox.checked ? "PUT" : "DELETE", {
+          roleId: role.id,
+          reason: reason(),
+        })
+      );
+      label.append(checkbox, ` ${role.name}`);
+      roles.appendChild(label);
+    });
+    memberPanel.appendChild(roles);
+  }
+}
+
+// Take an action on the member in the panel, then refresh what's shown
+async function moderateMember(member, action, method, body) {
+  const { roleId, ...payload } = body;
+  const base = `/guilds/${currentGuildId}`;
+  const url = {
+    timeout: `${base}/members/${member.id}/timeout`,
+    kick: `${base}/members/${member.id}/kick`,
+    ban: `${base}/bans/${member.id}`,
+    role: `${base}/members/${member.id}/roles/${roleId}`,
+  }[action];
+  const done = {
+    timeout: payload.minutes === 0 ? "Lifted the timeout" : "Timed out",
+    kick: "Kicked",
+    ban: "Banned",
+    role: method === "PUT" ? "Gave a role to" : "Took a role from",
+  }[action];
+
+  try {
+    setStatus("sending", "Working...", membersStatusText);
+    const data = await memberRequest(url, method, payload);
+    if (data.member) {
+      renderMemberPanel(data.member);
+      membersList
+        .querySelector(`[data-user-id="${member.id}"]`)
+        ?.replaceWith(createMemberElement(data.member));
+    } else {
+      // Kicked or banned: they're no longer a member
+      closeMemberPanel();
+      membersList.querySelector(`[data-user-id="${member.id}"]`)?.remove();
+    }
+    setStatus("success", `${done} ${member.username}`, membersStatusText);
+  } catch (error) {
+    console.error(`Error with ${action}:`, error);
+    setStatus("error", error.message, membersStatusText);
+    // Undo the checkbox (or anything else) the failed action changed
+    if (openMemberId === member.id) renderMemberPanel(member);
+  }
+}
+
+async function loadBans(append = false) {
+  showingBans = true;
+  if (!append) {
+    membersCursor = null;
+    closeMemberPanel();
+  }
+  if (!updateMemberControls()) return;
+
+  try {
+    setStatus("sending", "Loading bans...", membersStatusText);
+    const params = new URLSearchParams();
+    if (append && membersCursor) params.set("after", membersCursor);
+    const data = await memberRequest(`/guilds/${currentGuildId}/bans?${params}`);
+
+    membersCursor = data.after;
+    if (!append) membersList.innerHTML = "";
+    if (!append && data.bans.length === 0) {
+      membersList.innerHTML = '<p class="empty-state">No one is banned</p>';
+    }
+    data.bans.forEach((ban) => {
+      membersList.appendChild(createBanElement(ban));
+    });
+    updateMemberControls();
+    setStatus("idle", "", membersStatusText);
+  } catch (error) {
+    console.error("Error loading bans:", error);
+    setStatus("error", error.message, membersStatusText);
+  }
+}
+
+function createBanElement(ban) {
+  const banDiv = document.createElement("div");
+  banDiv.className = "job-item job-failed";
+
+  const header = document.createElement("div");
+  header.className = "job-header";
+  const name = document.createElement("span");
+  name.textContent = `${ban.globalName || ban.username} (@${ban.username})`;
+  const status = document.createElement("span");
+  status.className = "job-status";
+  status.textContent = "banned";
+  header.append(name, status);
+
+  const reason = document.createElement("div");
+  reason.className = "job-message";
+  reason.textContent = ban.reason || "No reason given";
+
+  const actions = document.createElement("div");
+  actions.className = "job-actions";
+  actions.appendChild(createSmallButton("Unban", () => unbanUser(ban, banDiv)));
+
+  banDiv.append(header, reason, actions);
+  return banDiv;
+}
+
+async function unbanUser(ban, banDiv) {
+  const reason = prompt(`Unban ${ban.username}? Reason for Discord's audit log (optional):`);
+  if (reason === null) return;
+
+  try {
+    await memberRequest(`/guilds/${currentGuildId}/bans/${ban.id}`, "DELETE", {
+      reason: reason.trim() || undefined,
+    });
+    banDiv.remove();
+    setStatus("success", `Unbanned ${ban.username}`, membersStatusText);
+  } catch (error) {
+    setStatus("error", error.message, membersStatusText);
+  }
+}
@@ -0,0 +1,807 @@
+// settings.js
+// ChatPulse Access Settings page (per-server access rules, watchlists, personas
+// and slash commands)
+
+const rulesList = document.getElementById("rulesList");
+const addRuleBtn = document.getElementById("addRuleBtn");
+const saveRulesBtn = document.getElementById("saveRulesBtn");
+const statusText = document.getElementById("statusText");
+const settingsTitle = document.getElementById("settingsTitle");
+const watchRulesList = document.getElementById("watchRulesList");
+const watchSampleText = document.getElementById("watchSampleText");
+const addWatchRuleBtn = document.getElementById("addWatchRuleBtn");
+const saveWatchRulesBtn = document.getElementById("saveWatchRulesBtn");
+const watchStatusText = document.getElementById("watchStatusText");
+const personasList = document.getElementById("personasList");
+const addPersonaBtn = document.getElementById("addPersonaBtn");
+const personaStatusText = document.getElementById("personaStatusText");
+const interactionsWarning = document.getElementById("interactionsWarning");
+const commandScopeField = document.getElementById("commandScopeField");
+const commandScopeSelect = document.getElementById("commandScopeSelect");
+const commandsList = document.getElementById("commandsList");
+const unmanagedCommands = document.getElementById("unmanagedCommands");
+const addCommandBtn = document.getElementById("addCommandBtn");
+const commandStatusText = document.getElementById("commandStatusText");
+
+// Must match ACCESS_CAPABILITIES in policies.js
+const CAPABILITIES = [
+  { id: "view", label: "View" },
+  { id: "post", label: "Post" },
+  { id: "schedule", label: "Schedule" },
+  { id: "moderate", label: "Moderate" },
+];
+
+// Must match WATCH_RULE_TYPES in watchlists.js
+const WATCH_RULE_TYPES = [
+  { id: "keyword", label: "Keyword", placeholder: "Word or phrase" },
+  { id: "regex", label: "Regex", placeholder: "Regular expression" },
+  { id: "link", label: "Link", placeholder: "Domain, e.g. example.com (empty = any link)" },
+  { id: "invite", label: "Invite", placeholder: "Invite code (empty = any invite)" },
+];
+
+// Must match COMMAND_OPTION_TYPES in commands.js
+const COMMAND_OPTION_TYPES = [
+  { id: "string", label: "Text" },
+  { id: "integer", label: "Whole number" },
+  { id: "number", label: "Number" },
+  { id: "boolean", label: "True/False" },
+  { id: "user", label: "User" },
+  { id: "channel", label: "Channel" },
+  { id: "role", label: "Role" },
+];
+
+const guildId = new URLSearchParams(window.location.search).get("guild");
+let roles = [];
+let channels = [];
+// Channels that hold messages (not forums), for watchlists
+let messageChannels = [];
+
+window.addEventListener("DOMContentLoaded", async () => {
+  if (!guildId) {
+    rulesList.innerHTML = '<p class="empty-state">No server selected</p>';
+    watchRulesList.innerHTML = "";
+    personasList.innerHTML = "";
+    commandsList.innerHTML = "";
+    return;
+  }
+  addRuleBtn.addEventListener("click", () => {
+    rulesList.querySelector(".empty-state")?.remove();
+    rulesList.appendChild(createRuleElement());
+  });
+  saveRulesBtn.addEventListener("click", saveRules);
+  addWatchRuleBtn.addEventListener("click", () => {
+    watchRulesList.querySelector(".empty-state")?.remove();
+    watchRulesList.appendChild(createWatchRuleElement());
+  });
+  saveWatchRulesBtn.addEventListener("click", saveWatchRules);
+  addPersonaBtn.addEventListener("click", () => {
+    personasList.querySelector(".empty-state")?.remove();
+    personasList.appendChild(createPersonaElement());
+  });
+  addCommandBtn.addEventListener("click", () => {
+    commandsList.querySelector(".empty-state")?.remove();
+    commandsList.appendChild(createCommandElement());
+  });
+  commandScopeSelect.addEventListener("change", loadCommands);
+  await loadSettings();
+  await loadCommands();
+});
+
+async function getJson(url) {
+  const response = await fetch(url);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `Failed to load ${url}`);
+  }
+  return data;
+}
+
+async function loadSettings() {
+  try {
+    setStatus("sending", "Loading...");
+    const [guildsData, rolesData, channelsData, accessData, watchData, personasData] =
+      await Promise.all([
+        getJson("/guilds"),
+        getJson(`/guilds/${guildId}/roles`),
+        getJson(`/channels/${guildId}`),
+        getJson(`/guilds/${guildId}/access`),
+        getJson(`/guilds/${guildId}/watchlist`),
+        getJson(`/guilds/${guildId}/personas`),
+      ]);
+
+    const guild = guildsData.guilds.find((g) => g.id === guildId);
+    if (guild) {
+      settingsTitle.textContent = `Access Settings · ${guild.name}`;
+    }
+    roles = rolesData.roles;
+    // Threads follow their parent channel's access
+    channels = channelsData.channels.filter((channel) => channel.kind !== "thread");
+    messageChannels = channels.filter((channel) => channel.kind !== "forum");
+
+    rulesList.innerHTML = "";
+    if (accessData.policy.rules.length === 0) {
+      rulesList.innerHTML =
+        '<p class="empty-state">No rules yet: only server managers can use ChatPulse here</p>';
+    }
+    accessData.policy.rules.forEach((rule) => {
+      rulesList.appendChild(createRuleElement(rule));
+    });
+
+    watchRulesList.innerHTML = "";
+    if (watchData.rules.length === 0) {
+      watchRulesList.innerHTML = '<p class="empty-state">No watch rules yet</p>';
+    }
+    watchData.rules.forEach((rule) => {
+      watchRulesList.appendChild(createWatchRuleElement(rule));
+    });
+
+    personasList.innerHTML = "";
+    if (personasData.personas.length === 0) {
+      personasList.innerHTML = '<p class="empty-state">No personas yet</p>';
+    }
+    personasData.personas.forEach((persona) => {
+      personasList.appendChild(createPersonaElement(persona));
+    });
+
+    addRuleBtn.disabled = false;
+    saveRulesBtn.disabled = false;
+    addPersonaBtn.disabled = false;
+    addWatchRuleBtn.disabled = false;
+    saveWatchRulesBtn.disabled = false;
+    setStatus("idle", "");
+  } catch (error) {
+    console.error("Error loading access settings:", error);
+    rulesList.innerHTML = "";
+    watchRulesList.innerHTML = "";
+    personasList.innerHTML = "";
+    setStatus("error", error.message);
+  }
+}
+
+// One editable rule: who, what they may do and where
+function createRuleElement(rule = null) {
+  const ruleDiv = document.createElement("div");
+  ruleDiv.className = "job-item rule-item";
+  if (rule) ruleDiv.dataset.ruleId = rule.id;
+
+  // Who
+  const subjectRow = document.createElement("div");
+  subjectRow.className = "rule-row";
+  const typeSelect = document.createElement("select");
+  typeSelect.className = "select-input rule-type";
+  typeSelect.innerHTML = '<option value="role">Role</option><option value="user">User ID</option>';
+  typeSelect.value = rule?.subject.type || "role";
+
+  const roleSelect = document.createElement("select");
+  roleSelect.className = "select-input rule-role";
+  roles.forEach((role) => {
+    const option = document.createElement("option");
+    option.value = role.id;
+    option.textContent = `@${role.name}`;
+    roleSelect.appendChild(option);
+  });
+
+  const userInput = document.createElement("input");
+  userInput.type = "text";
+  userInput.className = "rule-user";
+  userInput.placeholder = "Discord user ID";
+
+  if (rule?.subject.type === "user") {
+    userInput.value = rule.subject.id;
+  } else if (rule) {
+    roleSelect.value = rule.subject.id;
+  }
+
+  const updateSubject = () => {
+    roleSelect.classList.toggle("hidden", typeSelect.value !== "role");
+    userInput.classList.toggle("hidden", typeSelect.value !== "user");
+  };
+  typeSelect.addEventListener("change", updateSubject);
+  updateSubject();
+
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "small-btn danger-btn";
+  removeBtn.textContent = "Remove";
+  removeBtn.addEventListener("click", () => ruleDiv.remove());
+
+  subjectRow.append(typeSelect, roleSelect, userInput, removeBtn);
+
+  // What
+  const capabilityRow = document.createElement("div");
+  capabilityRow.className = "rule-row";
+  CAPABILITIES.forEach((capability) => {
+    const label = document.createElement("label");
+    label.className = "rule-capability";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = capability.id;
+    checkbox.checked = rule
+      ? rule.capabilities.includes(capability.id)
+      : capability.id === "view";
+    label.append(checkbox, ` ${capability.label}`);
+    capabilityRow.appendChild(label);
+  });
+
+  // Where
+  const channelSelect = createChannelMultiSelect("rule-channels", rule?.channelIds || []);
+
+  ruleDiv.append(subjectRow, capabilityRow, channelSelect);
+  return ruleDiv;
+}
+
+// Read the rules back from the editor
+function collectRules() {
+  return [...rulesList.querySelectorAll(".rule-item")].map((ruleDiv) => {
+    const type = ruleDiv.querySelector(".rule-type").value;
+    return {
+      id: ruleDiv.dataset.ruleId || undefined,
+      subject: {
+        type,
+        id:
+          type === "role"
+            ? ruleDiv.querySelector(".rule-role").value
+            : ruleDiv.querySelector(".rule-user").value.trim(),
+      },
+      capabilities: [
+        ...ruleDiv.querySelectorAll(".rule-capability input:checked"),
+      ].map((checkbox) => checkbox.value),
+      channelIds: [...ruleDiv.querySelector(".rule-channels").selectedOptions].map(
+        (option) => option.value
+      ),
+    };
+  });
+}
+
+async function saveRules() {
+  try {
+    saveRulesBtn.disabled = true;
+    setStatus("sending", "Saving...");
+    const response = await fetch(`/guilds/${guildId}/access`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ rules: collectRules() }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to save rules");
+    }
+    setStatus("success", `Saved ${data.policy.rules.length} rule(s)`);
+  } catch (error) {
+    console.error("Error saving access rules:", error);
+    setStatus("error", error.message);
+  } finally {
+    saveRulesBtn.disabled = false;
+  }
+}
+
+// Multi-select of the server's channels
+function createChannelMultiSelect(className, selectedIds, options = channels) {
+  const channelSelect = document.createElement("select");
+  channelSelect.className = `select-input ${className}`;
+  channelSelect.multiple = true;
+  channelSelect.size = Math.min(Math.max(options.length, 2), 6);
+  channelSelect.title = "Ctrl/Cmd+click to pick several; none picked = every channel";
+  options.forEach((channel) => {
+    const option = document.createElement("option");
+    option.value = channel.id;
+    option.textContent = `# ${channel.name}`;
+    option.selected = selectedIds.includes(channel.id);
+    channelSelect.appendChild(option);
+  });
+  return channelSelect;
+}
+
+// One editable watch rule: what to look for, where, and where to send alerts
+function createWatchRuleElement(rule = null) {
+  const ruleDiv = document.createElement("div");
+  ruleDiv.className = "job-item rule-item watch-rule-item";
+  if (rule) ruleDiv.dataset.ruleId = rule.id;
+
+  // What
+  const matchRow = document.createElement("div");
+  matchRow.className = "rule-row";
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "watch-name";
+  nameInput.placeholder = "Rule name, e.g. Scam links";
+  nameInput.value = rule?.name || "";
+
+  const typeSelect = document.createElement("select");
+  typeSelect.className = "select-input watch-type";
+  WATCH_RULE_TYPES.forEach((type) => {
+    const option = document.createElement("option");
+    option.value = type.id;
+    option.textContent = type.label;
+    typeSelect.appendChild(option);
+  });
+  typeSelect.value = rule?.type || "keyword";
+
+  const patternInput = document.createElement("input");
+  patternInput.type = "text";
+  patternInput.className = "watch-pattern";
+  patternInput.value = rule?.pattern || "";
+  const updatePlaceholder = () => {
+    patternInput.placeholder = WATCH_RULE_TYPES.find(
+      (type) => type.id === typeSelect.value
+    ).placeholder;
+  };
+  typeSelect.addEventListener("change", updatePlaceholder);
+  updatePlaceholder();
+
+  const enabledLabel = document.createElement("label");
+  enabledLabel.className = "rule-capability";
+  const enabledCheckbox = document.createElement("input");
+  enabledCheckbox.type = "checkbox";
+  enabledCheckbox.className = "watch-enabled";
+  enabledCheckbox.checked = rule ? rule.enabled : true;
+  enabledLabel.append(enabledCheckbox, " Enabled");
+
+  matchRow.append(nameInput, typeSelect, patternInput, enabledLabel);
+
+  // Where alerts go
+  const forwardRow = document.createElement("div");
+  forwardRow.className = "rule-row";
+  const alertChannelSelect = document.createElement("select");
+  alertChannelSelect.className = "select-input watch-alert-channel";
+  alertChannelSelect.innerHTML = '<option value="">Inbox only (no mod-log channel)</option>';
+  messageChannels.forEach((channel) => {
+    const option = document.createElement("option");
+    option.value = channel.id;
+    option.textContent = `Forward to # ${channel.name}`;
+    alertChannelSelect.appendChild(option);
+  });
+  alertChannelSelect.value = rule?.alertChannelId || "";
+
+  const webhookInput = document.createElement("input");
+  webhookInput.type = "text";
+  webhookInput.className = "watch-webhook";
+  webhookInput.placeholder = "Discord webhook URL (optional)";
+  webhookInput.value = rule?.webhookUrl || "";
+
+  const testBtn = document.createElement("button");
+  testBtn.className = "small-btn";
+  testBtn.textContent = "Test";
+  testBtn.addEventListener("click", () => testWatchRule(ruleDiv));
+
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "small-btn danger-btn";
+  removeBtn.textContent = "Remove";
+  removeBtn.addEventListener("click", () => ruleDiv.remove());
+
+  forwardRow.append(alertChannelSelect, webhookInput, testBtn, removeBtn);
+
+  // Where to watch
+  const channelSelect = createChannelMultiSelect(
+    "watch-channels",
+    rule?.channelIds || [],
+    messageChannels
+  );
+
+  ruleDiv.append(matchRow, channelSelect, forwardRow);
+  return ruleDiv;
+}
+
+function readWatchRule(ruleDiv) {
+  return {
+    id: ruleDiv.dataset.ruleId || undefined,
+    name: ruleDiv.querySelector(".watch-name").value,
+    type: ruleDiv.querySelector(".watch-type").value,
+    pattern: ruleDiv.querySelector(".watch-pattern").value,
+    enabled: ruleDiv.querySelector(".watch-enabled").checked,
+    channelIds: [...ruleDiv.querySelector(".watch-channels").selectedOptions].map(
+      (option) => option.value
+    ),
+    alertChannelId: ruleDiv.querySelector(".watch-alert-channel").value || null,
+    webhookUrl: ruleDiv.querySelector(".watch-webhook").value.trim() || null,
+  };
+}
+
+async function testWatchRule(ruleDiv) {
+  try {
+    const response = await fetch(`/guilds/${guildId}/watchlist/test`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ rule: readWatchRule(ruleDiv), text: watchSampleText.value }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to test rule");
+    }
+    if (data.matched) {
+      setStatus("success", `Matches: "${data.match}"`, watchStatusText);
+    } else {
+      setStatus("idle", "No match in the sample text", watchStatusText);
+    }
+  } catch (error) {
+    setStatus("error", error.message, watchStatusText);
+  }
+}
+
+async function saveWatchRules() {
+  try {
+    saveWatchRulesBtn.disabled = true;
+    setStatus("sending", "Saving...", watchStatusText);
+    const rules = [...watchRulesList.querySelectorAll(".watch-rule-item")].map(readWatchRule);
+    const response = await fetch(`/guilds/${guildId}/watchlist`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ rules }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to save watch rules");
+    }
+    // Keep the IDs the server assigned so the next save updates, not duplicates
+    [...watchRulesList.querySelectorAll(".watch-rule-item")].forEach((ruleDiv, i) => {
+      ruleDiv.dataset.ruleId = data.rules[i].id;
+    });
+    setStatus("success", `Saved ${data.rules.length} watch rule(s)`, watchStatusText);
+  } catch (error) {
+    console.error("Error saving watch rules:", error);
+    setStatus("error", error.message, watchStatusText);
+  } finally {
+    saveWatchRulesBtn.disabled = false;
+  }
+}
+
+// One persona: its avatar, name and avatar URL. Each is saved on its own.
+function createPersonaElement(persona = null) {
+  const personaDiv = document.createElement("div");
+  personaDiv.className = "job-item rule-item persona-item";
+  if (persona) personaDiv.dataset.personaId = persona.id;
+
+  const row = document.createElement("div");
+  row.className = "rule-row";
+
+  const avatar = document.createElement("img");
+  avatar.className = "persona-avatar";
+  avatar.alt = "";
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "persona-name";
+  nameInput.placeholder = "Display name, e.g. Events Team";
+  nameInput.maxLength = 80;
+  nameInput.value = persona?.name || "";
+
+  const avatarInput = document.createElement("input");
+  avatarInput.type = "text";
+  avatarInput.className = "persona-avatar-url";
+  avatarInput.placeholder = "Avatar image URL (optional, https://...)";
+  avatarInput.value = persona?.avatarUrl || "";
+
+  const showAvatar = () => {
+    const url = avatarInput.value.trim();
+    avatar.classList.toggle("hidden", !url.startsWith("https://"));
+    avatar.src = url.startsWith("https://") ? url : "";
+  };
+  avatarInput.addEventListener("input", showAvatar);
+  showAvatar();
+
+  const saveBtn = document.createElement("button");
+  saveBtn.className = "small-btn";
+  saveBtn.textContent = "Save";
+  saveBtn.addEventListener("click", () => savePersona(personaDiv));
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "small-btn danger-btn";
+  deleteBtn.textContent = persona ? "Delete" : "Remove";
+  deleteBtn.addEventListener("click", () => deletePersona(personaDiv));
+
+  row.append(avatar, nameInput, avatarInput, saveBtn, deleteBtn);
+  personaDiv.appendChild(row);
+  return personaDiv;
+}
+
+async function savePersona(personaDiv) {
+  const personaId = personaDiv.dataset.personaId;
+  try {
+    setStatus("sending", "Saving...", personaStatusText);
+    const response = await fetch(
+      personaId ? `/guilds/${guildId}/personas/${personaId}` : `/guilds/${guildId}/personas`,
+      {
+        method: personaId ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name: personaDiv.querySelector(".persona-name").value,
+          avatarUrl: personaDiv.querySelector(".persona-avatar-url").value.trim() || null,
+        }),
+      }
+    );
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to save persona");
+    }
+    personaDiv.replaceWith(createPersonaElement(data.persona));
+    setStatus("success", `Saved "${data.persona.name}"`, personaStatusText);
+  } catch (error) {
+    console.error("Error saving persona:", error);
+    setStatus("error", error.message, personaStatusText);
+  }
+}
+
+async function deletePersona(personaDiv) {
+  const personaId = personaDiv.dataset.personaId;
+  if (!personaId) {
+    personaDiv.remove();
+    return;
+  }
+  if (!confirm("Delete this persona?")) return;
+  try {
+    const response = await fetch(`/guilds/${guildId}/personas/${personaId}`, {
+      method: "DELETE",
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to delete persona");
+    }
+    personaDiv.remove();
+    setStatus("success", "Persona deleted", personaStatusText);
+  } catch (error) {
+    console.error("Error deleting persona:", error);
+    setStatus("error", error.message, personaStatusText);
+  }
+}
+
+// Commands of the picked scope: this server's or the global ones
+function commandsUrl(commandId = null) {
+  const base =
+    commandScopeSelect.value === "global" ? "/commands" : `/guilds/${guildId}/commands`;
+  return commandId ? `${base}/${commandId}` : base;
+}
+
+async function loadCommands() {
+  addCommandBtn.disabled = true;
+  commandsList.innerHTML = '<p class="empty-state">Loading commands...</p>';
+  unmanagedCommands.classList.add("hidden");
+  try {
+    const data = await getJson(commandsUrl());
+    interactionsWarning.classList.toggle("hidden", data.interactionsConfigured);
+    commandScopeField.classList.toggle("hidden", !data.canManageGlobal);
+
+    commandsList.innerHTML = "";
+    if (data.commands.length === 0) {
+      commandsList.innerHTML = '<p class="empty-state">No commands yet</p>';
+    }
+    data.commands.forEach((command) => {
+      commandsList.appendChild(createCommandElement(command));
+    });
+
+    // Registered by something else; ChatPulse leaves them alone
+    if (data.unmanaged?.length > 0) {
+      unmanagedCommands.textContent = `Also registered, not managed here: ${data.unmanaged
+        .map((command) => `/${command.name}`)
+        .join(", ")}`;
+      unmanagedCommands.classList.remove("hidden");
+    }
+    addCommandBtn.disabled = false;
+    setStatus("idle", "", commandStatusText);
+  } catch (error) {
+    console.error("Error loading commands:", error);
+    commandsList.innerHTML = "";
+    setStatus("error", error.message, commandStatusText);
+  }
+}
+
+// One editable command: name, description, options and response
+function createCommandElement(command = null) {
+  const commandDiv = document.createElement("div");
+  commandDiv.className = "job-item rule-item command-item";
+  if (command) commandDiv.dataset.commandId = command.id;
+
+  const nameRow = document.createElement("div");
+  nameRow.className = "rule-row";
+  const slash = document.createElement("span");
+  slash.textContent = "/";
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "command-name";
+  nameInput.placeholder = "name, e.g. rules";
+  nameInput.maxLength = 32;
+  nameInput.value = command?.name || "";
+  const descriptionInput = document.createElement("input");
+  descriptionInput.type = "text";
+  descriptionInput.className = "command-description";
+  descriptionInput.placeholder = "What the command does";
+  descriptionInput.maxLength = 100;
+  descriptionInput.value = command?.description || "";
+  nameRow.append(slash, nameInput, descriptionInput);
+
+  // Options
+  const optionsList = document.createElement("div");
+  optionsList.className = "command-options";
+  (command?.options || []).forEach((option) => {
+    optionsList.appendChild(createCommandOptionElement(option));
+  });
+  const addOptionBtn = document.createElement("button");
+  addOptionBtn.className = "small-btn";
+  addOptionBtn.textContent = "+ Add Option";
+  addOptionBtn.addEventListener("click", () => {
+    optionsList.appendChild(createCommandOptionElement());
+  });
+
+  // Response
+  const contentInput = document.createElement("textarea");
+  contentInput.className = "command-content";
+  contentInput.rows = 3;
+  contentInput.maxLength = 2000;
+  contentInput.placeholder = "Response text, e.g. Welcome {user}! Read the rules in #rules";
+  contentInput.value = command?.response.content || "";
+
+  const embedRow = document.createElement("div");
+  embedRow.className = "rule-row";
+  const embedTitleInput = document.createElement("input");
+  embedTitleInput.type = "text";
+  embedTitleInput.className = "command-embed-title";
+  embedTitleInput.placeholder = "Embed title (optional)";
+  embedTitleInput.value = command?.response.embed?.title || "";
+  const embedColorInput = document.createElement("input");
+  embedColorInput.type = "color";
+  embedColorInput.className = "command-embed-color";
+  embedColorInput.value = `#${(command?.response.embed?.color ?? 0x6366f1)
+    .toString(16)
+    .padStart(6, "0")}`;
+  embedRow.append(embedTitleInput, embedColorInput);
+
+  const embedDescriptionInput = document.createElement("textarea");
+  embedDescriptionInput.className = "command-embed-description";
+  embedDescriptionInput.rows = 2;
+  embedDescriptionInput.placeholder = "Embed description (optional)";
+  embedDescriptionInput.value = command?.response.embed?.description || "";
+
+  const actionsRow = document.createElement("div");
+  actionsRow.className = "rule-row";
+  const ephemeralLabel = document.createElement("label");
+  ephemeralLabel.className = "rule-capability";
+  const ephemeralCheckbox = document.createElement("input");
+  ephemeralCheckbox.type = "checkbox";
+  ephemeralCheckbox.className = "command-ephemeral";
+  ephemeralCheckbox.checked = !!command?.response.ephemeral;
+  ephemeralLabel.append(ephemeralCheckbox, " Only visible to the user who ran it");
+
+  const saveBtn = document.createElement("button");
+  saveBtn.className = "small-btn";
+  saveBtn.textContent = "Save";
+  saveBtn.addEventListener("click", () => saveCommand(commandDiv));
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "small-btn danger-btn";
+  deleteBtn.textContent = command ? "Delete" : "Remove";
+  deleteBtn.addEventListener("click", () => deleteCommand(commandDiv));
+  actionsRow.append(ephemeralLabel, addOptionBtn, saveBtn, deleteBtn);
+
+  commandDiv.append(
+    nameRow,
+    optionsList,
+    contentInput,
+    embedRow,
+    embedDescriptionInput,
+    actionsRow
+  );
+  return commandDiv;
+}
+
+function createCommandOptionElement(option = null) {
+  const row = document.createElement("div");
+  row.className = "rule-row command-option";
+
+  const typeSelect = document.createElement("select");
+  typeSelect.className = "select-input command-option-type";
+  COMMAND_OPTION_TYPES.forEach(({ id, label }) => {
+    const item = document.createElement("option");
+    item.value = id;
+    item.textContent = label;
+    typeSelect.appendChild(item);
+  });
+  typeSelect.value = option?.type || "string";
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "command-option-name";
+  nameInput.placeholder = "option_name";
+  nameInput.maxLength = 32;
+  nameInput.value = option?.name || "";
+
+  const descriptionInput = document.createElement("input");
+  descriptionInput.type = "text";
+  descriptionInput.className = "command-option-description";
+  descriptionInput.placeholder = "Description";
+  descriptionInput.maxLength = 100;
+  descriptionInput.value = option?.description || "";
+
+  const requiredLabel = document.createElement("label");
+  requiredLabel.className = "rule-capability";
+  const requiredCheckbox = document.createElement("input");
+  requiredCheckbox.type = "checkbox";
+  requiredCheckbox.className = "command-option-required";
+  requiredCheckbox.checked = !!option?.required;
+  requiredLabel.append(requiredCheckbox, " Required");
+
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "small-btn danger-btn";
+  removeBtn.textContent = "Remove";
+  removeBtn.addEventListener("click", () => row.remove());
+
+  row.append(typeSelect, nameInput, descriptionInput, requiredLabel, removeBtn);
+  return row;
+}
+
+function readCommand(commandDiv) {
+  const embedTitle = commandDiv.querySelector(".command-embed-title").value.trim();
+  const embedDescription = commandDiv.querySelector(".command-embed-description").value.trim();
+  return {
+    name: commandDiv.querySelector(".command-name").value.trim(),
+    description: commandDiv.querySelector(".command-description").value,
+    options: [...commandDiv.querySelectorAll(".command-option")].map((row) => ({
+      type: row.querySelector(".command-option-type").value,
+      name: row.querySelector(".command-option-name").value.trim(),
+      description: row.querySelector(".command-option-description").value,
+      required: row.querySelector(".command-option-required").checked,
+    })),
+    response: {
+      content: commandDiv.querySelector(".command-content").value,
+      embed:
+        embedTitle || embedDescription
+          ? {
+              title: embedTitle,
+              description: embedDescription,
+              color: parseInt(
+                commandDiv.querySelector(".command-embed-color").value.slice(1),
+                16
+              ),
+            }
+          : null,
+      ephemeral: commandDiv.querySelector(".command-ephemeral").checked,
+    },
+  };
+}
+
+async function saveCommand(commandDiv) {
+  const commandId = commandDiv.dataset.commandId;
+  try {
+    setStatus("sending", "Registering with Discord...", commandStatusText);
+    const response = await fetch(commandsUrl(commandId), {
+      method: commandId ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(readCommand(commandDiv)),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to save command");
+    }
+    commandDiv.replaceWith(createCommandElement(data.command));
+    setStatus("success", `Saved /${data.command.name}`, commandStatusText);
+  } catch (error) {
+    console.error("Error saving command:", error);
+    setStatus("error", error.message, commandStatusText);
+  }
+}
+
+async function deleteCommand(commandDiv) {
+  const commandId = commandDiv.dataset.commandId;
+  if (!commandId) {
+    commandDiv.remove();
+    return;
+  }
+  if (!confirm("Delete this command from Discord?")) return;
+  try {
+    const response = await fetch(commandsUrl(commandId), { method: "DELETE" });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || "Failed to delete command");
+    }
+    commandDiv.remove();
+    setStatus("success", "Command deleted", commandStatusText);
+  } catch (error) {
+    console.error("Error deleting command:", error);
+    setStatus("error", error.message, commandStatusText);
+  }
+}
+
+function setStatus(state, text, element = statusText) {
+  element.textContent = text;
+  element.classList.remove("status-sending", "status-success", "status-error");
+
+  if (state === "sending") element.classList.add("status-sending");
+  if (state === "success") element.classList.add("status-success");
+  if (state === "error") element.classList.add("status-error");
+}
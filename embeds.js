@@ -0,0 +1,147 @@
+// embeds.js
+// Validation of Discord embed payloads before they are sent
+//
+// Discord rejects the whole message if any embed breaks its limits, with an
+// error that is hard to show to users. Checking here lets /send-message
+// return a clear list of problems instead.
+
+// https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+export const EMBED_LIMITS = {
+  embeds: 10,
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footerText: 2048,
+  authorName: 256,
+  // Sum of all text in all embeds of one message
+  total: 6000,
+};
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function checkLength(errors, label, value, max) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value !== "string") {
+    errors.push(`${label} must be text`);
+    return 0;
+  }
+  if (value.length > max) {
+    errors.push(`${label} must be at most ${max} characters (has ${value.length})`);
+  }
+  return value.length;
+}
+
+function checkUrl(errors, label, value) {
+  if (value === undefined || value === null) return;
+  if (typeof value !== "string" || !isHttpUrl(value)) {
+    errors.push(`${label} must be an http(s) URL`);
+  }
+}
+
+/**
+ * Check an embeds array against Discord's limits.
+ * Returns a list of human-readable errors (empty when valid).
+ */
+export function validateEmbeds(embeds) {
+  const errors = [];
+
+  if (!Array.isArray(embeds)) {
+    return ["embeds must be an array"];
+  }
+  if (embeds.length > EMBED_LIMITS.embeds) {
+    errors.push(`A message can have at most ${EMBED_LIMITS.embeds} embeds`);
+  }
+
+  let total = 0;
+  embeds.forEach((embed, i) => {
+    const at = `Embed ${i + 1}`;
+    if (!embed || typeof embed !== "object") {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    total += checkLength(errors, `${at} title`, embed.title, EMBED_LIMITS.title);
+    total += checkLength(
+      errors,
+      `${at} description`,
+      embed.description,
+      EMBED_LIMITS.description
+    );
+    total += checkLength(
+      errors,
+      `${at} footer`,
+      embed.footer?.text,
+      EMBED_LIMITS.footerText
+    );
+    total += checkLength(
+      errors,
+      `${at} author`,
+      embed.author?.name,
+      EMBED_LIMITS.authorName
+    );
+
+    if (embed.color !== undefined && embed.color !== null) {
+      if (
+        !Number.isInteger(embed.color) ||
+        embed.color < 0 ||
+        embed.color > 0xffffff
+      ) {
+        errors.push(`${at} color must be a number from 0 to 0xFFFFFF`);
+      }
+    }
+
+    checkUrl(errors, `${at} URL`, embed.url);
+    checkUrl(errors, `${at} image`, embed.image?.url);
+    checkUrl(errors, `${at} thumbnail`, embed.thumbnail?.url);
+
+    const fields = embed.fields || [];
+    if (!Array.isArray(fields)) {
+      errors.push(`${at} fields must be an array`);
+    } else {
+      if (fields.length > EMBED_LIMITS.fields) {
+        errors.push(`${at} can have at most ${EMBED_LIMITS.fields} fields`);
+      }
+      fields.forEach((field, j) => {
+        const fieldAt = `${at} field ${j + 1}`;
+        if (!field?.name || !field?.value) {
+          errors.push(`${fieldAt} needs both a name and a value`);
+        }
+        total += checkLength(errors, `${fieldAt} name`, field?.name, EMBED_LIMITS.fieldName);
+        total += checkLength(
+          errors,
+          `${fieldAt} value`,
+          field?.value,
+          EMBED_LIMITS.fieldValue
+        );
+      });
+    }
+
+    const hasContent =
+      embed.title ||
+      embed.description ||
+      fields.length > 0 ||
+      embed.image?.url ||
+      embed.thumbnail?.url ||
+      embed.footer?.text;
+    if (!hasContent) {
+      errors.push(`${at} is empty`);
+    }
+  });
+
+  if (total > EMBED_LIMITS.total) {
+    errors.push(
+      `Embeds can have at most ${EMBED_LIMITS.total} characters in total (has ${total})`
+    );
+  }
+
+  return errors;
+}
@@ -0,0 +1,513 @@
+// exports.js
+// Channel history exports (JSON, CSV or a standalone HTML transcript)
+//
+// An export walks a channel's history with getMessages, 100 messages at a
+// time using the `before` cursor, starting at the end of the date range.
+// Messages can be limited to some authors. Exports run in the background,
+// one at a time, and report progress while they walk; the dashboard polls
+// GET /exports/:exportId to show it.
+//
+// Each message keeps its attachments (metadata and URL), embeds, reactions
+// and mentions resolved to user, role and channel names.
+//
+// Export jobs are stored in DATA_DIR/exports.json and the files they write
+// in DATA_DIR/exports/.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { getMessages, getGuildChannels, getGuildRoles } from "./discord.js";
+import { createJsonStore, DATA_DIR } from "./store.js";
+import { csvCell } from "./audit.js";
+
+export const EXPORT_FORMATS = ["json", "csv", "html"];
+
+// Stop an export after this many messages (it is marked truncated)
+const MAX_EXPORT_MESSAGES = 50000;
+// Author IDs one export can filter on
+const MAX_AUTHOR_FILTER = 25;
+// Export jobs kept (files of older ones are deleted)
+const MAX_EXPORTS = 50;
+// Save progress to disk every this many pages
+const SAVE_EVERY_PAGES = 10;
+// Discord's epoch (2015-01-01), for turning dates into message ID cursors
+const DISCORD_EPOCH = 1420070400000n;
+
+const EXPORTS_DIR = path.join(DATA_DIR, "exports");
+const CONTENT_TYPES = {
+  json: "application/json",
+  csv: "text/csv",
+  html: "text/html",
+};
+
+const store = createJsonStore("exports", { exports: [] });
+let exportJobs = null;
+// Export IDs waiting to run, in order
+const queue = [];
+let running = false;
+
+/**
+ * Error for invalid export options (returned as 400)
+ */
+export class ExportValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ExportValidationError";
+  }
+}
+
+async function loadExports() {
+  if (!exportJobs) {
+    exportJobs = (await store.load()).exports;
+    // The process that ran these is gone
+    for (const job of exportJobs) {
+      if (job.status === "queued" || job.status === "running") {
+        job.status = "failed";
+        job.error = "Interrupted by a restart";
+      }
+    }
+  }
+  return exportJobs;
+}
+
+async function persist() {
+  const dropped = exportJobs.splice(0, Math.max(exportJobs.length - MAX_EXPORTS, 0));
+  await Promise.all(dropped.map(removeFile));
+  await store.save({ exports: exportJobs });
+}
+
+function filePathOf(job) {
+  return path.join(EXPORTS_DIR, `${job.id}.${job.format}`);
+}
+
+async function removeFile(job) {
+  await fs.rm(filePathOf(job), { force: true });
+}
+
+/**
+ * The smallest message ID sent at or after a time (a history cursor)
+ */
+export function snowflakeFromTime(ms) {
+  return String((BigInt(Math.floor(ms)) - DISCORD_EPOCH) << 22n);
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new ExportValidationError(`${name} must be a date`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Check and normalize export options: { format, from, to, authorIds }
+ */
+export function validateExportOptions({ format, from, to, authorIds } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ExportValidationError(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  }
+  const fromDate = parseDate(from, "from");
+  const toDate = parseDate(to, "to");
+  if (fromDate && toDate && fromDate >= toDate) {
+    throw new ExportValidationError("from must be before to");
+  }
+
+  const authors = [...new Set(authorIds || [])].map(String);
+  if (authors.length > MAX_AUTHOR_FILTER) {
+    throw new ExportValidationError(`Filter on at most ${MAX_AUTHOR_FILTER} authors`);
+  }
+  if (!authors.every((id) => /^\d{1,20}$/.test(id))) {
+    throw new ExportValidationError("authorIds must be user IDs");
+  }
+
+  return { format, from: fromDate, to: toDate, authorIds: authors };
+}
+
+/**
+ * Queue an export. input: { guildId, channelId, channelName, options, createdBy }
+ */
+export async function createExport({ guildId, channelId, channelName, options, createdBy }) {
+  const all = await loadExports();
+  const job = {
+    id: crypto.randomUUID(),
+    guildId,
+    channelId,
+    channelName: channelName || null,
+    ...options,
+    status: "queued",
+    progress: { scanned: 0, exported: 0, percent: null },
+    truncated: false,
+    error: null,
+    size: null,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  all.push(job);
+  await persist();
+  return job;
+}
+
+/**
+ * Run an export in the background (after any exports already queued)
+ */
+export function startExport(botToken, job) {
+  queue.push(job.id);
+  runQueue(botToken).catch((error) => {
+    console.error("[Export] Queue failed:", error);
+  });
+}
+
+async function runQueue(botToken) {
+  if (running) return;
+  running = true;
+  try {
+    while (queue.length > 0) {
+      const job = exportJobs.find((j) => j.id === queue[0]);
+      queue.shift();
+      if (!job || job.status !== "queued") continue;
+      try {
+        await runExport(botToken, job);
+      } catch (error) {
+        // Saving the job failed; the exports queued after it still run
+        if (job.status === "queued" || job.status === "running") {
+          job.status = "failed";
+          job.error = error.message;
+          job.finishedAt = new Date().toISOString();
+        }
+        console.error(`[Export] ${job.id} failed:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+async function runExport(botToken, job) {
+  job.status = "running";
+  await persist();
+  try {
+    const messages = await walkHistory(botToken, job);
+    if (job.status === "cancelled") return;
+
+    const names = await resolveNames(botToken, job.guildId);
+    const records = messages.reverse().map((message) => toRecord(message, names));
+    const output = formatExport(job, records);
+
+    await fs.mkdir(EXPORTS_DIR, { recursive: true });
+    await fs.writeFile(filePathOf(job), output);
+    job.size = Buffer.byteLength(output);
+    job.status = "completed";
+    job.progress.percent = 100;
+    console.log(`[Export] ${job.id}: ${records.length} messages from channel ${job.channelId}`);
+  } catch (error) {
+    job.status = "failed";
+    job.error = error.message;
+    console.error(`[Export] ${job.id} failed:`, error.message);
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    await persist();
+  }
+}
+
+// Walk back from the end of the range, newest first
+async function walkHistory(botToken, job) {
+  const fromTime = job.from ? new Date(job.from).getTime() : null;
+  const toTime = job.to ? new Date(job.to).getTime() : Date.now();
+  const authors = job.authorIds.length > 0 ? new Set(job.authorIds) : null;
+  const messages = [];
+  let before = job.to ? snowflakeFromTime(toTime) : null;
+  let pages = 0;
+
+  while (job.status === "running") {
+    const page = await getMessages(botToken, job.channelId, { limit: 100, before });
+    pages++;
+
+    for (const message of page) {
+      const time = new Date(message.timestamp).getTime();
+      if (fromTime !== null && time < fromTime) {
+        return messages;
+      }
+      job.progress.scanned++;
+      if (fromTime !== null) {
+        job.progress.percent = Math.min(
+          99,
+          Math.floor(((toTime - time) / (toTime - fromTime)) * 100)
+        );
+      }
+      if (authors && !authors.has(message.author?.id)) continue;
+
+      messages.push(message);
+      job.progress.exported = messages.length;
+      if (messages.length >= MAX_EXPORT_MESSAGES) {
+        job.truncated = true;
+        return messages;
+      }
+    }
+
+    if (page.length < 100) break;
+    before = page[page.length - 1].id;
+    if (pages % SAVE_EVERY_PAGES === 0) {
+      await persist();
+    }
+  }
+  return messages;
+}
+
+// Role and channel names for resolving mentions
+async function resolveNames(botToken, guildId) {
+  const [roles, channels] = await Promise.all([
+    getGuildRoles(botToken, guildId).catch(() => []),
+    getGuildChannels(botToken, guildId).catch(() => []),
+  ]);
+  return {
+    roles: new Map(roles.map((role) => [role.id, role.name])),
+    channels: new Map(channels.map((channel) => [channel.id, channel.name])),
+  };
+}
+
+function emojiText(emoji) {
+  return emoji.id ? `:${emoji.name}:` : emoji.name;
+}
+
+// The parts of a Discord message worth keeping, with mentions resolved
+function toRecord(message, names) {
+  const users = new Map(
+    (message.mentions || []).map((user) => [user.id, user.global_name || user.username])
+  );
+  const channelIds = [...(message.content || "").matchAll(/<#(\d+)>/g)].map((m) => m[1]);
+
+  const content = message.content || "";
+  const resolvedContent = content
+    .replace(/<@!?(\d+)>/g, (token, id) => (users.has(id) ? `@${users.get(id)}` : token))
+    .replace(/<@&(\d+)>/g, (token, id) =>
+      names.roles.has(id) ? `@${names.roles.get(id)}` : token
+    )
+    .replace(/<#(\d+)>/g, (token, id) =>
+      names.channels.has(id) ? `#${names.channels.get(id)}` : token
+    );
+
+  return {
+    id: message.id,
+    timestamp: message.timestamp,
+    editedTimestamp: message.edited_timestamp || null,
+    author: {
+      id: message.author?.id,
+      username: message.author?.username,
+      displayName: message.author?.global_name || message.author?.username,
+      bot: !!message.author?.bot,
+    },
+    content,
+    resolvedContent,
+    mentions: {
+      users: [...users].map(([id, name]) => ({ id, name })),
+      roles: (message.mention_roles || []).map((id) => ({
+        id,
+        name: names.roles.get(id) || null,
+      })),
+      channels: [...new Set(channelIds)].map((id) => ({
+        id,
+        name: names.channels.get(id) || null,
+      })),
+    },
+    attachments: (message.attachments || []).map((attachment) => ({
+      id: attachment.id,
+      filename: attachment.filename,
+      size: attachment.size,
+      contentType: attachment.content_type || null,
+      url: attachment.url,
+    })),
+    embeds: message.embeds || [],
+    reactions: (message.reactions || []).map((reaction) => ({
+      emoji: emojiText(reaction.emoji),
+      count: reaction.count,
+    })),
+    replyTo: message.message_reference?.message_id || null,
+  };
+}
+
+function formatExport(job, records) {
+  if (job.format === "csv") return toCsv(records);
+  if (job.format === "html") return toHtml(job, records);
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      guildId: job.guildId,
+      channel: { id: job.channelId, name: job.channelName },
+      range: { from: job.from, to: job.to },
+      authorIds: job.authorIds,
+      truncated: job.truncated,
+      messages: records,
+    },
+    null,
+    2
+  );
+}
+
+function toCsv(records) {
+  const header = [
+    "id",
+    "timestamp",
+    "edited_timestamp",
+    "author_id",
+    "author",
+    "content",
+    "attachments",
+    "embeds",
+    "reactions",
+    "reply_to",
+  ];
+  const rows = records.map((record) =>
+    [
+      record.id,
+      record.timestamp,
+      record.editedTimestamp,
+      record.author.id,
+      record.author.username,
+      record.resolvedContent,
+      record.attachments.map((a) => `${a.filename} (${a.url})`).join(" "),
+      record.embeds.length > 0 ? JSON.stringify(record.embeds) : "",
+      record.reactions.map((r) => `${r.emoji} ${r.count}`).join(" "),
+      record.replyTo,
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  return [header.join(","), ...rows].join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function embedHtml(embed) {
+  const color = embed.color ? `#${embed.color.toString(16).padStart(6, "0")}` : "#4f545c";
+  const fields = (embed.fields || [])
+    .map(
+      (field) =>
+        `<div class="field"><b>${escapeHtml(field.name)}</b><br>${escapeHtml(field.value)}</div>`
+    )
+    .join("");
+  return (
+    `<div class="embed" style="border-color:${color}">` +
+    (embed.title ? `<div class="embed-title">${escapeHtml(embed.title)}</div>` : "") +
+    (embed.description ? `<div>${escapeHtml(embed.description)}</div>` : "") +
+    fields +
+    (embed.footer?.text ? `<div class="meta">${escapeHtml(embed.footer.text)}</div>` : "") +
+    "</div>"
+  );
+}
+
+function messageHtml(record) {
+  const attachments = record.attachments
+    .map(
+      (a) =>
+        `<div class="attachment">📎 <a href="${escapeHtml(a.url)}">${escapeHtml(
+          a.filename
+        )}</a> <span class="meta">${a.size} bytes</span></div>`
+    )
+    .join("");
+  const reactions = record.reactions
+    .map((r) => `<span class="reaction">${escapeHtml(r.emoji)} ${r.count}</span>`)
+    .join("");
+  const edited = record.editedTimestamp ? ' <span class="meta">(edited)</span>' : "";
+
+  return (
+    `<div class="message" id="m${record.id}">` +
+    `<div><span class="author">${escapeHtml(record.author.displayName)}</span>` +
+    `${record.author.bot ? ' <span class="bot">BOT</span>' : ""} ` +
+    `<span class="meta">${escapeHtml(new Date(record.timestamp).toUTCString())}</span>${edited}</div>` +
+    (record.replyTo ? `<div class="meta">↪ reply to <a href="#m${record.replyTo}">message</a></div>` : "") +
+    `<div class="content">${escapeHtml(record.resolvedContent)}</div>` +
+    attachments +
+    record.embeds.map(embedHtml).join("") +
+    (reactions ? `<div>${reactions}</div>` : "") +
+    "</div>"
+  );
+}
+
+function toHtml(job, records) {
+  const title = `#${job.channelName || job.channelId}`;
+  const range = [job.from, job.to].some(Boolean)
+    ? `${job.from || "start"} to ${job.to || "now"}`
+    : "full history";
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)} transcript</title>
+<style>
+body { background: #313338; color: #dbdee1; font-family: system-ui, sans-serif; margin: 0; padding: 1.5rem; }
+h1 { font-size: 1.2rem; margin: 0 0 0.25rem; }
+.message { padding: 0.5rem 0; border-bottom: 1px solid #3f4147; }
+.author { font-weight: 600; color: #f2f3f5; }
+.bot { background: #5865f2; color: #fff; font-size: 0.65rem; padding: 0 0.3rem; border-radius: 0.2rem; }
+.meta { color: #949ba4; font-size: 0.8rem; }
+.content { white-space: pre-wrap; word-wrap: break-word; margin-top: 0.2rem; }
+.embed { border-left: 4px solid; background: #2b2d31; padding: 0.5rem 0.75rem; margin-top: 0.4rem; border-radius: 0.25rem; max-width: 520px; white-space: pre-wrap; }
+.embed-title { font-weight: 600; }
+.field { margin-top: 0.3rem; }
+.reaction { display: inline-block; background: #2b2d31; border-radius: 0.4rem; padding: 0.1rem 0.4rem; margin: 0.3rem 0.3rem 0 0; font-size: 0.85rem; }
+a { color: #00a8fc; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${records.length} messages · ${escapeHtml(range)} · exported ${escapeHtml(
+    new Date().toUTCString()
+  )}${job.truncated ? ` · truncated at ${MAX_EXPORT_MESSAGES} messages` : ""}</p>
+${records.map(messageHtml).join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Find an export created by a user
+ */
+export async function getExport(exportId, userId) {
+  const all = await loadExports();
+  return all.find((job) => job.id === exportId && job.createdBy?.id === userId) || null;
+}
+
+/**
+ * A user's exports, newest first
+ */
+export async function listExports(userId, limit = 20) {
+  const all = await loadExports();
+  return all
+    .filter((job) => job.createdBy?.id === userId)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Where a finished export's file is, and how to name and serve it
+ */
+export function exportFile(job) {
+  const day = job.createdAt.slice(0, 10);
+  return {
+    filePath: filePathOf(job),
+    fileName: `${job.channelName || job.channelId}-${day}.${job.format}`,
+    contentType: CONTENT_TYPES[job.format],
+  };
+}
+
+/**
+ * Cancel a queued or running export, or delete a finished one and its file
+ */
+export async function deleteExport(job) {
+  if (job.status === "queued" || job.status === "running") {
+    job.status = "cancelled";
+    job.finishedAt = new Date().toISOString();
+  } else {
+    exportJobs.splice(exportJobs.indexOf(job), 1);
+    await removeFile(job);
+  }
+  await persist();
+}
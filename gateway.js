@@ -0,0 +1,270 @@
+// gateway.js
+// Discord Gateway (WebSocket) connection for the bot
+//
+// GATEWAY EXPLANATION:
+// The REST API only answers questions; to hear about new messages as they
+// happen the bot keeps a WebSocket open to the Discord Gateway:
+// 1. Discord sends HELLO with a heartbeat interval
+// 2. We IDENTIFY with the bot token and the intents (event groups) we want,
+//    or RESUME a previous session to replay missed events
+// 3. We send a HEARTBEAT every interval; if Discord stops acknowledging them
+//    the connection is dead ("zombied") and we reconnect
+// 4. Events arrive as DISPATCH payloads (MESSAGE_CREATE, READY, ...)
+//
+// The client only needs a URL and a WebSocket constructor, so it can be
+// pointed at a local fake gateway.
+
+import { EventEmitter } from "events";
+import WebSocket from "ws";
+
+// Gateway opcodes
+export const OPCODES = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  RESUME: 6,
+  RECONNECT: 7,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11,
+};
+
+// https://discord.com/developers/docs/events/gateway#gateway-intents
+export const INTENTS = {
+  GUILDS: 1 << 0,
+  GUILD_MESSAGES: 1 << 9,
+  GUILD_MESSAGE_REACTIONS: 1 << 10,
+  MESSAGE_CONTENT: 1 << 15,
+};
+
+export const DEFAULT_INTENTS =
+  INTENTS.GUILDS | INTENTS.GUILD_MESSAGES | INTENTS.MESSAGE_CONTENT;
+
+// Close codes after which reconnecting can never work
+const FATAL_CLOSE_CODES = new Set([4004, 4010, 4011, 4012, 4013]);
+// Disallowed intents: the Message Content intent isn't enabled for the bot
+const DISALLOWED_INTENTS = 4014;
+// Close codes after which the session can't be resumed
+const NEW_SESSION_CLOSE_CODES = new Set([4007, 4009]);
+
+const MAX_RECONNECT_DELAY = 60 * 1000;
+
+/**
+ * A single Gateway connection.
+ *
+ * Events:
+ * - "dispatch" (type, data): every DISPATCH payload
+ * - "ready" (data) / "resumed"
+ * - "invalid_session" (resumable): no events arrive until the next
+ *   "ready" or "resumed"
+ * - "close" (code) / "fatal" (code)
+ */
+export class GatewayClient extends EventEmitter {
+  /**
+   * options.token:     bot token
+   * options.url:       gateway URL (from GET /gateway/bot)
+   * options.intents:   intents bitfield (default: guilds + messages + content)
+   * options.WebSocket: WebSocket constructor (default: ws)
+   */
+  constructor({ token, url, intents = DEFAULT_INTENTS, WebSocket: WS = WebSocket }) {
+    super();
+    this.token = token;
+    this.url = url;
+    this.intents = intents;
+    this.WebSocket = WS;
+
+    this.ws = null;
+    this.sessionId = null;
+    this.resumeUrl = null;
+    this.sequence = null;
+    this.heartbeatTimer = null;
+    this.heartbeatAcked = true;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.stopped = false;
+  }
+
+  connect() {
+    this.stopped = false;
+    const base = this.sessionId && this.resumeUrl ? this.resumeUrl : this.url;
+    const ws = new this.WebSocket(`${base}/?v=10&encoding=json`);
+    this.ws = ws;
+
+    ws.on("message", (raw) => {
+      // A malformed frame or a failing listener mustn't take the server
+      // down with it: start over on a new connection instead
+      try {
+        this.handlePayload(JSON.parse(raw.toString()));
+      } catch (error) {
+        console.error("[Gateway] Error handling payload, reconnecting:", error);
+        ws.close(4000);
+      }
+    });
+    ws.on("close", (code) => this.handleClose(ws, code));
+    ws.on("error", (error) => {
+      console.error("[Gateway] WebSocket error:", error.message);
+    });
+  }
+
+  /**
+   * Close the connection for good
+   */
+  destroy() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.stopHeartbeat();
+    if (this.ws) {
+      this.ws.close(1000);
+      this.ws = null;
+    }
+  }
+
+  send(op, d) {
+    if (this.ws && this.ws.readyState === this.WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ op, d }));
+    }
+  }
+
+  handlePayload({ op, d, s, t }) {
+    if (s !== null && s !== undefined) {
+      this.sequence = s;
+    }
+
+    switch (op) {
+      case OPCODES.HELLO:
+        this.startHeartbeat(d.heartbeat_interval);
+        if (this.sessionId) {
+          this.send(OPCODES.RESUME, {
+            token: this.token,
+            session_id: this.sessionId,
+            seq: this.sequence,
+          });
+        } else {
+          this.identify();
+        }
+        break;
+
+      case OPCODES.HEARTBEAT_ACK:
+        this.heartbeatAcked = true;
+        break;
+
+      case OPCODES.HEARTBEAT:
+        this.sendHeartbeat();
+        break;
+
+      case OPCODES.RECONNECT:
+        console.log("[Gateway] Discord asked us to reconnect");
+        this.ws.close(4000);
+        break;
+
+      case OPCODES.INVALID_SESSION:
+        console.log(`[Gateway] Invalid session (resumable: ${d})`);
+        this.emit("invalid_session", d);
+        if (!d) {
+          this.resetSession();
+        }
+        // Discord asks for a random 1-5 second wait before identifying again
+        setTimeout(() => {
+          if (d) {
+            this.ws?.close(4000);
+          } else {
+            this.identify();
+          }
+        }, 1000 + Math.random() * 4000);
+        break;
+
+      case OPCODES.DISPATCH:
+        this.handleDispatch(t, d);
+        break;
+    }
+  }
+
+  handleDispatch(type, data) {
+    if (type === "READY") {
+      this.sessionId = data.session_id;
+      this.resumeUrl = data.resume_gateway_url;
+      this.reconnectAttempts = 0;
+      console.log(`[Gateway] Ready as ${data.user?.username}`);
+      this.emit("ready", data);
+    } else if (type === "RESUMED") {
+      this.reconnectAttempts = 0;
+      console.log("[Gateway] Session resumed");
+      this.emit("resumed");
+    }
+    this.emit("dispatch", type, data);
+  }
+
+  identify() {
+    this.send(OPCODES.IDENTIFY, {
+      token: this.token,
+      intents: this.intents,
+      properties: {
+        os: process.platform,
+        browser: "chatpulse",
+        device: "chatpulse",
+      },
+    });
+  }
+
+  resetSession() {
+    this.sessionId = null;
+    this.resumeUrl = null;
+    this.sequence = null;
+  }
+
+  startHeartbeat(interval) {
+    this.stopHeartbeat();
+    this.heartbeatAcked = true;
+    // The first heartbeat is jittered so clients don't all beat at once
+    this.heartbeatTimer = setTimeout(() => {
+      this.sendHeartbeat();
+      this.heartbeatTimer = setInterval(() => {
+        if (!this.heartbeatAcked) {
+          console.log("[Gateway] Heartbeat not acknowledged, reconnecting");
+          this.ws?.close(4000);
+          return;
+        }
+        this.sendHeartbeat();
+      }, interval);
+    }, interval * Math.random());
+  }
+
+  sendHeartbeat() {
+    this.heartbeatAcked = false;
+    this.send(OPCODES.HEARTBEAT, this.sequence);
+  }
+
+  stopHeartbeat() {
+    clearTimeout(this.heartbeatTimer);
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  handleClose(ws, code) {
+    // Ignore sockets we already replaced
+    if (ws !== this.ws) return;
+    this.stopHeartbeat();
+    this.ws = null;
+    this.emit("close", code);
+    if (this.stopped) return;
+
+    if (code === DISALLOWED_INTENTS && this.intents & INTENTS.MESSAGE_CONTENT) {
+      console.error(
+        "[Gateway] Message Content intent is not enabled for this bot; continuing without message content"
+      );
+      this.intents &= ~INTENTS.MESSAGE_CONTENT;
+      this.resetSession();
+    } else if (FATAL_CLOSE_CODES.has(code) || code === DISALLOWED_INTENTS) {
+      console.error(`[Gateway] Closed with fatal code ${code}, not reconnecting`);
+      this.emit("fatal", code);
+      return;
+    } else if (NEW_SESSION_CLOSE_CODES.has(code)) {
+      this.resetSession();
+    }
+
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY);
+    this.reconnectAttempts++;
+    console.log(`[Gateway] Closed (${code}), reconnecting in ${delay}ms`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+}
@@ -0,0 +1,94 @@
+// guilds.js
+// Resolve which guilds the dashboard shows for a user
+//
+// A guild is shown when the BOT is installed in it AND the USER either has
+// Manage Server in it or is granted access by the guild's ChatPulse access
+// policy. Both guild lists come from /users/@me/guilds (one with the user's
+// OAuth token, one with the bot token) and are cached. Only guilds with a
+// policy need a per-guild request, to look up the user's roles.
+
+import { getBotGuilds } from "./discord.js";
+import {
+  getCachedUserGuilds,
+  resolveGuildAccess,
+  channelCapabilities,
+} from "./access.js";
+import { createTTLCache } from "./cache.js";
+
+// Bot guild ID set, trusted for 5 minutes before refetching
+const botGuildsCache = createTTLCache(5 * 60 * 1000);
+
+/**
+ * Fetch the IDs of every guild the bot is in, cached
+ */
+export async function getCachedBotGuildIds(botToken, { refresh = false } = {}) {
+  const cached = refresh ? undefined : botGuildsCache.get("bot");
+  if (cached) {
+    return cached;
+  }
+
+  const guilds = await getBotGuilds(botToken);
+  console.log(`[Guilds] Bot is in ${guilds.length} guilds`);
+  return botGuildsCache.set("bot", new Set(guilds.map((guild) => guild.id)));
+}
+
+/**
+ * Build the guild list for the dashboard.
+ * Returns { guilds, debug } where debug explains an empty list.
+ */
+export async function resolveDashboardGuilds(req, botToken, { refresh = false } = {}) {
+  const [userGuilds, botGuildIds] = await Promise.all([
+    getCachedUserGuilds(req, { refresh }),
+    getCachedBotGuildIds(botToken, { refresh }),
+  ]);
+  console.log(`[Guilds] User is in ${userGuilds.length} guilds`);
+
+  if (userGuilds.length === 0) {
+    return {
+      guilds: [],
+      debug: "User is not a member of any Discord servers",
+    };
+  }
+
+  // Keep only guilds the bot is installed in
+  const botUserGuilds = userGuilds.filter((guild) => botGuildIds.has(guild.id));
+  if (botUserGuilds.length === 0) {
+    return {
+      guilds: [],
+      debug:
+        "The bot is not installed in any of your servers. Please invite the bot to your server first.",
+    };
+  }
+
+  // Manage Server (0x20) or an access policy rule
+  const guilds = [];
+  for (const userGuild of botUserGuilds) {
+    let access = null;
+    try {
+      access = await resolveGuildAccess(req, botToken, userGuild.id);
+    } catch (error) {
+      // One server failing to resolve roles shouldn't hide the others
+      console.error(`[Guilds] Couldn't check access to ${userGuild.id}:`, error.message);
+    }
+    if (!access) continue;
+    guilds.push({
+      id: userGuild.id,
+      name: userGuild.name,
+      icon: userGuild.icon,
+      owner: userGuild.owner,
+      // What the user may do somewhere in the guild
+      capabilities: channelCapabilities(access, null),
+    });
+  }
+  console.log(`[Guilds] Returning ${guilds.length} valid guilds`);
+
+  if (guilds.length === 0) {
+    return {
+      guilds: [],
+      debug:
+        "You don't have 'Manage Server' permission or ChatPulse access in any server the bot is in",
+    };
+  }
+
+  return { guilds, debug: null };
+}
@@ -0,0 +1,142 @@
+// health.js
+// What the bot is missing in a server for ChatPulse to work
+//
+// Discord only says "Missing Permissions" once something has already
+// failed. The health report works it out up front from the bot's roles
+// and each channel's permission overwrites (see permissions.js):
+// - Server-wide: which ChatPulse features the bot's roles allow
+// - Per channel: channels where the bot can't read, send, embed or attach
+// - Intents: whether Message Content (message text) and Server Members
+//   (the Members panel) are enabled for the bot, and whether the live
+//   Gateway connection actually receives message text
+// - An invite URL asking for every permission ChatPulse uses. Inviting the
+//   bot again with it updates the bot's role in place.
+
+import { getApplication, getGuild } from "./discord.js";
+import { DISCORD_OAUTH_BASE } from "./auth.js";
+import { INTENTS } from "./gateway.js";
+import { getGateway, isGatewayReady } from "./live.js";
+import { listGuildChannels } from "./channels.js";
+import {
+  PERMISSIONS,
+  missingPermissions,
+  describeBotChannelPermissions,
+  getBotGuildPermissions,
+} from "./permissions.js";
+
+// ChatPulse's features and the server permissions each needs
+export const FEATURES = [
+  {
+    name: "Read and send messages",
+    flags: [
+      "VIEW_CHANNEL",
+      "READ_MESSAGE_HISTORY",
+      "SEND_MESSAGES",
+      "EMBED_LINKS",
+      "ATTACH_FILES",
+    ],
+  },
+  { name: "Post in threads", flags: ["SEND_MESSAGES_IN_THREADS"] },
+  { name: "Reactions", flags: ["ADD_REACTIONS"] },
+  { name: "Delete, pin and publish messages", flags: ["MANAGE_MESSAGES"] },
+  { name: "Personas", flags: ["MANAGE_WEBHOOKS"] },
+  {
+    name: "Member moderation",
+    flags: ["MODERATE_MEMBERS", "KICK_MEMBERS", "BAN_MEMBERS", "MANAGE_ROLES"],
+  },
+];
+
+// Every permission ChatPulse may use, for the invite URL
+export const INVITE_PERMISSIONS = FEATURES.flatMap((feature) => feature.flags).reduce(
+  (bits, flag) => bits | PERMISSIONS[flag],
+  0n
+);
+
+// Application flags: an intent is enabled if either of its flags is set
+// (the limited one is the Developer Portal switch for bots in fewer than
+// 100 servers)
+// https://discord.com/developers/docs/resources/application#application-object-application-flags
+const APPLICATION_FLAGS = {
+  GATEWAY_GUILD_MEMBERS: 1 << 14,
+  GATEWAY_GUILD_MEMBERS_LIMITED: 1 << 15,
+  GATEWAY_MESSAGE_CONTENT: 1 << 18,
+  GATEWAY_MESSAGE_CONTENT_LIMITED: 1 << 19,
+};
+
+/**
+ * URL that adds the bot to a guild (or updates it there) with `permissions`
+ */
+export function buildInviteUrl(clientId, guildId, permissions = INVITE_PERMISSIONS) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    scope: "bot applications.commands",
+    permissions: String(permissions),
+    guild_id: guildId,
+    disable_guild_select: "true",
+  });
+  return `${DISCORD_OAUTH_BASE}/oauth2/authorize?${params}`;
+}
+
+// Which privileged intents the application has; null when unknown
+async function getIntentStatus(botToken) {
+  let flags = null;
+  try {
+    flags = (await getApplication(botToken)).flags ?? 0;
+  } catch (error) {
+    console.error("[Health] Failed to fetch the application:", error.message);
+  }
+  const enabled = (...names) =>
+    flags === null ? null : names.some((name) => (flags & APPLICATION_FLAGS[name]) !== 0);
+
+  const gateway = getGateway();
+  return {
+    messageContent: enabled("GATEWAY_MESSAGE_CONTENT", "GATEWAY_MESSAGE_CONTENT_LIMITED"),
+    serverMembers: enabled("GATEWAY_GUILD_MEMBERS", "GATEWAY_GUILD_MEMBERS_LIMITED"),
+    gateway: {
+      connected: isGatewayReady(),
+      // The Gateway drops Message Content when Discord refuses it
+      receivesMessageContent: gateway ? (gateway.intents & INTENTS.MESSAGE_CONTENT) !== 0 : null,
+    },
+  };
+}
+
+/**
+ * The bot's health in a guild:
+ * {
+ *   guild: { id, name },
+ *   features: [{ name, ok, missing }],
+ *   channels: [{ id, name, kind, categoryName, canRead, canSend, canEmbed,
+ *                canAttach, missing }]  (only those missing something),
+ *   intents: { messageContent, serverMembers, gateway },
+ *   inviteUrl
+ * }
+ */
+export async function getGuildHealth(botToken, clientId, guildId) {
+  const [guild, permissions, channels, intents] = await Promise.all([
+    getGuild(botToken, guildId),
+    getBotGuildPermissions(botToken, guildId),
+    listGuildChannels(botToken, guildId),
+    getIntentStatus(botToken),
+  ]);
+
+  return {
+    guild: { id: guild.id, name: guild.name },
+    features: FEATURES.map((feature) => {
+      const missing = missingPermissions(permissions.base, feature.flags);
+      return { name: feature.name, ok: missing.length === 0, missing };
+    }),
+    // Threads follow their channel, so only channels are listed
+    channels: channels
+      .filter((channel) => channel.kind !== "thread")
+      .map((channel) => ({
+        id: channel.id,
+        name: channel.name,
+        kind: channel.kind,
+        categoryName: channel.categoryName,
+        ...describeBotChannelPermissions(permissions.channels.get(channel.id) ?? 0n),
+      }))
+      .filter((channel) => channel.missing.length > 0),
+    intents,
+    inviteUrl: buildInviteUrl(clientId, guildId),
+  };
+}
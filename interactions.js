@@ -0,0 +1,96 @@
+// interactions.js
+// HTTP endpoint Discord sends slash command interactions to
+//
+// Set the application's "Interactions Endpoint URL" in the Developer Portal
+// to https://<your host>/interactions and DISCORD_PUBLIC_KEY to the
+// application's public key. Discord signs every request with Ed25519 over
+// the timestamp and the raw body; requests that don't verify get a 401.
+// Discord sends badly signed requests on purpose when the URL is saved, to
+// check that they are refused.
+//
+// Discord waits at most 3 seconds for an answer.
+
+import crypto from "crypto";
+import { answerCommand } from "./commands.js";
+
+// Interaction types
+const PING = 1;
+const APPLICATION_COMMAND = 2;
+// Refuse signed requests older than this, so a captured one can't be replayed
+const MAX_TIMESTAMP_AGE = 5 * 60;
+
+/**
+ * Turn the hex public key from the Developer Portal into a KeyObject.
+ * Throws if it isn't a 32-byte hex key.
+ */
+export function parsePublicKey(hex) {
+  if (!/^[0-9a-f]{64}$/i.test(hex || "")) {
+    throw new Error("DISCORD_PUBLIC_KEY must be the 64 hex digit public key");
+  }
+  return crypto.createPublicKey({
+    key: { kty: "OKP", crv: "Ed25519", x: Buffer.from(hex, "hex").toString("base64url") },
+    format: "jwk",
+  });
+}
+
+/**
+ * Check Discord's X-Signature-Ed25519 over X-Signature-Timestamp + body
+ */
+export function verifyInteraction(publicKey, signature, timestamp, rawBody) {
+  if (!/^[0-9a-f]{128}$/i.test(signature || "") || !/^\d+$/.test(timestamp || "")) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_TIMESTAMP_AGE) {
+    return false;
+  }
+  return crypto.verify(
+    null,
+    Buffer.concat([Buffer.from(timestamp), rawBody]),
+    publicKey,
+    Buffer.from(signature, "hex")
+  );
+}
+
+/**
+ * Route handler for POST /interactions. Needs the raw body (express.raw),
+ * since the signature covers the exact bytes Discord sent.
+ * publicKey: from parsePublicKey, or null when DISCORD_PUBLIC_KEY isn't set
+ */
+export function interactionsHandler(botToken, publicKey) {
+  return async (req, res) => {
+    if (!publicKey) {
+      return res.status(503).json({ error: "Interactions are not configured" });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const verified = verifyInteraction(
+      publicKey,
+      req.get("X-Signature-Ed25519"),
+      req.get("X-Signature-Timestamp"),
+      rawBody
+    );
+    if (!verified) {
+      return res.status(401).json({ error: "Invalid request signature" });
+    }
+
+    let interaction;
+    try {
+      interaction = JSON.parse(rawBody.toString("utf8"));
+    } catch {
+      return res.status(400).json({ error: "Invalid JSON" });
+    }
+
+    try {
+      if (interaction.type === PING) {
+        return res.json({ type: PING });
+      }
+      if (interaction.type === APPLICATION_COMMAND) {
+        return res.json(await answerCommand(botToken, interaction));
+      }
+      res.status(400).json({ error: "Unsupported interaction type" });
+    } catch (error) {
+      console.error("[Interactions] Failed to answer interaction:", error);
+      res.status(500).json({ error: "Failed to answer interaction" });
+    }
+  };
+}
@@ -0,0 +1,151 @@
+// live.js
+// Live message events for the dashboard over Server-Sent Events (SSE)
+//
+// The bot's Gateway connection receives every message event in every
+// channel it can see. The dashboard opens GET /events/:channelId (an
+// EventSource) and only gets the events for the channel it is showing:
+// message_create, message_update and message_delete, plus status whenever
+// the Gateway connects or drops.
+//
+// Server-side features (e.g. watchlists) can listen to every message event
+// with subscribeToMessages.
+
+import { GatewayClient } from "./gateway.js";
+import { getGatewayBot } from "./discord.js";
+
+// Gateway event -> SSE event name sent to the browser
+const FORWARDED_EVENTS = {
+  MESSAGE_CREATE: "message_create",
+  MESSAGE_UPDATE: "message_update",
+  MESSAGE_DELETE: "message_delete",
+  MESSAGE_DELETE_BULK: "message_delete_bulk",
+};
+
+// Keep proxies from closing idle streams
+const KEEPALIVE_INTERVAL = 25 * 1000;
+
+// Channel ID -> Set of listeners
+const channelListeners = new Map();
+// Listeners for message events in every channel
+const messageListeners = new Set();
+// Listeners for changes of isGatewayReady()
+const statusListeners = new Set();
+
+let gateway = null;
+let gatewayReady = false;
+
+/**
+ * Connect the bot to the Gateway and start routing message events.
+ * options.url and options.WebSocket override the gateway for local testing.
+ */
+export async function startLiveGateway(botToken, options = {}) {
+  const url = options.url || (await getGatewayBot(botToken)).url;
+
+  gateway = new GatewayClient({
+    token: botToken,
+    url,
+    WebSocket: options.WebSocket,
+  });
+  gateway.on("dispatch", (type, data) => {
+    const event = FORWARDED_EVENTS[type];
+    if (event && data.channel_id) {
+      publish(data.channel_id, event, data);
+      for (const listener of messageListeners) {
+        listener(event, data);
+      }
+    }
+  });
+  gateway.on("ready", () => setGatewayReady(true));
+  gateway.on("resumed", () => setGatewayReady(true));
+  gateway.on("invalid_session", () => setGatewayReady(false));
+  gateway.on("close", () => setGatewayReady(false));
+  gateway.connect();
+  return gateway;
+}
+
+function setGatewayReady(ready) {
+  if (ready === gatewayReady) return;
+  gatewayReady = ready;
+  for (const listener of statusListeners) {
+    listener(ready);
+  }
+}
+
+/**
+ * The running Gateway connection (null before startLiveGateway)
+ */
+export function getGateway() {
+  return gateway;
+}
+
+/**
+ * Whether the Gateway is connected and delivering events right now
+ */
+export function isGatewayReady() {
+  return gatewayReady;
+}
+
+/**
+ * Listen for message events in every channel the bot can see.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToMessages(listener) {
+  messageListeners.add(listener);
+  return () => messageListeners.delete(listener);
+}
+
+/**
+ * Listen for live events in one channel. Returns an unsubscribe function.
+ */
+export function subscribeToChannel(channelId, listener) {
+  if (!channelListeners.has(channelId)) {
+    channelListeners.set(channelId, new Set());
+  }
+  channelListeners.get(channelId).add(listener);
+
+  return () => {
+    const listeners = channelListeners.get(channelId);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) channelListeners.delete(channelId);
+  };
+}
+
+function publish(channelId, event, data) {
+  const listeners = channelListeners.get(channelId);
+  if (!listeners) return;
+  for (const listener of listeners) {
+    listener(event, data);
+  }
+}
+
+/**
+ * Route handler: stream a channel's message events as SSE.
+ * Must run after the channel access check.
+ */
+export function streamChannelEvents(req, res) {
+  const { channelId } = req.params;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Tell the browser whether live updates are actually flowing, now and on
+  // every change: a Gateway that exists but is reconnecting (or never got
+  // READY) delivers nothing
+  const sendStatus = (connected) => send("status", { connected });
+  sendStatus(isGatewayReady());
+  statusListeners.add(sendStatus);
+
+  const unsubscribe = subscribeToChannel(channelId, send);
+  const keepAlive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    statusListeners.delete(sendStatus);
+    unsubscribe();
+  });
+}
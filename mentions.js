@@ -0,0 +1,102 @@
+// mentions.js
+// Names for the user, role and channel mentions in messages
+//
+// Message content only carries IDs: <@123>, <@&456>, <#789>. The dashboard
+// asks for the names of the IDs it can't resolve itself, in one request per
+// batch of messages. Users are looked up as members of the guild first
+// (for their nickname), then as plain Discord users.
+//
+// Everything is cached for a few minutes, so scrolling through history
+// doesn't fetch the same names again.
+
+import {
+  getGuildMember,
+  getUser,
+  getGuildRoles,
+  getGuildChannels,
+  DiscordAPIError,
+} from "./discord.js";
+import { createTTLCache } from "./cache.js";
+
+// IDs looked up per request; users cost a Discord request each
+export const MAX_MENTION_USERS = 25;
+export const MAX_MENTION_IDS = 100;
+
+const CACHE_TTL = 5 * 60 * 1000;
+// "guildId:userId" -> { name, username } or null for unknown users
+const userCache = createTTLCache(CACHE_TTL);
+// guildId -> Map of role ID -> { name, color }
+const roleCache = createTTLCache(CACHE_TTL);
+// guildId -> Map of channel ID -> name
+const channelCache = createTTLCache(CACHE_TTL);
+
+async function lookupUser(botToken, guildId, userId) {
+  const key = `${guildId}:${userId}`;
+  const cached = userCache.get(key);
+  if (cached !== undefined) return cached;
+
+  let result = null;
+  try {
+    const member = await getGuildMember(botToken, guildId, userId);
+    result = {
+      name: member.nick || member.user.global_name || member.user.username,
+      username: member.user.username,
+    };
+  } catch (error) {
+    if (!(error instanceof DiscordAPIError) || error.status !== 404) throw error;
+    // Not in the server (any more): fall back to their Discord profile
+    try {
+      const user = await getUser(botToken, userId);
+      result = { name: user.global_name || user.username, username: user.username };
+    } catch (userError) {
+      if (!(userError instanceof DiscordAPIError) || userError.status !== 404) {
+        throw userError;
+      }
+    }
+  }
+  return userCache.set(key, result);
+}
+
+async function guildRoles(botToken, guildId) {
+  const cached = roleCache.get(guildId);
+  if (cached) return cached;
+  const roles = await getGuildRoles(botToken, guildId);
+  return roleCache.set(
+    guildId,
+    new Map(roles.map((role) => [role.id, { name: role.name, color: role.color }]))
+  );
+}
+
+async function guildChannels(botToken, guildId) {
+  const cached = channelCache.get(guildId);
+  if (cached) return cached;
+  const channels = await getGuildChannels(botToken, guildId);
+  return channelCache.set(
+    guildId,
+    new Map(channels.map((channel) => [channel.id, channel.name]))
+  );
+}
+
+/**
+ * Resolve mention IDs to names. IDs that don't exist map to null.
+ * ids: { userIds, roleIds, channelIds }
+ * canViewChannel: channel ID -> boolean; other channels' names stay null
+ * Returns { users: { id: { name, username } }, roles: { id: { name, color } },
+ *           channels: { id: name } }
+ */
+export async function resolveMentions(botToken, guildId, ids, canViewChannel = () => true) {
+  const { userIds = [], roleIds = [], channelIds = [] } = ids;
+  const [users, roles, channels] = await Promise.all([
+    Promise.all(userIds.map((id) => lookupUser(botToken, guildId, id))),
+    roleIds.length > 0 ? guildRoles(botToken, guildId) : new Map(),
+    channelIds.length > 0 ? guildChannels(botToken, guildId) : new Map(),
+  ]);
+
+  return {
+    users: Object.fromEntries(userIds.map((id, i) => [id, users[i]])),
+    roles: Object.fromEntries(roleIds.map((id) => [id, roles.get(id) || null])),
+    channels: Object.fromEntries(
+      channelIds.map((id) => [id, canViewChannel(id) ? channels.get(id) || null : null])
+    ),
+  };
+}
@@ -0,0 +1,410 @@
+// moderation.js
+// Member moderation: timeouts, kicks, bans and roles
+//
+// Every action runs through the bot, so it's checked twice before Discord
+// sees it, once for the logged-in user and once for the bot:
+// - Permissions: the server permission the action needs (Moderate Members,
+//   Kick Members, Ban Members or Manage Roles), from their roles
+// - Role hierarchy: their highest role must be above the target member's
+//   highest role, and above any role they give or take. The server owner is
+//   above everyone and can't be moderated.
+// Discord itself only checks the bot, so without the first check anyone with
+// moderate access in ChatPulse could act with the bot's permissions.
+//
+// Reasons go to Discord's audit log with the ChatPulse user's name, since
+// Discord shows the bot as the one who acted.
+
+import {
+  getGuild,
+  getGuildRoles,
+  getGuildMember,
+  getUser,
+  listGuildMembers,
+  searchGuildMembers,
+  getGuildBans,
+  timeoutGuildMember,
+  kickGuildMember,
+  banGuildUser,
+  unbanGuildUser,
+  addGuildMemberRole,
+  removeGuildMemberRole,
+  DiscordAPIError,
+} from "./discord.js";
+import {
+  PERMISSIONS,
+  hasPermission,
+  computeBasePermissions,
+  getBotUserCached,
+} from "./permissions.js";
+
+// The permission each action needs, for the user and for the bot
+const ACTION_PERMISSIONS = {
+  timeout: PERMISSIONS.MODERATE_MEMBERS,
+  kick: PERMISSIONS.KICK_MEMBERS,
+  ban: PERMISSIONS.BAN_MEMBERS,
+  roles: PERMISSIONS.MANAGE_ROLES,
+};
+const PERMISSION_NAMES = {
+  timeout: "Timeout Members",
+  kick: "Kick Members",
+  ban: "Ban Members",
+  roles: "Manage Roles",
+};
+
+// Discord's longest timeout
+export const MAX_TIMEOUT_MINUTES = 28 * 24 * 60;
+// Discord deletes at most the last 7 days of a banned user's messages
+export const MAX_BAN_DELETE_SECONDS = 7 * 24 * 60 * 60;
+// Discord's limit for X-Audit-Log-Reason
+const MAX_REASON_LENGTH = 512;
+export const MAX_MEMBERS_PAGE = 100;
+
+/**
+ * Error for a refused or invalid moderation action.
+ * status: 400 for bad input, 403 when permissions or hierarchy forbid it
+ */
+export class ModerationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ModerationError";
+    this.status = status;
+  }
+}
+
+// null when they aren't a member
+async function fetchMember(botToken, guildId, userId) {
+  try {
+    return await getGuildMember(botToken, guildId, userId);
+  } catch (error) {
+    if (error instanceof DiscordAPIError && error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Everything the checks need about a guild, the acting user and the bot.
+ * Fetched per request: roles and permissions must be current when acting.
+ */
+async function loadContext(botToken, guildId, userId) {
+  const botUser = await getBotUserCached(botToken);
+  const [guild, roles, userMember, botMember] = await Promise.all([
+    getGuild(botToken, guildId),
+    getGuildRoles(botToken, guildId),
+    fetchMember(botToken, guildId, userId),
+    getGuildMember(botToken, guildId, botUser.id),
+  ]);
+  if (!userMember) {
+    throw new ModerationError("You're not a member of this server", 403);
+  }
+
+  const rolesById = new Map(roles.map((role) => [role.id, role]));
+  const moderator = (id, member) => ({
+    id,
+    owner: guild.owner_id === id,
+    permissions: computeBasePermissions(guild, roles, member, id),
+    position: highestPosition(rolesById, member),
+  });
+  return {
+    guild,
+    roles,
+    rolesById,
+    user: moderator(userId, userMember),
+    bot: moderator(botUser.id, botMember),
+  };
+}
+
+// Position of a member's highest role (@everyone is 0)
+function highestPosition(rolesById, member) {
+  return Math.max(0, ...member.roles.map((id) => rolesById.get(id)?.position ?? 0));
+}
+
+// Whether a moderator's highest role is above the target member's
+function outranks(context, moderator, member) {
+  if (member.user.id === context.guild.owner_id) return false;
+  if (moderator.owner) return true;
+  return moderator.position > highestPosition(context.rolesById, member);
+}
+
+/**
+ * Why `moderator` can't take `action` against `member`, or null if they can.
+ * member is null for users who aren't in the server (ban and unban only).
+ */
+function refusal(context, moderator, action, member) {
+  const who = moderator === context.bot ? "The bot" : "You";
+  if (!hasPermission(moderator.permissions, ACTION_PERMISSIONS[action])) {
+    return `${who} need${who === "You" ? "" : "s"} ${PERMISSION_NAMES[action]} permission`;
+  }
+  if (!member) return null;
+  if (member.user.id === context.user.id || member.user.id === context.bot.id) {
+    return "ChatPulse can't moderate you or the bot";
+  }
+  if (member.user.id === context.guild.owner_id) {
+    return "The server owner can't be moderated";
+  }
+  if (action !== "roles" && !outranks(context, moderator, member)) {
+    return `${who === "You" ? "Your" : "The bot's"} highest role must be above this member's`;
+  }
+  if (action === "timeout") {
+    const permissions = computeBasePermissions(
+      context.guild,
+      context.roles,
+      member,
+      member.user.id
+    );
+    if (hasPermission(permissions, PERMISSIONS.ADMINISTRATOR)) {
+      return "Administrators can't be timed out";
+    }
+  }
+  return null;
+}
+
+function check(context, action, member) {
+  const reason =
+    refusal(context, context.user, action, member) ||
+    refusal(context, context.bot, action, member);
+  if (reason) throw new ModerationError(reason, 403);
+}
+
+// Roles both the user and the bot may give or take
+function assignableRoles(context) {
+  const canAssign = (moderator, role) =>
+    moderator.owner || role.position < moderator.position;
+  return context.roles.filter(
+    (role) =>
+      role.id !== context.guild.id &&
+      !role.managed &&
+      hasPermission(context.user.permissions, PERMISSIONS.MANAGE_ROLES) &&
+      hasPermission(context.bot.permissions, PERMISSIONS.MANAGE_ROLES) &&
+      canAssign(context.user, role) &&
+      canAssign(context.bot, role)
+  );
+}
+
+// A member as the dashboard shows it, with the actions allowed on them
+function describeMember(context, member) {
+  const timedOutUntil = member.communication_disabled_until;
+  return {
+    id: member.user.id,
+    username: member.user.username,
+    globalName: member.user.global_name || null,
+    nick: member.nick || null,
+    avatar: member.user.avatar,
+    bot: !!member.user.bot,
+    owner: member.user.id === context.guild.owner_id,
+    roleIds: member.roles,
+    joinedAt: member.joined_at,
+    timedOutUntil:
+      timedOutUntil && new Date(timedOutUntil) > new Date() ? timedOutUntil : null,
+    actions: ["timeout", "kick", "ban", "roles"].filter(
+      (action) =>
+        !refusal(context, context.user, action, member) &&
+        !refusal(context, context.bot, action, member)
+    ),
+  };
+}
+
+// What the dashboard needs besides the members: the roles to show and assign
+function describeRoles(context) {
+  const assignable = new Set(assignableRoles(context).map((role) => role.id));
+  return context.roles
+    .filter((role) => role.id !== context.guild.id)
+    .sort((a, b) => b.position - a.position)
+    .map((role) => ({
+      id: role.id,
+      name: role.name,
+      color: role.color,
+      assignable: assignable.has(role.id),
+    }));
+}
+
+/**
+ * A page of members, ordered by user ID, or those whose name starts with
+ * `query` (search results aren't paged).
+ * Returns { members, roles, after } where after is the cursor for the next
+ * page, or null on the last one.
+ */
+export async function listMembers(botToken, guildId, userId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), MAX_MEMBERS_PAGE);
+  const query = typeof options.query === "string" ? options.query.trim() : "";
+  if (options.after && !/^\d{17,20}$/.test(options.after)) {
+    throw new ModerationError("after must be a user ID");
+  }
+
+  const context = await loadContext(botToken, guildId, userId);
+  const members = query
+    ? await searchGuildMembers(botToken, guildId, query, limit)
+    : await listGuildMembers(botToken, guildId, { after: options.after, limit });
+  return {
+    members: members.map((member) => describeMember(context, member)),
+    roles: describeRoles(context),
+    after: !query && members.length === limit ? members[members.length - 1].user.id : null,
+  };
+}
+
+/**
+ * One member with the actions allowed on them, or null if they aren't in
+ * the server. Returns { member, roles }.
+ */
+export async function getMemberDetails(botToken, guildId, userId, targetId) {
+  const [context, member] = await Promise.all([
+    loadContext(botToken, guildId, userId),
+    fetchMember(botToken, guildId, targetId),
+  ]);
+  return {
+    member: member && describeMember(context, member),
+    roles: describeRoles(context),
+  };
+}
+
+/**
+ * A page of banned users, ordered by user ID. Needs Ban Members for both the
+ * user and the bot. Returns { bans: [{ id, username, reason }], after }.
+ */
+export async function listBans(botToken, guildId, userId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), MAX_MEMBERS_PAGE);
+  if (options.after && !/^\d{17,20}$/.test(options.after)) {
+    throw new ModerationError("after must be a user ID");
+  }
+  const context = await loadContext(botToken, guildId, userId);
+  check(context, "ban", null);
+
+  const bans = await getGuildBans(botToken, guildId, { after: options.after, limit });
+  return {
+    bans: bans.map((ban) => ({
+      id: ban.user.id,
+      username: ban.user.username,
+      globalName: ban.user.global_name || null,
+      reason: ban.reason,
+    })),
+    after: bans.length === limit ? bans[bans.length - 1].user.id : null,
+  };
+}
+
+// The reason for Discord's audit log, saying who acted through ChatPulse
+function auditReason(actor, reason) {
+  if (reason !== undefined && reason !== null && typeof reason !== "string") {
+    throw new ModerationError("reason must be text");
+  }
+  const text = `${actor.username} via ChatPulse${reason?.trim() ? `: ${reason.trim()}` : ""}`;
+  return text.slice(0, MAX_REASON_LENGTH);
+}
+
+// Load the context and the target member; throws when they aren't a member
+async function loadTarget(botToken, guildId, actor, targetId) {
+  const [context, member] = await Promise.all([
+    loadContext(botToken, guildId, actor.id),
+    fetchMember(botToken, guildId, targetId),
+  ]);
+  if (!member) {
+    throw new ModerationError("This user isn't a member of the server", 404);
+  }
+  return { context, member };
+}
+
+/**
+ * Time a member out for `minutes` (1 minute to 28 days), or lift their
+ * timeout with 0. actor: the session user ({ id, username }).
+ * Returns the member as describeMember shows them.
+ */
+export async function timeoutMember(botToken, guildId, actor, targetId, { minutes, reason }) {
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_TIMEOUT_MINUTES) {
+    throw new ModerationError(
+      `minutes must be a whole number from 0 (lift the timeout) to ${MAX_TIMEOUT_MINUTES} (28 days)`
+    );
+  }
+  const auditLogReason = auditReason(actor, reason);
+  const { context, member } = await loadTarget(botToken, guildId, actor, targetId);
+  check(context, "timeout", member);
+
+  const until = minutes === 0 ? null : new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  const updated = await timeoutGuildMember(botToken, guildId, targetId, until, auditLogReason);
+  return describeMember(context, updated);
+}
+
+/**
+ * Kick a member
+ */
+export async function kickMember(botToken, guildId, actor, targetId, { reason }) {
+  const auditLogReason = auditReason(actor, reason);
+  const { context, member } = await loadTarget(botToken, guildId, actor, targetId);
+  check(context, "kick", member);
+  await kickGuildMember(botToken, guildId, targetId, auditLogReason);
+}
+
+/**
+ * Ban a user, whether they're a member or not, and delete their messages
+ * from the last deleteMessageSeconds (0 to 7 days)
+ */
+export async function banUser(
+  botToken,
+  guildId,
+  actor,
+  targetId,
+  { deleteMessageSeconds = 0, reason }
+) {
+  if (
+    !Number.isInteger(deleteMessageSeconds) ||
+    deleteMessageSeconds < 0 ||
+    deleteMessageSeconds > MAX_BAN_DELETE_SECONDS
+  ) {
+    throw new ModerationError(
+      `deleteMessageSeconds must be a whole number from 0 to ${MAX_BAN_DELETE_SECONDS} (7 days)`
+    );
+  }
+  const auditLogReason = auditReason(actor, reason);
+  const [context, member] = await Promise.all([
+    loadContext(botToken, guildId, actor.id),
+    fetchMember(botToken, guildId, targetId),
+  ]);
+  // Only members have roles to compare; anyone else just needs to exist
+  if (!member) await getUser(botToken, targetId);
+  check(context, "ban", member);
+  await banGuildUser(botToken, guildId, targetId, deleteMessageSeconds, auditLogReason);
+}
+
+/**
+ * Lift a ban
+ */
+export async function unbanUser(botToken, guildId, actor, targetId, { reason }) {
+  const auditLogReason = auditReason(actor, reason);
+  const context = await loadContext(botToken, guildId, actor.id);
+  check(context, "ban", null);
+  await unbanGuildUser(botToken, guildId, targetId, auditLogReason);
+}
+
+/**
+ * Give (add = true) or take a role. Returns the member as describeMember
+ * shows them.
+ */
+export async function setMemberRole(botToken, guildId, actor, targetId, roleId, add, { reason }) {
+  const auditLogReason = auditReason(actor, reason);
+  const { context, member } = await loadTarget(botToken, guildId, actor, targetId);
+  check(context, "roles", member);
+
+  const role = context.rolesById.get(roleId);
+  if (!role || role.id === guildId) {
+    throw new ModerationError("Unknown role", 404);
+  }
+  if (role.managed) {
+    throw new ModerationError(
+      `${role.name} is managed by an integration and can't be assigned`,
+      403
+    );
+  }
+  if (!assignableRoles(context).includes(role)) {
+    throw new ModerationError(
+      `${role.name} must be below both your highest role and the bot's`,
+      403
+    );
+  }
+
+  if (add) {
+    await addGuildMemberRole(botToken, guildId, targetId, roleId, auditLogReason);
+  } else {
+    await removeGuildMemberRole(botToken, guildId, targetId, roleId, auditLogReason);
+  }
+  const roleIds = add
+    ? [...new Set([...member.roles, roleId])]
+    : member.roles.filter((id) => id !== roleId);
+  return describeMember(context, { ...member, roles: roleIds });
+}
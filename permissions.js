@@ -0,0 +1,244 @@
+// permissions.js
+// Discord permission bits and the bot's effective permissions per channel
+//
+// PERMISSION EXPLANATION:
+// Discord permissions are bit flags. What the bot may do in a channel is
+// computed in two steps:
+// 1. Base permissions: the @everyone role plus every role the bot has.
+//    The guild owner and ADMINISTRATOR get everything.
+// 2. Channel overwrites: the channel's @everyone overwrite, then all role
+//    overwrites together, then the member overwrite, each denying then
+//    allowing bits. Threads have no overwrites of their own; their parent
+//    channel's apply.
+//
+// Sending in a thread takes Send Messages in Threads instead of Send
+// Messages; everything else is checked as in the parent channel.
+
+import {
+  getBotUser,
+  getChannel,
+  getGuild,
+  getGuildRoles,
+  getGuildMember,
+  getGuildChannels,
+  THREAD_TYPES,
+} from "./discord.js";
+import { createTTLCache } from "./cache.js";
+
+// https://discord.com/developers/docs/topics/permissions#permissions-bitwise-permission-flags
+export const PERMISSIONS = {
+  KICK_MEMBERS: 1n << 1n,
+  BAN_MEMBERS: 1n << 2n,
+  ADMINISTRATOR: 1n << 3n,
+  MANAGE_CHANNELS: 1n << 4n,
+  MANAGE_GUILD: 1n << 5n,
+  ADD_REACTIONS: 1n << 6n,
+  VIEW_CHANNEL: 1n << 10n,
+  SEND_MESSAGES: 1n << 11n,
+  MANAGE_MESSAGES: 1n << 13n,
+  EMBED_LINKS: 1n << 14n,
+  ATTACH_FILES: 1n << 15n,
+  READ_MESSAGE_HISTORY: 1n << 16n,
+  MANAGE_ROLES: 1n << 28n,
+  MANAGE_WEBHOOKS: 1n << 29n,
+  SEND_MESSAGES_IN_THREADS: 1n << 38n,
+  MODERATE_MEMBERS: 1n << 40n,
+};
+
+// Names as Discord's server settings show them
+export const PERMISSION_NAMES = {
+  KICK_MEMBERS: "Kick Members",
+  BAN_MEMBERS: "Ban Members",
+  ADMINISTRATOR: "Administrator",
+  MANAGE_CHANNELS: "Manage Channels",
+  MANAGE_GUILD: "Manage Server",
+  ADD_REACTIONS: "Add Reactions",
+  VIEW_CHANNEL: "View Channel",
+  SEND_MESSAGES: "Send Messages",
+  MANAGE_MESSAGES: "Manage Messages",
+  EMBED_LINKS: "Embed Links",
+  ATTACH_FILES: "Attach Files",
+  READ_MESSAGE_HISTORY: "Read Message History",
+  MANAGE_ROLES: "Manage Roles",
+  MANAGE_WEBHOOKS: "Manage Webhooks",
+  SEND_MESSAGES_IN_THREADS: "Send Messages in Threads",
+  MODERATE_MEMBERS: "Timeout Members",
+};
+
+const ALL_PERMISSIONS = (1n << 64n) - 1n;
+
+// Roles and overwrites change rarely; 60 seconds keeps pages snappy
+const channelPermissionsCache = createTTLCache(60 * 1000);
+
+let botUserPromise = null;
+
+/**
+ * Check a permission bitfield for a flag (ADMINISTRATOR implies all)
+ */
+export function hasPermission(permissions, flag) {
+  return (
+    (permissions & PERMISSIONS.ADMINISTRATOR) !== 0n ||
+    (permissions & flag) === flag
+  );
+}
+
+/**
+ * Names of the flags (keys of PERMISSIONS) that a permission bitfield lacks
+ */
+export function missingPermissions(permissions, flags) {
+  return flags
+    .filter((flag) => !hasPermission(permissions, PERMISSIONS[flag]))
+    .map((flag) => PERMISSION_NAMES[flag]);
+}
+
+/**
+ * What the bot can do with messages in a channel, from its permissions
+ * there (a thread's parent's, for threads):
+ * { canRead, canSend, canEmbed, canAttach, missing } where missing names
+ * the permissions it lacks for the others
+ */
+export function describeBotChannelPermissions(permissions, { thread = false } = {}) {
+  const send = thread ? "SEND_MESSAGES_IN_THREADS" : "SEND_MESSAGES";
+  const canView = hasPermission(permissions, PERMISSIONS.VIEW_CHANNEL);
+  const can = (flag) => canView && hasPermission(permissions, PERMISSIONS[flag]);
+  return {
+    canRead: can("READ_MESSAGE_HISTORY"),
+    canSend: can(send),
+    canEmbed: can(send) && can("EMBED_LINKS"),
+    canAttach: can(send) && can("ATTACH_FILES"),
+    missing: missingPermissions(permissions, [
+      "VIEW_CHANNEL",
+      "READ_MESSAGE_HISTORY",
+      send,
+      "EMBED_LINKS",
+      "ATTACH_FILES",
+    ]),
+  };
+}
+
+/**
+ * Fetch the bot's user once and remember it
+ */
+export function getBotUserCached(botToken) {
+  if (!botUserPromise) {
+    botUserPromise = getBotUser(botToken).catch((error) => {
+      botUserPromise = null;
+      throw error;
+    });
+  }
+  return botUserPromise;
+}
+
+/**
+ * Base permissions of a member from their roles
+ */
+export function computeBasePermissions(guild, roles, member, userId) {
+  if (guild.owner_id === userId) {
+    return ALL_PERMISSIONS;
+  }
+
+  const roleMap = new Map(roles.map((role) => [role.id, role]));
+  // The @everyone role has the same ID as the guild
+  let permissions = BigInt(roleMap.get(guild.id)?.permissions || "0");
+  for (const roleId of member.roles) {
+    permissions |= BigInt(roleMap.get(roleId)?.permissions || "0");
+  }
+
+  if ((permissions & PERMISSIONS.ADMINISTRATOR) !== 0n) {
+    return ALL_PERMISSIONS;
+  }
+  return permissions;
+}
+
+/**
+ * Apply a channel's permission overwrites to base permissions
+ */
+export function applyOverwrites(basePermissions, channel, member, userId) {
+  if ((basePermissions & PERMISSIONS.ADMINISTRATOR) !== 0n) {
+    return ALL_PERMISSIONS;
+  }
+
+  let permissions = basePermissions;
+  const overwrites = channel.permission_overwrites || [];
+
+  const everyone = overwrites.find((o) => o.id === channel.guild_id);
+  if (everyone) {
+    permissions &= ~BigInt(everyone.deny);
+    permissions |= BigInt(everyone.allow);
+  }
+
+  let roleAllow = 0n;
+  let roleDeny = 0n;
+  for (const overwrite of overwrites) {
+    if (overwrite.type === 0 && member.roles.includes(overwrite.id)) {
+      roleAllow |= BigInt(overwrite.allow);
+      roleDeny |= BigInt(overwrite.deny);
+    }
+  }
+  permissions &= ~roleDeny;
+  permissions |= roleAllow;
+
+  const memberOverwrite = overwrites.find(
+    (o) => o.type === 1 && o.id === userId
+  );
+  if (memberOverwrite) {
+    permissions &= ~BigInt(memberOverwrite.deny);
+    permissions |= BigInt(memberOverwrite.allow);
+  }
+
+  return permissions;
+}
+
+/**
+ * Compute the bot's effective permissions in a channel (cached briefly)
+ */
+export async function getBotChannelPermissions(botToken, channelId) {
+  const cached = channelPermissionsCache.get(channelId);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const [botUser, fetched] = await Promise.all([
+    getBotUserCached(botToken),
+    getChannel(botToken, channelId),
+  ]);
+  const channel = THREAD_TYPES.has(fetched.type)
+    ? await getChannel(botToken, fetched.parent_id)
+    : fetched;
+  const [guild, roles, member] = await Promise.all([
+    getGuild(botToken, channel.guild_id),
+    getGuildRoles(botToken, channel.guild_id),
+    getGuildMember(botToken, channel.guild_id, botUser.id),
+  ]);
+
+  const base = computeBasePermissions(guild, roles, member, botUser.id);
+  const permissions = applyOverwrites(base, channel, member, botUser.id);
+  return channelPermissionsCache.set(channelId, permissions);
+}
+
+/**
+ * The bot's permissions in a whole guild: { base, channels } where base is
+ * its server-wide permissions and channels maps each channel ID (not
+ * threads) to its effective permissions there. Computed from one fetch of
+ * the roles and channels, and remembered per channel like
+ * getBotChannelPermissions.
+ */
+export async function getBotGuildPermissions(botToken, guildId) {
+  const botUser = await getBotUserCached(botToken);
+  const [guild, roles, member, channels] = await Promise.all([
+    getGuild(botToken, guildId),
+    getGuildRoles(botToken, guildId),
+    getGuildMember(botToken, guildId, botUser.id),
+    getGuildChannels(botToken, guildId),
+  ]);
+
+  const base = computeBasePermissions(guild, roles, member, botUser.id);
+  const permissions = new Map();
+  for (const channel of channels) {
+    permissions.set(
+      channel.id,
+      channelPermissionsCache.set(channel.id, applyOverwrites(base, channel, member, botUser.id))
+    );
+  }
+  return { base, channels: permissions };
+}
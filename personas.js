@@ -0,0 +1,232 @@
+// personas.js
+// Send as a custom name and avatar ("personas") through channel webhooks
+//
+// A persona is a display name and avatar saved per guild, e.g. "Events Team"
+// or "Mod Team". Messages sent as a persona go through a webhook ChatPulse
+// creates in the channel the first time it is needed. One webhook per
+// channel is shared by every persona: the name and avatar are set on each
+// message. Creating it needs the bot's Manage Webhooks permission.
+//
+// Anyone holding a webhook's token can post with it, so like BOT_TOKEN the
+// tokens never leave the server. They are kept in
+// DATA_DIR/persona-webhooks.json and no route returns them.
+//
+// Personas are stored in DATA_DIR/personas.json.
+
+import crypto from "crypto";
+import {
+  createWebhook,
+  executeWebhook,
+  getChannel,
+  DiscordAPIError,
+  THREAD_TYPES,
+} from "./discord.js";
+import { createJsonStore } from "./store.js";
+
+// Personas per guild
+const MAX_PERSONAS = 25;
+// Discord's limit for a webhook message's username
+const MAX_NAME_LENGTH = 80;
+const MAX_AVATAR_URL_LENGTH = 2048;
+// Name of the webhooks ChatPulse creates, as shown in Discord's integrations
+const WEBHOOK_NAME = "ChatPulse";
+// Discord error code for a webhook that was deleted
+const UNKNOWN_WEBHOOK = 10015;
+
+const personasStore = createJsonStore("personas", {});
+const webhooksStore = createJsonStore("persona-webhooks", {});
+let personas = null;
+let webhooks = null;
+// Channel ID -> promise of the webhook being created, so two sends at once
+// don't create two webhooks
+const creating = new Map();
+
+/**
+ * Error for an invalid persona (returned as 400)
+ */
+export class PersonaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PersonaError";
+  }
+}
+
+async function loadPersonas() {
+  if (!personas) {
+    personas = await personasStore.load();
+  }
+  return personas;
+}
+
+async function loadWebhooks() {
+  if (!webhooks) {
+    webhooks = await webhooksStore.load();
+  }
+  return webhooks;
+}
+
+function validatePersona({ name, avatarUrl }) {
+  if (typeof name !== "string" || !name.trim()) {
+    throw new PersonaError("A persona needs a name");
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new PersonaError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  // Discord rejects webhook usernames containing these
+  if (/clyde|discord/i.test(name)) {
+    throw new PersonaError('name can\'t contain "clyde" or "discord"');
+  }
+
+  let avatar = null;
+  if (avatarUrl) {
+    let url;
+    try {
+      url = new URL(String(avatarUrl).trim());
+    } catch {
+      url = null;
+    }
+    if (url?.protocol !== "https:" || url.href.length > MAX_AVATAR_URL_LENGTH) {
+      throw new PersonaError("avatarUrl must be an https:// image URL");
+    }
+    avatar = url.href;
+  }
+  return { name: name.trim(), avatarUrl: avatar };
+}
+
+/**
+ * A guild's personas, sorted by name
+ */
+export async function listPersonas(guildId) {
+  const all = await loadPersonas();
+  return [...(all[guildId] || [])].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find one persona in a guild
+ */
+export async function getPersona(guildId, personaId) {
+  const all = await loadPersonas();
+  return (all[guildId] || []).find((p) => p.id === personaId) || null;
+}
+
+/**
+ * Save a new persona. input: { name, avatarUrl, createdBy }
+ */
+export async function createPersona(guildId, input) {
+  const { name, avatarUrl } = validatePersona(input);
+  const all = await loadPersonas();
+  const list = (all[guildId] ||= []);
+  if (list.length >= MAX_PERSONAS) {
+    throw new PersonaError(`A server can have at most ${MAX_PERSONAS} personas`);
+  }
+
+  const now = new Date().toISOString();
+  const persona = {
+    id: crypto.randomUUID(),
+    name,
+    avatarUrl,
+    createdBy: input.createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+  list.push(persona);
+  await personasStore.save(all);
+  return persona;
+}
+
+/**
+ * Change a persona's name and avatar
+ */
+export async function updatePersona(guildId, personaId, input) {
+  const { name, avatarUrl } = validatePersona(input);
+  const all = await loadPersonas();
+  const persona = (all[guildId] || []).find((p) => p.id === personaId);
+  if (!persona) return null;
+
+  Object.assign(persona, { name, avatarUrl, updatedAt: new Date().toISOString() });
+  await personasStore.save(all);
+  return persona;
+}
+
+/**
+ * Delete a persona. Returns false if it didn't exist.
+ */
+export async function deletePersona(guildId, personaId) {
+  const all = await loadPersonas();
+  const list = all[guildId] || [];
+  const index = list.findIndex((p) => p.id === personaId);
+  if (index === -1) return false;
+
+  list.splice(index, 1);
+  await personasStore.save(all);
+  return true;
+}
+
+/**
+ * The channel's ChatPulse webhook, created on first use
+ */
+async function getChannelWebhook(botToken, channelId) {
+  const all = await loadWebhooks();
+  if (all[channelId]) return all[channelId];
+
+  if (!creating.has(channelId)) {
+    const promise = createWebhook(botToken, channelId, WEBHOOK_NAME)
+      .then(async (webhook) => {
+        all[channelId] = { id: webhook.id, token: webhook.token };
+        await webhooksStore.save(all);
+        console.log(`[Personas] Created webhook in channel ${channelId}`);
+        return all[channelId];
+      })
+      .finally(() => creating.delete(channelId));
+    creating.set(channelId, promise);
+  }
+  return await creating.get(channelId);
+}
+
+async function forgetChannelWebhook(channelId) {
+  const all = await loadWebhooks();
+  delete all[channelId];
+  await webhooksStore.save(all);
+}
+
+/**
+ * The channel whose webhooks post to channelId (a thread's parent) and the
+ * thread to post in, if any
+ */
+async function resolveWebhookChannel(botToken, channelId) {
+  const channel = await getChannel(botToken, channelId);
+  return THREAD_TYPES.has(channel.type)
+    ? { webhookChannelId: channel.parent_id, threadId: channel.id }
+    : { webhookChannelId: channel.id, threadId: null };
+}
+
+/**
+ * Send a message as a persona and return it.
+ * options: { embeds, files, allowedMentions } as for sendMessage
+ */
+export async function sendAsPersona(botToken, channelId, persona, content, options = {}) {
+  const { webhookChannelId, threadId } = await resolveWebhookChannel(botToken, channelId);
+  const message = {
+    content,
+    embeds: options.embeds,
+    files: options.files,
+    allowedMentions: options.allowedMentions,
+    username: persona.name,
+    avatarUrl: persona.avatarUrl,
+    threadId,
+  };
+
+  const webhook = await getChannelWebhook(botToken, webhookChannelId);
+  try {
+    return await executeWebhook(webhook.id, webhook.token, message);
+  } catch (error) {
+    // Someone deleted the webhook in Discord: make a new one and try once more
+    if (!(error instanceof DiscordAPIError) || error.code !== UNKNOWN_WEBHOOK) {
+      throw error;
+    }
+    console.log(`[Personas] Webhook in channel ${webhookChannelId} is gone, recreating it`);
+    await forgetChannelWebhook(webhookChannelId);
+    const replacement = await getChannelWebhook(botToken, webhookChannelId);
+    return await executeWebhook(replacement.id, replacement.token, message);
+  }
+}
@@ -0,0 +1,149 @@
+// policies.js
+// Per-guild ChatPulse access policies
+//
+// By default only members with Manage Server ("managers") can use ChatPulse
+// in a guild. Managers can grant other members access with rules:
+//
+//   { id, subject: { type: "role" | "user", id }, capabilities, channelIds }
+//
+// - capabilities: any of "view", "post", "schedule", "moderate"
+// - channelIds:   channels the rule applies to; empty means every channel
+//
+// A member's grants are the union of every rule matching their user ID or
+// one of their roles. Any capability in a channel also lets them view it.
+// Managing the guild (settings, audit log, policies) stays with managers.
+//
+// Policies are stored in DATA_DIR/access-policies.json.
+
+import crypto from "crypto";
+import { createJsonStore } from "./store.js";
+import { isSnowflake } from "./discord.js";
+
+export const ACCESS_CAPABILITIES = ["view", "post", "schedule", "moderate"];
+
+// Rules per guild, to keep the policy file and member checks small
+const MAX_RULES = 50;
+
+const store = createJsonStore("access-policies", {});
+let policies = null;
+
+/**
+ * Error for an invalid policy (returned as 400)
+ */
+export class PolicyValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PolicyValidationError";
+  }
+}
+
+async function loadPolicies() {
+  if (!policies) {
+    policies = await store.load();
+  }
+  return policies;
+}
+
+/**
+ * Get a guild's policy ({ rules: [] } when none is set)
+ */
+export async function getGuildPolicy(guildId) {
+  const all = await loadPolicies();
+  return all[guildId] || { rules: [] };
+}
+
+/**
+ * Check and normalize a list of rules.
+ * options.roleIds / options.channelIds: IDs that exist in the guild
+ */
+export function validateRules(rules, { roleIds, channelIds } = {}) {
+  if (!Array.isArray(rules)) {
+    throw new PolicyValidationError("rules must be an array");
+  }
+  if (rules.length > MAX_RULES) {
+    throw new PolicyValidationError(`A server can have at most ${MAX_RULES} rules`);
+  }
+
+  return rules.map((rule, i) => {
+    const at = `Rule ${i + 1}`;
+    const subject = rule?.subject;
+    if (!subject || (subject.type !== "role" && subject.type !== "user")) {
+      throw new PolicyValidationError(`${at} must apply to a role or a user`);
+    }
+    if (!isSnowflake(subject.id)) {
+      throw new PolicyValidationError(`${at} needs a valid ${subject.type} ID`);
+    }
+    if (subject.type === "role" && roleIds && !roleIds.has(subject.id)) {
+      throw new PolicyValidationError(`${at} uses a role that is not in this server`);
+    }
+
+    const capabilities = Array.isArray(rule.capabilities) ? [...new Set(rule.capabilities)] : [];
+    if (
+      capabilities.length === 0 ||
+      !capabilities.every((c) => ACCESS_CAPABILITIES.includes(c))
+    ) {
+      throw new PolicyValidationError(
+        `${at} capabilities must be some of ${ACCESS_CAPABILITIES.join(", ")}`
+      );
+    }
+
+    if (rule.channelIds != null && !Array.isArray(rule.channelIds)) {
+      throw new PolicyValidationError(`${at} channelIds must be an array`);
+    }
+    const ruleChannelIds = [...new Set(rule.channelIds || [])];
+    for (const channelId of ruleChannelIds) {
+      if (!isSnowflake(channelId) || (channelIds && !channelIds.has(channelId))) {
+        throw new PolicyValidationError(`${at} uses a channel that is not in this server`);
+      }
+    }
+
+    return {
+      id: rule.id || crypto.randomUUID(),
+      subject: { type: subject.type, id: subject.id },
+      capabilities,
+      channelIds: ruleChannelIds,
+    };
+  });
+}
+
+/**
+ * Replace a guild's rules (validate them first with validateRules)
+ */
+export async function setGuildPolicy(guildId, rules, updatedBy) {
+  const all = await loadPolicies();
+  all[guildId] = { rules, updatedBy, updatedAt: new Date().toISOString() };
+  await store.save(all);
+  return all[guildId];
+}
+
+/**
+ * Combine the rules that match a member into grants:
+ * { capability: "all" | Set of channel IDs }
+ */
+export function resolveGrants(policy, userId, roleIds) {
+  const grants = {};
+  const roles = new Set(roleIds);
+
+  for (const rule of policy.rules) {
+    const matches =
+      rule.subject.type === "user"
+        ? rule.subject.id === userId
+        : roles.has(rule.subject.id);
+    if (!matches) continue;
+
+    // Anything you may do in a channel includes seeing it
+    for (const capability of new Set([...rule.capabilities, "view"])) {
+      if (grants[capability] === "all") continue;
+      if (rule.channelIds.length === 0) {
+        grants[capability] = "all";
+      } else {
+        grants[capability] = new Set([
+          ...(grants[capability] || []),
+          ...rule.channelIds,
+        ]);
+      }
+    }
+  }
+
+  return grants;
+}
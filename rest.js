@@ -0,0 +1,309 @@
+// rest.js
+// Rate-limit-aware request layer for the Discord REST API v10
+//
+// RATE LIMIT EXPLANATION:
+// Discord limits requests per "bucket". A bucket covers one route for one
+// top-level resource (channel, guild or webhook) and one token. Every
+// response tells us how many requests are left in its bucket and when it
+// resets (X-RateLimit-* headers). On top of that there is a global limit per
+// token. If we go over, Discord answers 429 with a retry_after.
+//
+// This module:
+// - Queues requests per route so they run one after another
+// - Waits when a bucket is empty until it resets
+// - Waits for the global limit when Discord reports one
+// - Retries 429s after retry_after, and 5xx and network errors with backoff.
+//   The latter only for GET, PUT and DELETE: a POST or PATCH that failed
+//   that way may still have gone through, and repeating it could e.g. send
+//   a message twice. A 429 always means the request wasn't processed.
+// - Throws DiscordAPIError with the HTTP status and Discord error code
+//
+// Webhook tokens are part of the path (/webhooks/:id/:token). They are as
+// good as a password, so they are replaced by ":token" in route keys, log
+// lines and error messages.
+//
+// The API base can be changed with DISCORD_API_BASE, e.g. to run against the
+// fake Discord API in demo/ (npm run demo).
+
+import fetch, { FormData, Blob } from "node-fetch";
+import crypto from "crypto";
+
+export const DISCORD_API_BASE = (
+  process.env.DISCORD_API_BASE || "https://discord.com/api/v10"
+).replace(/\/+$/, "");
+
+// Give up after this many retries of one request
+const MAX_RATE_LIMIT_RETRIES = 5;
+const MAX_SERVER_ERROR_RETRIES = 3;
+// First backoff for 5xx / network errors, doubled on each attempt
+const SERVER_ERROR_BACKOFF = 500;
+// Methods safe to repeat after a 5xx or network error
+const IDEMPOTENT_METHODS = new Set(["GET", "PUT", "DELETE"]);
+
+// Route key -> bucket hash from X-RateLimit-Bucket
+const routeBuckets = new Map();
+// "identity:bucket:major parameter" -> { remaining, resetAt }
+const bucketStates = new Map();
+// "identity:route key" -> promise chain of queued requests
+const routeQueues = new Map();
+// Token identity -> timestamp the global limit lifts
+const globalResets = new Map();
+
+/**
+ * Error thrown for every non-OK Discord response
+ */
+export class DiscordAPIError extends Error {
+  constructor(method, path, status, body) {
+    const code = body && typeof body.code === "number" ? body.code : null;
+    const detail = body?.message || "Unknown error";
+    super(
+      `Discord API ${method} ${redactPath(path)} failed: ${status} ${detail}` +
+        (code !== null ? ` (code ${code})` : "")
+    );
+    this.name = "DiscordAPIError";
+    this.method = method;
+    this.path = redactPath(path);
+    // HTTP status code
+    this.status = status;
+    // Discord JSON error code, e.g. 50001 Missing Access
+    this.code = code;
+    // Field-level validation errors, if any
+    this.errors = body?.errors || null;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A path safe to log: webhook tokens replaced by ":token"
+ */
+export function redactPath(path) {
+  return path.replace(/^\/webhooks\/(\d+)\/[^/?]+/, "/webhooks/$1/:token");
+}
+
+/**
+ * Identify a token without keeping it around as a map key
+ */
+function tokenIdentity(authorization) {
+  if (!authorization) return "anonymous";
+  return crypto
+    .createHash("sha256")
+    .update(authorization)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Build the route key for a path. IDs are replaced by placeholders except
+ * for the top-level channel/guild/webhook ID, which gets its own bucket.
+ */
+export function routeKey(method, path) {
+  const route = redactPath(path)
+    .split("?")[0]
+    .replace(/\/reactions\/[^/]+/, "/reactions/:reaction")
+    .replace(/\/([a-z-]+)\/(\d{16,20})/g, (match, resource, id, offset) =>
+      offset === 0 && ["channels", "guilds", "webhooks"].includes(resource)
+        ? match
+        : `/${resource}/:id`
+    );
+  return `${method} ${route}`;
+}
+
+/**
+ * The top-level resource ID of a path, which splits buckets
+ */
+function majorParameter(path) {
+  const match = path.match(/^\/(?:channels|guilds|webhooks)\/(\d+)/);
+  return match ? match[1] : "none";
+}
+
+function bucketStateKey(bucket, path, identity) {
+  return `${identity}:${bucket}:${majorParameter(path)}`;
+}
+
+function updateBucket(key, path, identity, headers) {
+  const bucket = headers.get("x-ratelimit-bucket");
+  if (!bucket) return;
+
+  routeBuckets.set(key, bucket);
+  const remaining = Number(headers.get("x-ratelimit-remaining"));
+  const resetAfter = Number(headers.get("x-ratelimit-reset-after"));
+  if (Number.isFinite(remaining) && Number.isFinite(resetAfter)) {
+    bucketStates.set(bucketStateKey(bucket, path, identity), {
+      remaining,
+      resetAt: Date.now() + resetAfter * 1000,
+    });
+  }
+}
+
+function getBucketState(key, path, identity) {
+  const bucket = routeBuckets.get(key);
+  return bucket ? bucketStates.get(bucketStateKey(bucket, path, identity)) : null;
+}
+
+async function waitForLimits(key, path, identity) {
+  const globalReset = globalResets.get(identity) || 0;
+  if (globalReset > Date.now()) {
+    await sleep(globalReset - Date.now());
+  }
+
+  const state = getBucketState(key, path, identity);
+  if (state && state.remaining <= 0 && state.resetAt > Date.now()) {
+    const wait = state.resetAt - Date.now();
+    console.log(`[REST] Bucket exhausted for ${key}, waiting ${wait}ms`);
+    await sleep(wait);
+  }
+}
+
+async function parseBody(response) {
+  if (response.status === 204) return null;
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { message: text };
+  }
+}
+
+/**
+ * Build a multipart body: the JSON goes in payload_json and each file in
+ * files[n], referenced from the JSON's attachments array by index.
+ */
+function buildMultipart(body, files) {
+  const form = new FormData();
+  form.append(
+    "payload_json",
+    JSON.stringify({
+      ...body,
+      attachments: files.map((file, i) => ({ id: i, filename: file.name })),
+    })
+  );
+  files.forEach((file, i) => {
+    form.append(
+      `files[${i}]`,
+      new Blob([file.data], { type: file.contentType || "application/octet-stream" }),
+      file.name
+    );
+  });
+  return form;
+}
+
+async function execute(method, path, options, key, identity) {
+  const { authorization, body, files, headers = {}, reason } = options;
+
+  const requestHeaders = { ...headers };
+  if (authorization) requestHeaders.Authorization = authorization;
+  if (reason) requestHeaders["X-Audit-Log-Reason"] = encodeURIComponent(reason);
+
+  // Multipart bodies are streams, so they are rebuilt for every attempt
+  let buildPayload = () => undefined;
+  if (files && files.length > 0) {
+    buildPayload = () => buildMultipart(body || {}, files);
+  } else if (body !== undefined) {
+    requestHeaders["Content-Type"] = "application/json";
+    const json = JSON.stringify(body);
+    buildPayload = () => json;
+  }
+
+  let rateLimitRetries = 0;
+  let serverErrorRetries = 0;
+  const maxServerErrorRetries = IDEMPOTENT_METHODS.has(method) ? MAX_SERVER_ERROR_RETRIES : 0;
+
+  while (true) {
+    await waitForLimits(key, path, identity);
+
+    let response;
+    try {
+      response = await fetch(`${DISCORD_API_BASE}${path}`, {
+        method,
+        headers: requestHeaders,
+        body: buildPayload(),
+      });
+    } catch (error) {
+      // Network errors are retried like 5xx. Their message has the full URL.
+      if (serverErrorRetries >= maxServerErrorRetries) {
+        error.message = error.message.replace(path, redactPath(path));
+        throw error;
+      }
+      const wait = SERVER_ERROR_BACKOFF * 2 ** serverErrorRetries++;
+      console.log(
+        `[REST] ${method} ${redactPath(path)} network error, retrying in ${wait}ms`
+      );
+      await sleep(wait);
+      continue;
+    }
+
+    updateBucket(key, path, identity, response.headers);
+
+    if (response.status === 429) {
+      const data = await parseBody(response);
+      const retryAfter =
+        Number(data?.retry_after ?? response.headers.get("retry-after") ?? 1) *
+        1000;
+      const isGlobal =
+        data?.global === true || response.headers.get("x-ratelimit-global") === "true";
+
+      if (isGlobal) {
+        globalResets.set(identity, Date.now() + retryAfter);
+      }
+      if (rateLimitRetries >= MAX_RATE_LIMIT_RETRIES) {
+        throw new DiscordAPIError(method, path, 429, data);
+      }
+      rateLimitRetries++;
+      console.log(
+        `[REST] Rate limited${isGlobal ? " (global)" : ""} on ${key}, retrying in ${retryAfter}ms`
+      );
+      await sleep(retryAfter);
+      continue;
+    }
+
+    if (response.status >= 500) {
+      if (serverErrorRetries >= maxServerErrorRetries) {
+        throw new DiscordAPIError(method, path, response.status, await parseBody(response));
+      }
+      const wait = SERVER_ERROR_BACKOFF * 2 ** serverErrorRetries++;
+      console.log(
+        `[REST] ${method} ${redactPath(path)} returned ${response.status}, retrying in ${wait}ms`
+      );
+      await sleep(wait);
+      continue;
+    }
+
+    const data = await parseBody(response);
+    if (!response.ok) {
+      throw new DiscordAPIError(method, path, response.status, data);
+    }
+    return data;
+  }
+}
+
+/**
+ * Make a request to the Discord API.
+ *
+ * options.authorization: full Authorization header ("Bot ..." or "Bearer ...")
+ * options.body:          JSON body
+ * options.files:         files to upload ({ name, data, contentType }); the
+ *                        body is then sent as payload_json in a multipart form
+ * options.headers:       extra headers
+ * options.reason:        audit log reason shown in Discord
+ */
+export function discordRequest(method, path, options = {}) {
+  const key = routeKey(method, path);
+  const identity = tokenIdentity(options.authorization);
+  const queueKey = `${identity}:${key}`;
+
+  // Chain onto the route's queue so requests in one bucket run in order
+  const previous = routeQueues.get(queueKey) || Promise.resolve();
+  const result = previous.then(() =>
+    execute(method, path, options, key, identity)
+  );
+  const tail = result.catch(() => {});
+  routeQueues.set(queueKey, tail);
+  tail.then(() => {
+    // Drop idle queues so the map doesn't grow forever
+    if (routeQueues.get(queueKey) === tail) routeQueues.delete(queueKey);
+  });
+
+  return result;
+}
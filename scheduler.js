@@ -0,0 +1,307 @@
+// scheduler.js
+// Scheduled and recurring messages
+//
+// Jobs are stored in DATA_DIR/scheduled-jobs.json so they survive restarts.
+// A job is either:
+// - "once": sent a single time at runAt (ISO datetime)
+// - "cron": sent on a cron schedule (e.g. "0 9 * * 1") in an IANA timezone
+//
+// A timer checks for due jobs every few seconds and sends them through
+// sendMessage in discord.js, using the bot token. Each job keeps a short run
+// history so failures show up in the dashboard.
+//
+// Before each run, the job's creator must still have schedule access in its
+// channel (checked through the bot, as they may not be logged in); if not,
+// the job is paused. Their access at that time also decides what the
+// message may ping. Cron schedules must be at least MIN_CRON_INTERVAL apart.
+
+import crypto from "crypto";
+import { CronExpressionParser } from "cron-parser";
+import { sendMessage } from "./discord.js";
+import { createJsonStore } from "./store.js";
+import { recordAudit, hashPayload } from "./audit.js";
+import { accessAllows, allowedMentionsFor, resolveMemberAccess } from "./access.js";
+
+// How often to look for due jobs
+const TICK_INTERVAL = 10 * 1000;
+// Run history entries kept per job
+const MAX_HISTORY = 25;
+// Discord's message content limit
+const MAX_MESSAGE_LENGTH = 2000;
+// Shortest time between runs of a cron job
+const MIN_CRON_INTERVAL = 5 * 60 * 1000;
+// Upcoming runs of a cron job checked against MIN_CRON_INTERVAL
+const CRON_RUNS_CHECKED = 10;
+
+const store = createJsonStore("scheduled-jobs", { jobs: [] });
+
+let jobs = [];
+let botToken = null;
+let ticking = false;
+
+/**
+ * Error for invalid job input (returned to the dashboard as 400)
+ */
+export class ScheduleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScheduleValidationError";
+  }
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Next run of a cron expression after `from`, as an ISO string
+ */
+function nextCronRun(cron, timezone, from = new Date()) {
+  return CronExpressionParser.parse(cron, { tz: timezone, currentDate: from })
+    .next()
+    .toDate()
+    .toISOString();
+}
+
+/**
+ * Shortest time between the next CRON_RUNS_CHECKED runs of a cron
+ * expression, in ms
+ */
+function shortestCronInterval(cron, timezone, from = new Date()) {
+  const runs = CronExpressionParser.parse(cron, { tz: timezone, currentDate: from })
+    .take(CRON_RUNS_CHECKED)
+    .map((run) => run.toDate().getTime());
+  let shortest = Infinity;
+  for (let i = 1; i < runs.length; i++) {
+    shortest = Math.min(shortest, runs[i] - runs[i - 1]);
+  }
+  return shortest;
+}
+
+async function persist() {
+  await store.save({ jobs });
+}
+
+/**
+ * Load jobs from disk and start the timer
+ */
+export async function startScheduler(token) {
+  botToken = token;
+  const data = await store.load();
+  jobs = data.jobs;
+  console.log(`[Scheduler] Loaded ${jobs.length} scheduled jobs`);
+
+  // Jobs that came due while the server was down run on the first tick
+  setInterval(tick, TICK_INTERVAL).unref();
+  tick();
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = Date.now();
+    const due = jobs.filter(
+      (job) =>
+        job.status === "active" &&
+        job.nextRunAt &&
+        new Date(job.nextRunAt).getTime() <= now
+    );
+    for (const job of due) {
+      await runJob(job);
+    }
+    if (due.length > 0) {
+      await persist();
+    }
+  } catch (error) {
+    console.error("[Scheduler] Error while running due jobs:", error);
+  } finally {
+    ticking = false;
+  }
+}
+
+async function runJob(job) {
+  const entry = { ranAt: new Date().toISOString() };
+  let revoked = false;
+  try {
+    const access = await resolveMemberAccess(botToken, job.guildId, job.createdBy?.id);
+    if (!accessAllows(access, "schedule", job.accessChannelId || job.channelId)) {
+      revoked = true;
+      throw new Error(
+        "The creator no longer has schedule access in this channel, so the job was paused"
+      );
+    }
+    const result = await sendMessage(botToken, job.channelId, job.message, {
+      allowedMentions: allowedMentionsFor(access),
+    });
+    entry.success = true;
+    entry.messageId = result.id;
+    console.log(`[Scheduler] Sent job ${job.id} to channel ${job.channelId}`);
+  } catch (error) {
+    entry.success = false;
+    entry.error = error.message;
+    console.error(`[Scheduler] Job ${job.id} failed:`, error.message);
+  }
+
+  job.history = [entry, ...(job.history || [])].slice(0, MAX_HISTORY);
+  job.lastRunAt = entry.ranAt;
+
+  // Scheduled posts are credited to whoever created the job
+  recordAudit({
+    user: job.createdBy || null,
+    guildId: job.guildId,
+    channelId: job.channelId,
+    action: "scheduled.run",
+    payloadHash: hashPayload({ message: job.message }),
+    result: entry.success ? "success" : "failure",
+    error: entry.error || null,
+    details: { jobId: job.id, messageId: entry.messageId || null },
+  }).catch((error) => {
+    console.error("[Scheduler] Failed to record audit entry:", error.message);
+  });
+
+  if (revoked) {
+    job.status = "paused";
+    job.nextRunAt = null;
+  } else if (job.type === "once") {
+    job.status = entry.success ? "completed" : "failed";
+    job.nextRunAt = null;
+  } else {
+    job.nextRunAt = nextCronRun(job.cron, job.timezone);
+  }
+}
+
+/**
+ * Validate input and create a job.
+ * input: { guildId, channelId, accessChannelId, message, type, runAt, cron,
+ * timezone, createdBy }. accessChannelId is the channel the creator's access
+ * is checked against (a thread's parent).
+ */
+export async function createJob(input) {
+  const { guildId, channelId, type, runAt, cron, createdBy } = input;
+  const accessChannelId = input.accessChannelId || channelId;
+  const message = typeof input.message === "string" ? input.message.trim() : "";
+  const timezone = input.timezone || "UTC";
+
+  if (!message) {
+    throw new ScheduleValidationError("message is required");
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new ScheduleValidationError(
+      `message must be at most ${MAX_MESSAGE_LENGTH} characters`
+    );
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    guildId,
+    channelId,
+    accessChannelId,
+    message,
+    type,
+    status: "active",
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    history: [],
+  };
+
+  if (type === "once") {
+    const date = new Date(runAt);
+    if (!runAt || Number.isNaN(date.getTime())) {
+      throw new ScheduleValidationError("runAt must be a valid date and time");
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new ScheduleValidationError("runAt must be in the future");
+    }
+    job.runAt = date.toISOString();
+    job.nextRunAt = job.runAt;
+  } else if (type === "cron") {
+    if (!isValidTimezone(timezone)) {
+      throw new ScheduleValidationError(`Unknown timezone: ${timezone}`);
+    }
+    try {
+      job.nextRunAt = nextCronRun(cron, timezone);
+    } catch (error) {
+      throw new ScheduleValidationError(`Invalid cron expression: ${error.message}`);
+    }
+    if (shortestCronInterval(cron, timezone) < MIN_CRON_INTERVAL) {
+      throw new ScheduleValidationError(
+        `cron schedules must run at most once every ${MIN_CRON_INTERVAL / 60000} minutes`
+      );
+    }
+    job.cron = cron.trim();
+    job.timezone = timezone;
+  } else {
+    throw new ScheduleValidationError('type must be "once" or "cron"');
+  }
+
+  jobs.push(job);
+  await persist();
+  console.log(`[Scheduler] Created ${type} job ${job.id} in guild ${guildId}`);
+  return job;
+}
+
+/**
+ * List a guild's jobs, soonest first
+ */
+export function listJobs(guildId) {
+  return jobs
+    .filter((job) => job.guildId === guildId)
+    .sort((a, b) => (a.nextRunAt || "9").localeCompare(b.nextRunAt || "9"));
+}
+
+/**
+ * Find a job in a guild (null if it doesn't exist there)
+ */
+export function getJob(guildId, jobId) {
+  return jobs.find((job) => job.id === jobId && job.guildId === guildId) || null;
+}
+
+/**
+ * Pause an active job
+ */
+export async function pauseJob(job) {
+  if (job.status !== "active") {
+    throw new ScheduleValidationError("Only active jobs can be paused");
+  }
+  job.status = "paused";
+  job.nextRunAt = null;
+  await persist();
+  return job;
+}
+
+/**
+ * Resume a paused job from now on
+ */
+export async function resumeJob(job) {
+  if (job.status !== "paused") {
+    throw new ScheduleValidationError("Only paused jobs can be resumed");
+  }
+  if (job.type === "once") {
+    if (new Date(job.runAt).getTime() <= Date.now()) {
+      throw new ScheduleValidationError(
+        "This job's send time has passed. Create a new job instead."
+      );
+    }
+    job.nextRunAt = job.runAt;
+  } else {
+    job.nextRunAt = nextCronRun(job.cron, job.timezone);
+  }
+  job.status = "active";
+  await persist();
+  return job;
+}
+
+/**
+ * Delete a job and its history
+ */
+export async function deleteJob(job) {
+  jobs = jobs.filter((j) => j.id !== job.id);
+  await persist();
+}
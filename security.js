@@ -0,0 +1,90 @@
+// security.js
+// Security headers and CSRF protection for the dashboard
+//
+// CSRF: the session cookie is SameSite=Lax, which older browsers and some
+// same-site setups don't enforce, so every POST, PUT, PATCH and DELETE also
+// needs a synchronizer token. It's random per session, handed to the
+// dashboard by GET /csrf-token and sent back in the X-CSRF-Token header
+// (docs/csrf.js adds it to every write request). Routes that authenticate
+// some other way (the Ed25519-signed /interactions) are registered before
+// csrfProtection.
+//
+// Headers: the dashboard only loads its own scripts and styles, so the
+// Content-Security-Policy allows nothing else: no inline scripts, no inline
+// style attributes, no eval. Images are the exception: embeds, avatars and
+// attachments come from Discord's CDN and from any https URL users put in
+// embeds.
+
+import crypto from "crypto";
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+export const CSRF_HEADER = "X-CSRF-Token";
+// Sent with 403s for a missing or wrong token, so the dashboard can tell
+// them apart from access errors and retry with a fresh token
+export const CSRF_ERROR = "Invalid or missing CSRF token";
+
+/**
+ * The session's CSRF token, created on first use
+ */
+export function issueCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+  }
+  return req.session.csrfToken;
+}
+
+function tokensMatch(expected, received) {
+  if (typeof expected !== "string" || typeof received !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware: refuse write requests without the session's CSRF token
+ */
+export function csrfProtection(req, res, next) {
+  if (SAFE_METHODS.has(req.method)) return next();
+  if (!tokensMatch(req.session?.csrfToken, req.get(CSRF_HEADER))) {
+    return res.status(403).json({ success: false, error: CSRF_ERROR });
+  }
+  next();
+}
+
+/**
+ * Middleware factory: security headers for every response.
+ * secure:       the site is served over https (adds HSTS)
+ * imageOrigins: extra origins images may be loaded from
+ */
+export function securityHeaders({ secure = false, imageOrigins = [] } = {}) {
+  const policy = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    `img-src ${["'self'", "data:", "https:", ...imageOrigins].join(" ")}`,
+    "connect-src 'self'",
+    "font-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+  ].join("; ");
+
+  const headers = {
+    "Content-Security-Policy": policy,
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+    "Referrer-Policy": "same-origin",
+    "Cross-Origin-Opener-Policy": "same-origin",
+    "Cross-Origin-Resource-Policy": "same-origin",
+    "Permissions-Policy": "camera=(), microphone=(), geolocation=(), payment=()",
+  };
+  if (secure) {
+    headers["Strict-Transport-Security"] = "max-age=31536000; includeSubDomains";
+  }
+
+  return (req, res, next) => {
+    res.set(headers);
+    next();
+  };
+}
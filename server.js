@@ -24,59 +24,232 @@ import express from "express";
 import session from "express-session";
 import path from "path";
 import { fileURLToPath } from "url";
-import { handleLogin, handleCallback, handleLogout } from "./auth.js";
+import {
+  handleLogin,
+  handleCallback,
+  handleLogout,
+  refreshSessionToken,
+} from "./auth.js";
+import { FileSessionStore } from "./sessions.js";
+import { loadConfig, ConfigError } from "./config.js";
+import { securityHeaders, csrfProtection, issueCsrfToken } from "./security.js";
+import {
+  requireGuildAccess,
+  requireChannelAccess,
+  resolveChannelGuild,
+  accessAllows,
+  channelCapabilities,
+  checkChannelAccess,
+  allowedMentionsFor,
+} from "./access.js";
+import {
+  getGuildPolicy,
+  validateRules,
+  setGuildPolicy,
+  PolicyValidationError,
+} from "./policies.js";
+import { resolveDashboardGuilds } from "./guilds.js";
+import { listGuildChannels, toThreadEntries } from "./channels.js";
+import { resolveMentions, MAX_MENTION_USERS, MAX_MENTION_IDS } from "./mentions.js";
+import { validateEmbeds } from "./embeds.js";
+import { uploadAttachments, toDiscordFiles } from "./uploads.js";
+import { startLiveGateway, streamChannelEvents } from "./live.js";
+import {
+  startWatchlists,
+  getWatchRules,
+  setWatchRules,
+  validateWatchRules,
+  testRule,
+  listAlerts,
+  markAlertsRead,
+  WatchRuleError,
+} from "./watchlists.js";
+import {
+  configureAudit,
+  auditWrites,
+  auditAs,
+  queryAudit,
+  auditToCsv,
+  getAuditSettings,
+  setAuditLogChannel,
+} from "./audit.js";
+import {
+  parsePulseOptions,
+  getChannelPulse,
+  getGuildPulse,
+  AnalyticsOptionsError,
+} from "./analytics.js";
+import {
+  createBroadcast,
+  runBroadcast,
+  getBroadcast,
+  listBroadcasts,
+  validateBroadcastTargets,
+  mapWithConcurrency,
+  BroadcastValidationError,
+} from "./broadcast.js";
+import {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplate,
+  TemplateError,
+} from "./templates.js";
+import {
+  listCommands,
+  getCommand,
+  listUnmanagedCommands,
+  createCommand,
+  updateCommand,
+  deleteCommand,
+  CommandError,
+} from "./commands.js";
+import { interactionsHandler } from "./interactions.js";
+import {
+  listMembers,
+  getMemberDetails,
+  listBans,
+  timeoutMember,
+  kickMember,
+  banUser,
+  unbanUser,
+  setMemberRole,
+  ModerationError,
+} from "./moderation.js";
+import {
+  listPersonas,
+  getPersona,
+  createPersona,
+  updatePersona,
+  deletePersona,
+  sendAsPersona,
+  PersonaError,
+} from "./personas.js";
+import {
+  validateExportOptions,
+  createExport,
+  startExport,
+  getExport,
+  listExports,
+  exportFile,
+  deleteExport,
+  ExportValidationError,
+} from "./exports.js";
+import {
+  startScheduler,
+  createJob,
+  listJobs,
+  getJob,
+  pauseJob,
+  resumeJob,
+  deleteJob,
+  ScheduleValidationError,
+} from "./scheduler.js";
+import {
+  PERMISSIONS,
+  hasPermission,
+  missingPermissions,
+  describeBotChannelPermissions,
+  getBotUserCached,
+  getBotChannelPermissions,
+  getBotGuildPermissions,
+} from "./permissions.js";
+import { getGuildHealth } from "./health.js";
 import {
   getUserInfo,
-  getUserGuilds,
-  getBotGuilds,
+  getApplication,
+  getChannel,
   getChannels,
+  getGuildChannels,
+  getArchivedThreads,
+  crosspostMessage,
+  createForumPost,
+  CHANNEL_TYPES,
+  getGuildRoles,
   getMessages,
   sendMessage,
+  getMessage,
+  addReaction,
+  removeOwnReaction,
+  editMessage,
+  deleteMessage,
+  bulkDeleteMessages,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  DiscordAPIError,
 } from "./discord.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const app = express();
-// Express server port (fixed to 3000)
-const PORT = 3000;
-
-// Environment variables (must be defined in .env)
+// Settings from .env, see config.js for every variable and its checks:
 // DISCORD_CLIENT_ID:     Your Discord application client ID
 // DISCORD_CLIENT_SECRET: Your Discord application client secret
 // DISCORD_BOT_TOKEN:     Your bot token (never expose to frontend)
-// SESSION_SECRET:        Express session secret
+// SESSION_SECRET:        Express session secret (required in production)
 // REDIRECT_URI:          OAuth2 redirect URL, "http://localhost:3000/callback"
-const {
-  DISCORD_CLIENT_ID,
-  DISCORD_CLIENT_SECRET,
-  DISCORD_BOT_TOKEN,
-  SESSION_SECRET,
-  REDIRECT_URI,
-} = process.env;
-
-if (!DISCORD_CLIENT_ID || !DISCORD_CLIENT_SECRET || !DISCORD_BOT_TOKEN) {
-  console.error(
-    "[Config] Missing one or more required Discord env vars: DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET, DISCORD_BOT_TOKEN"
-  );
+// PORT:                  Port to listen on (default 3000)
+// TRUST_PROXY:           Reverse proxies to trust for X-Forwarded-* (needed
+//                        behind a TLS proxy)
+// NODE_ENV:              "production" refuses development-only settings
+// DISCORD_PUBLIC_KEY:    Your application's public key (optional, needed to
+//                        answer slash commands, see interactions.js)
+// DISCORD_API_BASE:      Discord REST API base (optional, see rest.js)
+// DISCORD_OAUTH_BASE:    Origin of Discord's OAuth2 authorize page (optional,
+//                        see auth.js)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  for (const problem of error.problems) {
+    console.error(`[Config] ${problem}`);
+  }
   process.exit(1);
 }
+for (const warning of config.warnings) {
+  console.warn(`[Config] ${warning}`);
+}
+
+const {
+  port: PORT,
+  clientId: DISCORD_CLIENT_ID,
+  clientSecret: DISCORD_CLIENT_SECRET,
+  redirectUri: DISCORD_REDIRECT_URI,
+  botToken: BOT_TOKEN,
+  interactionsPublicKey,
+} = config;
+
+const app = express();
+app.disable("x-powered-by");
+app.set("trust proxy", config.trustProxy);
+app.use(securityHeaders({ secure: config.secureCookies, imageOrigins: [config.apiOrigin] }));
 
-const DISCORD_REDIRECT_URI = REDIRECT_URI || "http://localhost:3000/callback";
-const BOT_TOKEN = DISCORD_BOT_TOKEN;
+// Slash command interactions from Discord. Registered before the JSON
+// parser: the signature covers the raw body.
+app.post(
+  "/interactions",
+  express.raw({ type: "application/json", limit: "100kb" }),
+  interactionsHandler(BOT_TOKEN, interactionsPublicKey)
+);
 
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration
+// Sessions are kept in DATA_DIR/sessions.json so restarts don't log users out
 app.use(
   session({
-    secret: SESSION_SECRET || "chatpulse-secret-change-in-production",
-    resave: true, // Changed to true to ensure session is saved
-    saveUninitialized: true, // Changed to true to save session even if not modified
+    secret: config.sessionSecret,
+    store: new FileSessionStore(),
+    resave: false, // The store implements touch(), so unchanged sessions aren't rewritten
+    saveUninitialized: false, // Only save sessions once something (e.g. OAuth state) is stored
     cookie: {
-      secure: false, // Set to true if using HTTPS
+      secure: config.secureCookies, // HTTPS only when the site is served over HTTPS
       maxAge: 24 * 60 * 60 * 1000, // 24 hours
       httpOnly: true, // Prevent client-side JavaScript access
       sameSite: "lax", // CSRF protection
@@ -84,14 +257,40 @@ app.use(
   })
 );
 
-// Middleware to check if user is authenticated
-function requireAuth(req, res, next) {
+// Record every write request in the audit log (see audit.js)
+configureAudit(BOT_TOKEN);
+app.use(auditWrites);
+
+// Every write request needs the session's CSRF token (see security.js).
+// Requests refused here come before any access check, so they aren't
+// audited (see audit.js).
+app.use(csrfProtection);
+
+// Middleware to check if user is authenticated.
+// Also refreshes the Discord access token before it expires.
+async function requireAuth(req, res, next) {
   if (!req.session.accessToken) {
     return res.redirect("/");
   }
+
+  try {
+    await refreshSessionToken(req, DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET);
+  } catch (error) {
+    console.error("[OAuth] Token refresh failed:", error.body || error.message);
+    // The old token may still work for a few minutes; once it's expired
+    // the user has to log in again
+    if (Date.now() >= req.session.tokenExpiresAt) {
+      return req.session.destroy(() => res.redirect("/"));
+    }
+  }
   next();
 }
 
+// Middleware factories: check the user has a capability ("manage", "view",
+// "post", "schedule" or "moderate") in a guild or channel, see access.js
+const requireGuild = (capability) => requireGuildAccess(BOT_TOKEN, capability);
+const requireChannel = (capability) => requireChannelAccess(BOT_TOKEN, capability);
+
 // OAuth2 Routes (must be before static middleware)
 app.get("/login", (req, res) => {
   handleLogin(req, res, DISCORD_CLIENT_ID, DISCORD_REDIRECT_URI);
@@ -107,8 +306,14 @@ app.get("/callback", async (req, res) => {
   );
 });
 
-app.get("/logout", (req, res) => {
-  handleLogout(req, res);
+// POST, so other sites can't log users out (it needs the CSRF token)
+app.post("/logout", async (req, res) => {
+  await handleLogout(req, res, DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET);
+});
+
+// The session's CSRF token for write requests (see security.js)
+app.get("/csrf-token", requireAuth, (req, res) => {
+  res.json({ success: true, csrfToken: issueCsrfToken(req) });
 });
 
 // Protected API Routes
@@ -124,154 +329,1901 @@ app.get("/me", requireAuth, async (req, res) => {
 
 app.get("/guilds", requireAuth, async (req, res) => {
   try {
-    // Step 1: Fetch user's guilds using OAuth access token (not bot token)
-     const userGuilds = await getUserGuilds(req.session.accessToken);
-     console.log(`[Guilds] User is in ${userGuilds.length} guilds`);
+    // ?refresh=true skips the cached user and bot guild lists
+    const refresh = req.query.refresh === "true";
+    const { guilds, debug } = await resolveDashboardGuilds(req, BOT_TOKEN, {
+      refresh,
+    });
 
-    if (userGuilds.length === 0) {
-      console.log("[Guilds] User is not in any guilds");
-      return res.json({
-        success: true,
-        guilds: [],
-        debug: "User is not a member of any Discord servers",
-      });
+    if (guilds.length === 0) {
+      return res.json({ success: true, guilds: [], debug });
     }
 
-    // Step 2: Filter by Manage Server permission (0x20)
-    const MANAGE_GUILD_PERMISSION = 0x20;
-    const guildsWithPermission = userGuilds.filter((guild) => {
-      const permissions = BigInt(guild.permissions || "0");
-      const hasPermission =
-        (permissions & BigInt(MANAGE_GUILD_PERMISSION)) !== 0n;
-      if (hasPermission) {
-        console.log(
-          `[Guilds] User has Manage Server in: ${guild.name} (${guild.id})`
-        );
-      } else {
-        console.log(
-          `[Guilds] User lacks Manage Server in: ${guild.name} (${guild.id})`
-        );
-      }
-      return hasPermission;
+    res.json({ success: true, guilds });
+  } catch (error) {
+    console.error("Error fetching guilds:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch guilds",
+      details: error.message,
     });
-    console.log(
-      `[Guilds] ${guildsWithPermission.length} guilds with Manage Server permission`
+  }
+});
+
+app.get("/channels/:guildId", requireAuth, requireGuild("view"), async (req, res) => {
+  try {
+    const { guildId } = req.params;
+    const [listed, botPermissions] = await Promise.all([
+      listGuildChannels(BOT_TOKEN, guildId),
+      // Only marks channels the bot can't use; the list works without it
+      getBotGuildPermissions(BOT_TOKEN, guildId).catch((error) => {
+        console.error("Error computing bot permissions:", error.message);
+        return null;
+      }),
+    ]);
+    // Only channels the user may view, with what they and the bot may do in
+    // each. Threads follow their parent channel's access and permissions.
+    const channels = listed
+      .map((channel) => ({
+        channel,
+        accessId: channel.kind === "thread" ? channel.parentId : channel.id,
+      }))
+      .filter(({ accessId }) => accessAllows(req.access, "view", accessId))
+      .map(({ channel, accessId }) => ({
+        ...channel,
+        capabilities: channelCapabilities(req.access, accessId),
+        bot: botPermissions
+          ? describeBotChannelPermissions(botPermissions.channels.get(accessId) ?? 0n, {
+              thread: channel.kind === "thread",
+            })
+          : null,
+      }));
+    res.json({ success: true, channels });
+  } catch (error) {
+    console.error("Error fetching channels:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch channels" });
+  }
+});
+
+// Names for mentions in messages.
+// Query: ?users=<id,id>&roles=<id,id>&channels=<id,id>
+app.get("/guilds/:guildId/mentions", requireAuth, requireGuild("view"), async (req, res) => {
+  try {
+    const parseIds = (value) => [
+      ...new Set(String(value || "").split(",").filter((id) => /^\d{1,20}$/.test(id))),
+    ];
+    const userIds = parseIds(req.query.users);
+    const roleIds = parseIds(req.query.roles);
+    const channelIds = parseIds(req.query.channels);
+    if (
+      userIds.length > MAX_MENTION_USERS ||
+      userIds.length + roleIds.length + channelIds.length > MAX_MENTION_IDS
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Ask for at most ${MAX_MENTION_USERS} users and ${MAX_MENTION_IDS} IDs in total`,
+      });
+    }
+
+    // Only name channels the user may see
+    const mentions = await resolveMentions(
+      BOT_TOKEN,
+      req.params.guildId,
+      { userIds, roleIds, channelIds },
+      (channelId) => accessAllows(req.access, "view", channelId)
     );
+    res.json({ success: true, ...mentions });
+  } catch (error) {
+    console.error("Error resolving mentions:", error);
+    sendDiscordError(res, error, "Failed to resolve mentions");
+  }
+});
 
-    if (guildsWithPermission.length === 0) {
-      console.log(
-        "[Guilds] User has no guilds with Manage Server permission"
-      );
-      return res.json({
+// A channel's archived public threads, newest first. Query: ?before=<ISO timestamp>
+app.get(
+  "/channels/:channelId/threads/archived",
+  requireAuth,
+  requireChannel("view"),
+  async (req, res) => {
+    try {
+      const { before } = req.query;
+      if (before && Number.isNaN(new Date(before).getTime())) {
+        return res.status(400).json({ success: false, error: "before must be a timestamp" });
+      }
+      const { threads, hasMore } = await getArchivedThreads(BOT_TOKEN, req.params.channelId, {
+        before,
+      });
+      res.json({
         success: true,
-        guilds: [],
-        debug:
-          "You don't have 'Manage Server' permission in any of your servers",
+        threads: toThreadEntries(threads),
+        // Cursor for the next page
+        before: hasMore ? threads[threads.length - 1]?.thread_metadata?.archive_timestamp : null,
+      });
+    } catch (error) {
+      console.error("Error fetching archived threads:", error);
+      sendDiscordError(res, error, "Failed to fetch archived threads");
+    }
+  }
+);
+
+app.get("/messages/:channelId", requireAuth, requireChannel("view"), async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { limit, before, after, around } = req.query;
+
+    const cursors = { before, after, around };
+    const used = Object.keys(cursors).filter((key) => cursors[key]);
+    if (used.length > 1) {
+      return res.status(400).json({
+        success: false,
+        error: "Use only one of before, after or around",
+      });
+    }
+    if (used.length === 1 && !/^\d{1,20}$/.test(cursors[used[0]])) {
+      return res.status(400).json({
+        success: false,
+        error: `${used[0]} must be a message ID`,
       });
     }
 
-    // Step 3: Verify bot is actually installed by attempting to fetch channels
-    // This is more reliable than checking bot guild list
-    const validGuilds = [];
-    for (const guild of guildsWithPermission) {
-      try {
-        // Try to fetch channels - if bot is not in guild, this will fail with 403/404
-        const channels = await getChannels(BOT_TOKEN, guild.id);
-        // If we got channels (even empty array), bot is in the guild
-        validGuilds.push({
-          id: guild.id,
-          name: guild.name,
-          icon: guild.icon,
-          owner: guild.owner,
+    // getMessages caps limit at 100 (Discord's maximum per request)
+    const [messages, bot] = await Promise.all([
+      getMessages(BOT_TOKEN, channelId, { limit, before, after, around }),
+      getBotMessageCapabilities(channelId),
+    ]);
+    res.json({ success: true, messages, bot });
+  } catch (error) {
+    console.error("Error fetching messages:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch messages" });
+  }
+});
+
+// Accepts JSON, or multipart/form-data when files are attached. Access is
+// checked before files are read, so multipart requests name the channel in
+// the query string (?channelId=).
+app.post(
+  "/send-message",
+  auditAs("message.send"),
+  requireAuth,
+  requireChannel("post"),
+  uploadAttachments,
+  async (req, res) => {
+    try {
+      const { channelId } = req;
+      const { message, embeds = [], personaId } = req.body;
+      const files = req.files;
+      // Form fields are strings
+      const publish = req.body.publish === true || req.body.publish === "true";
+
+      // Before anything reads embeds.length: null or an object isn't a list
+      const embedErrors = validateEmbeds(embeds);
+      if (embedErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: embedErrors[0],
+          errors: embedErrors,
         });
-        console.log(
-          `[Guilds] Bot verified in: ${guild.name} (${guild.id}) - ${channels.length} text channels`
-        );
-      } catch (error) {
-        // Bot is not in this guild or lacks permissions
-        console.log(
-          `[Guilds] Bot NOT in: ${guild.name} (${guild.id}) - ${error.message}`
-        );
       }
-    }
 
-    console.log(`[Guilds] Returning ${validGuilds.length} valid guilds`);
-    
-    if (validGuilds.length === 0) {
-      return res.json({
+      if (!message && embeds.length === 0 && files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "A message, embed or file is required",
+        });
+      }
+
+      // Say which permission is missing rather than Discord's bare
+      // "Missing Permissions"
+      const permissions = await getBotChannelPermissions(BOT_TOKEN, channelId);
+      const missing = missingPermissions(permissions, [
+        "VIEW_CHANNEL",
+        req.accessChannelId === channelId ? "SEND_MESSAGES" : "SEND_MESSAGES_IN_THREADS",
+        ...(embeds.length > 0 ? ["EMBED_LINKS"] : []),
+        ...(files.length > 0 ? ["ATTACH_FILES"] : []),
+      ]);
+      // Webhooks don't need the bot to post, only Manage Webhooks (below)
+      if (missing.length > 0 && !personaId) {
+        return res.status(403).json({
+          success: false,
+          error: `The bot is missing ${missing.join(", ")} in this channel`,
+          missing,
+        });
+      }
+
+      // Send as a persona through the channel's webhook instead of as the bot
+      let persona = null;
+      if (personaId) {
+        persona = await getPersona(req.channelGuildId, personaId);
+        if (!persona) {
+          return res.status(400).json({ success: false, error: "Unknown persona" });
+        }
+        if (!hasPermission(permissions, PERMISSIONS.MANAGE_WEBHOOKS)) {
+          return res.status(403).json({
+            success: false,
+            error: "The bot needs Manage Webhooks in this channel to send as a persona",
+          });
+        }
+      }
+
+      const options = {
+        embeds,
+        files: toDiscordFiles(files),
+        allowedMentions: allowedMentionsFor(req.access),
+      };
+      const result = persona
+        ? await sendAsPersona(BOT_TOKEN, channelId, persona, message, options)
+        : await sendMessage(BOT_TOKEN, channelId, message, options);
+      res.locals.audit.details = { messageId: result.id };
+      if (persona) {
+        // Which human sent as which persona
+        res.locals.audit.details.persona = { id: persona.id, name: persona.name };
+      }
+
+      // Announcement channels: also publish to the channels following it.
+      // The message is already sent, so a failure here is reported, not thrown.
+      let publishError = null;
+      if (publish) {
+        try {
+          await crosspostMessage(BOT_TOKEN, channelId, result.id);
+          res.locals.audit.details.published = true;
+        } catch (error) {
+          console.error("Error publishing message:", error.message);
+          publishError = error.message;
+        }
+      }
+      res.json({
         success: true,
-        guilds: [],
-        debug:
-          "The bot is not installed in any of your servers. Please invite the bot to your server first.",
+        messageId: result.id,
+        published: publish && !publishError,
+        publishError,
       });
+    } catch (error) {
+      console.error("Error sending message:", error);
+      sendDiscordError(res, error, "Failed to send message");
     }
+  }
+);
 
-    res.json({ success: true, guilds: validGuilds });
-  } catch (error) {
-    console.error("Error fetching guilds:", error);
-    res.status(500).json({
+// Forum Routes
+
+// Discord's limits for a forum post
+const MAX_POST_TITLE_LENGTH = 100;
+const MAX_POST_TAGS = 5;
+
+// Create a post in a forum or media channel.
+// Body: { title, message, embeds, tagIds }, optionally multipart with files
+app.post(
+  "/forums/:channelId/posts",
+  auditAs("forum.post"),
+  requireAuth,
+  requireChannel("post"),
+  uploadAttachments,
+  async (req, res) => {
+    try {
+      const { channelId } = req.params;
+      const { title = "", message, embeds = [], tagIds = [] } = req.body;
+      const files = req.files;
+
+      if (typeof title !== "string" || !title.trim()) {
+        return res.status(400).json({ success: false, error: "A post needs a title" });
+      }
+      if (title.trim().length > MAX_POST_TITLE_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `The title must be at most ${MAX_POST_TITLE_LENGTH} characters`,
+        });
+      }
+      const embedErrors = validateEmbeds(embeds);
+      if (embedErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: embedErrors[0],
+          errors: embedErrors,
+        });
+      }
+      if (!message && embeds.length === 0 && files.length === 0) {
+        return res
+          .status(400)
+          .json({ success: false, error: "A message, embed or file is required" });
+      }
+      if (
+        !Array.isArray(tagIds) ||
+        tagIds.length > MAX_POST_TAGS ||
+        !tagIds.every((id) => /^\d{1,20}$/.test(id))
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: `tagIds must be at most ${MAX_POST_TAGS} tag IDs`,
+        });
+      }
+
+      const channel = await getChannel(BOT_TOKEN, channelId);
+      if (
+        channel.type !== CHANNEL_TYPES.GUILD_FORUM &&
+        channel.type !== CHANNEL_TYPES.GUILD_MEDIA
+      ) {
+        return res
+          .status(400)
+          .json({ success: false, error: "Posts can only be created in forum channels" });
+      }
+
+      const thread = await createForumPost(BOT_TOKEN, channelId, {
+        title: title.trim(),
+        content: message,
+        embeds,
+        tagIds,
+        files: toDiscordFiles(files),
+        allowedMentions: allowedMentionsFor(req.access),
+      });
+      // The post's first message has the thread's ID
+      res.locals.audit.details = { threadId: thread.id };
+      res.json({ success: true, threadId: thread.id, messageId: thread.id });
+    } catch (error) {
+      console.error("Error creating forum post:", error);
+      sendDiscordError(res, error, "Failed to create post");
+    }
+  }
+);
+
+// Broadcast Routes (one message to many channels, see broadcast.js)
+
+// Check the user may post in every channel. Returns the targets, or sends a
+// 403 listing the channels they can't post in and returns null.
+async function resolveBroadcastTargets(req, res, channelIds) {
+  const checks = await mapWithConcurrency(channelIds, 5, async (channelId) => ({
+    channelId,
+    ...(await checkChannelAccess(req, BOT_TOKEN, channelId, "post")),
+  }));
+
+  const denied = checks.filter((check) => !check.allowed);
+  if (denied.length > 0) {
+    res.status(403).json({
       success: false,
-      error: "Failed to fetch guilds",
-      details: error.message,
+      error: "You can't post in some of these channels",
+      channelIds: denied.map((check) => check.channelId),
     });
+    return null;
+  }
+  return checks.map(({ guildId, channelId, access }) => ({
+    guildId,
+    channelId,
+    allowedMentions: allowedMentionsFor(access),
+  }));
+}
+
+app.get("/broadcasts", requireAuth, async (req, res) => {
+  try {
+    const broadcasts = await listBroadcasts(req.session.user?.id);
+    res.json({ success: true, broadcasts });
+  } catch (error) {
+    console.error("Error listing broadcasts:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch broadcasts" });
   }
 });
 
-app.get("/channels/:guildId", requireAuth, async (req, res) => {
+// Body: { channelIds, message, embeds }
+app.post("/broadcasts", auditAs("broadcast.send"), requireAuth, async (req, res) => {
   try {
-    const { guildId } = req.params;
-    const channels = await getChannels(BOT_TOKEN, guildId);
-    res.json({ success: true, channels });
+    const { message = "", embeds = [] } = req.body;
+    const channelIds = validateBroadcastTargets(req.body.channelIds);
+
+    const embedErrors = validateEmbeds(embeds);
+    if (embedErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ success: false, error: embedErrors[0], errors: embedErrors });
+    }
+
+    const targets = await resolveBroadcastTargets(req, res, channelIds);
+    if (!targets) return;
+
+    const broadcast = await createBroadcast({
+      targets,
+      message,
+      embeds,
+      createdBy: {
+        id: req.session.user?.id,
+        username: req.session.user?.username,
+      },
+    });
+    res.locals.audit.details = { broadcastId: broadcast.id, targets: targets.length };
+    await runBroadcast(BOT_TOKEN, broadcast);
+    res.json({ success: true, broadcast });
   } catch (error) {
-    console.error("Error fetching channels:", error);
-    res.status(500).json({ success: false, error: "Failed to fetch channels" });
+    if (error instanceof BroadcastValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error("Error sending broadcast:", error);
+    res.status(500).json({ success: false, error: "Failed to send broadcast" });
   }
 });
 
-app.get("/messages/:channelId", requireAuth, async (req, res) => {
+// Middleware to load :broadcastId (only the user's own broadcasts)
+async function loadBroadcast(req, res, next) {
   try {
-    const { channelId } = req.params;
-    const limit = parseInt(req.query.limit) || 10;
-    const messages = await getMessages(BOT_TOKEN, channelId, limit);
-    res.json({ success: true, messages });
+    req.broadcast = await getBroadcast(req.params.broadcastId, req.session.user?.id);
+    if (!req.broadcast) {
+      return res.status(404).json({ success: false, error: "Broadcast not found" });
+    }
+    next();
   } catch (error) {
-    console.error("Error fetching messages:", error);
-    res.status(500).json({ success: false, error: "Failed to fetch messages" });
+    console.error("Error loading broadcast:", error);
+    res.status(500).json({ success: false, error: "Failed to load broadcast" });
   }
+}
+
+app.get("/broadcasts/:broadcastId", requireAuth, loadBroadcast, (req, res) => {
+  res.json({ success: true, broadcast: req.broadcast });
 });
 
-app.post("/send-message", requireAuth, async (req, res) => {
+// Send the broadcast again to the targets that failed
+app.post(
+  "/broadcasts/:broadcastId/retry",
+  auditAs("broadcast.retry"),
+  requireAuth,
+  loadBroadcast,
+  async (req, res) => {
+    try {
+      const failed = req.broadcast.targets
+        .filter((target) => target.status !== "sent")
+        .map((target) => target.channelId);
+      if (failed.length === 0) {
+        return res.json({ success: true, broadcast: req.broadcast });
+      }
+
+      // Access may have changed since the first attempt
+      if (!(await resolveBroadcastTargets(req, res, failed))) return;
+
+      res.locals.audit.details = { broadcastId: req.broadcast.id, targets: failed.length };
+      const broadcast = await runBroadcast(BOT_TOKEN, req.broadcast);
+      res.json({ success: true, broadcast });
+    } catch (error) {
+      if (error instanceof BroadcastValidationError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error("Error retrying broadcast:", error);
+      res.status(500).json({ success: false, error: "Failed to retry broadcast" });
+    }
+  }
+);
+
+// Channel History Export Routes (run in the background, see exports.js)
+app.get("/exports", requireAuth, async (req, res) => {
   try {
-    const { channelId, message } = req.body;
+    const exports = await listExports(req.session.user?.id);
+    res.json({ success: true, exports });
+  } catch (error) {
+    console.error("Error listing exports:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch exports" });
+  }
+});
 
-    if (!channelId || !message) {
-      return res.status(400).json({
-        success: false,
-        error: "channelId and message are required",
+// Body: { channelId, format: "json" | "csv" | "html", from, to, authorIds }
+app.post(
+  "/exports",
+  auditAs("export.create"),
+  requireAuth,
+  requireChannel("view"),
+  async (req, res) => {
+    try {
+      const options = validateExportOptions(req.body);
+      const channel = await getChannel(BOT_TOKEN, req.body.channelId);
+      const job = await createExport({
+        guildId: req.channelGuildId,
+        channelId: channel.id,
+        channelName: channel.name,
+        options,
+        createdBy: {
+          id: req.session.user?.id,
+          username: req.session.user?.username,
+        },
       });
+      startExport(BOT_TOKEN, job);
+      res.locals.audit.details = { exportId: job.id, format: job.format };
+      res.status(202).json({ success: true, export: job });
+    } catch (error) {
+      if (error instanceof ExportValidationError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error("Error starting export:", error);
+      sendDiscordError(res, error, "Failed to start export");
     }
+  }
+);
 
-    const result = await sendMessage(BOT_TOKEN, channelId, message);
-    res.json({ success: true, messageId: result.id });
+// Middleware to load :exportId (only the user's own exports)
+async function loadExport(req, res, next) {
+  try {
+    req.export = await getExport(req.params.exportId, req.session.user?.id);
+    if (!req.export) {
+      return res.status(404).json({ success: false, error: "Export not found" });
+    }
+    next();
   } catch (error) {
-    console.error("Error sending message:", error);
-    res.status(500).json({ success: false, error: "Failed to send message" });
+    console.error("Error loading export:", error);
+    res.status(500).json({ success: false, error: "Failed to load export" });
   }
+}
+
+app.get("/exports/:exportId", requireAuth, loadExport, (req, res) => {
+  res.json({ success: true, export: req.export });
 });
 
-// Redirect root to dashboard if authenticated, otherwise show landing page
- app.get("/", (req, res) => {
-  if (req.session.accessToken) {
-    return res.redirect("/dashboard.html");
+app.get("/exports/:exportId/download", requireAuth, loadExport, async (req, res) => {
+  try {
+    if (req.export.status !== "completed") {
+      return res.status(409).json({ success: false, error: "This export isn't finished" });
+    }
+    // Access may have been taken away since the export was made
+    const { allowed } = await checkChannelAccess(req, BOT_TOKEN, req.export.channelId, "view");
+    if (!allowed) {
+      return res
+        .status(403)
+        .json({ success: false, error: "You no longer have view access in this channel" });
+    }
+
+    const { filePath, fileName, contentType } = exportFile(req.export);
+    res.type(contentType);
+    res.download(filePath, fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error("Error sending export:", error);
+        res.status(500).json({ success: false, error: "Failed to download export" });
+      }
+    });
+  } catch (error) {
+    console.error("Error downloading export:", error);
+    res.status(500).json({ success: false, error: "Failed to download export" });
   }
-  res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
-// Serve static files (must be last, after all routes)
-app.use(express.static(path.join(__dirname, "public")));
+// Cancel a running export, or delete a finished one
+app.delete(
+  "/exports/:exportId",
+  auditAs("export.delete"),
+  requireAuth,
+  loadExport,
+  async (req, res) => {
+    try {
+      await deleteExport(req.export);
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Error deleting export:", error);
+      res.status(500).json({ success: false, error: "Failed to delete export" });
+    }
+  }
+);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`ChatPulse server is running at http://localhost:${PORT}`);
-  console.log(`Discord redirect URI is: ${DISCORD_REDIRECT_URI}`);
+// Live message events for the selected channel (Server-Sent Events)
+app.get(
+  "/events/:channelId",
+  requireAuth,
+  requireChannel("view"),
+  streamChannelEvents
+);
+
+// Message Management Routes (edit, delete, pin)
+
+// What the bot may do with messages in a channel, so the dashboard only
+// offers actions that will work. null if it can't be determined.
+async function getBotMessageCapabilities(channelId) {
+  try {
+    const [botUser, permissions] = await Promise.all([
+      getBotUserCached(BOT_TOKEN),
+      getBotChannelPermissions(BOT_TOKEN, channelId),
+    ]);
+    return {
+      id: botUser.id,
+      canManageMessages: hasPermission(permissions, PERMISSIONS.MANAGE_MESSAGES),
+    };
+  } catch (error) {
+    console.error("Error computing bot permissions:", error.message);
+    return null;
+  }
+}
+
+// Send a Discord error back with its status when it's the user's problem
+function sendDiscordError(res, error, fallback) {
+  if (error instanceof DiscordAPIError && error.status < 500) {
+    return res.status(error.status === 404 ? 404 : 400).json({
+      success: false,
+      error: `${fallback}: ${error.message}`,
+      code: error.code,
+    });
+  }
+  res.status(500).json({ success: false, error: fallback });
+}
+
+// Middleware: reject a :messageId that isn't a snowflake. It goes into the
+// Discord API path, so "..%2F..%2F<channelId>%2Fmessages%2F<id>" would
+// reach a channel the access check never saw.
+function requireMessageId(req, res, next) {
+  if (!/^\d{17,20}$/.test(req.params.messageId)) {
+    return res.status(400).json({ success: false, error: "Invalid message ID" });
+  }
+  next();
+}
+
+// Middleware: load :messageId and decide what the bot may do with it
+async function loadMessage(req, res, next) {
+  try {
+    const { channelId, messageId } = req.params;
+    const [message, bot] = await Promise.all([
+      getMessage(BOT_TOKEN, channelId, messageId),
+      getBotMessageCapabilities(channelId),
+    ]);
+    req.message = message;
+    req.isOwnMessage = !!bot && message.author?.id === bot.id;
+    req.canManageMessages = !!bot?.canManageMessages;
+    next();
+  } catch (error) {
+    console.error("Error loading message:", error);
+    sendDiscordError(res, error, "Failed to load message");
+  }
+}
+
+app.patch(
+  "/messages/:channelId/:messageId",
+  auditAs("message.edit"),
+  requireAuth,
+  requireMessageId,
+  requireChannel("post"),
+  loadMessage,
+  async (req, res) => {
+    try {
+      if (!req.isOwnMessage) {
+        return res.status(403).json({
+          success: false,
+          error: "Only messages sent by the bot can be edited",
+        });
+      }
+
+      const { message, embeds } = req.body;
+      if (embeds !== undefined) {
+        const embedErrors = validateEmbeds(embeds);
+        if (embedErrors.length > 0) {
+          return res
+            .status(400)
+            .json({ success: false, error: embedErrors[0], errors: embedErrors });
+        }
+      }
+      if (!message && !(embeds || req.message.embeds || []).length) {
+        return res
+          .status(400)
+          .json({ success: false, error: "A message can't be left empty" });
+      }
+
+      const { channelId, messageId } = req.params;
+      const result = await editMessage(BOT_TOKEN, channelId, messageId, message, {
+        embeds,
+      });
+      res.json({ success: true, message: result });
+    } catch (error) {
+      console.error("Error editing message:", error);
+      sendDiscordError(res, error, "Failed to edit message");
+    }
+  }
+);
+
+app.delete(
+  "/messages/:channelId/:messageId",
+  auditAs("message.delete"),
+  requireAuth,
+  requireMessageId,
+  requireChannel("moderate"),
+  loadMessage,
+  async (req, res) => {
+    try {
+      if (!req.isOwnMessage && !req.canManageMessages) {
+        return res.status(403).json({
+          success: false,
+          error:
+            "The bot can only delete its own messages unless it has Manage Messages",
+        });
+      }
+
+      const { channelId, messageId } = req.params;
+      await deleteMessage(BOT_TOKEN, channelId, messageId);
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Error deleting message:", error);
+      sendDiscordError(res, error, "Failed to delete message");
+    }
+  }
+);
+
+// Discord only bulk-deletes messages younger than 14 days
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+
+app.post(
+  "/messages/:channelId/bulk-delete",
+  auditAs("message.bulk_delete"),
+  requireAuth,
+  requireChannel("moderate"),
+  async (req, res) => {
+    try {
+      const { channelId } = req.params;
+      const { messageIds } = req.body;
+
+      if (
+        !Array.isArray(messageIds) ||
+        messageIds.length < 2 ||
+        messageIds.length > 100 ||
+        !messageIds.every((id) => /^\d{1,20}$/.test(id))
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "messageIds must be a list of 2 to 100 message IDs",
+        });
+      }
+
+      // Snowflakes carry their creation time (ms since 2015-01-01)
+      const oldest = Math.min(
+        ...messageIds.map((id) => Number(BigInt(id) >> 22n) + 1420070400000)
+      );
+      if (Date.now() - oldest > BULK_DELETE_MAX_AGE) {
+        return res.status(400).json({
+          success: false,
+          error: "Messages older than 14 days can't be bulk deleted",
+        });
+      }
+
+      const bot = await getBotMessageCapabilities(channelId);
+      if (!bot?.canManageMessages) {
+        return res.status(403).json({
+          success: false,
+          error: "The bot needs Manage Messages in this channel to bulk delete",
+        });
+      }
+
+      await bulkDeleteMessages(BOT_TOKEN, channelId, messageIds);
+      res.json({ success: true, deleted: messageIds.length });
+    } catch (error) {
+      console.error("Error bulk deleting messages:", error);
+      sendDiscordError(res, error, "Failed to delete messages");
+    }
+  }
+);
+
+app.get("/messages/:channelId/pins", requireAuth, requireChannel("view"), async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const [messages, bot] = await Promise.all([
+      getPinnedMessages(BOT_TOKEN, channelId),
+      getBotMessageCapabilities(channelId),
+    ]);
+    res.json({ success: true, messages, bot });
+  } catch (error) {
+    console.error("Error fetching pinned messages:", error);
+    sendDiscordError(res, error, "Failed to fetch pinned messages");
+  }
+});
+
+// Pin (PUT) or unpin (DELETE) a message
+function pinRoute(pin) {
+  return async (req, res) => {
+    try {
+      const { channelId, messageId } = req.params;
+      const bot = await getBotMessageCapabilities(channelId);
+      if (!bot?.canManageMessages) {
+        return res.status(403).json({
+          success: false,
+          error: "The bot needs Manage Messages in this channel to pin messages",
+        });
+      }
+
+      if (pin) {
+        await pinMessage(BOT_TOKEN, channelId, messageId);
+      } else {
+        await unpinMessage(BOT_TOKEN, channelId, messageId);
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error(`Error ${pin ? "pinning" : "unpinning"} message:`, error);
+      sendDiscordError(
+        res,
+        error,
+        pin ? "Failed to pin message" : "Failed to unpin message"
+      );
+    }
+  };
+}
+
+app.put(
+  "/messages/:channelId/:messageId/pin",
+  auditAs("message.pin"),
+  requireAuth,
+  requireMessageId,
+  requireChannel("moderate"),
+  pinRoute(true)
+);
+
+app.delete(
+  "/messages/:channelId/:messageId/pin",
+  auditAs("message.unpin"),
+  requireAuth,
+  requireMessageId,
+  requireChannel("moderate"),
+  pinRoute(false)
+);
+
+// Add (PUT) or remove (DELETE) the bot's reaction. :emoji is a Unicode
+// emoji or "name:id" for a custom one. Returns the message with new counts.
+const CUSTOM_EMOJI_PATTERN = /^\w{2,32}:\d{17,20}$/;
+
+function reactionRoute(add) {
+  return async (req, res) => {
+    try {
+      const { channelId, messageId, emoji } = req.params;
+      // Unicode emoji are a few code points; anything with : must be custom
+      const valid =
+        CUSTOM_EMOJI_PATTERN.test(emoji) || (!/[:/\s]/.test(emoji) && emoji.length <= 32);
+      if (!valid) {
+        return res.status(400).json({ success: false, error: "Unknown emoji" });
+      }
+      res.locals.audit.details = { messageId, emoji };
+
+      if (add) {
+        await addReaction(BOT_TOKEN, channelId, messageId, emoji);
+      } else {
+        await removeOwnReaction(BOT_TOKEN, channelId, messageId, emoji);
+      }
+      const message = await getMessage(BOT_TOKEN, channelId, messageId);
+      res.json({ success: true, message });
+    } catch (error) {
+      console.error(`Error ${add ? "adding" : "removing"} reaction:`, error);
+      sendDiscordError(res, error, add ? "Failed to add reaction" : "Failed to remove reaction");
+    }
+  };
+}
+
+app.put(
+  "/messages/:channelId/:messageId/reactions/:emoji",
+  auditAs("reaction.add"),
+  requireAuth,
+  requireMessageId,
+  requireChannel("post"),
+  reactionRoute(true)
+);
+
+app.delete(
+  "/messages/:channelId/:messageId/reactions/:emoji",
+  auditAs("reaction.remove"),
+  requireAuth,
+  requireMessageId,
+  requireChannel("post"),
+  reactionRoute(false)
+);
+
+// Publish a message in an announcement channel to the channels following it.
+// The bot's own messages need post access; anyone else's need moderate.
+app.post(
+  "/messages/:channelId/:messageId/crosspost",
+  auditAs("message.publish"),
+  requireAuth,
+  requireMessageId,
+  requireChannel("post"),
+  loadMessage,
+  async (req, res) => {
+    try {
+      const { channelId, messageId } = req.params;
+      if (!req.isOwnMessage) {
+        if (!accessAllows(req.access, "moderate", req.accessChannelId)) {
+          return res.status(403).json({
+            success: false,
+            error: "You need moderate access to publish other people's messages",
+          });
+        }
+        if (!req.canManageMessages) {
+          return res.status(403).json({
+            success: false,
+            error: "The bot needs Manage Messages to publish other people's messages",
+          });
+        }
+      }
+
+      await crosspostMessage(BOT_TOKEN, channelId, messageId);
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Error publishing message:", error);
+      sendDiscordError(res, error, "Failed to publish message");
+    }
+  }
+);
+
+// Analytics ("pulse") Routes
+// Query: ?days=1|7|30&tz=<IANA timezone>&refresh=true
+// Walking history spends the bot's rate limit, so only managers may skip the
+// cache with refresh=true; everyone else shares the cached result.
+function pulseRoute(getPulse, getId) {
+  return async (req, res) => {
+    try {
+      const options = parsePulseOptions(req.query);
+      if (options.refresh && !req.access.manager) {
+        return res.status(403).json({
+          success: false,
+          error: "Only server managers can recompute Pulse",
+        });
+      }
+      const pulse = await getPulse(BOT_TOKEN, getId(req), options);
+      res.json({ success: true, pulse });
+    } catch (error) {
+      if (error instanceof AnalyticsOptionsError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error("Error computing analytics:", error);
+      res.status(500).json({ success: false, error: "Failed to compute analytics" });
+    }
+  };
+}
+
+app.get(
+  "/analytics/channels/:channelId",
+  requireAuth,
+  requireChannel("view"),
+  pulseRoute(getChannelPulse, (req) => req.params.channelId)
+);
+
+app.get(
+  "/analytics/guilds/:guildId",
+  requireAuth,
+  requireGuild("manage"),
+  pulseRoute(getGuildPulse, (req) => req.params.guildId)
+);
+
+// Scheduled Messages Routes
+
+// The channel a job's access is checked against. Jobs saved before this was
+// stored fall back to their own channel.
+const jobAccessChannel = (job) => job.accessChannelId || job.channelId;
+
+app.get("/guilds/:guildId/scheduled", requireAuth, requireGuild("schedule"), (req, res) => {
+  const jobs = listJobs(req.params.guildId).filter((job) =>
+    accessAllows(req.access, "schedule", jobAccessChannel(job))
+  );
+  res.json({ success: true, jobs });
+});
+
+app.post(
+  "/guilds/:guildId/scheduled",
+  auditAs("scheduled.create"),
+  requireAuth,
+  requireGuild("schedule"),
+  requireChannel("schedule"),
+  async (req, res) => {
+    try {
+      if (req.channelGuildId !== req.params.guildId) {
+        return res.status(400).json({
+          success: false,
+          error: "channelId does not belong to this server",
+        });
+      }
+
+      const { channelId, message, type, runAt, cron, timezone } = req.body;
+      const job = await createJob({
+        guildId: req.params.guildId,
+        channelId,
+        accessChannelId: req.accessChannelId,
+        message,
+        type,
+        runAt,
+        cron,
+        timezone,
+        createdBy: {
+          id: req.session.user?.id,
+          username: req.session.user?.username,
+        },
+      });
+      res.locals.audit.details = { jobId: job.id };
+      res.json({ success: true, job });
+    } catch (error) {
+      if (error instanceof ScheduleValidationError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error("Error creating scheduled job:", error);
+      res
+        .status(500)
+        .json({ success: false, error: "Failed to create scheduled message" });
+    }
+  }
+);
+
+// Middleware to load :jobId from the :guildId server, if the user may
+// schedule in the job's channel
+function loadJob(req, res, next) {
+  req.job = getJob(req.params.guildId, req.params.jobId);
+  if (!req.job || !accessAllows(req.access, "schedule", jobAccessChannel(req.job))) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Scheduled message not found" });
+  }
+  next();
+}
+
+// Wrap a job action so validation errors become 400s
+function jobAction(action, label) {
+  return async (req, res) => {
+    try {
+      const job = await action(req.job);
+      res.json({ success: true, job: job || null });
+    } catch (error) {
+      if (error instanceof ScheduleValidationError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error(`Error trying to ${label} scheduled job:`, error);
+      res
+        .status(500)
+        .json({ success: false, error: `Failed to ${label} scheduled message` });
+    }
+  };
+}
+
+app.post(
+  "/guilds/:guildId/scheduled/:jobId/pause",
+  auditAs("scheduled.pause"),
+  requireAuth,
+  requireGuild("schedule"),
+  loadJob,
+  jobAction(pauseJob, "pause")
+);
+
+app.post(
+  "/guilds/:guildId/scheduled/:jobId/resume",
+  auditAs("scheduled.resume"),
+  requireAuth,
+  requireGuild("schedule"),
+  loadJob,
+  jobAction(resumeJob, "resume")
+);
+
+app.delete(
+  "/guilds/:guildId/scheduled/:jobId",
+  auditAs("scheduled.delete"),
+  requireAuth,
+  requireGuild("schedule"),
+  loadJob,
+  jobAction(deleteJob, "delete")
+);
+
+// Message Template Routes (see templates.js for placeholders)
+app.get("/guilds/:guildId/templates", requireAuth, requireGuild("post"), async (req, res) => {
+  try {
+    const templates = await listTemplates(req.params.guildId);
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error("Error listing templates:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch templates" });
+  }
+});
+
+// Wrap a template route so TemplateErrors become 400s
+function templateRoute(handler, label) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error(`Error trying to ${label} template:`, error);
+      res.status(500).json({ success: false, error: `Failed to ${label} template` });
+    }
+  };
+}
+
+// Middleware to load :templateId from the :guildId server
+async function loadTemplate(req, res, next) {
+  try {
+    req.template = await getTemplate(req.params.guildId, req.params.templateId);
+    if (!req.template) {
+      return res.status(404).json({ success: false, error: "Template not found" });
+    }
+    next();
+  } catch (error) {
+    console.error("Error loading template:", error);
+    res.status(500).json({ success: false, error: "Failed to load template" });
+  }
+}
+
+// Body: { name, content }
+app.post(
+  "/guilds/:guildId/templates",
+  auditAs("template.create"),
+  requireAuth,
+  requireGuild("post"),
+  templateRoute(async (req, res) => {
+    const template = await createTemplate(req.params.guildId, {
+      name: req.body.name,
+      content: req.body.content,
+      createdBy: {
+        id: req.session.user?.id,
+        username: req.session.user?.username,
+      },
+    });
+    res.locals.audit.details = { templateId: template.id };
+    res.json({ success: true, template });
+  }, "create")
+);
+
+app.put(
+  "/guilds/:guildId/templates/:templateId",
+  auditAs("template.update"),
+  requireAuth,
+  requireGuild("post"),
+  loadTemplate,
+  templateRoute(async (req, res) => {
+    const template = await updateTemplate(req.params.guildId, req.template.id, req.body);
+    res.json({ success: true, template });
+  }, "update")
+);
+
+app.delete(
+  "/guilds/:guildId/templates/:templateId",
+  auditAs("template.delete"),
+  requireAuth,
+  requireGuild("post"),
+  loadTemplate,
+  templateRoute(async (req, res) => {
+    await deleteTemplate(req.params.guildId, req.template.id);
+    res.json({ success: true });
+  }, "delete")
+);
+
+// Fill in a template for preview. Body: { channelId, values, timezone }
+app.post(
+  "/guilds/:guildId/templates/:templateId/render",
+  auditAs("template.render"),
+  requireAuth,
+  requireGuild("post"),
+  loadTemplate,
+  templateRoute(async (req, res) => {
+    const { channelId, values, timezone = "UTC" } = req.body;
+    if (channelId && !/^\d{1,20}$/.test(channelId)) {
+      throw new TemplateError("channelId must be a channel ID");
+    }
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    } catch {
+      throw new TemplateError(`Unknown timezone: ${timezone}`);
+    }
+
+    const content = renderTemplate(req.template.content, {
+      values: values || {},
+      context: {
+        channelId: channelId || null,
+        userId: req.session.user?.id,
+        guildName: req.guild.name,
+        timezone,
+      },
+    });
+    res.json({ success: true, content });
+  }, "render")
+);
+
+// Persona Routes (send as a custom name and avatar, see personas.js)
+// Listed for everyone who may post, so the composer can offer them
+app.get("/guilds/:guildId/personas", requireAuth, requireGuild("post"), async (req, res) => {
+  try {
+    const personas = await listPersonas(req.params.guildId);
+    res.json({ success: true, personas });
+  } catch (error) {
+    console.error("Error listing personas:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch personas" });
+  }
+});
+
+// Wrap a persona route so PersonaErrors become 400s
+function personaRoute(handler, label) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof PersonaError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error(`Error trying to ${label} persona:`, error);
+      res.status(500).json({ success: false, error: `Failed to ${label} persona` });
+    }
+  };
+}
+
+// Body: { name, avatarUrl }
+app.post(
+  "/guilds/:guildId/personas",
+  auditAs("persona.create"),
+  requireAuth,
+  requireGuild("manage"),
+  personaRoute(async (req, res) => {
+    const persona = await createPersona(req.params.guildId, {
+      name: req.body.name,
+      avatarUrl: req.body.avatarUrl,
+      createdBy: {
+        id: req.session.user?.id,
+        username: req.session.user?.username,
+      },
+    });
+    res.locals.audit.details = { personaId: persona.id, name: persona.name };
+    res.json({ success: true, persona });
+  }, "create")
+);
+
+app.put(
+  "/guilds/:guildId/personas/:personaId",
+  auditAs("persona.update"),
+  requireAuth,
+  requireGuild("manage"),
+  personaRoute(async (req, res) => {
+    const persona = await updatePersona(req.params.guildId, req.params.personaId, req.body);
+    if (!persona) {
+      return res.status(404).json({ success: false, error: "Persona not found" });
+    }
+    res.locals.audit.details = { personaId: persona.id, name: persona.name };
+    res.json({ success: true, persona });
+  }, "update")
+);
+
+app.delete(
+  "/guilds/:guildId/personas/:personaId",
+  auditAs("persona.delete"),
+  requireAuth,
+  requireGuild("manage"),
+  personaRoute(async (req, res) => {
+    const deleted = await deletePersona(req.params.guildId, req.params.personaId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: "Persona not found" });
+    }
+    res.json({ success: true });
+  }, "delete")
+);
+
+// Slash Command Routes (see commands.js and interactions.js)
+// Server commands are managed by server managers. Global commands show up in
+// every server the bot is in, so only the application's owner (or its team)
+// may manage those.
+let applicationOwnerIds = null;
+
+async function getApplicationOwnerIds() {
+  if (!applicationOwnerIds) {
+    const application = await getApplication(BOT_TOKEN);
+    applicationOwnerIds = new Set(
+      application.team
+        ? application.team.members.map((member) => member.user.id)
+        : [application.owner?.id]
+    );
+  }
+  return applicationOwnerIds;
+}
+
+async function isApplicationOwner(req) {
+  return (await getApplicationOwnerIds()).has(req.session.user?.id);
+}
+
+// Middleware: only the application's owner or team members
+async function requireApplicationOwner(req, res, next) {
+  try {
+    if (!(await isApplicationOwner(req))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the bot's owner can manage global commands",
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Error checking application owner:", error);
+    res.status(500).json({ success: false, error: "Failed to check access" });
+  }
+}
+
+// Wrap a command route so CommandErrors become 400s and Discord's errors
+// (e.g. a name Discord refuses) are passed on
+function commandRoute(handler, label) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof CommandError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error(`Error trying to ${label} command:`, error);
+      sendDiscordError(res, error, `Failed to ${label} command`);
+    }
+  };
+}
+
+// Middleware to load :commandId from the :guildId server (or global ones)
+async function loadCommand(req, res, next) {
+  try {
+    req.command = await getCommand(req.params.guildId || null, req.params.commandId);
+    if (!req.command) {
+      return res.status(404).json({ success: false, error: "Command not found" });
+    }
+    next();
+  } catch (error) {
+    console.error("Error loading command:", error);
+    res.status(500).json({ success: false, error: "Failed to load command" });
+  }
+}
+
+const listCommandsRoute = commandRoute(async (req, res) => {
+  const guildId = req.params.guildId || null;
+  const [commands, unmanaged, canManageGlobal] = await Promise.all([
+    listCommands(guildId),
+    // Only informational; the list works without it
+    listUnmanagedCommands(BOT_TOKEN, DISCORD_CLIENT_ID, guildId).catch((error) => {
+      console.error("Error listing registered commands:", error.message);
+      return null;
+    }),
+    isApplicationOwner(req).catch(() => false),
+  ]);
+  res.json({
+    success: true,
+    commands,
+    unmanaged,
+    canManageGlobal,
+    interactionsConfigured: !!interactionsPublicKey,
+  });
+}, "list");
+
+// Body: { name, description, options, response }
+const createCommandRoute = commandRoute(async (req, res) => {
+  const guildId = req.params.guildId || null;
+  const command = await createCommand(BOT_TOKEN, DISCORD_CLIENT_ID, guildId, {
+    ...req.body,
+    createdBy: {
+      id: req.session.user?.id,
+      username: req.session.user?.username,
+    },
+  });
+  res.locals.audit.details = { commandId: command.id, name: command.name };
+  res.json({ success: true, command });
+}, "create");
+
+const updateCommandRoute = commandRoute(async (req, res) => {
+  const command = await updateCommand(BOT_TOKEN, DISCORD_CLIENT_ID, req.command, req.body);
+  res.locals.audit.details = { commandId: command.id, name: command.name };
+  res.json({ success: true, command });
+}, "update");
+
+const deleteCommandRoute = commandRoute(async (req, res) => {
+  await deleteCommand(BOT_TOKEN, DISCORD_CLIENT_ID, req.command);
+  res.locals.audit.details = { commandId: req.command.id, name: req.command.name };
+  res.json({ success: true });
+}, "delete");
+
+app.get("/guilds/:guildId/commands", requireAuth, requireGuild("manage"), listCommandsRoute);
+app.post(
+  "/guilds/:guildId/commands",
+  auditAs("command.create"),
+  requireAuth,
+  requireGuild("manage"),
+  createCommandRoute
+);
+app.put(
+  "/guilds/:guildId/commands/:commandId",
+  auditAs("command.update"),
+  requireAuth,
+  requireGuild("manage"),
+  loadCommand,
+  updateCommandRoute
+);
+app.delete(
+  "/guilds/:guildId/commands/:commandId",
+  auditAs("command.delete"),
+  requireAuth,
+  requireGuild("manage"),
+  loadCommand,
+  deleteCommandRoute
+);
+
+app.get("/commands", requireAuth, requireApplicationOwner, listCommandsRoute);
+app.post(
+  "/commands",
+  auditAs("command.create"),
+  requireAuth,
+  requireApplicationOwner,
+  createCommandRoute
+);
+app.put(
+  "/commands/:commandId",
+  auditAs("command.update"),
+  requireAuth,
+  requireApplicationOwner,
+  loadCommand,
+  updateCommandRoute
+);
+app.delete(
+  "/commands/:commandId",
+  auditAs("command.delete"),
+  requireAuth,
+  requireApplicationOwner,
+  loadCommand,
+  deleteCommandRoute
+);
+
+// Audit Log Routes
+// Query filters: ?action=&userId=&channelId=&result=success|failure&from=&to=
+function parseAuditFilters(query) {
+  const filters = {
+    action: query.action || null,
+    userId: query.userId || null,
+    channelId: query.channelId || null,
+    result: query.result || null,
+    from: query.from || null,
+    to: query.to || null,
+  };
+  for (const key of ["from", "to"]) {
+    if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+      return { error: `${key} must be a date` };
+    }
+  }
+  return { filters };
+}
+
+app.get("/guilds/:guildId/audit", requireAuth, requireGuild("manage"), async (req, res) => {
+  try {
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    filters.limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const entries = await queryAudit(req.params.guildId, filters);
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error("Error reading audit log:", error);
+    res.status(500).json({ success: false, error: "Failed to read audit log" });
+  }
+});
+
+// Download the (filtered) audit log: ?format=csv|json
+app.get(
+  "/guilds/:guildId/audit/export",
+  requireAuth,
+  requireGuild("manage"),
+  async (req, res) => {
+    try {
+      const format = req.query.format || "csv";
+      if (format !== "csv" && format !== "json") {
+        return res
+          .status(400)
+          .json({ success: false, error: "format must be csv or json" });
+      }
+      const { filters, error } = parseAuditFilters(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      const entries = await queryAudit(req.params.guildId, filters);
+      const filename = `audit-${req.params.guildId}.${format}`;
+      res.attachment(filename);
+      if (format === "csv") {
+        res.type("text/csv").send(auditToCsv(entries));
+      } else {
+        res.type("application/json").send(JSON.stringify(entries, null, 2));
+      }
+    } catch (error) {
+      console.error("Error exporting audit log:", error);
+      res.status(500).json({ success: false, error: "Failed to export audit log" });
+    }
+  }
+);
+
+app.get(
+  "/guilds/:guildId/audit/settings",
+  requireAuth,
+  requireGuild("manage"),
+  async (req, res) => {
+    try {
+      const settings = await getAuditSettings(req.params.guildId);
+      res.json({ success: true, settings });
+    } catch (error) {
+      console.error("Error reading audit settings:", error);
+      res.status(500).json({ success: false, error: "Failed to read audit settings" });
+    }
+  }
+);
+
+// Choose the Discord channel audit entries are mirrored to (null turns it off)
+app.put(
+  "/guilds/:guildId/audit/settings",
+  auditAs("audit.settings"),
+  requireAuth,
+  requireGuild("manage"),
+  async (req, res) => {
+    try {
+      const { guildId } = req.params;
+      const { logChannelId } = req.body;
+      if (logChannelId) {
+        const channelGuildId = await resolveChannelGuild(BOT_TOKEN, logChannelId).catch(
+          () => null
+        );
+        if (channelGuildId !== guildId) {
+          return res.status(400).json({
+            success: false,
+            error: "logChannelId does not belong to this server",
+          });
+        }
+      }
+
+      const settings = await setAuditLogChannel(guildId, logChannelId || null);
+      res.json({ success: true, settings });
+    } catch (error) {
+      console.error("Error saving audit settings:", error);
+      res.status(500).json({ success: false, error: "Failed to save audit settings" });
+    }
+  }
+);
+
+// Access Policy Routes (who besides managers may use ChatPulse, see policies.js)
+app.get("/guilds/:guildId/roles", requireAuth, requireGuild("manage"), async (req, res) => {
+  try {
+    const roles = await getGuildRoles(BOT_TOKEN, req.params.guildId);
+    res.json({
+      success: true,
+      roles: roles
+        .filter((role) => role.id !== req.params.guildId && !role.managed)
+        .sort((a, b) => b.position - a.position)
+        .map((role) => ({ id: role.id, name: role.name, color: role.color })),
+    });
+  } catch (error) {
+    console.error("Error fetching roles:", error);
+    sendDiscordError(res, error, "Failed to fetch roles");
+  }
+});
+
+// What the bot is missing in a server, intent status and an invite URL with
+// every permission ChatPulse uses (see health.js)
+app.get("/guilds/:guildId/health", requireAuth, requireGuild("manage"), async (req, res) => {
+  try {
+    const health = await getGuildHealth(BOT_TOKEN, DISCORD_CLIENT_ID, req.params.guildId);
+    res.json({ success: true, ...health });
+  } catch (error) {
+    console.error("Error checking bot health:", error);
+    sendDiscordError(res, error, "Failed to check the bot's health");
+  }
+});
+
+app.get("/guilds/:guildId/access", requireAuth, requireGuild("manage"), async (req, res) => {
+  try {
+    const policy = await getGuildPolicy(req.params.guildId);
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error("Error reading access policy:", error);
+    res.status(500).json({ success: false, error: "Failed to read access policy" });
+  }
+});
+
+// Replace the server's rules. Body: { rules: [{ subject, capabilities, channelIds }] }
+app.put(
+  "/guilds/:guildId/access",
+  auditAs("access.update"),
+  requireAuth,
+  requireGuild("manage"),
+  async (req, res) => {
+    try {
+      const { guildId } = req.params;
+      const [roles, channels] = await Promise.all([
+        getGuildRoles(BOT_TOKEN, guildId),
+        getGuildChannels(BOT_TOKEN, guildId),
+      ]);
+      // Any channel but a category; threads follow their parent's rules
+      const channelIds = channels
+        .filter((channel) => channel.type !== CHANNEL_TYPES.GUILD_CATEGORY)
+        .map((channel) => channel.id);
+      const rules = validateRules(req.body.rules, {
+        roleIds: new Set(roles.map((role) => role.id)),
+        channelIds: new Set(channelIds),
+      });
+
+      const policy = await setGuildPolicy(guildId, rules, {
+        id: req.session.user?.id,
+        username: req.session.user?.username,
+      });
+      res.locals.audit.details = { rules: rules.length };
+      res.json({ success: true, policy });
+    } catch (error) {
+      if (error instanceof PolicyValidationError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error("Error saving access policy:", error);
+      sendDiscordError(res, error, "Failed to save access policy");
+    }
+  }
+);
+
+// Watchlist Routes (keyword alerts, see watchlists.js)
+app.get("/guilds/:guildId/watchlist", requireAuth, requireGuild("manage"), async (req, res) => {
+  try {
+    const rules = await getWatchRules(req.params.guildId);
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error("Error reading watch rules:", error);
+    res.status(500).json({ success: false, error: "Failed to read watch rules" });
+  }
+});
+
+// Replace the server's watch rules. Body: { rules: [{ name, type, pattern, ... }] }
+app.put(
+  "/guilds/:guildId/watchlist",
+  auditAs("watchlist.update"),
+  requireAuth,
+  requireGuild("manage"),
+  async (req, res) => {
+    try {
+      const { guildId } = req.params;
+      const channels = await getChannels(BOT_TOKEN, guildId);
+      const rules = validateWatchRules(req.body.rules, {
+        channelIds: new Set(channels.map((channel) => channel.id)),
+        ruleIds: new Set((await getWatchRules(guildId)).map((rule) => rule.id)),
+      });
+
+      const saved = await setWatchRules(guildId, rules, {
+        id: req.session.user?.id,
+        username: req.session.user?.username,
+      });
+      res.locals.audit.details = { rules: saved.length };
+      res.json({ success: true, rules: saved });
+    } catch (error) {
+      if (error instanceof WatchRuleError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error("Error saving watch rules:", error);
+      sendDiscordError(res, error, "Failed to save watch rules");
+    }
+  }
+);
+
+// Try a rule against sample text. Body: { rule, text }
+app.post(
+  "/guilds/:guildId/watchlist/test",
+  auditAs("watchlist.test"),
+  requireAuth,
+  requireGuild("manage"),
+  (req, res) => {
+    try {
+      res.json({ success: true, ...testRule(req.body.rule, req.body.text) });
+    } catch (error) {
+      if (error instanceof WatchRuleError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error("Error testing watch rule:", error);
+      res.status(500).json({ success: false, error: "Failed to test watch rule" });
+    }
+  }
+);
+
+// Alerts in channels the user may moderate. Query: ?unread=true
+app.get("/guilds/:guildId/alerts", requireAuth, requireGuild("moderate"), async (req, res) => {
+  try {
+    const result = await listAlerts(req.params.guildId, {
+      unreadOnly: req.query.unread === "true",
+      channelFilter: (channelId) => accessAllows(req.access, "moderate", channelId),
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error reading alerts:", error);
+    res.status(500).json({ success: false, error: "Failed to read alerts" });
+  }
+});
+
+// Mark alerts as read. Body: { alertIds }
+app.post(
+  "/guilds/:guildId/alerts/read",
+  auditAs("alerts.read"),
+  requireAuth,
+  requireGuild("moderate"),
+  async (req, res) => {
+    try {
+      const { alertIds } = req.body;
+      if (!Array.isArray(alertIds)) {
+        return res.status(400).json({ success: false, error: "alertIds must be an array" });
+      }
+      const changed = await markAlertsRead(req.params.guildId, alertIds, (channelId) =>
+        accessAllows(req.access, "moderate", channelId)
+      );
+      res.json({ success: true, changed });
+    } catch (error) {
+      console.error("Error marking alerts read:", error);
+      res.status(500).json({ success: false, error: "Failed to mark alerts read" });
+    }
+  }
+);
+
+// Member Moderation Routes
+// Both the user and the bot need the Discord permission for each action and
+// must outrank the member (see moderation.js). Bodies take an optional
+// `reason` for Discord's audit log.
+
+// Wrap a moderation route so ModerationErrors keep their status
+function moderationRoute(handler, label) {
+  return async (req, res) => {
+    try {
+      if (req.params.userId && !/^\d{17,20}$/.test(req.params.userId)) {
+        return res.status(400).json({ success: false, error: "Invalid user ID" });
+      }
+      if (req.params.userId && res.locals.audit) {
+        res.locals.audit.details = { userId: req.params.userId };
+      }
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof ModerationError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error(`Error trying to ${label}:`, error);
+      sendDiscordError(res, error, `Failed to ${label}`);
+    }
+  };
+}
+
+// Query: ?query= (name prefix search) or ?after= (user ID cursor), &limit=
+app.get(
+  "/guilds/:guildId/members",
+  requireAuth,
+  requireGuild("moderate"),
+  moderationRoute(async (req, res) => {
+    const result = await listMembers(BOT_TOKEN, req.params.guildId, req.session.user.id, {
+      query: req.query.query,
+      after: req.query.after,
+      limit: req.query.limit,
+    });
+    res.json({ success: true, ...result });
+  }, "list members")
+);
+
+app.get(
+  "/guilds/:guildId/members/:userId",
+  requireAuth,
+  requireGuild("moderate"),
+  moderationRoute(async (req, res) => {
+    const { member, roles } = await getMemberDetails(
+      BOT_TOKEN,
+      req.params.guildId,
+      req.session.user.id,
+      req.params.userId
+    );
+    if (!member) {
+      return res
+        .status(404)
+        .json({ success: false, error: "This user isn't a member of the server" });
+    }
+    res.json({ success: true, member, roles });
+  }, "load member")
+);
+
+// Body: { minutes, reason }; minutes 0 lifts the timeout
+app.post(
+  "/guilds/:guildId/members/:userId/timeout",
+  auditAs("member.timeout"),
+  requireAuth,
+  requireGuild("moderate"),
+  moderationRoute(async (req, res) => {
+    const member = await timeoutMember(
+      BOT_TOKEN,
+      req.params.guildId,
+      req.session.user,
+      req.params.userId,
+      { minutes: req.body.minutes, reason: req.body.reason }
+    );
+    res.locals.audit.details.minutes = req.body.minutes;
+    res.json({ success: true, member });
+  }, "time out member")
+);
+
+app.post(
+  "/guilds/:guildId/members/:userId/kick",
+  auditAs("member.kick"),
+  requireAuth,
+  requireGuild("moderate"),
+  moderationRoute(async (req, res) => {
+    await kickMember(BOT_TOKEN, req.params.guildId, req.session.user, req.params.userId, {
+      reason: req.body.reason,
+    });
+    res.json({ success: true });
+  }, "kick member")
+);
+
+// Body: { reason }
+function memberRoleRoute(add) {
+  return moderationRoute(async (req, res) => {
+    const member = await setMemberRole(
+      BOT_TOKEN,
+      req.params.guildId,
+      req.session.user,
+      req.params.userId,
+      req.params.roleId,
+      add,
+      { reason: req.body.reason }
+    );
+    res.locals.audit.details.roleId = req.params.roleId;
+    res.json({ success: true, member });
+  }, add ? "add role" : "remove role");
+}
+
+app.put(
+  "/guilds/:guildId/members/:userId/roles/:roleId",
+  auditAs("member.role_add"),
+  requireAuth,
+  requireGuild("moderate"),
+  memberRoleRoute(true)
+);
+
+app.delete(
+  "/guilds/:guildId/members/:userId/roles/:roleId",
+  auditAs("member.role_remove"),
+  requireAuth,
+  requireGuild("moderate"),
+  memberRoleRoute(false)
+);
+
+// Query: ?after= (user ID cursor)
+app.get(
+  "/guilds/:guildId/bans",
+  requireAuth,
+  requireGuild("moderate"),
+  moderationRoute(async (req, res) => {
+    const result = await listBans(BOT_TOKEN, req.params.guildId, req.session.user.id, {
+      after: req.query.after,
+    });
+    res.json({ success: true, ...result });
+  }, "list bans")
+);
+
+// Body: { deleteMessageSeconds, reason }. Works for users who already left.
+app.put(
+  "/guilds/:guildId/bans/:userId",
+  auditAs("member.ban"),
+  requireAuth,
+  requireGuild("moderate"),
+  moderationRoute(async (req, res) => {
+    const deleteMessageSeconds = req.body.deleteMessageSeconds ?? 0;
+    await banUser(BOT_TOKEN, req.params.guildId, req.session.user, req.params.userId, {
+      deleteMessageSeconds,
+      reason: req.body.reason,
+    });
+    res.locals.audit.details.deleteMessageSeconds = deleteMessageSeconds;
+    res.json({ success: true });
+  }, "ban user")
+);
+
+// Body: { reason }
+app.delete(
+  "/guilds/:guildId/bans/:userId",
+  auditAs("member.unban"),
+  requireAuth,
+  requireGuild("moderate"),
+  moderationRoute(async (req, res) => {
+    await unbanUser(BOT_TOKEN, req.params.guildId, req.session.user, req.params.userId, {
+      reason: req.body.reason,
+    });
+    res.json({ success: true });
+  }, "unban user")
+);
+
+// Redirect root to dashboard if authenticated, otherwise show landing page
+ app.get("/", (req, res) => {
+  if (req.session.accessToken) {
+    return res.redirect("/dashboard.html");
+  }
+  res.sendFile(path.join(__dirname, "public", "index.html"));
+});
+
+// Serve static files (must be last, after all routes)
+app.use(express.static(path.join(__dirname, "public")));
+
+// Start server, the message scheduler and the live Gateway connection
+startScheduler(BOT_TOKEN).catch((error) => {
+  console.error("[Scheduler] Failed to start:", error);
+});
+
+startLiveGateway(BOT_TOKEN).catch((error) => {
+  console.error("[Gateway] Failed to start, live updates are off:", error.message);
+});
+startWatchlists(BOT_TOKEN).catch((error) => {
+  console.error("[Watchlist] Failed to start:", error);
+});
+
+app.listen(PORT, () => {
+  console.log(`ChatPulse server is running at http://localhost:${PORT}`);
+  console.log(`Discord redirect URI is: ${DISCORD_REDIRECT_URI}`);
+  if (!interactionsPublicKey) {
+    console.log("[Interactions] DISCORD_PUBLIC_KEY is not set, slash commands won't be answered");
+  }
 });
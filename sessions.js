@@ -0,0 +1,140 @@
+// sessions.js
+// File-backed express-session store
+//
+// The default MemoryStore forgets every session on restart, logging everyone
+// out. This store keeps sessions in DATA_DIR/sessions.json instead, and
+// drops expired ones on a timer so the file doesn't grow forever.
+//
+// New, changed and destroyed sessions are written right away. Touches (a
+// request extending a session's expiry) happen on every request, so they
+// only change the copy in memory and are written at most once per
+// TOUCH_FLUSH_DELAY. A restart can lose that much of an extension, which
+// only means a session may expire a little early.
+//
+// Sessions hold Discord OAuth tokens, so DATA_DIR must stay private.
+
+import session from "express-session";
+import { createJsonStore } from "./store.js";
+
+// How often expired sessions are removed
+const CLEANUP_INTERVAL = 15 * 60 * 1000;
+// How long touched expiry times may wait in memory before they're written
+const TOUCH_FLUSH_DELAY = 60 * 1000;
+
+function isExpired(sess, now = Date.now()) {
+  const expires = sess?.cookie?.expires;
+  return !!expires && new Date(expires).getTime() <= now;
+}
+
+export class FileSessionStore extends session.Store {
+  constructor({
+    name = "sessions",
+    cleanupInterval = CLEANUP_INTERVAL,
+    touchFlushDelay = TOUCH_FLUSH_DELAY,
+  } = {}) {
+    super();
+    this.store = createJsonStore(name, {});
+    this.sessions = {};
+    this.savePending = false;
+    this.saving = Promise.resolve();
+    this.touchFlushDelay = touchFlushDelay;
+    this.flushTimer = null;
+    this.ready = this.store.load().then((sessions) => {
+      this.sessions = sessions;
+      return this.cleanup();
+    });
+
+    setInterval(() => {
+      this.cleanup().catch((error) => {
+        console.error("[Sessions] Cleanup failed:", error);
+      });
+    }, cleanupInterval).unref();
+  }
+
+  // Coalesce writes: many requests in a row only rewrite the file once
+  persist() {
+    // The whole file is written, touched sessions included
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.savePending) {
+      this.savePending = true;
+      this.saving = Promise.resolve().then(() => {
+        this.savePending = false;
+        return this.store.save(this.sessions);
+      });
+    }
+    return this.saving;
+  }
+
+  /**
+   * Remove expired sessions
+   */
+  async cleanup() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [sid, sess] of Object.entries(this.sessions)) {
+      if (isExpired(sess, now)) {
+        delete this.sessions[sid];
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      console.log(`[Sessions] Removed ${removed} expired session(s)`);
+      await this.persist();
+    }
+  }
+
+  get(sid, callback) {
+    this.ready
+      .then(() => {
+        const sess = this.sessions[sid];
+        if (!sess || isExpired(sess)) {
+          return callback(null, null);
+        }
+        callback(null, JSON.parse(JSON.stringify(sess)));
+      })
+      .catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.ready
+      .then(() => {
+        // Keep a plain copy, not the live Session object
+        this.sessions[sid] = JSON.parse(JSON.stringify(sess));
+        return this.persist();
+      })
+      .then(() => callback(null), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.ready
+      .then(() => {
+        if (this.sessions[sid]) {
+          this.sessions[sid].cookie = JSON.parse(JSON.stringify(sess.cookie));
+          this.scheduleFlush();
+        }
+      })
+      .then(() => callback(null), callback);
+  }
+
+  // Write touched sessions later, together with whatever else changed by then
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.persist().catch((error) => {
+        console.error("[Sessions] Saving sessions failed:", error);
+      });
+    }, this.touchFlushDelay);
+    this.flushTimer.unref();
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.ready
+      .then(() => {
+        delete this.sessions[sid];
+        return this.persist();
+      })
+      .then(() => callback(null), callback);
+  }
+}
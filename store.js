@@ -0,0 +1,92 @@
+// store.js
+// Tiny JSON file persistence for ChatPulse data (scheduled jobs, etc.)
+//
+// Each store is one JSON file in DATA_DIR (default: ./data). Writes go to a
+// temporary file first and are then renamed over the real file, so a crash
+// mid-write never leaves a half-written file behind. Writes are queued so
+// they never overlap.
+//
+// Append-only logs (like the audit log) use JSON Lines instead: one JSON
+// object per line, so adding an entry never rewrites the file.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "data");
+
+/**
+ * Create a store backed by DATA_DIR/<name>.json.
+ * `defaultValue` is used when the file does not exist yet.
+ */
+export function createJsonStore(name, defaultValue) {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let writeQueue = Promise.resolve();
+
+  return {
+    filePath,
+
+    async load() {
+      try {
+        const text = await fs.readFile(filePath, "utf8");
+        return JSON.parse(text);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return structuredClone(defaultValue);
+        }
+        throw error;
+      }
+    },
+
+    save(data) {
+      const write = async () => {
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, filePath);
+      };
+      writeQueue = writeQueue.then(write, write);
+      return writeQueue;
+    },
+  };
+}
+
+/**
+ * Create an append-only log backed by DATA_DIR/<name>.jsonl
+ */
+export function createJsonLinesLog(name) {
+  const filePath = path.join(DATA_DIR, `${name}.jsonl`);
+  let writeQueue = Promise.resolve();
+
+  return {
+    filePath,
+
+    append(entry) {
+      const write = async () => {
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+      };
+      writeQueue = writeQueue.then(write, write);
+      return writeQueue;
+    },
+
+    async readAll() {
+      // Wait for pending appends so readers see them
+      await writeQueue.catch(() => {});
+      try {
+        const text = await fs.readFile(filePath, "utf8");
+        return text
+          .split("\n")
+          .filter((line) => line.trim())
+          .map((line) => JSON.parse(line));
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+    },
+  };
+}
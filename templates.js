@@ -0,0 +1,199 @@
+// templates.js
+// Saved message templates per guild, with placeholders
+//
+// A template's content can use placeholders in braces:
+// - {date}, {time}:   now, in the sender's timezone ("October 19, 2026", "9:00 AM")
+// - {timestamp}:      now as a Discord timestamp, shown in each reader's timezone
+// - {channel}:        mention of the channel the message goes to
+// - {user}:           mention of the dashboard user sending it
+// - {server}:         the server's name
+// - anything else, e.g. {event_name}: a custom field filled in at send time
+//
+// Discord mention syntax (<@id>, <@&roleId>, <#channelId>) is left as is.
+// Write {{ or }} for a literal brace.
+//
+// Templates are stored in DATA_DIR/templates.json.
+
+import crypto from "crypto";
+import { createJsonStore } from "./store.js";
+
+export const BUILT_IN_PLACEHOLDERS = ["date", "time", "timestamp", "channel", "user", "server"];
+
+// Templates per guild
+const MAX_TEMPLATES = 100;
+const MAX_NAME_LENGTH = 100;
+// Discord's message content limit
+const MAX_CONTENT_LENGTH = 2000;
+
+// {{, }} or a {placeholder}
+const TOKEN_PATTERN = /\{\{|\}\}|\{([a-zA-Z][\w-]{0,31})\}/g;
+
+const store = createJsonStore("templates", {});
+let templates = null;
+
+/**
+ * Error for an invalid template or missing field values (returned as 400)
+ */
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+async function loadTemplates() {
+  if (!templates) {
+    templates = await store.load();
+  }
+  return templates;
+}
+
+/**
+ * Names of the custom fields a template needs, in order of appearance
+ */
+export function extractFields(content) {
+  const fields = new Set();
+  for (const match of content.matchAll(TOKEN_PATTERN)) {
+    const name = match[1];
+    if (name && !BUILT_IN_PLACEHOLDERS.includes(name)) {
+      fields.add(name);
+    }
+  }
+  return [...fields];
+}
+
+/**
+ * Fill in a template's placeholders.
+ * context:   { channelId, userId, guildName, timezone, now }
+ * values:    custom field name -> text
+ * optional:  custom fields that may be left empty
+ * maxLength: longest result allowed (default: Discord's message limit)
+ */
+export function renderTemplate(
+  content,
+  { values = {}, context = {}, optional = [], maxLength = MAX_CONTENT_LENGTH } = {}
+) {
+  const missing = extractFields(content).filter(
+    (name) =>
+      !optional.includes(name) && (typeof values[name] !== "string" || values[name] === "")
+  );
+  if (missing.length > 0) {
+    throw new TemplateError(`Fill in: ${missing.join(", ")}`);
+  }
+
+  const now = context.now || new Date();
+  const timeZone = context.timezone || "UTC";
+  const builtIns = {
+    date: () => new Intl.DateTimeFormat("en-US", { dateStyle: "long", timeZone }).format(now),
+    time: () => new Intl.DateTimeFormat("en-US", { timeStyle: "short", timeZone }).format(now),
+    timestamp: () => `<t:${Math.floor(now.getTime() / 1000)}:F>`,
+    channel: () => (context.channelId ? `<#${context.channelId}>` : "{channel}"),
+    user: () => (context.userId ? `<@${context.userId}>` : "{user}"),
+    server: () => context.guildName || "{server}",
+  };
+
+  const rendered = content.replace(TOKEN_PATTERN, (token, name) => {
+    if (token === "{{") return "{";
+    if (token === "}}") return "}";
+    return builtIns[name] ? builtIns[name]() : values[name] ?? "";
+  });
+
+  if (rendered.length > maxLength) {
+    throw new TemplateError(
+      `The rendered message is ${rendered.length} characters; Discord allows ${maxLength}`
+    );
+  }
+  return rendered;
+}
+
+function validateTemplate({ name, content }) {
+  if (typeof name !== "string" || !name.trim()) {
+    throw new TemplateError("A template needs a name");
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new TemplateError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (typeof content !== "string" || !content.trim()) {
+    throw new TemplateError("A template needs content");
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    throw new TemplateError(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+  }
+  return { name: name.trim(), content };
+}
+
+function withFields(template) {
+  return { ...template, fields: extractFields(template.content) };
+}
+
+/**
+ * A guild's templates, sorted by name, each with its custom `fields`
+ */
+export async function listTemplates(guildId) {
+  const all = await loadTemplates();
+  return (all[guildId] || [])
+    .map(withFields)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find one template in a guild
+ */
+export async function getTemplate(guildId, templateId) {
+  const all = await loadTemplates();
+  const template = (all[guildId] || []).find((t) => t.id === templateId);
+  return template ? withFields(template) : null;
+}
+
+/**
+ * Save a new template. input: { name, content, createdBy }
+ */
+export async function createTemplate(guildId, input) {
+  const { name, content } = validateTemplate(input);
+  const all = await loadTemplates();
+  const list = (all[guildId] ||= []);
+  if (list.length >= MAX_TEMPLATES) {
+    throw new TemplateError(`A server can have at most ${MAX_TEMPLATES} templates`);
+  }
+
+  const now = new Date().toISOString();
+  const template = {
+    id: crypto.randomUUID(),
+    name,
+    content,
+    createdBy: input.createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+  list.push(template);
+  await store.save(all);
+  return withFields(template);
+}
+
+/**
+ * Change a template's name and content
+ */
+export async function updateTemplate(guildId, templateId, input) {
+  const { name, content } = validateTemplate(input);
+  const all = await loadTemplates();
+  const template = (all[guildId] || []).find((t) => t.id === templateId);
+  if (!template) return null;
+
+  Object.assign(template, { name, content, updatedAt: new Date().toISOString() });
+  await store.save(all);
+  return withFields(template);
+}
+
+/**
+ * Delete a template. Returns false if it didn't exist.
+ */
+export async function deleteTemplate(guildId, templateId) {
+  const all = await loadTemplates();
+  const list = all[guildId] || [];
+  const index = list.findIndex((t) => t.id === templateId);
+  if (index === -1) return false;
+
+  list.splice(index, 1);
+  await store.save(all);
+  return true;
+}
@@ -0,0 +1,170 @@
+// test/access.test.js
+// Access rules: what members without Manage Server may do, per channel,
+// per role and in threads
+
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("access rules", () => {
+  let chatpulse;
+  let alice;
+  let bob;
+  let carol;
+
+  const setRules = async (rules) => {
+    const { status, body } = await alice.put(`/guilds/${IDS.community}/access`, { rules });
+    assert.equal(status, 200, body.error);
+  };
+  const rule = (type, id, capabilities, channelIds = []) => ({
+    subject: { type, id },
+    capabilities,
+    channelIds,
+  });
+  const send = (client, channelId, message = "Hello") =>
+    client.post("/send-message", { channelId, message });
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+    bob = await chatpulse.login(IDS.bob);
+    carol = await chatpulse.login(IDS.carol);
+  });
+  beforeEach(() => setRules([]));
+  after(() => chatpulse.stop());
+
+  test("gives non-managers no access without a rule", async () => {
+    assert.equal((await carol.get(`/channels/${IDS.community}`)).status, 403);
+    assert.equal((await send(carol, IDS.general)).status, 403);
+  });
+
+  test("limits a grant to its channels", async () => {
+    await setRules([rule("user", IDS.carol, ["post"], [IDS.general])]);
+
+    assert.equal((await send(carol, IDS.general)).status, 200);
+    assert.equal((await send(carol, IDS.offTopic)).status, 403);
+
+    // Any capability lets her view the channel, and only that one
+    const { body } = await carol.get(`/channels/${IDS.community}`);
+    const listed = body.channels.filter((channel) => channel.kind !== "thread");
+    assert.deepEqual(
+      listed.map((channel) => channel.id),
+      [IDS.general]
+    );
+    assert.deepEqual(listed[0].capabilities, ["view", "post"]);
+  });
+
+  test("covers a channel's threads through their parent", async () => {
+    await setRules([rule("user", IDS.carol, ["post"], [IDS.general])]);
+
+    assert.equal((await send(carol, IDS.weekendThread)).status, 200);
+    // A post in #help, which the rule doesn't cover
+    assert.equal((await send(carol, IDS.helpPost)).status, 403);
+  });
+
+  test("checks scheduled messages in a thread against its parent", async () => {
+    await setRules([rule("user", IDS.bob, ["schedule"], [IDS.general])]);
+    const runAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const created = await bob.post(`/guilds/${IDS.community}/scheduled`, {
+      channelId: IDS.weekendThread,
+      message: "Weekend plans?",
+      type: "once",
+      runAt,
+    });
+    assert.equal(created.status, 200, created.body.error);
+    const { id } = created.body.job;
+
+    const { body } = await bob.get(`/guilds/${IDS.community}/scheduled`);
+    assert.deepEqual(
+      body.jobs.map((job) => job.id),
+      [id]
+    );
+    const paused = await bob.post(`/guilds/${IDS.community}/scheduled/${id}/pause`);
+    assert.equal(paused.status, 200, paused.body.error);
+    const deleted = await bob.delete(`/guilds/${IDS.community}/scheduled/${id}`);
+    assert.equal(deleted.status, 200, deleted.body.error);
+  });
+
+  test("shows alerts from a channel's threads to its moderators", async () => {
+    const watch = await alice.put(`/guilds/${IDS.community}/watchlist`, {
+      rules: [{ name: "Fruit", type: "keyword", pattern: "pineapple", enabled: true }],
+    });
+    assert.equal(watch.status, 200, watch.body.error);
+    await setRules([
+      rule("user", IDS.bob, ["moderate"], [IDS.general]),
+      rule("user", IDS.carol, ["moderate"], [IDS.offTopic]),
+    ]);
+
+    for (let i = 0; i < 100 && !chatpulse.output().includes("[Gateway] Ready"); i++) {
+      await sleep(50);
+    }
+    chatpulse.fake.dispatch("MESSAGE_CREATE", {
+      id: "1400000000000000001",
+      channel_id: IDS.weekendThread,
+      guild_id: IDS.community,
+      author: { id: IDS.carol, username: "carol" },
+      content: "Pineapple on pizza this weekend",
+    });
+
+    let alerts = [];
+    for (let i = 0; i < 100 && alerts.length === 0; i++) {
+      await sleep(50);
+      alerts = (await bob.get(`/guilds/${IDS.community}/alerts`)).body.alerts;
+    }
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].channelId, IDS.weekendThread);
+    assert.deepEqual((await carol.get(`/guilds/${IDS.community}/alerts`)).body.alerts, []);
+  });
+
+  test("grants to every member with a role", async () => {
+    await setRules([rule("role", IDS.regularsRole, ["post"])]);
+
+    // Carol is a Regular, Bob isn't
+    assert.equal((await send(carol, IDS.general)).status, 200);
+    assert.equal((await send(carol, IDS.offTopic)).status, 200);
+    assert.equal((await send(bob, IDS.general)).status, 403);
+  });
+
+  test("refuses rules for roles that don't exist in the server", async () => {
+    // Players is a Game Night role
+    const { status } = await alice.put(`/guilds/${IDS.community}/access`, {
+      rules: [rule("role", IDS.playersRole, ["view"])],
+    });
+    assert.equal(status, 400);
+  });
+
+  test("refuses rules whose capabilities or channels aren't lists", async () => {
+    for (const [capabilities, channelIds] of [
+      ["post", []],
+      [{ 0: "post" }, []],
+      [["post"], IDS.general],
+      [["post"], { 0: IDS.general }],
+    ]) {
+      const { status } = await alice.put(`/guilds/${IDS.community}/access`, {
+        rules: [rule("user", IDS.carol, capabilities, channelIds)],
+      });
+      assert.equal(status, 400, JSON.stringify({ capabilities, channelIds }));
+    }
+  });
+
+  test("keeps managing the server to managers", async () => {
+    await setRules([rule("user", IDS.carol, ["view", "post", "schedule", "moderate"])]);
+
+    for (const target of [
+      `/guilds/${IDS.community}/access`,
+      `/guilds/${IDS.community}/audit`,
+      `/guilds/${IDS.community}/health`,
+      `/analytics/guilds/${IDS.community}`,
+    ]) {
+      const { status } = await carol.get(target);
+      assert.equal(status, 403, target);
+    }
+    const { status } = await carol.put(`/guilds/${IDS.community}/access`, {
+      rules: [rule("user", IDS.carol, ["view"])],
+    });
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,82 @@
+// test/analytics.test.js
+// Pulse analytics: who may skip the cache, parallel requests, and history
+// cut off at the per-channel message limit
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { makeSnowflake } from "../demo/fixtures.js";
+import { IDS, startChatPulse } from "./harness.js";
+
+// analytics.js stops walking a channel's history after this many messages
+const MAX_MESSAGES_PER_CHANNEL = 5000;
+
+describe("pulse analytics", () => {
+  let chatpulse;
+  let alice;
+  let bob;
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+    // Bob isn't a manager; give him View everywhere
+    const { status } = await alice.put(`/guilds/${IDS.community}/access`, {
+      rules: [{ subject: { type: "user", id: IDS.bob }, capabilities: ["view"], channelIds: [] }],
+    });
+    assert.equal(status, 200);
+    bob = await chatpulse.login(IDS.bob);
+  });
+  after(() => chatpulse.stop());
+
+  test("lets only managers skip the cache", async () => {
+    const viewed = await bob.get(`/analytics/channels/${IDS.general}?days=7`);
+    assert.equal(viewed.status, 200);
+    assert.equal(viewed.body.pulse.truncated, false);
+
+    const refreshed = await bob.get(`/analytics/channels/${IDS.general}?days=7&refresh=true`);
+    assert.equal(refreshed.status, 403);
+
+    const recomputed = await alice.get(`/analytics/channels/${IDS.general}?days=7&refresh=true`);
+    assert.equal(recomputed.status, 200);
+    assert.equal(recomputed.body.pulse.cached, false);
+  });
+
+  test("computes once for requests made while it's computing", async () => {
+    const target = `/analytics/guilds/${IDS.community}?days=30&refresh=true`;
+    const [first, second] = await Promise.all([alice.get(target), alice.get(target)]);
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(first.body.pulse.cached, false);
+    assert.equal(second.body.pulse.computedAt, first.body.pulse.computedAt);
+  });
+
+  test("marks history cut off at the message limit as truncated", async () => {
+    // More messages in the last few seconds than Pulse reads per channel
+    const messages = chatpulse.fake.state.messages[IDS.offTopic];
+    const [template] = messages;
+    const start = Date.now() - 10000;
+    for (let i = 0; i <= MAX_MESSAGES_PER_CHANNEL; i++) {
+      const time = start + i;
+      messages.push({
+        ...template,
+        id: makeSnowflake(time),
+        content: `Busy ${i}`,
+        timestamp: new Date(time).toISOString(),
+      });
+    }
+
+    const channel = await alice.get(`/analytics/channels/${IDS.offTopic}?days=1`);
+    assert.equal(channel.status, 200);
+    assert.equal(channel.body.pulse.truncated, true);
+    assert.equal(channel.body.pulse.totalMessages, MAX_MESSAGES_PER_CHANNEL);
+    assert.equal(channel.body.pulse.trend.changePercent, null);
+
+    const guild = await alice.get(`/analytics/guilds/${IDS.community}?days=1`);
+    assert.equal(guild.status, 200);
+    assert.equal(guild.body.pulse.truncated, true);
+    const counts = Object.fromEntries(
+      guild.body.pulse.channels.map((c) => [c.id, c.truncated])
+    );
+    assert.equal(counts[IDS.offTopic], true);
+    assert.equal(counts[IDS.general], false);
+  });
+});
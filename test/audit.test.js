@@ -0,0 +1,79 @@
+// test/audit.test.js
+// Which server audit entries are filed under, and mirroring to a log channel
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+describe("audit log", () => {
+  let chatpulse;
+  let alice;
+  let bob;
+
+  const auditOf = async (client, guildId) =>
+    (await client.get(`/guilds/${guildId}/audit`)).body.entries;
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+    bob = await chatpulse.login(IDS.bob);
+  });
+  after(() => chatpulse.stop());
+
+  test("records a send under the channel's server", async () => {
+    const { status } = await alice.post("/send-message", {
+      channelId: IDS.general,
+      message: "Audited",
+    });
+    assert.equal(status, 200);
+
+    const [entry] = await auditOf(alice, IDS.community);
+    assert.equal(entry.action, "message.send");
+    assert.equal(entry.channelId, IDS.general);
+    assert.equal(entry.user.id, IDS.alice);
+    assert.equal(entry.result, "success");
+  });
+
+  test("ignores the guildId in the request body", async () => {
+    const { status } = await bob.post("/send-message", {
+      guildId: IDS.community,
+      channelId: IDS.lobby,
+      message: "Game Night only",
+    });
+    assert.equal(status, 200);
+
+    const [entry] = await auditOf(bob, IDS.gameNight);
+    assert.equal(entry.channelId, IDS.lobby);
+    assert.ok(!(await auditOf(alice, IDS.community)).some((e) => e.user.id === IDS.bob));
+  });
+
+  test("doesn't record denied requests under a server the user can't use", async () => {
+    const carol = await chatpulse.login(IDS.carol);
+    const { status } = await carol.post("/send-message", {
+      guildId: IDS.community,
+      channelId: IDS.general,
+      message: "Denied",
+    });
+    assert.equal(status, 403);
+    assert.ok(!(await auditOf(alice, IDS.community)).some((e) => e.user.id === IDS.carol));
+  });
+
+  test("mirrors entries to the log channel", async () => {
+    const { status } = await alice.put(`/guilds/${IDS.community}/audit/settings`, {
+      logChannelId: IDS.offTopic,
+    });
+    assert.equal(status, 200);
+    await alice.post("/send-message", { channelId: IDS.general, message: "Mirrored" });
+
+    // Mirroring happens after the response
+    const mirrored = () =>
+      (chatpulse.fake.state.messages[IDS.offTopic] || []).find((m) =>
+        m.content.includes("**message.send** by alice")
+      );
+    for (let i = 0; i < 20 && !mirrored(); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    assert.ok(mirrored());
+    assert.match(mirrored().content, new RegExp(`in <#${IDS.general}>`));
+  });
+});
@@ -0,0 +1,123 @@
+// test/auth.test.js
+// Logging in through OAuth2, sessions and CSRF protection
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fetch from "node-fetch";
+import { createClient, IDS, startChatPulse } from "./harness.js";
+
+describe("login", () => {
+  let chatpulse;
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+  });
+  after(() => chatpulse.stop());
+
+  test("sends visitors without a session back to the login page", async () => {
+    const response = await createClient(chatpulse.url).get("/me");
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get("location"), "/");
+  });
+
+  test("redirects to the authorize page with a state", async () => {
+    const response = await createClient(chatpulse.url).request("GET", "/login");
+    const location = new URL(response.headers.get("location"));
+    assert.equal(location.origin, chatpulse.fakeUrl);
+    assert.equal(location.pathname, "/oauth2/authorize");
+    assert.ok(location.searchParams.get("state"));
+  });
+
+  test("refuses a callback whose state doesn't match the session's", async () => {
+    const client = createClient(chatpulse.url);
+    await client.request("GET", "/login");
+    const response = await client.get("/callback?code=abc&state=forged");
+    assert.equal(response.status, 400);
+    assert.match(response.body, /invalid state/);
+
+    assert.equal((await client.get("/me")).status, 302);
+  });
+
+  test("logs in as the user picked on the authorize page", async () => {
+    const alice = await chatpulse.login(IDS.alice);
+    const { status, body } = await alice.get("/me");
+    assert.equal(status, 200);
+    assert.equal(body.user.id, IDS.alice);
+  });
+
+  test("gives the session a new ID once logged in", async () => {
+    const client = createClient(chatpulse.url);
+    const start = await client.request("GET", "/login");
+    const before = client.cookie("connect.sid");
+    assert.ok(before);
+
+    const consent = await fetch(`${chatpulse.fakeUrl}/oauth2/authorize`, {
+      method: "POST",
+      redirect: "manual",
+      body: new URLSearchParams({
+        ...Object.fromEntries(new URL(start.headers.get("location")).searchParams),
+        user_id: IDS.alice,
+      }),
+    });
+    const callback = new URL(consent.headers.get("location"));
+    const finished = await client.request("GET", callback.pathname + callback.search);
+    assert.equal(finished.status, 302);
+    assert.notEqual(client.cookie("connect.sid"), before);
+    assert.equal((await client.get("/me")).status, 200);
+
+    // The ID from before login isn't logged in
+    const planted = createClient(chatpulse.url);
+    const fixed = await planted.get("/me", { headers: { Cookie: `connect.sid=${before}` } });
+    assert.equal(fixed.status, 302);
+  });
+
+  test("lists the servers the user has access to, with their capabilities", async () => {
+    const alice = await chatpulse.login(IDS.alice);
+    const { body } = await alice.get("/guilds");
+    // Alice is only a plain member of Game Night, and the bot isn't in
+    // Alice's Sandbox
+    assert.deepEqual(
+      body.guilds.map((guild) => guild.id),
+      [IDS.community]
+    );
+    assert.ok(body.guilds[0].capabilities.includes("manage"));
+  });
+
+  test("logs out", async () => {
+    const alice = await chatpulse.login(IDS.alice);
+    const response = await alice.post("/logout");
+    assert.equal(response.status, 302);
+    assert.equal((await alice.get("/me")).status, 302);
+  });
+});
+
+describe("CSRF protection", () => {
+  let chatpulse;
+  let alice;
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+  });
+  after(() => chatpulse.stop());
+
+  test("refuses writes without the session's token", async () => {
+    const { status } = await alice.post(
+      "/send-message",
+      { channelId: IDS.general, message: "no token" },
+      { headers: { "X-CSRF-Token": "wrong" } }
+    );
+    assert.equal(status, 403);
+    assert.ok(
+      !chatpulse.fake.state.messages[IDS.general].some((m) => m.content === "no token")
+    );
+  });
+
+  test("accepts writes with it", async () => {
+    const { status } = await alice.post("/send-message", {
+      channelId: IDS.general,
+      message: "with token",
+    });
+    assert.equal(status, 200);
+  });
+});
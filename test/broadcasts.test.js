@@ -0,0 +1,98 @@
+// test/broadcasts.test.js
+// Broadcasts: one message to channels in several servers, with a result per
+// channel and retries for the ones that failed
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+describe("broadcasts", () => {
+  let chatpulse;
+  let alice;
+  let carol;
+
+  const messagesIn = (channelId) => chatpulse.fake.state.messages[channelId] || [];
+  const sentTo = (channelId, content) =>
+    messagesIn(channelId).filter((m) => m.content === content).length;
+  const statuses = (broadcast) =>
+    Object.fromEntries(broadcast.targets.map((target) => [target.channelId, target.status]));
+
+  const postRule = (userId, channelIds = []) => ({
+    subject: { type: "user", id: userId },
+    capabilities: ["post"],
+    channelIds,
+  });
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+    carol = await chatpulse.login(IDS.carol);
+
+    // Bob owns Game Night, where Alice is only a Player; let her post there
+    const bob = await chatpulse.login(IDS.bob);
+    const granted = await bob.put(`/guilds/${IDS.gameNight}/access`, {
+      rules: [postRule(IDS.alice)],
+    });
+    assert.equal(granted.status, 200, granted.body.error);
+    const { status } = await alice.put(`/guilds/${IDS.community}/access`, {
+      rules: [postRule(IDS.carol, [IDS.general])],
+    });
+    assert.equal(status, 200);
+  });
+  after(() => chatpulse.stop());
+
+  test("sends to channels in several servers and reports each one", async () => {
+    const { status, body } = await alice.post("/broadcasts", {
+      channelIds: [IDS.general, IDS.lobby, IDS.rules],
+      message: "Hello everywhere",
+    });
+    assert.equal(status, 200, body.error);
+
+    assert.deepEqual(statuses(body.broadcast), {
+      [IDS.general]: "sent",
+      [IDS.lobby]: "sent",
+      // The bot can't post in #rules
+      [IDS.rules]: "failed",
+    });
+    assert.ok(body.broadcast.targets.find((t) => t.channelId === IDS.rules).error);
+    assert.equal(sentTo(IDS.general, "Hello everywhere"), 1);
+    assert.equal(sentTo(IDS.lobby, "Hello everywhere"), 1);
+  });
+
+  test("sends nothing if the user can't post in one of the channels", async () => {
+    // Carol may only post in #general
+    const { status, body } = await carol.post("/broadcasts", {
+      channelIds: [IDS.general, IDS.offTopic],
+      message: "Not for off-topic",
+    });
+    assert.equal(status, 403);
+    assert.deepEqual(body.channelIds, [IDS.offTopic]);
+    assert.equal(sentTo(IDS.general, "Not for off-topic"), 0);
+  });
+
+  test("refuses bad channel lists", async () => {
+    for (const channelIds of [[], IDS.general, ["general"]]) {
+      const { status } = await alice.post("/broadcasts", { channelIds, message: "Hi" });
+      assert.equal(status, 400, JSON.stringify(channelIds));
+    }
+  });
+
+  test("retries only the channels that failed", async () => {
+    chatpulse.fake.failRequests("POST", new RegExp(`^/channels/${IDS.offTopic}/messages$`));
+    const sent = await alice.post("/broadcasts", {
+      channelIds: [IDS.general, IDS.offTopic],
+      message: "Try again",
+    });
+    assert.equal(sent.status, 200, sent.body.error);
+    assert.equal(statuses(sent.body.broadcast)[IDS.offTopic], "failed");
+
+    const retried = await alice.post(`/broadcasts/${sent.body.broadcast.id}/retry`);
+    assert.equal(retried.status, 200, retried.body.error);
+    assert.deepEqual(statuses(retried.body.broadcast), {
+      [IDS.general]: "sent",
+      [IDS.offTopic]: "sent",
+    });
+    assert.equal(sentTo(IDS.general, "Try again"), 1);
+    assert.equal(sentTo(IDS.offTopic, "Try again"), 1);
+  });
+});
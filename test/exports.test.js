@@ -0,0 +1,112 @@
+// test/exports.test.js
+// Channel history exports: what each format contains, and the queue
+// carrying on after a failed export
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("exports", () => {
+  let chatpulse;
+  let alice;
+
+  const messagesIn = (channelId) => chatpulse.fake.state.messages[channelId] || [];
+
+  // Start an export and resolve to it once it's done
+  async function runExport(body) {
+    const started = await alice.post("/exports", body);
+    assert.equal(started.status, 202, started.body.error);
+    for (let i = 0; i < 200; i++) {
+      const { body: polled } = await alice.get(`/exports/${started.body.export.id}`);
+      if (!["queued", "running"].includes(polled.export.status)) return polled.export;
+      await sleep(50);
+    }
+    throw new Error(`Export didn't finish:\n${chatpulse.output()}`);
+  }
+
+  async function download(job) {
+    const response = await alice.request("GET", `/exports/${job.id}/download`);
+    assert.equal(response.status, 200);
+    return { type: response.headers.get("content-type"), text: await response.text() };
+  }
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+    const sent = await alice.post("/send-message", {
+      channelId: IDS.general,
+      message: `<script>hi</script> <@${IDS.bob}> see <#${IDS.offTopic}>`,
+    });
+    assert.equal(sent.status, 200, sent.body.error);
+  });
+  after(() => chatpulse.stop());
+
+  test("refuses bad options", async () => {
+    for (const body of [
+      { format: "pdf" },
+      { format: "json", from: "2025-02-01", to: "2025-01-01" },
+      { format: "json", from: "not a date" },
+      { format: "json", authorIds: ["alice"] },
+    ]) {
+      const { status } = await alice.post("/exports", { channelId: IDS.general, ...body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+  });
+
+  test("exports JSON oldest first, with mentions resolved", async () => {
+    const job = await runExport({ channelId: IDS.general, format: "json" });
+    assert.equal(job.status, "completed");
+
+    const { type, text } = await download(job);
+    assert.match(type, /application\/json/);
+    const exported = JSON.parse(text);
+    assert.equal(exported.channel.id, IDS.general);
+    assert.deepEqual(
+      exported.messages.map((m) => m.id),
+      messagesIn(IDS.general)
+        .map((m) => m.id)
+        .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))
+    );
+    const last = exported.messages.at(-1);
+    assert.equal(last.resolvedContent, "<script>hi</script> @Bob see #off-topic");
+    assert.deepEqual(last.mentions.channels, [{ id: IDS.offTopic, name: "off-topic" }]);
+  });
+
+  test("exports only the chosen authors as CSV", async () => {
+    const job = await runExport({ channelId: IDS.general, format: "csv", authorIds: [IDS.bot] });
+    assert.equal(job.status, "completed");
+
+    const { type, text } = await download(job);
+    assert.match(type, /text\/csv/);
+    const [header, ...rows] = text.split("\n");
+    assert.match(header, /^id,timestamp,edited_timestamp,author_id,author,content,/);
+    const fromBot = messagesIn(IDS.general).filter((m) => m.author.id === IDS.bot);
+    assert.equal(rows.length, fromBot.length);
+    // Every cell is quoted
+    assert.ok(rows.every((row) => row.split(",")[3] === `"${IDS.bot}"`));
+  });
+
+  test("escapes message text in HTML transcripts", async () => {
+    const job = await runExport({ channelId: IDS.general, format: "html" });
+    const { type, text } = await download(job);
+    assert.match(type, /text\/html/);
+    assert.ok(text.includes("&lt;script&gt;hi&lt;/script&gt; @Bob see #off-topic"));
+    assert.ok(!text.includes("<script>hi"));
+  });
+
+  test("runs the next export after one fails", async () => {
+    chatpulse.fake.failRequests("GET", new RegExp(`^/channels/${IDS.offTopic}/messages$`), {
+      status: 403,
+    });
+    const started = await alice.post("/exports", { channelId: IDS.offTopic, format: "json" });
+    assert.equal(started.status, 202);
+    const next = await runExport({ channelId: IDS.general, format: "json" });
+    assert.equal(next.status, "completed");
+
+    const { body } = await alice.get(`/exports/${started.body.export.id}`);
+    assert.equal(body.export.status, "failed");
+    assert.ok(body.export.error);
+  });
+});
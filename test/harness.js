@@ -0,0 +1,216 @@
+// test/harness.js
+// Runs ChatPulse against the fake Discord in demo/ for the end-to-end tests
+//
+// The fake runs in the test process, so tests can look at and change its
+// state. ChatPulse runs as a child process, since server.js reads its
+// settings and starts listening as soon as it's imported; each test file
+// gets its own with a fresh DATA_DIR.
+
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import fetch, { FormData } from "node-fetch";
+import { createFakeDiscord } from "../demo/fake-discord.js";
+import {
+  DEMO_BOT_TOKEN,
+  DEMO_CLIENT_ID,
+  DEMO_CLIENT_SECRET,
+  IDS,
+} from "../demo/fixtures.js";
+
+export { IDS };
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+// How long ChatPulse may take to start listening
+const START_TIMEOUT = 15000;
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function waitForStart(child, output) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`ChatPulse didn't start in time:\n${output.join("")}`));
+    }, START_TIMEOUT);
+    child.stdout.on("data", () => {
+      if (output.join("").includes("ChatPulse server is running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`ChatPulse exited with ${code}:\n${output.join("")}`));
+    });
+  });
+}
+
+/**
+ * Start the fake Discord and ChatPulse against it. options.env adds to
+ * ChatPulse's environment; the other options go to createFakeDiscord.
+ * Resolves to { url, fake, fakeUrl, login(userId), stop() }.
+ */
+export async function startChatPulse({ env = {}, ...options } = {}) {
+  const fake = createFakeDiscord(options);
+  const { url: fakeUrl } = await fake.listen(0);
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "chatpulse-test-"));
+  const port = await freePort();
+
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: "test",
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      DISCORD_API_BASE: `${fakeUrl}/api/v10`,
+      DISCORD_OAUTH_BASE: fakeUrl,
+      DISCORD_CLIENT_ID: DEMO_CLIENT_ID,
+      DISCORD_CLIENT_SECRET: DEMO_CLIENT_SECRET,
+      DISCORD_BOT_TOKEN: DEMO_BOT_TOKEN,
+      SESSION_SECRET: "chatpulse-end-to-end-test-session-secret",
+      REDIRECT_URI: `http://localhost:${port}/callback`,
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const output = [];
+  child.stdout.on("data", (chunk) => output.push(chunk.toString()));
+  child.stderr.on("data", (chunk) => output.push(chunk.toString()));
+  // Don't leave ChatPulse running if the tests end without stop()
+  const killChild = () => child.kill();
+  process.once("exit", killChild);
+
+  const stop = async () => {
+    process.off("exit", killChild);
+    if (child.exitCode === null) {
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill();
+      await exited;
+    }
+    await fake.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  };
+
+  try {
+    await waitForStart(child, output);
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  const url = `http://localhost:${port}`;
+  return {
+    url,
+    fake,
+    fakeUrl,
+    // What ChatPulse logged so far, for failing tests
+    output: () => output.join(""),
+    login: (userId) => login(url, fakeUrl, userId),
+    stop,
+  };
+}
+
+/**
+ * A client that keeps cookies, like a browser, and sends the CSRF token
+ * once it has one
+ */
+export function createClient(baseUrl) {
+  const cookies = new Map();
+  let csrfToken = null;
+
+  // body: sent as JSON, or as multipart if it's a FormData
+  async function request(method, target, body, { headers = {} } = {}) {
+    const isForm = body instanceof FormData;
+    const response = await fetch(new URL(target, baseUrl), {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(cookies.size > 0
+          ? { Cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join("; ") }
+          : {}),
+        ...(csrfToken && method !== "GET" ? { "X-CSRF-Token": csrfToken } : {}),
+        ...(body !== undefined && !isForm ? { "Content-Type": "application/json" } : {}),
+        ...headers,
+      },
+      body: body !== undefined && !isForm ? JSON.stringify(body) : body,
+    });
+    for (const cookie of response.headers.raw()["set-cookie"] || []) {
+      const [pair] = cookie.split(";");
+      const separator = pair.indexOf("=");
+      cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+    }
+    return response;
+  }
+
+  // Resolves to { status, headers, body }, the body parsed if it's JSON
+  async function json(method, target, body, options) {
+    const response = await request(method, target, body, options);
+    const text = await response.text();
+    const isJson = response.headers.get("content-type")?.includes("application/json");
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson && text ? JSON.parse(text) : text,
+    };
+  }
+
+  return {
+    request,
+    get: (target, options) => json("GET", target, undefined, options),
+    post: (target, body, options) => json("POST", target, body, options),
+    put: (target, body, options) => json("PUT", target, body, options),
+    patch: (target, body, options) => json("PATCH", target, body, options),
+    delete: (target, options) => json("DELETE", target, undefined, options),
+    cookie: (name) => cookies.get(name),
+    setCsrfToken(token) {
+      csrfToken = token;
+    },
+  };
+}
+
+/**
+ * Log in through the fake's authorize page as userId, like a user clicking
+ * "Login with Discord". Resolves to a client with the session and CSRF token.
+ */
+async function login(url, fakeUrl, userId) {
+  const client = createClient(url);
+
+  const start = await client.request("GET", "/login");
+  const authorize = new URL(start.headers.get("location"));
+  if (authorize.origin !== fakeUrl) {
+    throw new Error(`/login redirected to ${authorize}`);
+  }
+
+  // The fake's authorize page posts back the OAuth2 parameters and a user
+  const consent = await fetch(`${fakeUrl}/oauth2/authorize`, {
+    method: "POST",
+    redirect: "manual",
+    body: new URLSearchParams({
+      ...Object.fromEntries(authorize.searchParams),
+      user_id: userId,
+    }),
+  });
+  const callback = new URL(consent.headers.get("location"));
+
+  const finished = await client.request("GET", callback.pathname + callback.search);
+  if (finished.status !== 302) {
+    throw new Error(`Login as ${userId} failed: ${finished.status} ${await finished.text()}`);
+  }
+
+  const { body } = await client.get("/csrf-token");
+  client.setCsrfToken(body.csrfToken);
+  return client;
+}
@@ -0,0 +1,106 @@
+// test/interactions.test.js
+// The interactions endpoint: signature checks, and replies to slash commands
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { IDS, startChatPulse } from "./harness.js";
+
+// Discord's limit for a reply's content
+const MAX_CONTENT_LENGTH = 2000;
+// and for an embed's description
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+describe("interactions", () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const { x } = publicKey.export({ format: "jwk" });
+  const publicKeyHex = Buffer.from(x, "base64url").toString("hex");
+  let chatpulse;
+  let alice;
+
+  const sign = (timestamp, body) =>
+    crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString("hex");
+  const now = () => String(Math.floor(Date.now() / 1000));
+
+  // POST an interaction, signed like Discord unless headers say otherwise
+  async function send(interaction, headers = {}) {
+    const body = JSON.stringify(interaction);
+    const timestamp = headers.timestamp ?? now();
+    const response = await fetch(`${chatpulse.url}/interactions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Signature-Ed25519": headers.signature ?? sign(timestamp, body),
+        "X-Signature-Timestamp": timestamp,
+      },
+      body,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    chatpulse = await startChatPulse({ env: { DISCORD_PUBLIC_KEY: publicKeyHex } });
+    alice = await chatpulse.login(IDS.alice);
+  });
+  after(() => chatpulse.stop());
+
+  test("answers a correctly signed PING", async () => {
+    const { status, body } = await send({ type: 1 });
+    assert.equal(status, 200);
+    assert.deepEqual(body, { type: 1 });
+  });
+
+  test("refuses a bad signature", async () => {
+    const other = crypto.generateKeyPairSync("ed25519").privateKey;
+    const timestamp = now();
+    for (const signature of [
+      "",
+      "not hex",
+      sign(timestamp, JSON.stringify({ type: 1, tampered: true })),
+      crypto.sign(null, Buffer.from(timestamp + '{"type":1}'), other).toString("hex"),
+    ]) {
+      const { status } = await send({ type: 1 }, { signature, timestamp });
+      assert.equal(status, 401, signature);
+    }
+  });
+
+  test("refuses a stale timestamp, even when signed", async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000) - 10 * 60);
+    const { status } = await send({ type: 1 }, { timestamp });
+    assert.equal(status, 401);
+  });
+
+  test("fills in options and keeps replies within Discord's limit", async () => {
+    const created = await alice.post(`/guilds/${IDS.community}/commands`, {
+      name: "echo",
+      description: "Say it again",
+      options: [{ type: "string", name: "text", description: "What to say", required: true }],
+      response: { content: "{text} {text}", embed: { description: "{text} {text} {text}" } },
+    });
+    assert.equal(created.status, 200, created.body.error);
+
+    const interaction = (value) => ({
+      type: 2,
+      id: "1400000000000000010",
+      token: "interaction-token",
+      guild_id: IDS.community,
+      channel_id: IDS.general,
+      member: { user: { id: IDS.carol } },
+      data: {
+        id: created.body.command.discordId,
+        name: "echo",
+        options: [{ type: 3, name: "text", value }],
+      },
+    });
+
+    const short = await send(interaction("Hi"));
+    assert.equal(short.status, 200);
+    assert.equal(short.body.data.content, "Hi Hi");
+
+    const long = await send(interaction("x".repeat(1500)));
+    assert.equal(long.status, 200);
+    assert.equal(long.body.data.content.length, MAX_CONTENT_LENGTH);
+    assert.equal(long.body.data.embeds[0].description.length, MAX_DESCRIPTION_LENGTH);
+  });
+});
@@ -0,0 +1,130 @@
+// test/live.test.js
+// Live message events over Server-Sent Events, fed by the fake's Gateway,
+// and what the dashboard hears while the Gateway drops and comes back
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Collect a stream's SSE events as they arrive
+function collectEvents(response) {
+  const events = [];
+  let buffer = "";
+  (async () => {
+    for await (const chunk of response.body) {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = block.match(/^event: (.*)$/m)?.[1];
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        if (event) events.push({ event, data: JSON.parse(data) });
+      }
+    }
+  })().catch(() => {});
+
+  return {
+    events,
+    // Resolves to the index of the first matching event at or after `from`
+    async waitFor(match, { from = 0, timeout = 10000 } = {}) {
+      for (const start = Date.now(); Date.now() - start < timeout; await sleep(25)) {
+        const index = events.findIndex((event, i) => i >= from && match(event));
+        if (index !== -1) return index;
+      }
+      throw new Error(`No matching event in ${JSON.stringify(events)}`);
+    },
+    close: () => response.body.destroy(),
+  };
+}
+
+const status = (connected) => ({ event, data }) =>
+  event === "status" && data.connected === connected;
+
+describe("live events", () => {
+  let chatpulse;
+  let alice;
+  let stream;
+
+  before(async () => {
+    // Quick heartbeats, so a missing ACK shows within the test
+    chatpulse = await startChatPulse({ heartbeatInterval: 300 });
+    alice = await chatpulse.login(IDS.alice);
+    for (let i = 0; i < 100 && !chatpulse.output().includes("[Gateway] Ready"); i++) {
+      await sleep(50);
+    }
+  });
+  after(() => chatpulse.stop());
+
+  // A stream on #general once the Gateway is connected
+  async function openStream() {
+    const response = await alice.request("GET", `/events/${IDS.general}`);
+    assert.equal(response.status, 200);
+    stream = collectEvents(response);
+    return stream.waitFor(status(true));
+  }
+
+  test("says the Gateway is connected, then streams new messages", async () => {
+    await openStream();
+    const sent = await alice.post("/send-message", { channelId: IDS.general, message: "Live!" });
+    assert.equal(sent.status, 200);
+    const created = stream.events[await stream.waitFor(({ data }) => data.content === "Live!")];
+
+    assert.deepEqual(stream.events[0], { event: "status", data: { connected: true } });
+    assert.equal(created.event, "message_create");
+    assert.equal(created.data.id, sent.body.messageId);
+    stream.close();
+  });
+
+  test("resumes after the connection drops, with the events missed meanwhile", async () => {
+    const from = await openStream();
+    chatpulse.fake.closeGatewayConnections();
+    const dropped = await stream.waitFor(status(false), { from });
+
+    const sent = await alice.post("/send-message", { channelId: IDS.general, message: "Missed" });
+    assert.equal(sent.status, 200);
+    await stream.waitFor(({ data }) => data.content === "Missed", { from: dropped });
+    await stream.waitFor(status(true), { from: dropped });
+    assert.match(chatpulse.output(), /\[Gateway\] Session resumed/);
+    stream.close();
+  });
+
+  test("identifies again after an invalid session", async () => {
+    const from = await openStream();
+    chatpulse.fake.invalidateGatewaySessions();
+    const invalidated = await stream.waitFor(status(false), { from });
+    assert.match(chatpulse.output(), /Invalid session \(resumable: false\)/);
+
+    await stream.waitFor(status(true), { from: invalidated });
+    const sent = await alice.post("/send-message", { channelId: IDS.general, message: "Again" });
+    assert.equal(sent.status, 200);
+    await stream.waitFor(({ data }) => data.content === "Again", { from: invalidated });
+    stream.close();
+  });
+
+  test("reconnects when heartbeats aren't acknowledged", async () => {
+    const from = await openStream();
+    chatpulse.fake.ackHeartbeats(false);
+    try {
+      await stream.waitFor(status(false), { from });
+      assert.match(chatpulse.output(), /Heartbeat not acknowledged, reconnecting/);
+    } finally {
+      chatpulse.fake.ackHeartbeats(true);
+    }
+    await stream.waitFor(status(true), { from: stream.events.length });
+    stream.close();
+  });
+
+  test("survives a malformed Gateway frame", async () => {
+    const from = await openStream();
+    chatpulse.fake.sendGatewayFrame("not json");
+    const dropped = await stream.waitFor(status(false), { from });
+    assert.match(chatpulse.output(), /\[Gateway\] Error handling payload, reconnecting/);
+
+    await stream.waitFor(status(true), { from: dropped });
+    assert.equal((await alice.get("/me")).status, 200);
+    stream.close();
+  });
+});
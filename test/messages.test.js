@@ -0,0 +1,260 @@
+// test/messages.test.js
+// Sending, editing and deleting messages, with Discord's permission errors
+// and rate limits
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fetch, { Blob, FormData } from "node-fetch";
+import { DEMO_BOT_TOKEN } from "../demo/fixtures.js";
+import { IDS, startChatPulse } from "./harness.js";
+
+const SEND_MESSAGES = 1n << 11n;
+
+// A multipart send with one small text file
+function formWithFile(fields) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  form.append("files", new Blob(["hello"], { type: "text/plain" }), "hello.txt");
+  return form;
+}
+
+describe("messages", () => {
+  let chatpulse;
+  let alice;
+
+  const messagesIn = (channelId) => chatpulse.fake.state.messages[channelId] || [];
+
+  before(async () => {
+    // A short window keeps the rate limit test quick
+    chatpulse = await startChatPulse({ sendLimit: 3, sendWindow: 1000 });
+    alice = await chatpulse.login(IDS.alice);
+  });
+  after(() => chatpulse.stop());
+
+  test("sends, edits and deletes a message as the bot", async () => {
+    const sent = await alice.post("/send-message", {
+      channelId: IDS.general,
+      message: "Hello from the tests",
+    });
+    assert.equal(sent.status, 200);
+    const { messageId } = sent.body;
+    const message = messagesIn(IDS.general).find((m) => m.id === messageId);
+    assert.equal(message.content, "Hello from the tests");
+    assert.equal(message.author.id, IDS.bot);
+
+    const edited = await alice.patch(`/messages/${IDS.general}/${messageId}`, {
+      message: "Edited",
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(messagesIn(IDS.general).find((m) => m.id === messageId).content, "Edited");
+
+    const deleted = await alice.delete(`/messages/${IDS.general}/${messageId}`);
+    assert.equal(deleted.status, 200);
+    assert.ok(!messagesIn(IDS.general).some((m) => m.id === messageId));
+  });
+
+  test("sends files, checking access on the channel in the query first", async () => {
+    const sent = await alice.post(
+      `/send-message?channelId=${IDS.general}`,
+      formWithFile({ message: "With a file" })
+    );
+    assert.equal(sent.status, 200);
+    const message = messagesIn(IDS.general).find((m) => m.id === sent.body.messageId);
+    assert.deepEqual(
+      message.attachments.map((attachment) => attachment.filename),
+      ["hello.txt"]
+    );
+
+    // The form's channelId can't redirect the message past the check
+    const redirected = await alice.post(
+      `/send-message?channelId=${IDS.general}`,
+      formWithFile({ channelId: IDS.lobby, message: "Sneaky" })
+    );
+    assert.equal(redirected.status, 200);
+    assert.ok(messagesIn(IDS.general).some((m) => m.content === "Sneaky"));
+    assert.ok(!messagesIn(IDS.lobby).some((m) => m.content === "Sneaky"));
+
+    // Without the query, the channel isn't known before the upload
+    const unnamed = await alice.post(
+      "/send-message",
+      formWithFile({ channelId: IDS.general, message: "No query" })
+    );
+    assert.equal(unnamed.status, 400);
+  });
+
+  test("refuses embeds that aren't a list", async () => {
+    for (const embeds of [null, { title: "Not a list" }, "[]"]) {
+      const { status, body } = await alice.post("/send-message", {
+        channelId: IDS.general,
+        message: "With bad embeds",
+        embeds,
+      });
+      assert.equal(status, 400, `embeds: ${JSON.stringify(embeds)}`);
+      assert.equal(body.error, "embeds must be an array");
+    }
+
+    const { status } = await alice.post(`/forums/${IDS.help}/posts`, {
+      title: "Bad embeds",
+      embeds: null,
+    });
+    assert.equal(status, 400);
+  });
+
+  test("refuses a channel the bot can't send in before asking Discord", async () => {
+    const { status, body } = await alice.post("/send-message", {
+      channelId: IDS.rules,
+      message: "Not allowed",
+    });
+    assert.equal(status, 403);
+    assert.deepEqual(body.missing, ["Send Messages"]);
+  });
+
+  test("refuses a channel hidden from the bot", async () => {
+    const { status } = await alice.post("/send-message", {
+      channelId: IDS.staff,
+      message: "Hidden",
+    });
+    assert.equal(status, 403);
+    assert.ok(!messagesIn(IDS.staff).some((m) => m.content === "Hidden"));
+  });
+
+  test("passes on Discord's Missing Permissions error", async () => {
+    // Send once so ChatPulse caches the bot's permissions in the channel,
+    // then take Send Messages away behind its back
+    const first = await alice.post("/send-message", { channelId: IDS.welcome, message: "One" });
+    assert.equal(first.status, 200);
+    const welcome = chatpulse.fake.state.channels.find((channel) => channel.id === IDS.welcome);
+    const overwrites = welcome.permission_overwrites;
+    welcome.permission_overwrites = [
+      ...overwrites,
+      { id: IDS.bot, type: 1, allow: "0", deny: String(SEND_MESSAGES) },
+    ];
+
+    try {
+      const { status, body } = await alice.post("/send-message", {
+        channelId: IDS.welcome,
+        message: "Two",
+      });
+      assert.equal(status, 400);
+      assert.equal(body.code, 50013);
+    } finally {
+      welcome.permission_overwrites = overwrites;
+    }
+  });
+
+  test("lets only managers ping @everyone, @here and roles", async () => {
+    const content = `@everyone @here <@&${IDS.regularsRole}> <@${IDS.carol}>`;
+    const fromAlice = await alice.post("/send-message", {
+      channelId: IDS.general,
+      message: content,
+    });
+    assert.equal(fromAlice.status, 200);
+    const asManager = messagesIn(IDS.general).find((m) => m.id === fromAlice.body.messageId);
+    assert.equal(asManager.mention_everyone, true);
+    assert.deepEqual(asManager.mention_roles, [IDS.regularsRole]);
+
+    // Bob may post through an access rule, but has no Mention Everyone
+    const rules = await alice.put(`/guilds/${IDS.community}/access`, {
+      rules: [{ subject: { type: "user", id: IDS.bob }, capabilities: ["post"], channelIds: [] }],
+    });
+    assert.equal(rules.status, 200);
+    const bob = await chatpulse.login(IDS.bob);
+
+    const sent = await bob.post("/send-message", { channelId: IDS.general, message: content });
+    assert.equal(sent.status, 200);
+    const broadcast = await bob.post("/broadcasts", {
+      channelIds: [IDS.general],
+      message: content,
+    });
+    assert.equal(broadcast.status, 200);
+
+    const fromBob = [sent.body.messageId, broadcast.body.broadcast.targets[0].messageId].map(
+      (id) => messagesIn(IDS.general).find((m) => m.id === id)
+    );
+    for (const message of fromBob) {
+      assert.equal(message.mention_everyone, false);
+      assert.deepEqual(message.mention_roles, []);
+      // Users are still mentioned
+      assert.deepEqual(
+        message.mentions.map((user) => user.id),
+        [IDS.carol]
+      );
+    }
+  });
+
+  test("refuses users without post access", async () => {
+    const carol = await chatpulse.login(IDS.carol);
+    const { status } = await carol.post("/send-message", {
+      channelId: IDS.general,
+      message: "From Carol",
+    });
+    assert.equal(status, 403);
+
+    const upload = await carol.post(
+      `/send-message?channelId=${IDS.general}`,
+      formWithFile({ message: "From Carol" })
+    );
+    assert.equal(upload.status, 403);
+    assert.ok(!messagesIn(IDS.general).some((m) => m.content === "From Carol"));
+  });
+
+  test("refuses channels in servers the user can't use", async () => {
+    const { status } = await alice.post("/send-message", {
+      channelId: IDS.lobby,
+      message: "Wrong server",
+    });
+    assert.equal(status, 403);
+  });
+
+  test("refuses message IDs that aren't snowflakes", async () => {
+    const target = encodeURIComponent(`../../${IDS.lobby}/messages/1300000000000009999`);
+    const { status } = await alice.delete(`/messages/${IDS.general}/${target}`);
+    assert.equal(status, 400);
+  });
+
+  test("retries reads after a server error", async () => {
+    chatpulse.fake.failRequests("GET", new RegExp(`^/channels/${IDS.general}/messages$`));
+    const { status, body } = await alice.get(`/messages/${IDS.general}`);
+    assert.equal(status, 200);
+    assert.ok(body.messages.length > 0);
+    assert.match(chatpulse.output(), /GET \/channels\/\d+\/messages\S* returned 500, retrying/);
+  });
+
+  test("doesn't repeat a send that failed with a server error", async () => {
+    // It may have gone through anyway; sending it again could post it twice
+    chatpulse.fake.failRequests("POST", new RegExp(`^/channels/${IDS.general}/messages$`));
+    const { status } = await alice.post("/send-message", {
+      channelId: IDS.general,
+      message: "Only once",
+    });
+    assert.equal(status, 500);
+    assert.ok(!messagesIn(IDS.general).some((m) => m.content === "Only once"));
+  });
+
+  test("waits out a 429 and sends anyway", async () => {
+    // Use up the channel's send limit with the bot token directly, so
+    // ChatPulse doesn't know the bucket is empty and gets a 429
+    for (let i = 0; i < 3; i++) {
+      const response = await fetch(
+        `${chatpulse.fakeUrl}/api/v10/channels/${IDS.offTopic}/messages`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bot ${DEMO_BOT_TOKEN}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ content: `Filler ${i}` }),
+        }
+      );
+      assert.equal(response.status, 200);
+    }
+
+    const { status } = await alice.post("/send-message", {
+      channelId: IDS.offTopic,
+      message: "After the limit",
+    });
+    assert.equal(status, 200);
+    assert.match(chatpulse.output(), /Rate limited on POST \/channels\/\d+\/messages/);
+    assert.ok(messagesIn(IDS.offTopic).some((m) => m.content === "After the limit"));
+  });
+});
@@ -0,0 +1,73 @@
+// test/moderation.test.js
+// Member moderation: both the user and the bot need the action's permission
+// and a highest role above the member's
+//
+// In the demo community Alice owns the server; Bob is a Moderator (Kick and
+// Timeout Members, the highest role), above the bot's role, above Carol's
+// Regulars.
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+describe("member moderation", () => {
+  let chatpulse;
+  let alice;
+  let bob;
+
+  const member = (userId) => `/guilds/${IDS.community}/members/${userId}`;
+  const memberIn = (userId) =>
+    chatpulse.fake.state.guilds
+      .find((guild) => guild.id === IDS.community)
+      .members.find((m) => m.userId === userId);
+  const refused = async (request, error) => {
+    const { status, body } = await request;
+    assert.equal(status, 403);
+    assert.match(body.error, error);
+  };
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+    bob = await chatpulse.login(IDS.bob);
+    const rule = { subject: { type: "user", id: IDS.bob }, capabilities: ["moderate"] };
+    const { status } = await alice.put(`/guilds/${IDS.community}/access`, { rules: [rule] });
+    assert.equal(status, 200);
+  });
+  after(() => chatpulse.stop());
+
+  test("lets a moderator above the member time them out", async () => {
+    const { status, body } = await bob.post(`${member(IDS.carol)}/timeout`, {
+      minutes: 10,
+      reason: "Cool down",
+    });
+    assert.equal(status, 200, body.error);
+    assert.ok(new Date(memberIn(IDS.carol).timedOutUntil) > new Date());
+  });
+
+  test("refuses actions the user's own roles don't allow", async () => {
+    // Bob's Moderators role has no Ban Members or Manage Roles
+    await refused(bob.put(`/guilds/${IDS.community}/bans/${IDS.carol}`, {}), /Ban Members/);
+    await refused(
+      bob.put(`${member(IDS.carol)}/roles/${IDS.regularsRole}`, {}),
+      /Manage Roles/
+    );
+  });
+
+  test("refuses to act on the server owner", async () => {
+    await refused(bob.post(`${member(IDS.alice)}/kick`, {}), /server owner/);
+  });
+
+  test("refuses members above the bot's highest role", async () => {
+    await refused(alice.post(`${member(IDS.bob)}/kick`, {}), /The bot's highest role/);
+    assert.ok(memberIn(IDS.bob));
+  });
+
+  test("refuses roles above the bot's highest role", async () => {
+    await refused(
+      alice.put(`${member(IDS.carol)}/roles/${IDS.moderatorsRole}`, {}),
+      /must be below both your highest role and the bot's/
+    );
+    assert.deepEqual(memberIn(IDS.carol).roles, [IDS.regularsRole]);
+  });
+});
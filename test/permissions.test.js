@@ -0,0 +1,116 @@
+// test/permissions.test.js
+// The permission calculator, and the bot health report built on it
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+import { PERMISSIONS, applyOverwrites, computeBasePermissions } from "../permissions.js";
+
+const { ADMINISTRATOR, VIEW_CHANNEL, SEND_MESSAGES, EMBED_LINKS, ATTACH_FILES } = PERMISSIONS;
+
+describe("permission calculator", () => {
+  const guild = { id: "1", owner_id: "100" };
+  const roles = [
+    { id: "1", permissions: String(VIEW_CHANNEL | SEND_MESSAGES) },
+    { id: "10", permissions: String(EMBED_LINKS) },
+    { id: "11", permissions: String(ATTACH_FILES) },
+    { id: "12", permissions: String(ADMINISTRATOR) },
+  ];
+  const member = (...roleIds) => ({ roles: roleIds });
+  const channel = (...overwrites) => ({ guild_id: "1", permission_overwrites: overwrites });
+  const overwrite = (id, type, allow, deny) => ({
+    id,
+    type,
+    allow: String(allow),
+    deny: String(deny),
+  });
+
+  test("adds up @everyone and the member's roles", () => {
+    assert.equal(
+      computeBasePermissions(guild, roles, member("10", "11"), "200"),
+      VIEW_CHANNEL | SEND_MESSAGES | EMBED_LINKS | ATTACH_FILES
+    );
+    assert.equal(
+      computeBasePermissions(guild, roles, member(), "200"),
+      VIEW_CHANNEL | SEND_MESSAGES
+    );
+  });
+
+  test("gives the owner and administrators everything", () => {
+    const everything = computeBasePermissions(guild, roles, member(), "100");
+    assert.equal(computeBasePermissions(guild, roles, member("12"), "200"), everything);
+    assert.equal(everything & SEND_MESSAGES, SEND_MESSAGES);
+    // Overwrites don't apply to administrators
+    const denied = channel(overwrite("1", 0, 0n, VIEW_CHANNEL));
+    assert.equal(applyOverwrites(everything, denied, member("12"), "200"), everything);
+  });
+
+  test("applies @everyone, then roles, then the member's own overwrite", () => {
+    const base = computeBasePermissions(guild, roles, member("10", "11"), "200");
+
+    // @everyone can't post; one role allows it again, another denies it
+    const roleAllowWins = channel(
+      overwrite("1", 0, 0n, SEND_MESSAGES),
+      overwrite("10", 0, SEND_MESSAGES, 0n),
+      overwrite("11", 0, 0n, SEND_MESSAGES)
+    );
+    assert.equal(
+      applyOverwrites(base, roleAllowWins, member("10", "11"), "200") & SEND_MESSAGES,
+      SEND_MESSAGES
+    );
+
+    // The member's overwrite beats every role
+    const memberDenied = channel(
+      overwrite("10", 0, SEND_MESSAGES, 0n),
+      overwrite("200", 1, 0n, SEND_MESSAGES | EMBED_LINKS)
+    );
+    const permissions = applyOverwrites(base, memberDenied, member("10", "11"), "200");
+    assert.equal(permissions & (SEND_MESSAGES | EMBED_LINKS), 0n);
+    assert.equal(permissions & ATTACH_FILES, ATTACH_FILES);
+
+    // Overwrites for roles the member doesn't have don't count
+    const otherRole = channel(overwrite("11", 0, 0n, VIEW_CHANNEL));
+    assert.equal(
+      applyOverwrites(base, otherRole, member("10"), "200") & VIEW_CHANNEL,
+      VIEW_CHANNEL
+    );
+  });
+});
+
+describe("bot health", () => {
+  let chatpulse;
+  let alice;
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+  });
+  after(() => chatpulse.stop());
+
+  test("lists the channels where the bot is missing something", async () => {
+    const { status, body } = await alice.get(`/guilds/${IDS.community}/health`);
+    assert.equal(status, 200, body.error);
+
+    const channels = Object.fromEntries(body.channels.map((channel) => [channel.id, channel]));
+    assert.deepEqual(Object.keys(channels).sort(), [IDS.rules, IDS.staff].sort());
+    assert.equal(channels[IDS.rules].canRead, true);
+    assert.equal(channels[IDS.rules].canSend, false);
+    assert.ok(channels[IDS.rules].missing.includes("Send Messages"));
+    assert.equal(channels[IDS.staff].canRead, false);
+
+    const invite = new URL(body.inviteUrl);
+    assert.equal(invite.searchParams.get("guild_id"), IDS.community);
+    assert.equal(
+      BigInt(invite.searchParams.get("permissions")) & SEND_MESSAGES,
+      SEND_MESSAGES
+    );
+  });
+
+  test("marks those channels in the channel list", async () => {
+    const { body } = await alice.get(`/channels/${IDS.community}`);
+    const byId = Object.fromEntries(body.channels.map((channel) => [channel.id, channel]));
+    assert.equal(byId[IDS.general].bot.canSend, true);
+    assert.equal(byId[IDS.rules].bot.canSend, false);
+    assert.ok(byId[IDS.rules].bot.missing.includes("Send Messages"));
+  });
+});
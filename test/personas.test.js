@@ -0,0 +1,84 @@
+// test/personas.test.js
+// Personas: sending with a custom name through one webhook per channel, and
+// who may add them
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+describe("personas", () => {
+  let chatpulse;
+  let alice;
+  let carol;
+  let persona;
+
+  const personas = `/guilds/${IDS.community}/personas`;
+  const messageIn = (channelId, id) =>
+    (chatpulse.fake.state.messages[channelId] || []).find((m) => m.id === id);
+  const sendAs = async (client, channelId, message, personaId = persona.id) => {
+    const { status, body } = await client.post("/send-message", { channelId, message, personaId });
+    assert.equal(status, 200, body.error);
+    return messageIn(channelId, body.messageId);
+  };
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+    carol = await chatpulse.login(IDS.carol);
+    const rule = { subject: { type: "user", id: IDS.carol }, capabilities: ["post"] };
+    const granted = await alice.put(`/guilds/${IDS.community}/access`, { rules: [rule] });
+    assert.equal(granted.status, 200, granted.body.error);
+
+    const { status, body } = await alice.post(personas, {
+      name: "Events Team",
+      avatarUrl: "https://example.com/events.png",
+    });
+    assert.equal(status, 200, body.error);
+    persona = body.persona;
+  });
+  after(() => chatpulse.stop());
+
+  test("lets only managers add personas", async () => {
+    const { status } = await carol.post(personas, { name: "Carol's Team" });
+    assert.equal(status, 403);
+    assert.equal((await carol.get(personas)).body.personas.length, 1);
+  });
+
+  test("refuses avatars that aren't https URLs", async () => {
+    const { status } = await alice.post(personas, {
+      name: "Mod Team",
+      avatarUrl: "http://example.com/mods.png",
+    });
+    assert.equal(status, 400);
+  });
+
+  test("sends as the persona through one webhook per channel", async () => {
+    const first = await sendAs(carol, IDS.general, "Game night at 8!");
+    const second = await sendAs(alice, IDS.general, "See you there");
+
+    assert.equal(first.author.username, "Events Team");
+    assert.ok(first.webhook_id);
+    assert.equal(second.webhook_id, first.webhook_id);
+
+    // Threads use their parent channel's webhook
+    const inThread = await sendAs(alice, IDS.weekendThread, "Weekend plans?");
+    assert.equal(inThread.author.username, "Events Team");
+    assert.equal(inThread.webhook_id, first.webhook_id);
+  });
+
+  test("records who sent as the persona", async () => {
+    await sendAs(carol, IDS.offTopic, "Audited");
+    const { body } = await alice.get(`/guilds/${IDS.community}/audit?action=message.send`);
+    const entry = body.entries.find((e) => e.user?.id === IDS.carol);
+    assert.deepEqual(entry.details.persona, { id: persona.id, name: "Events Team" });
+  });
+
+  test("refuses unknown personas", async () => {
+    const { status } = await alice.post("/send-message", {
+      channelId: IDS.general,
+      message: "Who?",
+      personaId: "not-a-persona",
+    });
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,133 @@
+// test/scheduler.test.js
+// Scheduled messages: validation, sending when due, run history, and what
+// happens when the creator's access changes before then
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// The scheduler looks for due jobs every 10 seconds
+const RUN_TIMEOUT = 20000;
+
+describe("scheduled messages", () => {
+  let chatpulse;
+  let alice;
+  let bob;
+  let carol;
+  const jobs = {};
+
+  const scheduled = (guildId = IDS.community) => `/guilds/${guildId}/scheduled`;
+  const schedule = (client, body) =>
+    client.post(scheduled(), { channelId: IDS.general, type: "once", ...body });
+  const messagesIn = (channelId) => chatpulse.fake.state.messages[channelId] || [];
+
+  // The job once it has run (or RUN_TIMEOUT passed)
+  async function ranJob(client, id) {
+    for (const start = Date.now(); Date.now() - start < RUN_TIMEOUT; await sleep(250)) {
+      const { body } = await client.get(scheduled());
+      const job = body.jobs.find((j) => j.id === id);
+      if (job?.history.length > 0) return job;
+    }
+    throw new Error(`Job ${id} didn't run:\n${chatpulse.output()}`);
+  }
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+    bob = await chatpulse.login(IDS.bob);
+    carol = await chatpulse.login(IDS.carol);
+
+    const rules = [
+      { subject: { type: "user", id: IDS.bob }, capabilities: ["schedule"], channelIds: [] },
+      { subject: { type: "user", id: IDS.carol }, capabilities: ["schedule"], channelIds: [] },
+    ];
+    assert.equal((await alice.put(`/guilds/${IDS.community}/access`, { rules })).status, 200);
+
+    // Due on the scheduler's next tick
+    const runAt = new Date(Date.now() + 1000).toISOString();
+    for (const [name, client] of Object.entries({ alice, bob, carol })) {
+      const { status, body } = await schedule(client, {
+        message: `@everyone ${name}'s scheduled message`,
+        runAt,
+      });
+      assert.equal(status, 200, body.error);
+      jobs[name] = body.job;
+    }
+
+    // Bob loses his access before his job runs
+    assert.equal(
+      (await alice.put(`/guilds/${IDS.community}/access`, { rules: rules.slice(1) })).status,
+      200
+    );
+  });
+  after(() => chatpulse.stop());
+
+  test("validates new jobs", async () => {
+    const past = await schedule(alice, {
+      message: "Too late",
+      runAt: new Date(Date.now() - 60000).toISOString(),
+    });
+    assert.equal(past.status, 400);
+    assert.match(past.body.error, /future/);
+
+    const empty = await schedule(alice, { message: "  ", runAt: jobs.alice.runAt });
+    assert.equal(empty.status, 400);
+
+    const zone = await schedule(alice, {
+      message: "Hi",
+      type: "cron",
+      cron: "0 9 * * 1",
+      timezone: "Mars/Olympus",
+    });
+    assert.equal(zone.status, 400);
+    assert.match(zone.body.error, /Unknown timezone/);
+  });
+
+  test("refuses cron schedules that run more often than every 5 minutes", async () => {
+    for (const cron of ["* * * * *", "*/2 * * * *", "0,3 9 * * *"]) {
+      const { status, body } = await schedule(alice, { message: "Spam", type: "cron", cron });
+      assert.equal(status, 400, cron);
+      assert.match(body.error, /once every 5 minutes/);
+    }
+
+    const { status, body } = await schedule(alice, {
+      message: "Weekly",
+      type: "cron",
+      cron: "0 9 * * 1",
+      timezone: "Europe/Paris",
+    });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.job.status, "active");
+    assert.ok(new Date(body.job.nextRunAt) > new Date());
+  });
+
+  test("sends a due message and records it in the run history", async () => {
+    const job = await ranJob(alice, jobs.alice.id);
+
+    assert.equal(job.status, "completed");
+    assert.equal(job.nextRunAt, null);
+    assert.equal(job.history[0].success, true);
+    const sent = messagesIn(IDS.general).find((m) => m.id === job.history[0].messageId);
+    assert.equal(sent.content, "@everyone alice's scheduled message");
+    // A manager's job pings what it mentions
+    assert.equal(sent.mention_everyone, true);
+  });
+
+  test("only lets a job ping users when its creator has access from a rule", async () => {
+    const job = await ranJob(carol, jobs.carol.id);
+
+    assert.equal(job.status, "completed");
+    const sent = messagesIn(IDS.general).find((m) => m.id === job.history[0].messageId);
+    assert.equal(sent.mention_everyone, false);
+  });
+
+  test("pauses a job whose creator lost schedule access", async () => {
+    const job = await ranJob(alice, jobs.bob.id);
+
+    assert.equal(job.status, "paused");
+    assert.equal(job.history[0].success, false);
+    assert.match(job.history[0].error, /no longer has schedule access/);
+    assert.ok(!messagesIn(IDS.general).some((m) => m.content.startsWith("@everyone bob's")));
+  });
+});
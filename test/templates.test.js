@@ -0,0 +1,75 @@
+// test/templates.test.js
+// Message templates: custom fields, built-in placeholders and who may use
+// a server's templates
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+describe("message templates", () => {
+  let chatpulse;
+  let alice;
+  let carol;
+  let template;
+
+  const templates = `/guilds/${IDS.community}/templates`;
+  const render = (client, body) => client.post(`${templates}/${template.id}/render`, body);
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+    carol = await chatpulse.login(IDS.carol);
+
+    const { status, body } = await alice.post(templates, {
+      name: "Event",
+      content: "{event_name} starts {when} in {channel} on {server}, says {user} {{not a field}}",
+    });
+    assert.equal(status, 200, body.error);
+    template = body.template;
+  });
+  after(() => chatpulse.stop());
+
+  test("lists the custom fields a template needs", async () => {
+    assert.deepEqual(template.fields, ["event_name", "when"]);
+    const { body } = await alice.get(templates);
+    assert.deepEqual(
+      body.templates.map((t) => t.name),
+      ["Event"]
+    );
+  });
+
+  test("fills in custom fields and built-in placeholders", async () => {
+    const { status, body } = await render(alice, {
+      channelId: IDS.general,
+      values: { event_name: "Game night", when: "at 8" },
+    });
+    assert.equal(status, 200, body.error);
+    assert.equal(
+      body.content,
+      `Game night starts at 8 in <#${IDS.general}> on Demo Community, ` +
+        `says <@${IDS.alice}> {not a field}`
+    );
+  });
+
+  test("names the fields left empty", async () => {
+    const { status, body } = await render(alice, { values: { event_name: "Game night" } });
+    assert.equal(status, 400);
+    assert.equal(body.error, "Fill in: when");
+  });
+
+  test("refuses templates over Discord's message limit", async () => {
+    const { status } = await alice.post(templates, { name: "Long", content: "x".repeat(2001) });
+    assert.equal(status, 400);
+  });
+
+  test("keeps templates to members who may post", async () => {
+    assert.equal((await carol.get(templates)).status, 403);
+
+    const rule = { subject: { type: "user", id: IDS.carol }, capabilities: ["post"] };
+    const granted = await alice.put(`/guilds/${IDS.community}/access`, { rules: [rule] });
+    assert.equal(granted.status, 200, granted.body.error);
+    const { status, body } = await render(carol, { values: { event_name: "Quiz", when: "now" } });
+    assert.equal(status, 200, body.error);
+    assert.match(body.content, new RegExp(`says <@${IDS.carol}>`));
+  });
+});
@@ -0,0 +1,88 @@
+// test/watchlists.test.js
+// Watch rules: what each type matches, and which rules are refused
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { IDS, startChatPulse } from "./harness.js";
+
+describe("watchlists", () => {
+  let chatpulse;
+  let alice;
+
+  const watchlist = `/guilds/${IDS.community}/watchlist`;
+  const rule = (fields) => ({ name: "Rule", type: "keyword", pattern: "spam", ...fields });
+  const save = (...rules) => alice.put(watchlist, { rules: rules.map(rule) });
+  const check = async (fields, text) => {
+    const { status, body } = await alice.post(`${watchlist}/test`, { rule: rule(fields), text });
+    assert.equal(status, 200, body.error);
+    return body.match;
+  };
+
+  before(async () => {
+    chatpulse = await startChatPulse();
+    alice = await chatpulse.login(IDS.alice);
+  });
+  after(() => chatpulse.stop());
+
+  test("matches keywords as whole words, in any case", async () => {
+    assert.equal(await check({ pattern: "free nitro" }, "Get FREE Nitro here"), "FREE Nitro");
+    assert.equal(await check({ pattern: "spam" }, "spammy but fine"), null);
+  });
+
+  test("runs regexes with RE2", async () => {
+    const pattern = "(a+)+$";
+    // Exponential for a backtracking engine, linear for RE2
+    const text = `${"a".repeat(5000)}!`;
+    const started = Date.now();
+    assert.equal(await check({ type: "regex", pattern }, text), null);
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(await check({ type: "regex", pattern: "b[ae]d" }, "So BAD"), "BAD");
+  });
+
+  test("refuses regexes RE2 can't run", async () => {
+    for (const pattern of ["(?=spam)", "(a)\\1", "("]) {
+      const { status, body } = await save({ type: "regex", pattern });
+      assert.equal(status, 400, pattern);
+      assert.match(body.error, /invalid regex/);
+    }
+  });
+
+  test("matches links to a domain and its subdomains", async () => {
+    const fields = { type: "link", pattern: "example.com" };
+    assert.equal(
+      await check(fields, "see https://cdn.example.com/x"),
+      "https://cdn.example.com/x"
+    );
+    assert.equal(await check(fields, "see https://notexample.com/x"), null);
+  });
+
+  test("forwards only to Discord webhooks", async () => {
+    const valid = "https://discord.com/api/webhooks/1300000000000000999/token-abc";
+    const saved = await save({ webhookUrl: valid });
+    assert.equal(saved.status, 200, saved.body.error);
+    assert.equal(saved.body.rules[0].webhookUrl, valid);
+
+    for (const webhookUrl of [
+      "http://discord.com/api/webhooks/1300000000000000999/token-abc",
+      "https://discord.com.evil.example/api/webhooks/1300000000000000999/token-abc",
+      "https://user@discord.com/api/webhooks/1300000000000000999/token-abc",
+      "https://discord.com:8443/api/webhooks/1300000000000000999/token-abc",
+      "https://discord.com/api/users/@me",
+      "https://127.0.0.1/api/webhooks/1300000000000000999/token-abc",
+    ]) {
+      const { status, body } = await save({ webhookUrl });
+      assert.equal(status, 400, webhookUrl);
+      assert.match(body.error, /must be a Discord webhook/);
+    }
+  });
+
+  test("refuses channels that aren't a list of this server's channels", async () => {
+    for (const channelIds of [IDS.general, { 0: IDS.general }, [IDS.lobby], ["general"]]) {
+      const { status } = await save({ channelIds });
+      assert.equal(status, 400, JSON.stringify(channelIds));
+    }
+    const { status, body } = await save({ channelIds: [IDS.general, IDS.general] });
+    assert.equal(status, 200, body.error);
+    assert.deepEqual(body.rules[0].channelIds, [IDS.general]);
+  });
+});
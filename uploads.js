@@ -0,0 +1,84 @@
+// uploads.js
+// Multipart file uploads for outgoing messages
+//
+// Files are kept in memory only long enough to forward them to Discord,
+// so the limits below also cap how much memory one request can use.
+
+import multer from "multer";
+
+// Discord allows 10 files per message
+export const MAX_ATTACHMENTS = 10;
+// Discord's default upload limit for servers without boosts
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+// Upper bound for all files in one message
+export const MAX_TOTAL_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: MAX_ATTACHMENTS,
+    fileSize: MAX_ATTACHMENT_SIZE,
+  },
+}).array("files", MAX_ATTACHMENTS);
+
+// Form fields holding JSON text instead of a plain string
+const JSON_FIELDS = ["embeds", "tagIds"];
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_COUNT: `You can attach at most ${MAX_ATTACHMENTS} files`,
+  LIMIT_UNEXPECTED_FILE: `You can attach at most ${MAX_ATTACHMENTS} files`,
+  LIMIT_FILE_SIZE: `Each file must be at most ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`,
+};
+
+/**
+ * Middleware: parse multipart/form-data uploads into req.files.
+ * JSON requests pass through untouched (req.files = []).
+ */
+export function uploadAttachments(req, res, next) {
+  if (!req.is("multipart/form-data")) {
+    req.files = [];
+    return next();
+  }
+
+  upload(req, res, (error) => {
+    if (error) {
+      const message =
+        UPLOAD_ERRORS[error.code] || `Upload failed: ${error.message}`;
+      return res.status(400).json({ success: false, error: message });
+    }
+
+    const total = req.files.reduce((sum, file) => sum + file.size, 0);
+    if (total > MAX_TOTAL_ATTACHMENT_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `Attachments must be at most ${
+          MAX_TOTAL_ATTACHMENT_SIZE / 1024 / 1024
+        } MB in total`,
+      });
+    }
+
+    // Form fields are strings; embeds and tagIds are sent as JSON text
+    for (const field of JSON_FIELDS) {
+      if (typeof req.body[field] !== "string") continue;
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch {
+        return res
+          .status(400)
+          .json({ success: false, error: `${field} must be valid JSON` });
+      }
+    }
+    next();
+  });
+}
+
+/**
+ * Convert multer files to the shape sendMessage expects
+ */
+export function toDiscordFiles(files) {
+  return files.map((file) => ({
+    name: file.originalname,
+    data: file.buffer,
+    contentType: file.mimetype,
+  }));
+}
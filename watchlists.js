@@ -0,0 +1,549 @@
+// watchlists.js
+// Keyword watchlists: alert moderators when messages match a guild's rules
+//
+// A rule is:
+//
+//   { id, name, type, pattern, channelIds, alertChannelId, webhookUrl, enabled }
+//
+// - type "keyword": a word or phrase, matched as whole words, any case
+// - type "regex":   a regular expression, any case. Run with RE2, which
+//                   matches in linear time but has no lookarounds or
+//                   backreferences
+// - type "link":    any link, or (with a pattern) links to a domain and
+//                   its subdomains
+// - type "invite":  any Discord invite, or (with a pattern) one invite code
+// - channelIds:     channels the rule watches; empty means every channel
+//
+// Messages come from the bot's Gateway connection (live.js). While the
+// Gateway is down, watched channels are polled with getMessages instead.
+//
+// Every match becomes an alert in the guild's inbox. A rule can also forward
+// its alerts to a mod-log channel and/or a Discord webhook; forwarding is
+// limited per rule so a raid doesn't turn into a flood of notifications.
+//
+// Rule IDs are always made here: a rule keeps its ID across saves only if
+// the guild already has a rule with that ID.
+//
+// Rules are stored in DATA_DIR/watchlists.json, alerts in
+// DATA_DIR/watch-alerts.json.
+
+import crypto from "crypto";
+import fetch from "node-fetch";
+import RE2 from "re2";
+import { getChannels, getMessages, sendMessage, isSnowflake } from "./discord.js";
+import { createJsonStore } from "./store.js";
+import { isGatewayReady, subscribeToMessages } from "./live.js";
+import { resolveAccessChannel } from "./access.js";
+
+export const WATCH_RULE_TYPES = ["keyword", "regex", "link", "invite"];
+
+// Rules per guild
+const MAX_RULES = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_PATTERN_LENGTH = 200;
+// Alerts kept per guild (oldest are dropped)
+const MAX_ALERTS = 500;
+// Forwarded notifications per rule per window; the rest are counted and
+// mentioned in the next one
+const NOTIFY_LIMIT = 5;
+const NOTIFY_WINDOW = 60 * 1000;
+const WEBHOOK_TIMEOUT = 5000;
+// Polling while the Gateway is down
+const POLL_INTERVAL = 60 * 1000;
+const MAX_POLLED_CHANNELS = 50;
+// Message text kept in an alert
+const EXCERPT_LENGTH = 300;
+
+const LINK_PATTERN = /https?:\/\/[^\s<>]+/gi;
+const INVITE_PATTERN =
+  /(?:https?:\/\/)?(?:www\.)?(?:discord(?:app)?\.com\/invite|discord\.gg)\/([\w-]{2,32})/gi;
+// Forwarding only goes to Discord webhooks, so a rule can't make the server
+// post to arbitrary URLs
+const WEBHOOK_HOSTS = ["discord.com", "discordapp.com"];
+const WEBHOOK_PATH = /^\/api\/(?:v\d+\/)?webhooks\/\d{17,20}\/[\w-]+\/?$/;
+
+const rulesStore = createJsonStore("watchlists", {});
+const alertsStore = createJsonStore("watch-alerts", {});
+
+let rules = null;
+let alerts = null;
+let botToken = null;
+// Rule ID -> compiled matcher
+const matchers = new Map();
+// Rule ID -> { sentAt: [times], suppressed }
+const notifyState = new Map();
+// Channel ID -> last message ID seen by the poller
+const lastSeen = new Map();
+let polling = false;
+
+/**
+ * Error for an invalid watch rule (returned as 400)
+ */
+export class WatchRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WatchRuleError";
+  }
+}
+
+async function loadRules() {
+  if (!rules) {
+    rules = await rulesStore.load();
+  }
+  return rules;
+}
+
+async function loadAlerts() {
+  if (!alerts) {
+    alerts = await alertsStore.load();
+  }
+  return alerts;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn a rule into a function returning the matched text (or null)
+ */
+export function compileRule({ type, pattern }) {
+  switch (type) {
+    case "keyword": {
+      // Whole words only: "cat" doesn't match "concatenate"
+      const regex = new RegExp(
+        `(?<![\\p{L}\\p{N}_])${escapeRegExp(pattern)}(?![\\p{L}\\p{N}_])`,
+        "iu"
+      );
+      return (content) => content.match(regex)?.[0] ?? null;
+    }
+    case "regex": {
+      // User-supplied, so RE2: no catastrophic backtracking
+      const regex = new RE2(pattern, "i");
+      return (content) => content.match(regex)?.[0] ?? null;
+    }
+    case "link": {
+      const domain = pattern.toLowerCase();
+      return (content) => {
+        for (const [url] of content.matchAll(LINK_PATTERN)) {
+          const hostname = hostnameOf(url);
+          if (!domain || hostname === domain || hostname?.endsWith(`.${domain}`)) {
+            return url;
+          }
+        }
+        return null;
+      };
+    }
+    case "invite":
+      return (content) => {
+        for (const [invite, code] of content.matchAll(INVITE_PATTERN)) {
+          // Invite codes are case-sensitive
+          if (!pattern || code === pattern) return invite;
+        }
+        return null;
+      };
+    default:
+      throw new WatchRuleError(`Unknown rule type: ${type}`);
+  }
+}
+
+function isDiscordWebhook(webhookUrl) {
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch {
+    return false;
+  }
+  return (
+    url.protocol === "https:" &&
+    !url.username &&
+    !url.password &&
+    !url.port &&
+    WEBHOOK_HOSTS.includes(url.hostname) &&
+    WEBHOOK_PATH.test(url.pathname)
+  );
+}
+
+/**
+ * Check and normalize one rule. options.channelIds: IDs in the guild;
+ * options.ruleIds: IDs of the guild's saved rules, which a rule may keep.
+ */
+export function validateRule(rule, { channelIds, ruleIds } = {}, at = "The rule") {
+  const name = typeof rule?.name === "string" ? rule.name.trim() : "";
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new WatchRuleError(`${at} needs a name of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!WATCH_RULE_TYPES.includes(rule.type)) {
+    throw new WatchRuleError(`${at} type must be one of ${WATCH_RULE_TYPES.join(", ")}`);
+  }
+
+  const pattern = typeof rule.pattern === "string" ? rule.pattern.trim() : "";
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new WatchRuleError(`${at} pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if ((rule.type === "keyword" || rule.type === "regex") && !pattern) {
+    throw new WatchRuleError(`${at} needs a ${rule.type} to watch for`);
+  }
+  if (rule.type === "regex") {
+    try {
+      new RE2(pattern, "i");
+    } catch (error) {
+      // Also lookarounds and backreferences, which RE2 doesn't support
+      throw new WatchRuleError(`${at} has an invalid regex: ${error.message}`);
+    }
+  }
+  if (rule.type === "link" && pattern && !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(pattern)) {
+    throw new WatchRuleError(`${at} link pattern must be a domain like example.com`);
+  }
+  if (rule.type === "invite" && pattern && !/^[\w-]{2,32}$/.test(pattern)) {
+    throw new WatchRuleError(`${at} invite pattern must be an invite code`);
+  }
+
+  if (rule.channelIds != null && !Array.isArray(rule.channelIds)) {
+    throw new WatchRuleError(`${at} channelIds must be an array`);
+  }
+  const ruleChannelIds = [...new Set(rule.channelIds || [])];
+  const alertChannelId = rule.alertChannelId || null;
+  for (const channelId of [...ruleChannelIds, alertChannelId].filter(Boolean)) {
+    if (!isSnowflake(channelId) || (channelIds && !channelIds.has(channelId))) {
+      throw new WatchRuleError(`${at} uses a channel that is not in this server`);
+    }
+  }
+
+  const webhookUrl = rule.webhookUrl ? String(rule.webhookUrl).trim() : null;
+  if (webhookUrl && !isDiscordWebhook(webhookUrl)) {
+    throw new WatchRuleError(
+      `${at} webhook URL must be a Discord webhook (https://discord.com/api/webhooks/...)`
+    );
+  }
+
+  return {
+    id: ruleIds?.has(rule.id) ? rule.id : crypto.randomUUID(),
+    name,
+    type: rule.type,
+    pattern,
+    channelIds: ruleChannelIds,
+    alertChannelId,
+    webhookUrl,
+    enabled: rule.enabled !== false,
+  };
+}
+
+/**
+ * Check and normalize a guild's list of rules
+ */
+export function validateWatchRules(list, options) {
+  if (!Array.isArray(list)) {
+    throw new WatchRuleError("rules must be an array");
+  }
+  if (list.length > MAX_RULES) {
+    throw new WatchRuleError(`A server can have at most ${MAX_RULES} watch rules`);
+  }
+  // Each saved ID can be kept by one rule only
+  const unclaimed = new Set(options?.ruleIds);
+  return list.map((rule, i) => {
+    const valid = validateRule(rule, { ...options, ruleIds: unclaimed }, `Rule ${i + 1}`);
+    unclaimed.delete(valid.id);
+    return valid;
+  });
+}
+
+/**
+ * Try a rule against sample text without saving it
+ */
+export function testRule(rule, text) {
+  const match = compileRule(validateRule(rule))(String(text ?? ""));
+  return { matched: match !== null, match };
+}
+
+function matcherFor(rule) {
+  if (!matchers.has(rule.id)) {
+    matchers.set(rule.id, compileRule(rule));
+  }
+  return matchers.get(rule.id);
+}
+
+/**
+ * A guild's watch rules
+ */
+export async function getWatchRules(guildId) {
+  const all = await loadRules();
+  return all[guildId]?.rules || [];
+}
+
+/**
+ * Replace a guild's rules (validate them first with validateWatchRules)
+ */
+export async function setWatchRules(guildId, list, updatedBy) {
+  const all = await loadRules();
+  for (const rule of all[guildId]?.rules || []) {
+    matchers.delete(rule.id);
+  }
+  all[guildId] = { rules: list, updatedBy, updatedAt: new Date().toISOString() };
+  await rulesStore.save(all);
+  return all[guildId].rules;
+}
+
+/**
+ * Match a message against its guild's rules and raise alerts
+ */
+export async function evaluateMessage(guildId, message) {
+  // Skip bots (including our own alerts) and webhooks so alerts can't loop
+  if (!guildId || !message.content || message.author?.bot || message.webhook_id) {
+    return [];
+  }
+
+  const raised = [];
+  for (const rule of await getWatchRules(guildId)) {
+    if (!rule.enabled) continue;
+    if (rule.channelIds.length > 0 && !rule.channelIds.includes(message.channel_id)) {
+      continue;
+    }
+    const match = matcherFor(rule)(message.content);
+    if (match === null) continue;
+
+    const alert = await addAlert(guildId, rule, message, match);
+    if (alert) {
+      raised.push(alert);
+      forwardAlert(guildId, rule, alert).catch((error) => {
+        console.error(`[Watchlist] Failed to forward alert for rule ${rule.id}:`, error.message);
+      });
+    }
+  }
+  return raised;
+}
+
+async function addAlert(guildId, rule, message, match) {
+  const accessChannelId = await alertAccessChannel(message.channel_id);
+  const all = await loadAlerts();
+  const list = (all[guildId] ||= []);
+  // An edit can match again; one alert per message and rule is enough
+  if (list.some((a) => a.messageId === message.id && a.ruleId === rule.id)) {
+    return null;
+  }
+
+  const alert = {
+    id: crypto.randomUUID(),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    ruleType: rule.type,
+    channelId: message.channel_id,
+    accessChannelId,
+    messageId: message.id,
+    author: message.author
+      ? { id: message.author.id, username: message.author.username }
+      : null,
+    excerpt: message.content.slice(0, EXCERPT_LENGTH),
+    match: match.slice(0, EXCERPT_LENGTH),
+    createdAt: new Date().toISOString(),
+    read: false,
+  };
+  list.push(alert);
+  list.splice(0, list.length - MAX_ALERTS);
+  await alertsStore.save(all);
+  return alert;
+}
+
+// The channel an alert's access is checked against, so moderators of a
+// channel see alerts from its threads. If it can't be resolved, the alert's
+// own channel is the stricter choice.
+async function alertAccessChannel(channelId) {
+  if (!botToken) return channelId;
+  try {
+    return await resolveAccessChannel(botToken, channelId);
+  } catch (error) {
+    console.error(`[Watchlist] Could not resolve channel ${channelId}:`, error.message);
+    return channelId;
+  }
+}
+
+// Alerts saved before accessChannelId was stored fall back to their channel
+const accessChannelOf = (alert) => alert.accessChannelId || alert.channelId;
+
+/**
+ * A guild's alerts, newest first.
+ * options.channelFilter: only alerts whose access channel (a thread's
+ * parent, otherwise the alert's channel) it returns true for
+ */
+export async function listAlerts(guildId, { unreadOnly = false, channelFilter = null, limit = 100 } = {}) {
+  const all = await loadAlerts();
+  const visible = (all[guildId] || []).filter(
+    (alert) => !channelFilter || channelFilter(accessChannelOf(alert))
+  );
+  return {
+    alerts: visible
+      .filter((alert) => !unreadOnly || !alert.read)
+      .reverse()
+      .slice(0, limit),
+    unreadCount: visible.filter((alert) => !alert.read).length,
+  };
+}
+
+/**
+ * Mark alerts as read. Returns how many changed.
+ */
+export async function markAlertsRead(guildId, alertIds, channelFilter = null) {
+  const all = await loadAlerts();
+  const ids = new Set(alertIds);
+  let changed = 0;
+  for (const alert of all[guildId] || []) {
+    if (alert.read || !ids.has(alert.id)) continue;
+    if (channelFilter && !channelFilter(accessChannelOf(alert))) continue;
+    alert.read = true;
+    changed++;
+  }
+  if (changed > 0) {
+    await alertsStore.save(all);
+  }
+  return changed;
+}
+
+// Take a notification slot for a rule, or count it as suppressed
+function takeNotifySlot(ruleId, now = Date.now()) {
+  const state = notifyState.get(ruleId) || { sentAt: [], suppressed: 0 };
+  notifyState.set(ruleId, state);
+  state.sentAt = state.sentAt.filter((time) => now - time < NOTIFY_WINDOW);
+  if (state.sentAt.length >= NOTIFY_LIMIT) {
+    state.suppressed++;
+    return null;
+  }
+  state.sentAt.push(now);
+  const suppressed = state.suppressed;
+  state.suppressed = 0;
+  return { suppressed };
+}
+
+async function forwardAlert(guildId, rule, alert) {
+  if (!rule.alertChannelId && !rule.webhookUrl) return;
+  const slot = takeNotifySlot(rule.id);
+  if (!slot) return;
+
+  const who = alert.author ? `**${alert.author.username}**` : "someone";
+  const more = slot.suppressed > 0 ? `\n(+${slot.suppressed} more match(es) not forwarded)` : "";
+  const content =
+    `🚨 Watchlist **${rule.name}** matched \`${alert.match.replace(/`/g, "'")}\`` +
+    ` from ${who} in <#${alert.channelId}>\n` +
+    `https://discord.com/channels/${guildId}/${alert.channelId}/${alert.messageId}${more}`;
+
+  const deliveries = [];
+  if (rule.alertChannelId && botToken && rule.alertChannelId !== alert.channelId) {
+    deliveries.push(
+      sendMessage(botToken, rule.alertChannelId, content, {
+        allowedMentions: { parse: [] },
+      })
+    );
+  }
+  // Rules saved before webhooks were limited to Discord may point elsewhere
+  if (rule.webhookUrl && isDiscordWebhook(rule.webhookUrl)) {
+    deliveries.push(postWebhook(rule.webhookUrl, content));
+  }
+  const results = await Promise.allSettled(deliveries);
+  for (const result of results) {
+    if (result.status === "rejected") {
+      console.error(`[Watchlist] Forwarding for rule ${rule.id} failed:`, result.reason.message);
+    }
+  }
+}
+
+async function postWebhook(url, content) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ content, allowed_mentions: { parse: [] } }),
+    // validateRule checked the URL; don't follow it anywhere else
+    redirect: "error",
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+}
+
+/**
+ * Poll watched channels for new messages (only while the Gateway is down)
+ */
+export async function pollWatchedChannels() {
+  if (isGatewayReady()) {
+    // Start fresh next time instead of replaying what the Gateway delivered
+    lastSeen.clear();
+    return;
+  }
+  if (polling || !botToken) return;
+  polling = true;
+
+  try {
+    const all = await loadRules();
+    const targets = [];
+    for (const [guildId, { rules: list }] of Object.entries(all)) {
+      const enabled = list.filter((rule) => rule.enabled);
+      if (enabled.length === 0) continue;
+
+      let channelIds = new Set(enabled.flatMap((rule) => rule.channelIds));
+      if (enabled.some((rule) => rule.channelIds.length === 0)) {
+        const channels = await getChannels(botToken, guildId);
+        channelIds = new Set(channels.map((channel) => channel.id));
+      }
+      for (const channelId of channelIds) {
+        targets.push({ guildId, channelId });
+      }
+    }
+
+    for (const { guildId, channelId } of targets.slice(0, MAX_POLLED_CHANNELS)) {
+      await pollChannel(guildId, channelId);
+    }
+  } catch (error) {
+    console.error("[Watchlist] Polling failed:", error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+async function pollChannel(guildId, channelId) {
+  try {
+    const after = lastSeen.get(channelId);
+    const messages = await getMessages(
+      botToken,
+      channelId,
+      after ? { limit: 50, after } : { limit: 1 }
+    );
+    if (messages.length === 0) return;
+
+    // Discord returns newest first
+    lastSeen.set(channelId, messages[0].id);
+    // The first poll only finds where to start, so old history doesn't alert
+    if (!after) return;
+
+    for (const message of messages.reverse()) {
+      await evaluateMessage(guildId, { ...message, channel_id: channelId });
+    }
+  } catch (error) {
+    console.error(`[Watchlist] Polling channel ${channelId} failed:`, error.message);
+  }
+}
+
+/**
+ * Start watching: Gateway message events, plus polling as a fallback
+ */
+export async function startWatchlists(token) {
+  botToken = token;
+  await loadRules();
+
+  subscribeToMessages((event, data) => {
+    if (event !== "message_create" && event !== "message_update") return;
+    evaluateMessage(data.guild_id, data).catch((error) => {
+      console.error("[Watchlist] Failed to evaluate message:", error.message);
+    });
+  });
+  setInterval(pollWatchedChannels, POLL_INTERVAL).unref();
+
+  const guilds = Object.values(rules).filter((guild) => guild.rules.length > 0).length;
+  console.log(`[Watchlist] Watching ${guilds} server(s)`);
+}